@@ -0,0 +1,93 @@
+import { zodSchemaValidator } from "../utils/errors/utils.js";
+import {
+  rotateCalendarFeedToken,
+  getUserCalendarFeed,
+  getLocationCalendarFeed,
+} from "../services/calendar/index.js";
+import { z } from "zod";
+import { objectIdValidator } from "../utils/validators.js";
+
+/** @typedef {import('express').Request} Request */
+/** @typedef {import('express').Response} Response */
+/** @typedef {import('express').NextFunction} NextFunction */
+
+const feedTokenValidator = z
+  .string({ error: "Invalid calendar feed token" })
+  .regex(/^[a-f0-9]{64}$/, { error: "Invalid calendar feed token" });
+
+/**
+ * Send an iCalendar document
+ * @param {Response} res
+ * @param {string} calendar - iCalendar document
+ */
+const sendCalendar = (res, calendar) => {
+  res
+    .status(200)
+    .set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="shifts.ics"',
+      "Cache-Control": "private, max-age=300",
+    })
+    .send(calendar);
+};
+
+/**
+ * Controller to handle creating or rotating the current user's calendar feed token
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const rotateCalendarFeedTokenController = async (req, res, next) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    const { token } = await rotateCalendarFeedToken(userId);
+
+    res.status(200).json({
+      token,
+      feedUrl: `${req.protocol}://${req.get("host")}/api/calendar/feeds/${token}.ics`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle serving a user's calendar feed
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getUserCalendarFeedController = async (req, res, next) => {
+  try {
+    const token = zodSchemaValidator(feedTokenValidator, req.params.token);
+
+    sendCalendar(res, await getUserCalendarFeed(token));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle serving a location's calendar feed (admin tokens only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getLocationCalendarFeedController = async (req, res, next) => {
+  try {
+    const { locationId } = req.params;
+    const token = zodSchemaValidator(feedTokenValidator, req.params.token);
+
+    zodSchemaValidator(objectIdValidator("Invalid location ID"), locationId);
+
+    sendCalendar(res, await getLocationCalendarFeed(token, locationId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  rotateCalendarFeedTokenController,
+  getUserCalendarFeedController,
+  getLocationCalendarFeedController,
+};
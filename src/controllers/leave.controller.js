@@ -0,0 +1,229 @@
+import { zodSchemaValidator } from "../utils/errors/utils.js";
+import {
+  createLeaveRequest,
+  getLeaveRequests,
+  getUserLeaveRequests,
+  getLeaveBalance,
+  approveLeaveRequest,
+  rejectLeaveRequest,
+  getLeaveRequestConflicts,
+} from "../services/leave/index.js";
+import { z } from "zod";
+import {
+  LEAVE_TYPE,
+  LEAVE_REQUEST_STATUS,
+} from "../services/leave/constants.js";
+import {
+  objectIdValidator,
+  dateValidator,
+  timeValidator,
+} from "../utils/validators.js";
+
+/** @typedef {import('express').Request} Request */
+/** @typedef {import('express').Response} Response */
+/** @typedef {import('express').NextFunction} NextFunction */
+
+const schemaCreateLeaveRequest = z.object({
+  type: z.enum(Object.values(LEAVE_TYPE), { error: "Invalid leave type" }),
+  startDate: dateValidator,
+  endDate: dateValidator.optional(),
+  partialDay: z
+    .object({
+      startTime: timeValidator,
+      finishTime: timeValidator,
+    })
+    .optional(),
+  reason: z
+    .string({ error: "Reason must be a string" })
+    .trim()
+    .max(500, { error: "Reason cannot be longer than 500 characters" })
+    .optional(),
+});
+
+const schemaListLeaveRequests = z.object({
+  status: z
+    .enum(Object.values(LEAVE_REQUEST_STATUS), {
+      error: "Invalid leave request status",
+    })
+    .optional(),
+  worker: objectIdValidator("Invalid worker ID").optional(),
+});
+
+const schemaLeaveBalanceQuery = z.object({
+  year: z.coerce
+    .number({ error: "Year must be a number" })
+    .int({ error: "Year must be a whole number" })
+    .min(2000, { error: "Year must be between 2000 and 2100" })
+    .max(2100, { error: "Year must be between 2000 and 2100" })
+    .optional(),
+});
+
+const schemaReviewLeaveRequest = z.object({
+  note: z
+    .string({ error: "Note must be a string" })
+    .trim()
+    .max(500, { error: "Note cannot be longer than 500 characters" })
+    .optional(),
+});
+
+/**
+ * Controller to handle a worker submitting a leave request
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const createLeaveRequestController = async (req, res, next) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    const validatedData = zodSchemaValidator(
+      schemaCreateLeaveRequest,
+      req.body ?? {},
+    );
+
+    res.status(201).json(await createLeaveRequest(userId, validatedData));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle fetching all leave requests (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getLeaveRequestsController = async (req, res, next) => {
+  try {
+    const options = zodSchemaValidator(schemaListLeaveRequests, req.query);
+    res.status(200).json(await getLeaveRequests(options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle fetching the current user's leave requests
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getUserLeaveRequestsController = async (req, res, next) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    const { status } = zodSchemaValidator(schemaListLeaveRequests, req.query);
+    res.status(200).json(await getUserLeaveRequests(userId, { status }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle fetching the current user's leave balance
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getMyLeaveBalanceController = async (req, res, next) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    const options = zodSchemaValidator(schemaLeaveBalanceQuery, req.query);
+    res.status(200).json(await getLeaveBalance(userId, options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle fetching a worker's leave balance (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getWorkerLeaveBalanceController = async (req, res, next) => {
+  try {
+    const { workerId } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid worker ID"), workerId);
+
+    const options = zodSchemaValidator(schemaLeaveBalanceQuery, req.query);
+    res.status(200).json(await getLeaveBalance(workerId, options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle an admin approving a leave request
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const approveLeaveRequestController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id || req.user?._id;
+
+    zodSchemaValidator(objectIdValidator("Invalid leave request ID"), id);
+
+    const options = zodSchemaValidator(
+      schemaReviewLeaveRequest,
+      req.body ?? {},
+    );
+    res.status(200).json(await approveLeaveRequest(id, userId, options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle an admin rejecting a leave request
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const rejectLeaveRequestController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id || req.user?._id;
+
+    zodSchemaValidator(objectIdValidator("Invalid leave request ID"), id);
+
+    const options = zodSchemaValidator(
+      schemaReviewLeaveRequest,
+      req.body ?? {},
+    );
+    res.status(200).json(await rejectLeaveRequest(id, userId, options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle listing the shifts that clash with a leave request
+ * (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getLeaveRequestConflictsController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid leave request ID"), id);
+
+    res.status(200).json(await getLeaveRequestConflicts(id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  createLeaveRequestController,
+  getLeaveRequestsController,
+  getUserLeaveRequestsController,
+  getMyLeaveBalanceController,
+  getWorkerLeaveBalanceController,
+  approveLeaveRequestController,
+  rejectLeaveRequestController,
+  getLeaveRequestConflictsController,
+};
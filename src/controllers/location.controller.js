@@ -1,9 +1,74 @@
+import { zodSchemaValidator } from "../utils/errors/utils.js";
 import { getLocations } from "../services/location/index.js";
+import {
+  getStaffingRequirements,
+  setStaffingRequirements,
+  getCoverage,
+} from "../services/location/staffing.js";
+import { COVERAGE_CONSTRAINTS } from "../services/location/constants.js";
+import { z } from "zod";
+import dayjs from "dayjs";
+import { objectIdValidator, timeValidator } from "../utils/validators.js";
 
 /** @typedef {import('express').Request} Request */
 /** @typedef {import('express').Response} Response */
 /** @typedef {import('express').NextFunction} NextFunction */
 
+const schemaStaffingRequirements = z.object({
+  staffingRequirements: z
+    .array(
+      z.object({
+        dayOfWeek: z
+          .number({ error: "Day of week must be a number" })
+          .int({ error: "Day of week must be a whole number" })
+          .min(0, { error: "Day of week must be between 0 (Sunday) and 6" })
+          .max(6, { error: "Day of week must be between 0 (Sunday) and 6" }),
+        startTime: timeValidator,
+        finishTime: timeValidator,
+        role: z
+          .string({ error: "Role is required" })
+          .trim()
+          .nonempty({ error: "Role cannot be empty" }),
+        count: z
+          .number({ error: "Count must be a number" })
+          .int({ error: "Count must be a whole number" })
+          .min(0, { error: "Count cannot be negative" })
+          .max(100, { error: "Count cannot be more than 100" }),
+      }),
+      { error: "Staffing requirements must be an array" },
+    )
+    .max(COVERAGE_CONSTRAINTS.MAX_REQUIREMENTS, {
+      error: `A location cannot have more than ${COVERAGE_CONSTRAINTS.MAX_REQUIREMENTS} staffing requirements`,
+    }),
+});
+
+// Coverage can be reported for past dates
+const queryDateValidator = z
+  .string({ error: "Dates must be valid dates" })
+  .refine((val) => dayjs(val).isValid(), {
+    error: "Dates must be valid dates",
+  });
+
+const schemaCoverageQuery = z
+  .object({
+    from: queryDateValidator,
+    to: queryDateValidator,
+    location: objectIdValidator("Invalid location ID").optional(),
+  })
+  .refine((data) => !dayjs(data.to).isBefore(dayjs(data.from), "day"), {
+    error: "End date cannot be before the start date",
+    path: ["to"],
+  })
+  .refine(
+    (data) =>
+      dayjs(data.to).diff(dayjs(data.from), "day") <
+      COVERAGE_CONSTRAINTS.MAX_RANGE_DAYS,
+    {
+      error: `Date range cannot be longer than ${COVERAGE_CONSTRAINTS.MAX_RANGE_DAYS} days`,
+      path: ["to"],
+    },
+  );
+
 /**
  * Controller to get all locations
  * @param {Request} req
@@ -18,4 +83,78 @@ const getLocationsController = async (req, res, next) => {
   }
 };
 
-export { getLocationsController };
+/**
+ * Controller to get a location's staffing requirements (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getStaffingRequirementsController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid location ID"), id);
+
+    res.status(200).json(await getStaffingRequirements(id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to replace a location's staffing requirements (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const setStaffingRequirementsController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid location ID"), id);
+
+    /** @type {{staffingRequirements: Array<{dayOfWeek: number, startTime: string, finishTime: string, role: string, count: number}>}} */
+    const validatedData = zodSchemaValidator(
+      schemaStaffingRequirements,
+      req.body ?? {},
+    );
+
+    res
+      .status(200)
+      .json(
+        await setStaffingRequirements(id, validatedData.staffingRequirements),
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to report staffing coverage over a date range (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getCoverageController = async (req, res, next) => {
+  try {
+    /** @type {{from: string, to: string, location?: string}} */
+    const validatedQuery = zodSchemaValidator(schemaCoverageQuery, req.query);
+
+    res.status(200).json(
+      await getCoverage({
+        ...validatedQuery,
+        from: dayjs(validatedQuery.from).toDate(),
+        to: dayjs(validatedQuery.to).toDate(),
+      }),
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  getLocationsController,
+  getStaffingRequirementsController,
+  setStaffingRequirementsController,
+  getCoverageController,
+};
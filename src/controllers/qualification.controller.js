@@ -0,0 +1,142 @@
+import { zodSchemaValidator } from "../utils/errors/utils.js";
+import {
+  createQualification,
+  getQualifications,
+  updateQualification,
+} from "../services/qualification/index.js";
+import { getExpiringQualifications } from "../services/worker/qualifications.js";
+import { z } from "zod";
+import { QUALIFICATION_CONSTRAINTS } from "../services/qualification/constants.js";
+import { objectIdValidator } from "../utils/validators.js";
+
+/** @typedef {import('express').Request} Request */
+/** @typedef {import('express').Response} Response */
+/** @typedef {import('express').NextFunction} NextFunction */
+
+const nameValidator = z
+  .string({ error: "Name is required" })
+  .trim()
+  .nonempty({ error: "Name cannot be empty" })
+  .max(100, { error: "Name cannot be longer than 100 characters" });
+
+const descriptionValidator = z
+  .string({ error: "Description must be a string" })
+  .trim()
+  .max(500, { error: "Description cannot be longer than 500 characters" })
+  .nullable()
+  .optional();
+
+const requiredForRolesValidator = z
+  .array(
+    z
+      .string({ error: "Roles must be strings" })
+      .trim()
+      .nonempty({ error: "Roles cannot be empty" }),
+    { error: "Required for roles must be an array" },
+  )
+  .optional();
+
+const schemaCreateQualification = z.object({
+  name: nameValidator,
+  description: descriptionValidator,
+  requiredForRoles: requiredForRolesValidator,
+});
+
+const schemaUpdateQualification = z
+  .object({
+    name: nameValidator.optional(),
+    description: descriptionValidator,
+    requiredForRoles: requiredForRolesValidator,
+  })
+  .refine((data) => Object.keys(data).length > 0, {
+    error: "At least one field is required",
+  });
+
+const schemaExpiringQuery = z.object({
+  days: z.coerce
+    .number({ error: "Days must be a number" })
+    .int({ error: "Days must be a whole number" })
+    .min(1, { error: "Days must be at least 1" })
+    .max(QUALIFICATION_CONSTRAINTS.MAX_EXPIRY_REPORT_DAYS, {
+      error: `Days cannot be more than ${QUALIFICATION_CONSTRAINTS.MAX_EXPIRY_REPORT_DAYS}`,
+    })
+    .default(QUALIFICATION_CONSTRAINTS.DEFAULT_EXPIRY_REPORT_DAYS),
+});
+
+/**
+ * Controller to handle adding a qualification to the catalogue (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const createQualificationController = async (req, res, next) => {
+  try {
+    const validatedData = zodSchemaValidator(
+      schemaCreateQualification,
+      req.body ?? {},
+    );
+
+    res.status(201).json(await createQualification(validatedData));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle fetching the qualification catalogue
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getQualificationsController = async (req, res, next) => {
+  try {
+    res.status(200).json(await getQualifications());
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle updating a qualification (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const updateQualificationController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid qualification ID"), id);
+
+    const validatedData = zodSchemaValidator(
+      schemaUpdateQualification,
+      req.body ?? {},
+    );
+
+    res.status(200).json(await updateQualification(id, validatedData));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle listing certifications expiring soon (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getExpiringQualificationsController = async (req, res, next) => {
+  try {
+    const options = zodSchemaValidator(schemaExpiringQuery, req.query);
+    res.status(200).json(await getExpiringQualifications(options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  createQualificationController,
+  getQualificationsController,
+  updateQualificationController,
+  getExpiringQualificationsController,
+};
@@ -0,0 +1,325 @@
+import { zodSchemaValidator } from "../utils/errors/utils.js";
+import {
+  createShiftSeries,
+  getShiftSeriesList,
+  getShiftSeries,
+  updateShiftSeries,
+  endShiftSeries,
+} from "../services/shift-series/index.js";
+import { z } from "zod";
+import { SHIFT_TYPES } from "../services/shift/constants.js";
+import {
+  SERIES_FREQUENCY,
+  SERIES_STATUS,
+  SERIES_EDIT_SCOPE,
+  SERIES_CONSTRAINTS,
+} from "../services/shift-series/constants.js";
+import {
+  objectIdValidator,
+  dateValidator,
+  timeValidator,
+  locationObjectSchema,
+} from "../utils/validators.js";
+import dayjs from "dayjs";
+
+/** @typedef {import('express').Request} Request */
+/** @typedef {import('express').Response} Response */
+/** @typedef {import('express').NextFunction} NextFunction */
+
+const typeOfShiftSchema = z
+  .array(
+    z.enum([
+      SHIFT_TYPES.WEEKEND,
+      SHIFT_TYPES.WEEKDAY,
+      SHIFT_TYPES.EVENING,
+      SHIFT_TYPES.MORNING,
+      SHIFT_TYPES.NIGHT,
+    ]),
+    {
+      error: "Invalid shift type",
+    },
+  )
+  .min(1, { error: "At least one shift type is required" });
+
+const recurrenceObjectSchema = z.object({
+  frequency: z.enum([SERIES_FREQUENCY.DAILY, SERIES_FREQUENCY.WEEKLY], {
+    error: "Frequency must be 'daily' or 'weekly'",
+  }),
+  interval: z
+    .number({ error: "Interval must be a number" })
+    .int({ error: "Interval must be an integer" })
+    .min(1, { error: "Interval must be between 1 and 52" })
+    .max(52, { error: "Interval must be between 1 and 52" }),
+  byWeekday: z.array(
+    z
+      .number({ error: "Weekdays must be numbers" })
+      .int()
+      .min(0, { error: "Weekdays must be between 0 (Sunday) and 6 (Saturday)" })
+      .max(6, {
+        error: "Weekdays must be between 0 (Sunday) and 6 (Saturday)",
+      }),
+    { error: "Weekdays must be an array" },
+  ),
+  startDate: dateValidator,
+  until: dateValidator,
+  count: z
+    .number({ error: "Count must be a number" })
+    .int({ error: "Count must be an integer" })
+    .min(1, {
+      error: `Count must be between 1 and ${SERIES_CONSTRAINTS.MAX_OCCURRENCES}`,
+    })
+    .max(SERIES_CONSTRAINTS.MAX_OCCURRENCES, {
+      error: `Count must be between 1 and ${SERIES_CONSTRAINTS.MAX_OCCURRENCES}`,
+    }),
+  exdates: z.array(
+    z.string().refine((val) => dayjs(val).isValid(), {
+      error: "Exclusion dates must be valid dates",
+    }),
+    { error: "Exclusion dates must be an array" },
+  ),
+});
+
+const untilAfterStartDate = (recurrence) =>
+  !recurrence.until ||
+  !recurrence.startDate ||
+  !dayjs(recurrence.until).isBefore(dayjs(recurrence.startDate), "day");
+
+const schemaCreateRecurrence = recurrenceObjectSchema
+  .partial({
+    interval: true,
+    byWeekday: true,
+    until: true,
+    count: true,
+    exdates: true,
+  })
+  .refine((recurrence) => recurrence.until || recurrence.count, {
+    error:
+      "Either an end date ('until') or a number of occurrences ('count') is required",
+    path: ["until"],
+  })
+  .refine(untilAfterStartDate, {
+    error: "End date cannot be before the start date",
+    path: ["until"],
+  });
+
+const schemaUpdateRecurrence = recurrenceObjectSchema
+  .partial()
+  .refine(untilAfterStartDate, {
+    error: "End date cannot be before the start date",
+    path: ["until"],
+  });
+
+const schemaCreateShiftSeries = z.object({
+  title: z
+    .string({ error: "Title is required" })
+    .nonempty({ error: "Title cannot be empty" })
+    .trim(),
+  role: z
+    .string({ error: "Role is required" })
+    .nonempty({ error: "Role cannot be empty" })
+    .trim(),
+  typeOfShift: typeOfShiftSchema,
+  user: objectIdValidator("Invalid user ID"),
+  startTime: timeValidator,
+  finishTime: timeValidator,
+  numOfShiftsPerDay: z
+    .number({ error: "Number of shifts per day must be a number" })
+    .int()
+    .positive({ error: "Number of shifts per day must be a positive integer" })
+    .optional()
+    .default(1),
+  location: locationObjectSchema,
+  recurrence: schemaCreateRecurrence,
+});
+
+const schemaUpdateShiftSeries = z
+  .object({
+    scope: z.enum(
+      [
+        SERIES_EDIT_SCOPE.THIS,
+        SERIES_EDIT_SCOPE.FOLLOWING,
+        SERIES_EDIT_SCOPE.ALL,
+      ],
+      { error: "Scope must be 'this', 'following' or 'all'" },
+    ),
+    occurrenceDate: dateValidator.optional(),
+    title: z
+      .string({ error: "Title is required" })
+      .nonempty({ error: "Title cannot be empty" })
+      .trim()
+      .optional(),
+    role: z
+      .string({ error: "Role is required" })
+      .nonempty({ error: "Role cannot be empty" })
+      .trim()
+      .optional(),
+    typeOfShift: typeOfShiftSchema.optional(),
+    user: objectIdValidator("Invalid user ID").optional(),
+    startTime: timeValidator.optional(),
+    finishTime: timeValidator.optional(),
+    numOfShiftsPerDay: z
+      .number({ error: "Number of shifts per day must be a number" })
+      .int()
+      .positive({
+        error: "Number of shifts per day must be a positive integer",
+      })
+      .optional(),
+    location: locationObjectSchema.optional(),
+    recurrence: schemaUpdateRecurrence.optional(),
+  })
+  .refine(
+    (data) => data.scope === SERIES_EDIT_SCOPE.ALL || data.occurrenceDate,
+    {
+      error: "Occurrence date is required unless the scope is 'all'",
+      path: ["occurrenceDate"],
+    },
+  )
+  .refine((data) => data.scope !== SERIES_EDIT_SCOPE.THIS || !data.recurrence, {
+    error: "Recurrence cannot be changed for a single occurrence",
+    path: ["recurrence"],
+  });
+
+const schemaListShiftSeries = z.object({
+  status: z
+    .enum([SERIES_STATUS.ACTIVE, SERIES_STATUS.ENDED], {
+      error: "Invalid series status",
+    })
+    .optional(),
+});
+
+/**
+ * Convert the date strings of a validated recurrence rule to Date objects
+ * @param {Object} recurrence - Validated recurrence rule
+ * @returns {Object} Recurrence rule with Date values
+ */
+const toRecurrenceDates = (recurrence) => ({
+  ...recurrence,
+  ...(recurrence.startDate && {
+    startDate: dayjs(recurrence.startDate).startOf("day").toDate(),
+  }),
+  ...(recurrence.until && {
+    until: dayjs(recurrence.until).startOf("day").toDate(),
+  }),
+  ...(recurrence.exdates && {
+    exdates: recurrence.exdates.map((date) =>
+      dayjs(date).startOf("day").toDate(),
+    ),
+  }),
+});
+
+/**
+ * Controller to handle shift series creation
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const createShiftSeriesController = async (req, res, next) => {
+  try {
+    const validatedData = zodSchemaValidator(schemaCreateShiftSeries, req.body);
+
+    validatedData.recurrence = toRecurrenceDates(validatedData.recurrence);
+
+    res.status(201).json(
+      await createShiftSeries(validatedData, {
+        actorId: req.user?.id || req.user?._id,
+      }),
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle fetching all shift series
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getShiftSeriesListController = async (req, res, next) => {
+  try {
+    const options = zodSchemaValidator(schemaListShiftSeries, req.query);
+    res.status(200).json(await getShiftSeriesList(options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle fetching a shift series with its occurrences
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getShiftSeriesController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid shift series ID"), id);
+
+    res.status(200).json(await getShiftSeries(id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle shift series updates
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const updateShiftSeriesController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid shift series ID"), id);
+
+    const { scope, occurrenceDate, ...updateData } = zodSchemaValidator(
+      schemaUpdateShiftSeries,
+      req.body,
+    );
+
+    if (updateData.recurrence) {
+      updateData.recurrence = toRecurrenceDates(updateData.recurrence);
+    }
+
+    res.status(200).json(
+      await updateShiftSeries(id, updateData, {
+        scope,
+        occurrenceDate: occurrenceDate
+          ? dayjs(occurrenceDate).toDate()
+          : undefined,
+        actorId: req.user?.id || req.user?._id,
+      }),
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle ending a shift series
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const endShiftSeriesController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id || req.user?._id;
+
+    zodSchemaValidator(objectIdValidator("Invalid shift series ID"), id);
+
+    res.status(200).json(await endShiftSeries(id, { actorId: userId }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  createShiftSeriesController,
+  getShiftSeriesListController,
+  getShiftSeriesController,
+  updateShiftSeriesController,
+  endShiftSeriesController,
+};
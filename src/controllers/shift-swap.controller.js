@@ -0,0 +1,148 @@
+import { zodSchemaValidator } from "../utils/errors/utils.js";
+import {
+  createSwapRequest,
+  getSwapRequests,
+  getUserSwapRequests,
+  acceptSwapRequest,
+  approveSwapRequest,
+  rejectSwapRequest,
+} from "../services/shift-swap/index.js";
+import { z } from "zod";
+import { SWAP_REQUEST_STATUS } from "../services/shift-swap/constants.js";
+import { objectIdValidator } from "../utils/validators.js";
+
+/** @typedef {import('express').Request} Request */
+/** @typedef {import('express').Response} Response */
+/** @typedef {import('express').NextFunction} NextFunction */
+
+const schemaCreateSwapRequest = z.object({
+  shift: objectIdValidator("Invalid shift ID"),
+  recipient: objectIdValidator("Invalid recipient ID").optional(),
+  message: z
+    .string({ error: "Message must be a string" })
+    .trim()
+    .max(500, { error: "Message cannot be longer than 500 characters" })
+    .optional(),
+});
+
+const schemaListSwapRequests = z.object({
+  status: z
+    .enum(Object.values(SWAP_REQUEST_STATUS), {
+      error: "Invalid swap request status",
+    })
+    .optional(),
+});
+
+/**
+ * Controller to handle creating a swap request
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const createSwapRequestController = async (req, res, next) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    const validatedData = zodSchemaValidator(schemaCreateSwapRequest, req.body);
+
+    res.status(201).json(await createSwapRequest(userId, validatedData));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle fetching all swap requests (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getSwapRequestsController = async (req, res, next) => {
+  try {
+    const options = zodSchemaValidator(schemaListSwapRequests, req.query);
+    res.status(200).json(await getSwapRequests(options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle fetching the current user's swap requests
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getUserSwapRequestsController = async (req, res, next) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    const options = zodSchemaValidator(schemaListSwapRequests, req.query);
+    res.status(200).json(await getUserSwapRequests(userId, options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle a worker accepting a swap request
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const acceptSwapRequestController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id || req.user?._id;
+
+    zodSchemaValidator(objectIdValidator("Invalid swap request ID"), id);
+
+    res.status(200).json(await acceptSwapRequest(id, userId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle an admin approving a swap request
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const approveSwapRequestController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id || req.user?._id;
+
+    zodSchemaValidator(objectIdValidator("Invalid swap request ID"), id);
+
+    res.status(200).json(await approveSwapRequest(id, userId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle rejecting a swap request
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const rejectSwapRequestController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id || req.user?._id;
+
+    zodSchemaValidator(objectIdValidator("Invalid swap request ID"), id);
+
+    res.status(200).json(await rejectSwapRequest(id, userId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  createSwapRequestController,
+  getSwapRequestsController,
+  getUserSwapRequestsController,
+  acceptSwapRequestController,
+  approveSwapRequestController,
+  rejectSwapRequestController,
+};
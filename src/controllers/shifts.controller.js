@@ -3,88 +3,56 @@ import {
   createShift,
   updateShift,
   deleteShift,
+  restoreShift,
   batchCreateUpdateShifts,
+  batchDeleteShifts,
+  batchCancelShifts,
   cancelShift,
   clockInShift,
   clockOutShift,
+  startShiftBreak,
+  endShiftBreak,
   getAllShifts,
+  getDeletedShifts,
   getUserShifts,
   getShift,
+  getOpenShifts,
+  getPendingClaims,
+  claimOpenShift,
+  approveShiftClaim,
+  rejectShiftClaim,
 } from "../services/shift/index.js";
+import { createPayrollExportStream } from "../services/shift/export.js";
+import { getShiftHistory } from "../services/shift/history.js";
+import { proposeShiftAssignments } from "../services/shift/auto-schedule.js";
 import { z } from "zod";
-import mongoose from "mongoose";
-import { SHIFT_STATUS, SHIFT_TYPES } from "../services/shift/constants.js";
-import { isValidTimeString, isDateInPast } from "../utils/datetime.js";
+import {
+  SHIFT_STATUS,
+  SHIFT_TYPES,
+  SHIFT_SORT_FIELDS,
+  PAGINATION_MODE,
+  PAYROLL_EXPORT_COLUMNS,
+  DEFAULT_PAYROLL_EXPORT_COLUMNS,
+} from "../services/shift/constants.js";
+import {
+  objectIdValidator,
+  dateValidator,
+  timeValidator,
+  locationObjectSchema,
+  positionObjectSchema,
+} from "../utils/validators.js";
 import dayjs from "dayjs";
+import { pipeline } from "node:stream/promises";
 
 /** @typedef {import('express').Request} Request */
 /** @typedef {import('express').Response} Response */
 /** @typedef {import('express').NextFunction} NextFunction */
 
-const objectIdValidator = (/** @type {string} */ errorMessage) =>
-  z.string({ error: errorMessage }).refine(
-    (val) => {
-      return mongoose.Types.ObjectId.isValid(val);
-    },
-    {
-      error: errorMessage,
-    },
-  );
-
-const dateValidator = z.string({ error: "Invalid date or time" }).refine(
-  (val) => {
-    const date = dayjs(val);
-    if (!date.isValid()) {
-      return false;
-    }
-    return !isDateInPast(val);
-  },
-  {
-    error: "Date cannot be in the past and must be a valid date",
-  },
-);
-
-const timeValidator = z
-  .string({ error: "Time must be in HH:MM format" })
-  .refine(
-    (val) => {
-      return isValidTimeString(val);
-    },
-    {
-      error: "Time must be in HH:MM format",
-    },
-  );
-
-const locationObjectSchema = z.object(
-  {
-    name: z
-      .string({ error: "Location name is required" })
-      .nonempty({ error: "Location name cannot be empty" })
-      .trim(),
-    address: z
-      .string({ error: "Location address is required" })
-      .nonempty({ error: "Location address cannot be empty" })
-      .trim(),
-    postCode: z
-      .string({ error: "Location post code is required" })
-      .nonempty({ error: "Location post code cannot be empty" })
-      .trim(),
-    cordinates: z.object(
-      {
-        longitude: z
-          .number({ error: "Longitude must be a number" })
-          .min(-180, { error: "Longitude must be between -180 and 180" })
-          .max(180, { error: "Longitude must be between -180 and 180" }),
-        latitude: z
-          .number({ error: "Latitude must be a number" })
-          .min(-90, { error: "Latitude must be between -90 and 90" })
-          .max(90, { error: "Latitude must be between -90 and 90" }),
-      },
-      { error: "Location coordinates are required" },
-    ),
-  },
-  { error: "Invalid location object" },
-);
+const requiredQualificationsValidator = z
+  .array(objectIdValidator("Invalid qualification ID"), {
+    error: "Required qualifications must be an array",
+  })
+  .optional();
 
 const schemaCreateShift = z.object({
   title: z
@@ -109,7 +77,16 @@ const schemaCreateShift = z.object({
       },
     )
     .min(1, { error: "At least one shift type is required" }),
-  user: objectIdValidator("Invalid user ID"),
+  user: objectIdValidator("Invalid user ID").optional(),
+  eligibleWorkers: z
+    .array(objectIdValidator("Invalid eligible worker ID"), {
+      error: "Eligible workers must be an array",
+    })
+    .optional(),
+  requiresClaimApproval: z
+    .boolean({ error: "Requires claim approval must be a boolean" })
+    .optional(),
+  requiredQualifications: requiredQualificationsValidator,
   startTime: timeValidator,
   finishTime: timeValidator,
   numOfShiftsPerDay: z
@@ -120,49 +97,20 @@ const schemaCreateShift = z.object({
     .default(1),
   location: locationObjectSchema,
   date: dateValidator,
+  overrideRestPeriod: z
+    .boolean({ error: "Override rest period must be a boolean" })
+    .optional(),
 });
 
-const schemaBatchShift = z.object({
+const schemaBatchShift = schemaCreateShift.extend({
   id: objectIdValidator("Invalid shift ID").optional(),
-  title: z
-    .string({ error: "Title is required" })
-    .nonempty({ error: "Title cannot be empty" })
-    .trim(),
-  role: z
-    .string({ error: "Role is required" })
-    .nonempty({ error: "Role cannot be empty" })
-    .trim(),
-  typeOfShift: z
-    .array(
-      z.enum([
-        SHIFT_TYPES.WEEKEND,
-        SHIFT_TYPES.WEEKDAY,
-        SHIFT_TYPES.EVENING,
-        SHIFT_TYPES.MORNING,
-        SHIFT_TYPES.NIGHT,
-      ]),
-      {
-        error: "Invalid shift type",
-      },
-    )
-    .min(1, { error: "At least one shift type is required" }),
-  user: objectIdValidator("Invalid user ID"),
-  startTime: timeValidator,
-  finishTime: timeValidator,
-  numOfShiftsPerDay: z
-    .number({ error: "Number of shifts per day must be a number" })
-    .int()
-    .positive({ error: "Number of shifts per day must be a positive integer" })
-    .optional()
-    .default(1),
-  location: locationObjectSchema,
-  date: dateValidator,
 });
-
 const schemaBatchShifts = z.object({
   shifts: z
     .array(schemaBatchShift, { error: "Invalid shifts array" })
     .min(1, { error: "At least one shift is required" }),
+  atomic: z.boolean({ error: "Atomic must be a boolean" }).optional(),
+  dryRun: z.boolean({ error: "Dry run must be a boolean" }).optional(),
 });
 
 const schemaUpdateShift = z.object({
@@ -192,6 +140,7 @@ const schemaUpdateShift = z.object({
     .min(1, { error: "At least one shift type is required" })
     .optional(),
   user: objectIdValidator("Invalid user ID").optional(),
+  requiredQualifications: requiredQualificationsValidator,
   startTime: timeValidator.optional(),
   finishTime: timeValidator.optional(),
   numOfShiftsPerDay: z
@@ -201,103 +150,318 @@ const schemaUpdateShift = z.object({
     .optional(),
   location: locationObjectSchema.optional(),
   date: dateValidator.optional(),
+  overrideRestPeriod: z
+    .boolean({ error: "Override rest period must be a boolean" })
+    .optional(),
+});
+
+const schemaClockPosition = z.object({
+  position: positionObjectSchema.optional(),
+});
+
+const schemaStartBreak = z.object({
+  paid: z.boolean({ error: "Paid must be a boolean" }).optional(),
 });
 
+// Dates in listing and export queries may be in the past
+const queryDateValidator = z
+  .string({ error: "Dates must be valid dates" })
+  .refine((val) => dayjs(val).isValid(), {
+    error: "Dates must be valid dates",
+  });
+
+/**
+ * Validator for a query parameter that accepts several values, either repeated
+ * (?status=A&status=B) or comma-separated (?status=A,B)
+ * @param {string[]} allowedValues - Accepted values
+ * @param {string} errorMessage - Error when a value is not accepted
+ * @returns {z.ZodType} Validator producing an array, or undefined if empty
+ */
+const queryListValidator = (allowedValues, errorMessage) =>
+  z
+    .any()
+    .optional()
+    .transform((val) => {
+      const values = (Array.isArray(val) ? val : [val])
+        .filter((item) => typeof item === "string")
+        .flatMap((item) => item.split(","))
+        .map((item) => item.trim())
+        .filter(Boolean);
+      return values.length > 0 ? values : undefined;
+    })
+    .refine(
+      (values) =>
+        values === undefined ||
+        values.every((value) => allowedValues.includes(value)),
+      { error: errorMessage },
+    );
+
+/**
+ * Drop options the query did not set and convert the date range to Dates
+ * @param {Object} data - Validated query
+ * @returns {Object} Service options
+ */
+const toShiftQueryOptions = (data) => {
+  const result = Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined),
+  );
+  if (result.from) {
+    result.from = dayjs(result.from).toDate();
+  }
+  if (result.to) {
+    result.to = dayjs(result.to).toDate();
+  }
+  return result;
+};
+
+const paginationQueryFields = {
+  page: z
+    .any()
+    .optional()
+    .transform((val) => {
+      if (val === undefined || val === null || val === "") {
+        return 1;
+      }
+      const parsed = typeof val === "string" ? parseInt(val, 10) : Number(val);
+      return isNaN(parsed) ? 1 : parsed;
+    })
+    .refine((val) => val >= 1, {
+      error: "Page number must be greater than 0",
+    }),
+  limit: z
+    .any()
+    .optional()
+    .transform((val) => {
+      if (val === undefined || val === null || val === "") {
+        return 10;
+      }
+      const parsed = typeof val === "string" ? parseInt(val, 10) : Number(val);
+      return isNaN(parsed) ? 10 : parsed;
+    })
+    .refine((val) => val >= 1 && val <= 1000, {
+      error: "Limit must be between 1 and 1000",
+    }),
+  status: queryListValidator(
+    Object.values(SHIFT_STATUS),
+    "Invalid shift status",
+  ),
+  // Comma-separated sort fields, each prefixed with "-" to sort it descending: "date,-startTime"
+  sortBy: z
+    .any()
+    .optional()
+    .transform((val) => {
+      if (typeof val !== "string" || val.trim() === "") {
+        return ["date"];
+      }
+      return val.split(",").map((key) => key.trim());
+    })
+    .refine(
+      (keys) =>
+        keys.every((key) =>
+          Object.hasOwn(SHIFT_SORT_FIELDS, key.replace(/^-/, "")),
+        ),
+      {
+        error: `Sort field must be one of: ${Object.keys(SHIFT_SORT_FIELDS).join(", ")}`,
+      },
+    )
+    .refine(
+      (keys) =>
+        new Set(keys.map((key) => key.replace(/^-/, ""))).size === keys.length,
+      { error: "Sort fields cannot be repeated" },
+    ),
+  sortOrder: z
+    .any()
+    .optional()
+    .transform((val) => {
+      if (val === undefined || val === null || val === "") {
+        return "asc";
+      }
+      return val;
+    })
+    .refine(
+      (val) => {
+        return val === "asc" || val === "desc";
+      },
+      {
+        error: "Sort order must be 'asc' or 'desc'",
+      },
+    ),
+};
+
+const cursorQueryFields = {
+  paginationMode: z
+    .enum(Object.values(PAGINATION_MODE), {
+      error: "Pagination mode must be 'page' or 'cursor'",
+    })
+    .optional(),
+  cursor: z
+    .string({ error: "Cursor must be a string" })
+    .max(2000, { error: "Invalid cursor" })
+    .optional(),
+  includeTotal: z
+    .enum(["true", "false"], { error: "includeTotal must be true or false" })
+    .optional()
+    .transform((val) => (val === undefined ? undefined : val === "true")),
+};
+
+const shiftFilterQueryFields = {
+  from: queryDateValidator.optional(),
+  to: queryDateValidator.optional(),
+  location: objectIdValidator("Invalid location ID").optional(),
+  role: z
+    .string({ error: "Role must be a string" })
+    .trim()
+    .nonempty({ error: "Role cannot be empty" })
+    .optional(),
+  typeOfShift: queryListValidator(
+    Object.values(SHIFT_TYPES),
+    "Invalid shift type",
+  ),
+  search: z
+    .string({ error: "Search must be a string" })
+    .trim()
+    .nonempty({ error: "Search cannot be empty" })
+    .max(100, { error: "Search cannot be longer than 100 characters" })
+    .optional(),
+};
+
+/**
+ * Check that a query's date range does not end before it starts
+ * @param {{from?: string, to?: string}} data
+ * @returns {boolean}
+ */
+const isValidDateRange = (data) =>
+  !data.from || !data.to || !dayjs(data.to).isBefore(dayjs(data.from), "day");
+
 const paginationQuerySchema = z
+  .object(paginationQueryFields)
+  .transform(toShiftQueryOptions);
+
+const userShiftsQuerySchema = z
   .object({
-    page: z
-      .any()
-      .optional()
-      .transform((val) => {
-        if (val === undefined || val === null || val === "") {
-          return 1;
-        }
-        const parsed =
-          typeof val === "string" ? parseInt(val, 10) : Number(val);
-        return isNaN(parsed) ? 1 : parsed;
-      })
-      .refine((val) => val >= 1, {
-        error: "Page number must be greater than 0",
-      }),
-    limit: z
-      .any()
-      .optional()
-      .transform((val) => {
-        if (val === undefined || val === null || val === "") {
-          return 10;
-        }
-        const parsed =
-          typeof val === "string" ? parseInt(val, 10) : Number(val);
-        return isNaN(parsed) ? 10 : parsed;
-      })
-      .refine((val) => val >= 1 && val <= 1000, {
-        error: "Limit must be between 1 and 1000",
-      }),
-    status: z
-      .any()
+    ...paginationQueryFields,
+    ...cursorQueryFields,
+    ...shiftFilterQueryFields,
+  })
+  .refine(isValidDateRange, {
+    error: "End date cannot be before the start date",
+    path: ["to"],
+  })
+  .transform(toShiftQueryOptions);
+
+const allShiftsQuerySchema = z
+  .object({
+    ...paginationQueryFields,
+    ...cursorQueryFields,
+    ...shiftFilterQueryFields,
+    user: objectIdValidator("Invalid user ID").optional(),
+  })
+  .refine(isValidDateRange, {
+    error: "End date cannot be before the start date",
+    path: ["to"],
+  })
+  .transform(toShiftQueryOptions);
+
+const schemaPayrollExport = z
+  .object({
+    from: queryDateValidator,
+    to: queryDateValidator,
+    // Comma-separated column keys, each optionally renamed: "worker:Employee,email,workedMinutes"
+    columns: z
+      .string({ error: "Columns must be a comma-separated list" })
       .optional()
-      .transform((val) => {
-        if (
-          val === undefined ||
-          val === null ||
-          val === "" ||
-          typeof val !== "string"
-        ) {
-          return undefined;
-        }
-        return val;
-      })
-      .refine(
-        (val) => {
-          if (val === undefined) {
-            return true;
-          }
-          return Object.values(SHIFT_STATUS).includes(val);
-        },
-        {
-          message: "Invalid shift status",
-        },
+      .transform((val) =>
+        val
+          ? val.split(",").map((column) => {
+              const [key, ...header] = column.split(":");
+              return { key: key.trim(), header: header.join(":").trim() };
+            })
+          : DEFAULT_PAYROLL_EXPORT_COLUMNS.map((key) => ({ key })),
+      )
+      .pipe(
+        z.array(
+          z.object({
+            key: z.enum(Object.keys(PAYROLL_EXPORT_COLUMNS), {
+              error: `Columns must be any of: ${Object.keys(PAYROLL_EXPORT_COLUMNS).join(", ")}`,
+            }),
+            header: z.string().optional(),
+          }),
+        ),
       ),
-    sortBy: z
-      .any()
+    approvedOnly: z
+      .enum(["true", "false"], { error: "approvedOnly must be true or false" })
       .optional()
-      .transform((val) => {
-        if (
-          val === undefined ||
-          val === null ||
-          val === "" ||
-          typeof val !== "string"
-        ) {
-          return "date";
-        }
-        return val;
-      }),
-    sortOrder: z
-      .any()
-      .optional()
-      .transform((val) => {
-        if (val === undefined || val === null || val === "") {
-          return "asc";
-        }
-        return val;
-      })
-      .refine(
-        (val) => {
-          return val === "asc" || val === "desc";
-        },
-        {
-          error: "Sort order must be 'asc' or 'desc'",
-        },
-      ),
+      .transform((val) => val === "true"),
   })
-  .transform((data) => {
-    const result = { ...data };
-    if (result.status === undefined) {
-      delete result.status;
-    }
-    return result;
+  .refine((data) => !dayjs(data.to).isBefore(dayjs(data.from), "day"), {
+    error: "End date cannot be before the start date",
+    path: ["to"],
+  });
+
+// Shifts selected by ID or by date range and location
+const shiftSelectionFields = {
+  ids: z
+    .array(objectIdValidator("Invalid shift ID"), {
+      error: "IDs must be an array",
+    })
+    .min(1, { error: "At least one shift ID is required" })
+    .optional(),
+  filter: z
+    .object({
+      from: queryDateValidator,
+      to: queryDateValidator,
+      location: objectIdValidator("Invalid location ID").optional(),
+    })
+    .refine((data) => !dayjs(data.to).isBefore(dayjs(data.from), "day"), {
+      error: "End date cannot be before the start date",
+      path: ["to"],
+    })
+    .optional(),
+};
+
+/**
+ * Check that exactly one of shift IDs and a filter was given
+ * @param {{ids?: string[], filter?: Object}} data
+ * @returns {boolean}
+ */
+const hasOneShiftSelection = (data) =>
+  Boolean(data.ids) !== Boolean(data.filter);
+
+// Shifts of a batch delete or cancel, by ID or by date range and location
+const schemaBatchShiftSelection = z
+  .object({
+    ...shiftSelectionFields,
+    atomic: z.boolean({ error: "Atomic must be a boolean" }).optional(),
+    dryRun: z.boolean({ error: "Dry run must be a boolean" }).optional(),
+  })
+  .refine(hasOneShiftSelection, {
+    error: "Provide either shift IDs or a filter",
+  });
+
+// Unfilled shifts to propose workers for
+const schemaAutoSchedule = z
+  .object(shiftSelectionFields)
+  .refine(hasOneShiftSelection, {
+    error: "Provide either shift IDs or a filter",
   });
 
+/**
+ * Split a validated batch delete or cancel request into its selection and mode
+ * @param {{ids?: string[], filter?: {from: string, to: string, location?: string}, atomic?: boolean, dryRun?: boolean}} data
+ * @returns {{selection: Object, options: {atomic?: boolean, dryRun?: boolean}}}
+ */
+const toBatchSelection = ({ ids, filter, atomic, dryRun }) => ({
+  selection: {
+    ids,
+    filter: filter && {
+      ...filter,
+      from: dayjs(filter.from).toDate(),
+      to: dayjs(filter.to).toDate(),
+    },
+  },
+  options: { atomic, dryRun },
+});
+
 /**
  * Controller to handle shift creation
  * @param {Request} req
@@ -306,12 +470,16 @@ const paginationQuerySchema = z
  */
 const createShiftController = async (req, res, next) => {
   try {
-    /** @type {{title: string, role: string, typeOfShift?: string[], user: string, startTime: string, finishTime: string, numOfShiftsPerDay?: number, location: string, date: string}} */
+    /** @type {{title: string, role: string, typeOfShift?: string[], user?: string, eligibleWorkers?: string[], requiresClaimApproval?: boolean, startTime: string, finishTime: string, numOfShiftsPerDay?: number, location: string, date: string, overrideRestPeriod?: boolean}} */
     const validatedData = zodSchemaValidator(schemaCreateShift, req.body);
 
     validatedData.date = dayjs(validatedData.date).toDate();
 
-    res.status(201).json(await createShift(validatedData));
+    res.status(201).json(
+      await createShift(validatedData, {
+        actorId: req.user?.id || req.user?._id,
+      }),
+    );
   } catch (error) {
     next(error);
   }
@@ -329,14 +497,18 @@ const updateShiftController = async (req, res, next) => {
 
     zodSchemaValidator(objectIdValidator("Invalid shift ID"), id);
 
-    /** @type {{title?: string, role?: string, typeOfShift?: string[], user?: string, startTime?: string, finishTime?: string, numOfShiftsPerDay?: number, location?: string, date?: string}} */
+    /** @type {{title?: string, role?: string, typeOfShift?: string[], user?: string, startTime?: string, finishTime?: string, numOfShiftsPerDay?: number, location?: string, date?: string, overrideRestPeriod?: boolean}} */
     const validatedData = zodSchemaValidator(schemaUpdateShift, req.body);
 
     if (validatedData.date) {
       validatedData.date = dayjs(validatedData.date).toDate();
     }
 
-    res.status(200).json(await updateShift(id, validatedData));
+    res.status(200).json(
+      await updateShift(id, validatedData, {
+        actorId: req.user?.id || req.user?._id,
+      }),
+    );
   } catch (error) {
     next(error);
   }
@@ -354,7 +526,7 @@ const deleteShiftController = async (req, res, next) => {
 
     zodSchemaValidator(objectIdValidator("Invalid shift ID"), id);
 
-    await deleteShift(id);
+    await deleteShift(id, { actorId: req.user?.id || req.user?._id });
 
     res.status(200).json({
       message: "Shift deleted successfully",
@@ -364,6 +536,31 @@ const deleteShiftController = async (req, res, next) => {
   }
 };
 
+/**
+ * Controller to handle restoring a deleted shift (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const restoreShiftController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid shift ID"), id);
+
+    const { shift } = await restoreShift(id, {
+      actorId: req.user?.id || req.user?._id,
+    });
+
+    res.status(200).json({
+      message: "Shift restored successfully",
+      shift,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Controller to handle batch create/update shifts
  * @param {Request} req
@@ -372,7 +569,7 @@ const deleteShiftController = async (req, res, next) => {
  */
 const batchCreateUpdateShiftsController = async (req, res, next) => {
   try {
-    /** @type {{shifts: Array<{id?: string, title: string, role: string, typeOfShift?: string[], user: string, startTime: string, finishTime: string, numOfShiftsPerDay?: number, location: string, date: string}>}} */
+    /** @type {{shifts: Array<{id?: string, title: string, role: string, typeOfShift?: string[], user?: string, eligibleWorkers?: string[], requiresClaimApproval?: boolean, startTime: string, finishTime: string, numOfShiftsPerDay?: number, location: string, date: string, overrideRestPeriod?: boolean}>, atomic?: boolean, dryRun?: boolean}} */
     const validatedData = zodSchemaValidator(schemaBatchShifts, req.body);
 
     const processedShifts = validatedData.shifts.map((shift) => ({
@@ -380,7 +577,85 @@ const batchCreateUpdateShiftsController = async (req, res, next) => {
       date: dayjs(shift.date).toDate(),
     }));
 
-    res.status(200).json(await batchCreateUpdateShifts(processedShifts));
+    res
+      .status(200)
+      .json(
+        await batchCreateUpdateShifts(
+          processedShifts,
+          { actorId: req.user?.id || req.user?._id },
+          { atomic: validatedData.atomic, dryRun: validatedData.dryRun },
+        ),
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle deleting several shifts (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const batchDeleteShiftsController = async (req, res, next) => {
+  try {
+    const { selection, options } = toBatchSelection(
+      zodSchemaValidator(schemaBatchShiftSelection, req.body),
+    );
+
+    res
+      .status(200)
+      .json(
+        await batchDeleteShifts(
+          selection,
+          { actorId: req.user?.id || req.user?._id },
+          options,
+        ),
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle cancelling several shifts (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const batchCancelShiftsController = async (req, res, next) => {
+  try {
+    const { selection, options } = toBatchSelection(
+      zodSchemaValidator(schemaBatchShiftSelection, req.body),
+    );
+
+    res
+      .status(200)
+      .json(
+        await batchCancelShifts(
+          selection,
+          { actorId: req.user?.id || req.user?._id },
+          options,
+        ),
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle proposing workers for unfilled shifts (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const autoScheduleShiftsController = async (req, res, next) => {
+  try {
+    const { selection } = toBatchSelection(
+      zodSchemaValidator(schemaAutoSchedule, req.body ?? {}),
+    );
+
+    res.status(200).json(await proposeShiftAssignments(selection));
   } catch (error) {
     next(error);
   }
@@ -394,13 +669,64 @@ const batchCreateUpdateShiftsController = async (req, res, next) => {
  */
 const getAllShiftsController = async (req, res, next) => {
   try {
-    const options = zodSchemaValidator(paginationQuerySchema, req.query);
+    const options = zodSchemaValidator(allShiftsQuerySchema, req.query);
     res.status(200).json(await getAllShifts(options));
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Controller to handle fetching deleted shifts with pagination (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getDeletedShiftsController = async (req, res, next) => {
+  try {
+    const options = zodSchemaValidator(allShiftsQuerySchema, req.query);
+    res.status(200).json(await getDeletedShifts(options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle exporting completed shifts as payroll CSV (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const exportPayrollController = async (req, res, next) => {
+  try {
+    const { from, to, columns, approvedOnly } = zodSchemaValidator(
+      schemaPayrollExport,
+      req.query,
+    );
+
+    const csvStream = createPayrollExportStream({
+      from: dayjs(from).toDate(),
+      to: dayjs(to).toDate(),
+      columns,
+      approvedOnly,
+    });
+
+    res.status(200).set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="payroll-${dayjs(from).format("YYYY-MM-DD")}-${dayjs(to).format("YYYY-MM-DD")}.csv"`,
+    });
+
+    await pipeline(csvStream, res);
+  } catch (error) {
+    // Once rows have been sent the status can no longer change; the pipeline
+    // has already closed the response, so the client sees a truncated download
+    if (res.headersSent) {
+      return;
+    }
+    next(error);
+  }
+};
+
 /**
  * Controller to handle fetching user's own shifts with pagination
  * @param {Request} req
@@ -410,7 +736,7 @@ const getAllShiftsController = async (req, res, next) => {
 const getUserShiftsController = async (req, res, next) => {
   try {
     const userId = req.user?.id || req.user?._id;
-    const options = zodSchemaValidator(paginationQuerySchema, req.query);
+    const options = zodSchemaValidator(userShiftsQuerySchema, req.query);
     res.status(200).json(await getUserShifts(userId, options));
   } catch (error) {
     next(error);
@@ -429,7 +755,7 @@ const cancelShiftController = async (req, res, next) => {
 
     zodSchemaValidator(objectIdValidator("Invalid shift ID"), id);
 
-    await cancelShift(id);
+    await cancelShift(id, { actorId: req.user?.id || req.user?._id });
 
     res.status(200).json({
       message: "Shift cancelled successfully",
@@ -457,6 +783,24 @@ const getShiftController = async (req, res, next) => {
   }
 };
 
+/**
+ * Controller to handle fetching a shift's change history
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getShiftHistoryController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid shift ID"), id);
+
+    res.status(200).json(await getShiftHistory(id));
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Controller to handle worker clock in
  * @param {Request} req
@@ -470,7 +814,12 @@ const clockInController = async (req, res, next) => {
 
     zodSchemaValidator(objectIdValidator("Invalid shift ID"), id);
 
-    res.status(200).json(await clockInShift(id, userId));
+    const { position } = zodSchemaValidator(
+      schemaClockPosition,
+      req.body ?? {},
+    );
+
+    res.status(200).json(await clockInShift(id, userId, position));
   } catch (error) {
     next(error);
   }
@@ -489,7 +838,142 @@ const clockOutController = async (req, res, next) => {
 
     zodSchemaValidator(objectIdValidator("Invalid shift ID"), id);
 
-    res.status(200).json(await clockOutShift(id, userId));
+    const { position } = zodSchemaValidator(
+      schemaClockPosition,
+      req.body ?? {},
+    );
+
+    res.status(200).json(await clockOutShift(id, userId, position));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle fetching open shifts the worker can claim
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getOpenShiftsController = async (req, res, next) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    const options = zodSchemaValidator(paginationQuerySchema, req.query);
+    res.status(200).json(await getOpenShifts(userId, options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle fetching open shifts with claims awaiting approval (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getPendingClaimsController = async (req, res, next) => {
+  try {
+    const options = zodSchemaValidator(paginationQuerySchema, req.query);
+    res.status(200).json(await getPendingClaims(options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle a worker claiming an open shift
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const claimShiftController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id || req.user?._id;
+
+    zodSchemaValidator(objectIdValidator("Invalid shift ID"), id);
+
+    res.status(200).json(await claimOpenShift(id, userId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle approving a pending shift claim
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const approveShiftClaimController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid shift ID"), id);
+
+    res
+      .status(200)
+      .json(
+        await approveShiftClaim(id, { actorId: req.user?.id || req.user?._id }),
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle rejecting a pending shift claim
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const rejectShiftClaimController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid shift ID"), id);
+
+    res.status(200).json(await rejectShiftClaim(id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle a worker starting a break
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const startBreakController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id || req.user?._id;
+
+    zodSchemaValidator(objectIdValidator("Invalid shift ID"), id);
+
+    const breakData = zodSchemaValidator(schemaStartBreak, req.body ?? {});
+
+    res.status(200).json(await startShiftBreak(id, userId, breakData));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle a worker ending a break
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const endBreakController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id || req.user?._id;
+
+    zodSchemaValidator(objectIdValidator("Invalid shift ID"), id);
+
+    res.status(200).json(await endShiftBreak(id, userId));
   } catch (error) {
     next(error);
   }
@@ -499,11 +983,25 @@ export {
   createShiftController,
   updateShiftController,
   deleteShiftController,
+  restoreShiftController,
   batchCreateUpdateShiftsController,
+  batchDeleteShiftsController,
+  batchCancelShiftsController,
+  autoScheduleShiftsController,
   cancelShiftController,
+  getShiftHistoryController,
   clockInController,
   clockOutController,
+  startBreakController,
+  endBreakController,
   getAllShiftsController,
+  getDeletedShiftsController,
+  exportPayrollController,
   getUserShiftsController,
   getShiftController,
+  getOpenShiftsController,
+  getPendingClaimsController,
+  claimShiftController,
+  approveShiftClaimController,
+  rejectShiftClaimController,
 };
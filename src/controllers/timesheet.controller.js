@@ -0,0 +1,242 @@
+import { zodSchemaValidator } from "../utils/errors/utils.js";
+import {
+  generateTimesheet,
+  getTimesheets,
+  getUserTimesheets,
+  getTimesheet,
+  submitTimesheet,
+  approveTimesheet,
+  lockTimesheet,
+  amendTimesheetEntry,
+} from "../services/timesheet/index.js";
+import { z } from "zod";
+import {
+  TIMESHEET_STATUS,
+  TIMESHEET_CONSTRAINTS,
+} from "../services/timesheet/constants.js";
+import { objectIdValidator, timeValidator } from "../utils/validators.js";
+import dayjs from "dayjs";
+
+/** @typedef {import('express').Request} Request */
+/** @typedef {import('express').Response} Response */
+/** @typedef {import('express').NextFunction} NextFunction */
+
+// Pay periods are usually in the past, so the shared dateValidator does not apply
+const periodDateValidator = z
+  .string({ error: "Period dates must be valid dates" })
+  .refine((val) => dayjs(val).isValid(), {
+    error: "Period dates must be valid dates",
+  });
+
+const schemaGenerateTimesheet = z
+  .object({
+    user: objectIdValidator("Invalid user ID"),
+    periodStart: periodDateValidator,
+    periodEnd: periodDateValidator,
+  })
+  .refine(
+    (data) => !dayjs(data.periodEnd).isBefore(dayjs(data.periodStart), "day"),
+    {
+      error: "Period end cannot be before the period start",
+      path: ["periodEnd"],
+    },
+  )
+  .refine(
+    (data) =>
+      dayjs(data.periodEnd).diff(dayjs(data.periodStart), "day") <
+      TIMESHEET_CONSTRAINTS.MAX_PERIOD_DAYS,
+    {
+      error: `Pay period cannot be longer than ${TIMESHEET_CONSTRAINTS.MAX_PERIOD_DAYS} days`,
+      path: ["periodEnd"],
+    },
+  );
+
+const schemaListTimesheets = z.object({
+  status: z
+    .enum(Object.values(TIMESHEET_STATUS), {
+      error: "Invalid timesheet status",
+    })
+    .optional(),
+  user: objectIdValidator("Invalid user ID").optional(),
+});
+
+const schemaListUserTimesheets = schemaListTimesheets.omit({ user: true });
+
+const schemaAmendTimesheetEntry = z
+  .object({
+    clockInTime: timeValidator.optional(),
+    clockOutTime: timeValidator.optional(),
+    reason: z
+      .string({ error: "Reason is required" })
+      .trim()
+      .nonempty({ error: "Reason cannot be empty" })
+      .max(500, { error: "Reason cannot be longer than 500 characters" }),
+  })
+  .refine((data) => data.clockInTime || data.clockOutTime, {
+    error: "Either a clock-in or a clock-out time is required",
+    path: ["clockInTime"],
+  });
+
+/**
+ * Controller to handle generating a draft timesheet (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const generateTimesheetController = async (req, res, next) => {
+  try {
+    const validatedData = zodSchemaValidator(schemaGenerateTimesheet, req.body);
+
+    res.status(201).json(
+      await generateTimesheet({
+        user: validatedData.user,
+        periodStart: dayjs(validatedData.periodStart).toDate(),
+        periodEnd: dayjs(validatedData.periodEnd).toDate(),
+      }),
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle fetching all timesheets (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getTimesheetsController = async (req, res, next) => {
+  try {
+    const options = zodSchemaValidator(schemaListTimesheets, req.query);
+    res.status(200).json(await getTimesheets(options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle fetching the current user's timesheets
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getUserTimesheetsController = async (req, res, next) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    const options = zodSchemaValidator(schemaListUserTimesheets, req.query);
+    res.status(200).json(await getUserTimesheets(userId, options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle fetching a single timesheet
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getTimesheetController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id || req.user?._id;
+
+    zodSchemaValidator(objectIdValidator("Invalid timesheet ID"), id);
+
+    res.status(200).json(await getTimesheet(id, userId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle amending the clock times of a timesheet entry (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const amendTimesheetEntryController = async (req, res, next) => {
+  try {
+    const { id, shiftId } = req.params;
+    const userId = req.user?.id || req.user?._id;
+
+    zodSchemaValidator(objectIdValidator("Invalid timesheet ID"), id);
+    zodSchemaValidator(objectIdValidator("Invalid shift ID"), shiftId);
+
+    const amendment = zodSchemaValidator(schemaAmendTimesheetEntry, req.body);
+
+    res
+      .status(200)
+      .json(await amendTimesheetEntry(id, shiftId, amendment, userId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle submitting a timesheet for approval
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const submitTimesheetController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id || req.user?._id;
+
+    zodSchemaValidator(objectIdValidator("Invalid timesheet ID"), id);
+
+    res.status(200).json(await submitTimesheet(id, userId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle approving a timesheet (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const approveTimesheetController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id || req.user?._id;
+
+    zodSchemaValidator(objectIdValidator("Invalid timesheet ID"), id);
+
+    res.status(200).json(await approveTimesheet(id, userId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle locking a timesheet (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const lockTimesheetController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id || req.user?._id;
+
+    zodSchemaValidator(objectIdValidator("Invalid timesheet ID"), id);
+
+    res.status(200).json(await lockTimesheet(id, userId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  generateTimesheetController,
+  getTimesheetsController,
+  getUserTimesheetsController,
+  getTimesheetController,
+  amendTimesheetEntryController,
+  submitTimesheetController,
+  approveTimesheetController,
+  lockTimesheetController,
+};
@@ -1,9 +1,135 @@
-import { getWorkers } from "../services/worker/index.js";
+import { zodSchemaValidator } from "../utils/errors/utils.js";
+import {
+  getWorkers,
+  updateWorkerWorkingHours,
+  updateWorkerHomeLocation,
+} from "../services/worker/index.js";
+import {
+  getAvailability,
+  setWeeklyAvailability,
+  addUnavailableDate,
+  removeUnavailableDate,
+  getAvailableWorkers,
+} from "../services/worker/availability.js";
+import {
+  getWorkerQualifications,
+  setWorkerQualification,
+  removeWorkerQualification,
+} from "../services/worker/qualifications.js";
+import { z } from "zod";
+import dayjs from "dayjs";
+import {
+  objectIdValidator,
+  dateValidator,
+  timeValidator,
+} from "../utils/validators.js";
 
 /** @typedef {import('express').Request} Request */
 /** @typedef {import('express').Response} Response */
 /** @typedef {import('express').NextFunction} NextFunction */
 
+/**
+ * Validator for a number of hours in a week, null to clear it
+ * @param {string} field - Field name used in error messages
+ * @returns {z.ZodType}
+ */
+const weeklyHoursValidator = (field) =>
+  z
+    .number({ error: `${field} must be a number` })
+    .min(0, { error: `${field} cannot be negative` })
+    .max(168, { error: `${field} cannot be more than 168` })
+    .nullable()
+    .optional();
+
+const schemaWorkingHours = z
+  .object({
+    contractedWeeklyHours: weeklyHoursValidator("Contracted weekly hours"),
+    maxWeeklyHours: weeklyHoursValidator("Maximum weekly hours"),
+    weeklyHoursOptOut: z
+      .boolean({ error: "Weekly hours opt-out must be a boolean" })
+      .optional(),
+    annualLeaveDays: z
+      .number({ error: "Annual leave days must be a number" })
+      .min(0, { error: "Annual leave days cannot be negative" })
+      .max(366, { error: "Annual leave days cannot be more than 366" })
+      .nullable()
+      .optional(),
+  })
+  .refine((data) => Object.keys(data).length > 0, {
+    error: "At least one working hours field is required",
+  });
+
+const schemaWeeklyAvailability = z.object({
+  weeklyAvailability: z.array(
+    z.object({
+      dayOfWeek: z
+        .number({ error: "Day of week must be a number" })
+        .int({ error: "Day of week must be a whole number" })
+        .min(0, { error: "Day of week must be between 0 (Sunday) and 6" })
+        .max(6, { error: "Day of week must be between 0 (Sunday) and 6" }),
+      startTime: timeValidator,
+      finishTime: timeValidator,
+    }),
+    { error: "Weekly availability must be an array" },
+  ),
+});
+
+const schemaUnavailableDate = z.object({
+  date: dateValidator,
+  reason: z
+    .string({ error: "Reason must be a string" })
+    .trim()
+    .max(200, { error: "Reason cannot be more than 200 characters" })
+    .optional(),
+});
+
+// The availability view may be looked up for past dates
+const schemaAvailableWorkersQuery = z.object({
+  date: z
+    .string({ error: "Date must be a valid date" })
+    .refine((val) => dayjs(val).isValid(), {
+      error: "Date must be a valid date",
+    }),
+  startTime: timeValidator,
+  finishTime: timeValidator,
+});
+
+const schemaHomeLocation = z.object({
+  homeLocation: z
+    .object(
+      {
+        latitude: z
+          .number({ error: "Latitude must be a number" })
+          .min(-90, { error: "Latitude must be between -90 and 90" })
+          .max(90, { error: "Latitude must be between -90 and 90" }),
+        longitude: z
+          .number({ error: "Longitude must be a number" })
+          .min(-180, { error: "Longitude must be between -180 and 180" })
+          .max(180, { error: "Longitude must be between -180 and 180" }),
+      },
+      { error: "Home location must be an object with latitude and longitude" },
+    )
+    .nullable(),
+});
+
+// Certification dates are usually in the past, so any valid date is accepted
+const certificationDateValidator = z
+  .string({ error: "Date must be a valid date" })
+  .refine((val) => dayjs(val).isValid(), {
+    error: "Date must be a valid date",
+  });
+
+const schemaWorkerQualification = z.object({
+  obtainedAt: certificationDateValidator.nullable().optional(),
+  expiresAt: certificationDateValidator.nullable().optional(),
+  reference: z
+    .string({ error: "Reference must be a string" })
+    .trim()
+    .max(100, { error: "Reference cannot be more than 100 characters" })
+    .nullable()
+    .optional(),
+});
+
 /**
  * Controller to get all workers
  * @param {Request} req
@@ -18,4 +144,274 @@ const getWorkersController = async (req, res, next) => {
   }
 };
 
-export { getWorkersController };
+/**
+ * Controller to handle updating a worker's weekly working hours (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const updateWorkerWorkingHoursController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid worker ID"), id);
+
+    /** @type {{contractedWeeklyHours?: number|null, maxWeeklyHours?: number|null, weeklyHoursOptOut?: boolean, annualLeaveDays?: number|null}} */
+    const validatedData = zodSchemaValidator(
+      schemaWorkingHours,
+      req.body ?? {},
+    );
+
+    res.status(200).json(await updateWorkerWorkingHours(id, validatedData));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to handle setting where a worker lives (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const updateWorkerHomeLocationController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid worker ID"), id);
+
+    /** @type {{homeLocation: {latitude: number, longitude: number}|null}} */
+    const validatedData = zodSchemaValidator(
+      schemaHomeLocation,
+      req.body ?? {},
+    );
+
+    res
+      .status(200)
+      .json(await updateWorkerHomeLocation(id, validatedData.homeLocation));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to get the logged-in worker's availability
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getMyAvailabilityController = async (req, res, next) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    res.status(200).json(await getAvailability(userId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to get a worker's availability (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getWorkerAvailabilityController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid worker ID"), id);
+
+    res.status(200).json(await getAvailability(id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to replace the logged-in worker's weekly availability
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const updateMyWeeklyAvailabilityController = async (req, res, next) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+
+    /** @type {{weeklyAvailability: Array<{dayOfWeek: number, startTime: string, finishTime: string}>}} */
+    const validatedData = zodSchemaValidator(
+      schemaWeeklyAvailability,
+      req.body ?? {},
+    );
+
+    res
+      .status(200)
+      .json(
+        await setWeeklyAvailability(userId, validatedData.weeklyAvailability),
+      );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to mark a day as unavailable for the logged-in worker
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const addMyUnavailableDateController = async (req, res, next) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+
+    /** @type {{date: string, reason?: string}} */
+    const validatedData = zodSchemaValidator(
+      schemaUnavailableDate,
+      req.body ?? {},
+    );
+
+    res.status(201).json(await addUnavailableDate(userId, validatedData));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to remove one of the logged-in worker's unavailable dates
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const removeMyUnavailableDateController = async (req, res, next) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    const { id } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid unavailable date ID"), id);
+
+    res.status(200).json(await removeUnavailableDate(userId, id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to list which workers are available for a time window on a
+ * date (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getAvailableWorkersController = async (req, res, next) => {
+  try {
+    /** @type {{date: string, startTime: string, finishTime: string}} */
+    const validatedQuery = zodSchemaValidator(
+      schemaAvailableWorkersQuery,
+      req.query,
+    );
+
+    res.status(200).json(await getAvailableWorkers(validatedQuery));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to get the logged-in worker's qualifications
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getMyQualificationsController = async (req, res, next) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    res.status(200).json(await getWorkerQualifications(userId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to get a worker's qualifications (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const getWorkerQualificationsController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid worker ID"), id);
+
+    res.status(200).json(await getWorkerQualifications(id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to record or renew a worker's qualification (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const setWorkerQualificationController = async (req, res, next) => {
+  try {
+    const { id, qualificationId } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid worker ID"), id);
+    zodSchemaValidator(
+      objectIdValidator("Invalid qualification ID"),
+      qualificationId,
+    );
+
+    /** @type {{obtainedAt?: string|null, expiresAt?: string|null, reference?: string|null}} */
+    const validatedData = zodSchemaValidator(
+      schemaWorkerQualification,
+      req.body ?? {},
+    );
+
+    res
+      .status(200)
+      .json(await setWorkerQualification(id, qualificationId, validatedData));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Controller to remove a qualification from a worker (admin only)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {NextFunction} next
+ */
+const removeWorkerQualificationController = async (req, res, next) => {
+  try {
+    const { id, qualificationId } = req.params;
+
+    zodSchemaValidator(objectIdValidator("Invalid worker ID"), id);
+    zodSchemaValidator(
+      objectIdValidator("Invalid qualification ID"),
+      qualificationId,
+    );
+
+    res.status(200).json(await removeWorkerQualification(id, qualificationId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  getWorkersController,
+  updateWorkerWorkingHoursController,
+  updateWorkerHomeLocationController,
+  getMyAvailabilityController,
+  getWorkerAvailabilityController,
+  updateMyWeeklyAvailabilityController,
+  addMyUnavailableDateController,
+  removeMyUnavailableDateController,
+  getAvailableWorkersController,
+  getMyQualificationsController,
+  getWorkerQualificationsController,
+  setWorkerQualificationController,
+  removeWorkerQualificationController,
+};
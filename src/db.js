@@ -1,9 +1,19 @@
 import mongoose from "mongoose";
 import process from "node:process";
 
+/**
+ * Set the global Mongoose options the app relies on. Call before connecting.
+ */
+export function configureMongoose() {
+  // Queries made inside a transaction callback join the transaction without
+  // the session being passed to each of them (see utils/transaction.js)
+  mongoose.set("transactionAsyncLocalStorage", true);
+}
+
 export default async function connectDB() {
   const url = process.env.MONGO_URI;
   try {
+    configureMongoose();
     await mongoose.connect(url);
     console.log(`Database connected`);
   } catch (err) {
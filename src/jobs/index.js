@@ -0,0 +1,70 @@
+import { expireStartedSwapRequests } from "../services/shift-swap/invalidation.js";
+import {
+  markNoShowShifts,
+  autoClockOutShifts,
+} from "../services/shift/attendance.js";
+import { purgeDeletedShifts } from "../services/shift/retention.js";
+import * as console from "node:console";
+
+/**
+ * @typedef {Object} Job
+ * @property {string} name - Job name used in logs
+ * @property {number} intervalMs - How often the job runs
+ * @property {() => Promise<unknown>} run - Work to perform
+ */
+
+/** @type {Job[]} */
+const JOBS = [
+  {
+    name: "expire-started-swap-requests",
+    intervalMs: 60 * 1000,
+    run: expireStartedSwapRequests,
+  },
+  {
+    name: "mark-no-show-shifts",
+    intervalMs: 5 * 60 * 1000,
+    run: markNoShowShifts,
+  },
+  {
+    name: "auto-clock-out-shifts",
+    intervalMs: 5 * 60 * 1000,
+    run: autoClockOutShifts,
+  },
+  {
+    name: "purge-deleted-shifts",
+    intervalMs: 60 * 60 * 1000,
+    run: purgeDeletedShifts,
+  },
+];
+
+/** @type {NodeJS.Timeout[]} */
+let timers = [];
+
+/**
+ * Run a job, logging failures instead of letting them crash the process
+ * @param {Job} job
+ */
+const runJob = async (job) => {
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Job ${job.name} failed`, { cause: error });
+  }
+};
+
+/**
+ * Start every background job on its interval
+ */
+const startJobs = () => {
+  timers = JOBS.map((job) => setInterval(() => runJob(job), job.intervalMs));
+};
+
+/**
+ * Stop every background job
+ */
+const stopJobs = () => {
+  timers.forEach(clearInterval);
+  timers = [];
+};
+
+export { startJobs, stopJobs };
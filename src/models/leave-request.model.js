@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+import "./user.model.js";
+import {
+  LEAVE_TYPE,
+  LEAVE_REQUEST_STATUS,
+} from "../services/leave/constants.js";
+
+const LeaveRequestSchema = new mongoose.Schema(
+  {
+    worker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    type: {
+      type: String,
+      enum: Object.values(LEAVE_TYPE),
+      required: true,
+    },
+
+    // First and last day of leave, at the start of the day
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+
+    // Times off on a single day in HH:MM format, null for whole days
+    partialDay: {
+      type: {
+        startTime: { type: String, required: true },
+        finishTime: { type: String, required: true },
+      },
+      _id: false,
+      default: null,
+    },
+
+    // Period the worker is away, used to find clashing shifts
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+
+    // Length of the leave in working days, partial days as a fraction
+    days: { type: Number, required: true },
+
+    reason: { type: String, default: null },
+
+    status: {
+      type: String,
+      enum: Object.values(LEAVE_REQUEST_STATUS),
+      default: LEAVE_REQUEST_STATUS.PENDING,
+    },
+
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: { type: Date, default: null },
+    reviewNote: { type: String, default: null },
+  },
+  { timestamps: true },
+);
+
+export default mongoose.model("LeaveRequest", LeaveRequestSchema);
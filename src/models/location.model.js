@@ -3,9 +3,20 @@ import mongoose from "mongoose";
 const CoordinateSchema = new mongoose.Schema({
   longitude: { type: Number, required: true },
   latitude: { type: Number, required: true },
+  // Enforce the geofence, if the location has one, when workers clock in/out
   useRotaCloud: { type: Boolean, default: true },
 });
 
+// Number of workers of a role the location needs in a time band on a weekday
+const StaffingRequirementSchema = new mongoose.Schema({
+  dayOfWeek: { type: Number, required: true, min: 0, max: 6 },
+  startTime: { type: String, required: true },
+  // The next day if not after the start time
+  finishTime: { type: String, required: true },
+  role: { type: String, required: true },
+  count: { type: Number, required: true, min: 0 },
+});
+
 const LocationSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
@@ -15,6 +26,13 @@ const LocationSchema = new mongoose.Schema(
     adminDistrict: { type: String },
     address: { type: String },
     cordinates: { type: CoordinateSchema, required: true },
+    // Radius in metres around the coordinates where clocking in/out is
+    // allowed. Locations without one do not enforce a geofence
+    geofenceRadius: { type: Number, default: null },
+    staffingRequirements: {
+      type: [StaffingRequirementSchema],
+      default: [],
+    },
   },
   { timestamps: true },
 );
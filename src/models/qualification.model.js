@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+const QualificationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    description: { type: String, default: null },
+    // Shift roles that require the qualification, lower-cased so that
+    // "Senior Carer" and "senior carer" match
+    requiredForRoles: { type: [String], default: [] },
+  },
+  { timestamps: true },
+);
+
+export default mongoose.model("Qualification", QualificationSchema);
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import "./user.model.js";
+import "./shifts.model.js";
+import { SHIFT_HISTORY_ACTION } from "../services/shift/constants.js";
+
+// Previous and new value of one field changed on the shift
+const FieldChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed, default: null },
+    to: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false },
+);
+
+// Append-only: entries are created and never updated
+const ShiftHistorySchema = new mongoose.Schema(
+  {
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shift",
+      required: true,
+      index: true,
+    },
+
+    action: {
+      type: String,
+      enum: Object.values(SHIFT_HISTORY_ACTION),
+      required: true,
+    },
+
+    // Null for changes made by a background job
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Endpoint or job the change came through (one of SHIFT_HISTORY_SOURCE)
+    source: { type: String, required: true },
+
+    changes: { type: [FieldChangeSchema], default: [] },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+export default mongoose.model("ShiftHistory", ShiftHistorySchema);
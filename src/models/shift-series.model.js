@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+import "./user.model.js";
+import "./location.model.js";
+import { SHIFT_TYPES } from "../services/shift/constants.js";
+import {
+  SERIES_FREQUENCY,
+  SERIES_STATUS,
+} from "../services/shift-series/constants.js";
+
+const RecurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: [SERIES_FREQUENCY.DAILY, SERIES_FREQUENCY.WEEKLY],
+      required: true,
+    },
+    interval: { type: Number, default: 1, min: 1 },
+    // Days of the week (0 = Sunday) for weekly series
+    byWeekday: [{ type: Number, min: 0, max: 6 }],
+    startDate: { type: Date, required: true },
+    until: { type: Date, default: null },
+    count: { type: Number, default: null },
+    // Occurrence dates that are skipped (e.g. cancelled occurrences)
+    exdates: [{ type: Date }],
+  },
+  { _id: false },
+);
+
+const ShiftSeriesSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true },
+    role: { type: String, required: true },
+    typeOfShift: [
+      {
+        type: String,
+        enum: [
+          SHIFT_TYPES.WEEKEND,
+          SHIFT_TYPES.WEEKDAY,
+          SHIFT_TYPES.EVENING,
+          SHIFT_TYPES.MORNING,
+          SHIFT_TYPES.NIGHT,
+        ],
+        required: true,
+      },
+    ],
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Times are kept as HH:MM strings and applied to each occurrence date
+    startTime: { type: String, required: true },
+    finishTime: { type: String, required: true },
+    numOfShiftsPerDay: { type: Number, default: 1 },
+
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      required: true,
+    },
+
+    recurrence: { type: RecurrenceSchema, required: true },
+
+    status: {
+      type: String,
+      enum: [SERIES_STATUS.ACTIVE, SERIES_STATUS.ENDED],
+      default: SERIES_STATUS.ACTIVE,
+    },
+  },
+  { timestamps: true },
+);
+
+export default mongoose.model("ShiftSeries", ShiftSeriesSchema);
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import "./user.model.js";
+import "./shifts.model.js";
+import { SWAP_REQUEST_STATUS } from "../services/shift-swap/constants.js";
+
+const ShiftSwapRequestSchema = new mongoose.Schema(
+  {
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shift",
+      required: true,
+    },
+
+    // Worker currently assigned to the shift and offering it
+    requester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Colleague the shift is offered to; null offers it to anyone
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    acceptedAt: { type: Date, default: null },
+
+    message: { type: String, default: null },
+
+    status: {
+      type: String,
+      enum: [
+        SWAP_REQUEST_STATUS.PENDING,
+        SWAP_REQUEST_STATUS.ACCEPTED,
+        SWAP_REQUEST_STATUS.APPROVED,
+        SWAP_REQUEST_STATUS.REJECTED,
+        SWAP_REQUEST_STATUS.EXPIRED,
+      ],
+      default: SWAP_REQUEST_STATUS.PENDING,
+    },
+
+    // Admin (or recipient, for rejections) who made the final decision
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: { type: Date, default: null },
+
+    expiryReason: { type: String, default: null },
+  },
+  { timestamps: true },
+);
+
+export default mongoose.model("ShiftSwapRequest", ShiftSwapRequestSchema);
@@ -1,8 +1,45 @@
 import mongoose from "mongoose";
 import "./user.model.js";
 import "./location.model.js";
+import "./qualification.model.js";
+import "./shift-series.model.js";
 import { SHIFT_STATUS, SHIFT_TYPES } from "../services/shift/constants.js";
 
+// Worker position captured when clocking in/out, kept for audit
+const ClockPositionSchema = new mongoose.Schema(
+  {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+    accuracy: { type: Number, default: null },
+    // Metres between the worker and the shift location
+    distance: { type: Number, required: true },
+  },
+  { _id: false },
+);
+
+const BreakSchema = new mongoose.Schema({
+  startTime: { type: Date, required: true },
+  // Null while the worker is on the break
+  endTime: { type: Date, default: null },
+  paid: { type: Boolean, default: false },
+});
+
+// Admin decision to schedule a shift despite the minimum rest period
+const RestPeriodOverrideSchema = new mongoose.Schema(
+  {
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    overriddenAt: { type: Date, required: true },
+    // Shortest rest, in minutes, between this shift and a neighbouring shift
+    restMinutes: { type: Number, required: true },
+    conflictingShifts: [{ type: mongoose.Schema.Types.ObjectId, ref: "Shift" }],
+  },
+  { _id: false },
+);
+
 const ShiftSchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
@@ -21,12 +58,30 @@ const ShiftSchema = new mongoose.Schema(
       },
     ],
 
+    // Null for open shifts until a worker claims them
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      default: null,
     },
 
+    // Workers allowed to claim an open shift; empty means any worker
+    eligibleWorkers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    requiresClaimApproval: { type: Boolean, default: false },
+    claim: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      claimedAt: { type: Date, default: null },
+    },
+
+    // Qualifications the worker must hold, on top of those required for the role
+    requiredQualifications: [
+      { type: mongoose.Schema.Types.ObjectId, ref: "Qualification" },
+    ],
+
     startTime: { type: Date, required: true },
     finishTime: { type: Date, required: true },
     numOfShiftsPerDay: { type: Number, default: 1 },
@@ -44,16 +99,79 @@ const ShiftSchema = new mongoose.Schema(
         SHIFT_STATUS.IN_PROGRESS,
         SHIFT_STATUS.COMPLETED,
         SHIFT_STATUS.CANCELLED,
+        SHIFT_STATUS.NO_SHOW,
       ],
       default: "Scheduled",
     },
 
     clockInTime: { type: Date, default: null },
     clockOutTime: { type: Date, default: null },
+    // Minutes between the scheduled start and a clock-in after it; 0 when on time
+    lateMinutes: { type: Number, default: null },
+    // Set when the worker forgot to clock out and the shift was closed at its finish time
+    autoClockedOut: { type: Boolean, default: false },
+    clockInPosition: { type: ClockPositionSchema, default: null },
+    clockOutPosition: { type: ClockPositionSchema, default: null },
+    breaks: { type: [BreakSchema], default: [] },
 
     date: { type: Date, required: true },
+
+    // Set when the shift was materialised from a recurring shift series
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ShiftSeries",
+      default: null,
+    },
+    seriesOccurrenceDate: { type: Date, default: null },
+    // Occurrence edited on its own; series-wide edits leave it untouched
+    isSeriesException: { type: Boolean, default: false },
+
+    // Timesheet the completed shift is recorded on
+    timesheet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Timesheet",
+      default: null,
+    },
+    // Set when the timesheet is locked; locked shifts can no longer be edited
+    lockedAt: { type: Date, default: null },
+
+    restPeriodOverride: { type: RestPeriodOverrideSchema, default: null },
+
+    // Set when the shift is deleted; deleted shifts are purged after the retention period
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   { timestamps: true },
 );
 
+/**
+ * Include deleted shifts in a query, e.g. ShiftModel.findById(id).withDeleted()
+ * @returns {Object} The query
+ */
+ShiftSchema.query.withDeleted = function () {
+  return this.setOptions({ withDeleted: true });
+};
+
+// Deleted shifts are hidden from reads unless the query asks for them with
+// withDeleted() or filters on deletedAt itself
+ShiftSchema.pre(
+  ["find", "findOne", "findOneAndUpdate", "countDocuments", "distinct"],
+  function () {
+    if (!this.getOptions().withDeleted && !("deletedAt" in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  },
+);
+
+ShiftSchema.pre("aggregate", function () {
+  const [firstStage] = this.pipeline();
+  if (!firstStage?.$match || !("deletedAt" in firstStage.$match)) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
 export default mongoose.model("Shift", ShiftSchema);
@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+import "./user.model.js";
+import "./shifts.model.js";
+import {
+  TIMESHEET_STATUS,
+  AMENDABLE_FIELDS,
+} from "../services/timesheet/constants.js";
+
+// Snapshot of a completed shift, refreshed when its clock times are amended
+const TimesheetEntrySchema = new mongoose.Schema(
+  {
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shift",
+      required: true,
+    },
+    title: { type: String, required: true },
+    date: { type: Date, required: true },
+    scheduledStartTime: { type: Date, required: true },
+    scheduledFinishTime: { type: Date, required: true },
+    clockInTime: { type: Date, default: null },
+    clockOutTime: { type: Date, default: null },
+    scheduledMinutes: { type: Number, required: true },
+    // Time on shift less unpaid breaks
+    actualMinutes: { type: Number, required: true },
+    breakMinutes: { type: Number, required: true },
+  },
+  { _id: false },
+);
+
+const TimesheetAmendmentSchema = new mongoose.Schema({
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Shift",
+    required: true,
+  },
+  field: {
+    type: String,
+    enum: Object.values(AMENDABLE_FIELDS),
+    required: true,
+  },
+  previousValue: { type: Date, default: null },
+  newValue: { type: Date, required: true },
+  reason: { type: String, required: true },
+  amendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  amendedAt: { type: Date, required: true },
+});
+
+const TimesheetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Pay period, both days inclusive
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+
+    status: {
+      type: String,
+      enum: Object.values(TIMESHEET_STATUS),
+      default: TIMESHEET_STATUS.DRAFT,
+    },
+
+    entries: { type: [TimesheetEntrySchema], default: [] },
+    amendments: { type: [TimesheetAmendmentSchema], default: [] },
+
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    submittedAt: { type: Date, default: null },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    approvedAt: { type: Date, default: null },
+    lockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    lockedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+export default mongoose.model("Timesheet", TimesheetSchema);
@@ -1,5 +1,49 @@
 import mongoose from "mongoose";
 
+// A weekly window the worker can work in, e.g. Mondays 09:00-17:00. A finish
+// at or before the start runs into the next day, like a night shift
+const AvailabilityWindowSchema = new mongoose.Schema(
+  {
+    // 0 (Sunday) to 6 (Saturday)
+    dayOfWeek: { type: Number, required: true, min: 0, max: 6 },
+    startTime: { type: String, required: true },
+    finishTime: { type: String, required: true },
+  },
+  { _id: false },
+);
+
+// A whole day the worker cannot work
+const UnavailableDateSchema = new mongoose.Schema({
+  date: { type: Date, required: true },
+  reason: { type: String, default: null },
+});
+
+// A qualification the worker holds, with the expiry of its certification
+const WorkerQualificationSchema = new mongoose.Schema(
+  {
+    qualification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Qualification",
+      required: true,
+    },
+    obtainedAt: { type: Date, default: null },
+    // Null for qualifications that do not expire
+    expiresAt: { type: Date, default: null },
+    // Certificate or registration number
+    reference: { type: String, default: null },
+  },
+  { _id: false },
+);
+
+// Where the worker lives, used to prefer workers close to a shift's location
+const HomeLocationSchema = new mongoose.Schema(
+  {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+  },
+  { _id: false },
+);
+
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
@@ -12,6 +56,21 @@ const userSchema = new mongoose.Schema({
   },
   passwordResetTokenHash: { type: String, required: false },
   passwordResetTokenExpiry: { type: Date, required: false },
+  // SHA-256 of the secret token in the user's calendar feed URL
+  calendarFeedTokenHash: { type: String, required: false },
+  // Weekly hours in the worker's contract; scheduling above them gives a warning
+  contractedWeeklyHours: { type: Number, default: null },
+  // Worker's own limit of scheduled hours per week, instead of the default limit
+  maxWeeklyHours: { type: Number, default: null },
+  // Worker signed an opt-out of the default weekly hours limit
+  weeklyHoursOptOut: { type: Boolean, default: false },
+  // Days of holiday per year, instead of the default allowance
+  annualLeaveDays: { type: Number, default: null },
+  // When the worker can work each week; none means no weekly restriction
+  weeklyAvailability: { type: [AvailabilityWindowSchema], default: [] },
+  unavailableDates: { type: [UnavailableDateSchema], default: [] },
+  qualifications: { type: [WorkerQualificationSchema], default: [] },
+  homeLocation: { type: HomeLocationSchema, default: null },
 });
 
 const UserModel = mongoose.model("User", userSchema);
@@ -0,0 +1,115 @@
+import express from "express";
+import requireAuthMiddleware from "../middlewares/require-auth.middleware.js";
+import {
+  rotateCalendarFeedTokenController,
+  getUserCalendarFeedController,
+  getLocationCalendarFeedController,
+} from "../controllers/calendar.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Calendar
+ *   description: iCalendar (.ics) feeds of shifts for calendar apps
+ */
+
+/**
+ * @swagger
+ * /calendar/token:
+ *   post:
+ *     summary: Create or rotate your calendar feed token
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Create a secret feed URL for your shifts. Calling it again replaces the token, so the previous URL stops working. The token is only shown once
+ *     responses:
+ *       200:
+ *         description: New token and feed URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 feedUrl:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/token", requireAuthMiddleware, rotateCalendarFeedTokenController);
+
+/**
+ * @swagger
+ * /calendar/feeds/{token}.ics:
+ *   get:
+ *     summary: Get a worker's calendar feed
+ *     tags: [Calendar]
+ *     description: iCalendar feed of the token owner's shifts from the last 30 days onwards. Authenticated by the token in the URL, so calendar apps can subscribe to it
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Calendar feed token
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Malformed token
+ *       404:
+ *         description: Calendar feed not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/feeds/:token.ics", getUserCalendarFeedController);
+
+/**
+ * @swagger
+ * /calendar/locations/{locationId}/feeds/{token}.ics:
+ *   get:
+ *     summary: Get a location's calendar feed
+ *     tags: [Calendar]
+ *     description: iCalendar feed of every shift at a location from the last 30 days onwards, including open shifts. Only an admin's feed token gives access
+ *     parameters:
+ *       - in: path
+ *         name: locationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Location ID
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Admin's calendar feed token
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Malformed token or location ID
+ *       404:
+ *         description: Calendar feed or location not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/locations/:locationId/feeds/:token.ics",
+  getLocationCalendarFeedController,
+);
+
+export default router;
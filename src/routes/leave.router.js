@@ -0,0 +1,339 @@
+import express from "express";
+import requireAuthMiddleware from "../middlewares/require-auth.middleware.js";
+import requireAdminMiddleware from "../middlewares/require-admin.middleware.js";
+import {
+  createLeaveRequestController,
+  getLeaveRequestsController,
+  getUserLeaveRequestsController,
+  getMyLeaveBalanceController,
+  getWorkerLeaveBalanceController,
+  approveLeaveRequestController,
+  rejectLeaveRequestController,
+  getLeaveRequestConflictsController,
+} from "../controllers/leave.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Leave
+ *   description: Workers requesting time off, subject to admin approval
+ */
+
+/**
+ * @swagger
+ * /leave-requests:
+ *   post:
+ *     summary: Request time off
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Request whole days off, or part of a single day with partialDay. Holiday must fit in what is left of your annual allowance, counting requests still pending
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - startDate
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [holiday, sick, unpaid, other]
+ *               startDate:
+ *                 type: string
+ *                 example: "2030-01-14"
+ *               endDate:
+ *                 type: string
+ *                 example: "2030-01-18"
+ *                 description: Last day of leave, the start date if omitted
+ *               partialDay:
+ *                 type: object
+ *                 description: Times off on a single day; endDate must be omitted or the start date
+ *                 properties:
+ *                   startTime:
+ *                     type: string
+ *                     example: "13:00"
+ *                   finishTime:
+ *                     type: string
+ *                     example: "17:00"
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Leave request created
+ *       400:
+ *         description: Bad request - invalid input data or period (INVALID_LEAVE_PERIOD)
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       409:
+ *         description: Conflict - the period overlaps another of your requests (LEAVE_REQUEST_OVERLAP) or exceeds your allowance (INSUFFICIENT_LEAVE_BALANCE)
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/", requireAuthMiddleware, createLeaveRequestController);
+
+/**
+ * @swagger
+ * /leave-requests:
+ *   get:
+ *     summary: Get all leave requests
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     description: List leave requests, soonest first (admin only)
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Approved, Rejected]
+ *       - in: query
+ *         name: worker
+ *         schema:
+ *           type: string
+ *         description: Filter by worker ID
+ *     responses:
+ *       200:
+ *         description: Leave requests retrieved successfully
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getLeaveRequestsController,
+);
+
+/**
+ * @swagger
+ * /leave-requests/mine:
+ *   get:
+ *     summary: Get my leave requests
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Approved, Rejected]
+ *     responses:
+ *       200:
+ *         description: Your leave requests, soonest first
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/mine", requireAuthMiddleware, getUserLeaveRequestsController);
+
+/**
+ * @swagger
+ * /leave-requests/balance:
+ *   get:
+ *     summary: Get my leave balance
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Your holiday allowance for a year, with the days approved, pending and remaining. Leave counts towards the year it starts in
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Leave year, the current year by default
+ *     responses:
+ *       200:
+ *         description: Leave balance
+ *       400:
+ *         description: Bad request - invalid year
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/balance", requireAuthMiddleware, getMyLeaveBalanceController);
+
+/**
+ * @swagger
+ * /leave-requests/balance/{workerId}:
+ *   get:
+ *     summary: Get a worker's leave balance
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     description: A worker's holiday allowance for a year, with the days approved, pending and remaining (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: workerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Leave year, the current year by default
+ *     responses:
+ *       200:
+ *         description: Leave balance
+ *       400:
+ *         description: Bad request - invalid worker ID or year
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Worker not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/balance/:workerId",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getWorkerLeaveBalanceController,
+);
+
+/**
+ * @swagger
+ * /leave-requests/{id}/approve:
+ *   patch:
+ *     summary: Approve a leave request
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Approve a pending leave request (admin only). The worker can no longer be assigned shifts during the leave; the response lists their scheduled shifts that clash with it in conflictingShifts so they can be reassigned
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Leave request approved
+ *       400:
+ *         description: Bad request - request is not pending
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Leave request not found
+ *       409:
+ *         description: Conflict - the leave exceeds the worker's allowance (INSUFFICIENT_LEAVE_BALANCE) or was reviewed meanwhile
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  "/:id/approve",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  approveLeaveRequestController,
+);
+
+/**
+ * @swagger
+ * /leave-requests/{id}/reject:
+ *   patch:
+ *     summary: Reject a leave request
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Reject a pending leave request (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Leave request rejected
+ *       400:
+ *         description: Bad request - request is not pending
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Leave request not found
+ *       409:
+ *         description: Conflict - the request was reviewed meanwhile
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  "/:id/reject",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  rejectLeaveRequestController,
+);
+
+/**
+ * @swagger
+ * /leave-requests/{id}/conflicts:
+ *   get:
+ *     summary: List shifts clashing with a leave request
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     description: The worker's scheduled shifts during the leave, e.g. those still to be reassigned after approval (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Clashing shifts, in start order
+ *       400:
+ *         description: Bad request - invalid leave request ID
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Leave request not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/:id/conflicts",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getLeaveRequestConflictsController,
+);
+
+export default router;
@@ -1,9 +1,73 @@
 import express from "express";
 import requireAuthMiddleware from "../middlewares/require-auth.middleware.js";
 import requireAdminMiddleware from "../middlewares/require-admin.middleware.js";
-import { getLocationsController } from "../controllers/location.controller.js";
+import {
+  getLocationsController,
+  getStaffingRequirementsController,
+  setStaffingRequirementsController,
+  getCoverageController,
+} from "../controllers/location.controller.js";
 const router = express.Router();
 
+/**
+ * @swagger
+ * tags:
+ *   name: Locations
+ *   description: Locations, their staffing requirements and coverage
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CoverageSlot:
+ *       type: object
+ *       properties:
+ *         location:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         dayOfWeek:
+ *           type: integer
+ *         startTime:
+ *           type: string
+ *           example: "07:00"
+ *         finishTime:
+ *           type: string
+ *           example: "15:00"
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         role:
+ *           type: string
+ *         required:
+ *           type: integer
+ *         scheduled:
+ *           type: integer
+ *         gap:
+ *           type: integer
+ *           description: Scheduled minus required workers, negative when understaffed
+ *         shifts:
+ *           type: array
+ *           description: Assigned shifts counted toward the slot
+ *           items:
+ *             type: object
+ *         openShiftIds:
+ *           type: array
+ *           description: Open shifts that would count toward the slot once filled
+ *           items:
+ *             type: string
+ */
+
 router.get(
   "/all",
   requireAuthMiddleware,
@@ -11,4 +75,189 @@ router.get(
   getLocationsController,
 );
 
+/**
+ * @swagger
+ * /locations/coverage:
+ *   get:
+ *     summary: Report staffing coverage
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Compare locations' staffing requirements with their shifts for each day of a date range (admin only). Assigned shifts of the slot's role that cover at least half of it count toward it; cancelled shifts and no-shows do not
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day of the range (inclusive), at most 62 days after from
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Only this location, instead of every location with staffing requirements
+ *     responses:
+ *       200:
+ *         description: Summary counts, and the understaffed and overstaffed slots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     slots:
+ *                       type: integer
+ *                     met:
+ *                       type: integer
+ *                     understaffed:
+ *                       type: integer
+ *                     overstaffed:
+ *                       type: integer
+ *                     missingStaff:
+ *                       type: integer
+ *                       description: Workers missing across the understaffed slots
+ *                 understaffed:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CoverageSlot'
+ *                 overstaffed:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CoverageSlot'
+ *       400:
+ *         description: Bad request - invalid dates or a range that is too long
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Location not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/coverage",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getCoverageController,
+);
+
+/**
+ * @swagger
+ * /locations/{id}/staffing-requirements:
+ *   get:
+ *     summary: Get a location's staffing requirements
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Location ID
+ *     responses:
+ *       200:
+ *         description: The location's staffing requirements
+ *       400:
+ *         description: Bad request - invalid location ID
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Location not found (LOCATION_NOT_FOUND)
+ *       500:
+ *         description: Internal server error
+ *   put:
+ *     summary: Replace a location's staffing requirements
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Set how many workers of each role the location needs in each time band of each weekday (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Location ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - staffingRequirements
+ *             properties:
+ *               staffingRequirements:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - dayOfWeek
+ *                     - startTime
+ *                     - finishTime
+ *                     - role
+ *                     - count
+ *                   properties:
+ *                     dayOfWeek:
+ *                       type: integer
+ *                       minimum: 0
+ *                       maximum: 6
+ *                       description: Day the time band starts on, 0 for Sunday
+ *                     startTime:
+ *                       type: string
+ *                       example: "07:00"
+ *                     finishTime:
+ *                       type: string
+ *                       example: "15:00"
+ *                       description: Finish time, the next day if not after the start time
+ *                     role:
+ *                       type: string
+ *                       example: "Carer"
+ *                       description: Shift role, matched ignoring case
+ *                     count:
+ *                       type: integer
+ *                       minimum: 0
+ *                       example: 3
+ *     responses:
+ *       200:
+ *         description: Staffing requirements updated
+ *       400:
+ *         description: Bad request - invalid input data, or two requirements for the same role, day and time band (DUPLICATE_STAFFING_REQUIREMENT)
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Location not found (LOCATION_NOT_FOUND)
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/:id/staffing-requirements",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getStaffingRequirementsController,
+);
+router.put(
+  "/:id/staffing-requirements",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  setStaffingRequirementsController,
+);
+
 export default router;
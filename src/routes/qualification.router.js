@@ -0,0 +1,175 @@
+import express from "express";
+import requireAuthMiddleware from "../middlewares/require-auth.middleware.js";
+import requireAdminMiddleware from "../middlewares/require-admin.middleware.js";
+import {
+  createQualificationController,
+  getQualificationsController,
+  updateQualificationController,
+  getExpiringQualificationsController,
+} from "../controllers/qualification.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Qualifications
+ *   description: Qualifications catalogue, role requirements and certification expiry
+ */
+
+/**
+ * @swagger
+ * /qualifications:
+ *   post:
+ *     summary: Add a qualification
+ *     tags: [Qualifications]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Add a qualification to the catalogue (admin only). Workers must hold it to be assigned shifts whose role is listed in requiredForRoles
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "NVQ Level 3 in Health and Social Care"
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               requiredForRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Senior Carer"]
+ *                 description: Shift roles that require the qualification, matched ignoring case
+ *     responses:
+ *       201:
+ *         description: Qualification created
+ *       400:
+ *         description: Bad request - invalid input data
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       409:
+ *         description: Conflict - a qualification with this name exists (QUALIFICATION_EXISTS)
+ *       500:
+ *         description: Internal server error
+ *   get:
+ *     summary: Get the qualification catalogue
+ *     tags: [Qualifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Qualifications by name
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  createQualificationController,
+);
+router.get("/", requireAuthMiddleware, getQualificationsController);
+
+/**
+ * @swagger
+ * /qualifications/expiring:
+ *   get:
+ *     summary: List certifications expiring soon
+ *     tags: [Qualifications]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Workers' certifications that expire in the next days, soonest first (admin only)
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Expiring certifications with the worker, qualification and days remaining
+ *       400:
+ *         description: Bad request - invalid number of days
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/expiring",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getExpiringQualificationsController,
+);
+
+/**
+ * @swagger
+ * /qualifications/{id}:
+ *   patch:
+ *     summary: Update a qualification
+ *     tags: [Qualifications]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Rename a qualification or change the roles that require it (admin only). Existing assignments are not checked again
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               requiredForRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces the roles that require the qualification
+ *     responses:
+ *       200:
+ *         description: Qualification updated
+ *       400:
+ *         description: Bad request - invalid input data
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Qualification not found
+ *       409:
+ *         description: Conflict - a qualification with this name exists (QUALIFICATION_EXISTS)
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  "/:id",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  updateQualificationController,
+);
+
+export default router;
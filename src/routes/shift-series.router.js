@@ -0,0 +1,323 @@
+import express from "express";
+import requireAuthMiddleware from "../middlewares/require-auth.middleware.js";
+import requireAdminMiddleware from "../middlewares/require-admin.middleware.js";
+import {
+  createShiftSeriesController,
+  getShiftSeriesListController,
+  getShiftSeriesController,
+  updateShiftSeriesController,
+  endShiftSeriesController,
+} from "../controllers/shift-series.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shift Series
+ *   description: Recurring shifts generated from a template and a recurrence rule
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Recurrence:
+ *       type: object
+ *       properties:
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly]
+ *         interval:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 52
+ *           default: 1
+ *           description: Repeat every N days or weeks
+ *         byWeekday:
+ *           type: array
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *           description: Days of the week for weekly series (0 = Sunday). Defaults to the start date's weekday
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           description: First day of the series (cannot be in the past)
+ *         until:
+ *           type: string
+ *           format: date
+ *           description: Last day of the series (inclusive). Either until or count is required
+ *         count:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 366
+ *           description: Number of occurrences. Excluded dates still count
+ *         exdates:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: date
+ *           description: Dates to skip
+ */
+
+/**
+ * @swagger
+ * /shift-series:
+ *   post:
+ *     summary: Create a shift series
+ *     tags: [Shift Series]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Create a recurring shift series and its upcoming shifts (admin only). Occurrences that cannot be created (e.g. overlapping another shift) are reported in occurrences.errors
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - role
+ *               - typeOfShift
+ *               - user
+ *               - startTime
+ *               - finishTime
+ *               - location
+ *               - recurrence
+ *             properties:
+ *               title:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *               typeOfShift:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [Weekend, Weekday, Evening, Morning, Night]
+ *               user:
+ *                 type: string
+ *                 description: ID of the user assigned to every occurrence
+ *               startTime:
+ *                 type: string
+ *                 pattern: "^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$"
+ *               finishTime:
+ *                 type: string
+ *                 pattern: "^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$"
+ *               numOfShiftsPerDay:
+ *                 type: number
+ *                 minimum: 1
+ *                 default: 1
+ *               location:
+ *                 type: object
+ *                 description: Same location object as POST /shifts
+ *               recurrence:
+ *                 $ref: '#/components/schemas/Recurrence'
+ *     responses:
+ *       201:
+ *         description: Shift series created
+ *       400:
+ *         description: Bad request - invalid input data
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  createShiftSeriesController,
+);
+
+/**
+ * @swagger
+ * /shift-series:
+ *   get:
+ *     summary: Get all shift series
+ *     tags: [Shift Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Active, Ended]
+ *         description: Filter by series status
+ *     responses:
+ *       200:
+ *         description: List of shift series
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getShiftSeriesListController,
+);
+
+/**
+ * @swagger
+ * /shift-series/{id}:
+ *   get:
+ *     summary: Get a shift series
+ *     tags: [Shift Series]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Retrieve a shift series and all of its shifts (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift series ID
+ *     responses:
+ *       200:
+ *         description: Shift series with its shifts
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Shift series not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/:id",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getShiftSeriesController,
+);
+
+/**
+ * @swagger
+ * /shift-series/{id}:
+ *   put:
+ *     summary: Update a shift series
+ *     tags: [Shift Series]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Update a shift series (admin only). The scope decides which shifts change:
+ *       - `this` - only the occurrence on occurrenceDate; later series-wide edits leave it untouched
+ *       - `following` - the occurrence on occurrenceDate and every later one; the series is split in two in one transaction
+ *       - `all` - every upcoming occurrence that has not been edited on its own
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift series ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scope
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following, all]
+ *               occurrenceDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Occurrence being edited (required unless scope is all)
+ *               title:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *               typeOfShift:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               user:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *               finishTime:
+ *                 type: string
+ *               numOfShiftsPerDay:
+ *                 type: number
+ *               location:
+ *                 type: object
+ *               recurrence:
+ *                 $ref: '#/components/schemas/Recurrence'
+ *     responses:
+ *       200:
+ *         description: Shift series updated
+ *       400:
+ *         description: Bad request - invalid input data or series has ended
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Shift series or occurrence not found
+ *       409:
+ *         description: Conflict - edited occurrence overlaps another shift (SHIFT_OVERLAP)
+ *       500:
+ *         description: Internal server error
+ *       501:
+ *         description: Splitting the series (scope following) needs MongoDB to run as a replica set (TRANSACTIONS_UNSUPPORTED)
+ */
+router.put(
+  "/:id",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  updateShiftSeriesController,
+);
+
+/**
+ * @swagger
+ * /shift-series/{id}:
+ *   delete:
+ *     summary: End a shift series
+ *     tags: [Shift Series]
+ *     security:
+ *       - bearerAuth: []
+ *     description: End a shift series and cancel its shifts that have not started yet (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift series ID
+ *     responses:
+ *       200:
+ *         description: Shift series ended
+ *       400:
+ *         description: Shift series has already ended
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Shift series not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete(
+  "/:id",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  endShiftSeriesController,
+);
+
+export default router;
@@ -0,0 +1,232 @@
+import express from "express";
+import requireAuthMiddleware from "../middlewares/require-auth.middleware.js";
+import requireAdminMiddleware from "../middlewares/require-admin.middleware.js";
+import {
+  createSwapRequestController,
+  getSwapRequestsController,
+  getUserSwapRequestsController,
+  acceptSwapRequestController,
+  approveSwapRequestController,
+  rejectSwapRequestController,
+} from "../controllers/shift-swap.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shift Swaps
+ *   description: Workers offering their shifts to colleagues, subject to admin approval
+ */
+
+/**
+ * @swagger
+ * /shift-swaps:
+ *   post:
+ *     summary: Offer a shift
+ *     tags: [Shift Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Offer one of your upcoming scheduled shifts to a specific colleague, or to anyone if no recipient is given
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shift
+ *             properties:
+ *               shift:
+ *                 type: string
+ *                 description: ID of the shift being offered
+ *               recipient:
+ *                 type: string
+ *                 description: ID of the colleague the shift is offered to (omit to offer it to anyone)
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Swap request created
+ *       400:
+ *         description: Bad request - invalid input data or shift cannot be offered
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - you are not assigned to the shift
+ *       404:
+ *         description: Shift or recipient not found
+ *       409:
+ *         description: Conflict - shift already has an open swap request (SWAP_REQUEST_EXISTS)
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/", requireAuthMiddleware, createSwapRequestController);
+
+/**
+ * @swagger
+ * /shift-swaps:
+ *   get:
+ *     summary: Get all swap requests
+ *     tags: [Shift Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Accepted, Approved, Rejected, Expired]
+ *         description: Filter by swap request status
+ *     responses:
+ *       200:
+ *         description: List of swap requests
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getSwapRequestsController,
+);
+
+/**
+ * @swagger
+ * /shift-swaps/mine:
+ *   get:
+ *     summary: Get current user's swap requests
+ *     tags: [Shift Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Retrieve the swap requests you sent, received or accepted, plus pending offers open to anyone
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Accepted, Approved, Rejected, Expired]
+ *         description: Filter by swap request status
+ *     responses:
+ *       200:
+ *         description: List of swap requests
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/mine", requireAuthMiddleware, getUserSwapRequestsController);
+
+/**
+ * @swagger
+ * /shift-swaps/{id}/accept:
+ *   patch:
+ *     summary: Accept a swap request
+ *     tags: [Shift Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Accept a pending offer addressed to you or open to anyone. The shift is reassigned once an admin approves
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Swap request ID
+ *     responses:
+ *       200:
+ *         description: Swap request accepted
+ *       400:
+ *         description: Swap request is not pending or has expired
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - swap request is addressed to someone else
+ *       404:
+ *         description: Swap request not found
+ *       409:
+ *         description: Conflict - already accepted (SWAP_REQUEST_ALREADY_ACCEPTED) or the shift overlaps one of yours (SHIFT_OVERLAP)
+ *       500:
+ *         description: Internal server error
+ */
+router.patch("/:id/accept", requireAuthMiddleware, acceptSwapRequestController);
+
+/**
+ * @swagger
+ * /shift-swaps/{id}/approve:
+ *   patch:
+ *     summary: Approve a swap request
+ *     tags: [Shift Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Approve an accepted swap request and reassign the shift to the worker who accepted it (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Swap request ID
+ *     responses:
+ *       200:
+ *         description: Swap request approved and shift reassigned
+ *       400:
+ *         description: Swap request is not accepted or has expired
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Swap request not found
+ *       409:
+ *         description: Conflict - the shift now overlaps another shift of the new worker (SHIFT_OVERLAP), or the request was approved or rejected at the same time (SWAP_REQUEST_ALREADY_REVIEWED)
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  "/:id/approve",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  approveSwapRequestController,
+);
+
+/**
+ * @swagger
+ * /shift-swaps/{id}/reject:
+ *   patch:
+ *     summary: Reject a swap request
+ *     tags: [Shift Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Admins can reject pending or accepted requests; the recipient of an offer can decline it while it is pending
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Swap request ID
+ *     responses:
+ *       200:
+ *         description: Swap request rejected
+ *       400:
+ *         description: Swap request is no longer active
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - you cannot reject this swap request
+ *       404:
+ *         description: Swap request not found
+ *       409:
+ *         description: Conflict - the request was approved, accepted or rejected at the same time (SWAP_REQUEST_ALREADY_REVIEWED)
+ *       500:
+ *         description: Internal server error
+ */
+router.patch("/:id/reject", requireAuthMiddleware, rejectSwapRequestController);
+
+export default router;
@@ -5,13 +5,27 @@ import {
   createShiftController,
   updateShiftController,
   deleteShiftController,
+  restoreShiftController,
   batchCreateUpdateShiftsController,
+  batchDeleteShiftsController,
+  batchCancelShiftsController,
+  autoScheduleShiftsController,
   cancelShiftController,
+  getShiftHistoryController,
   clockInController,
   clockOutController,
+  startBreakController,
+  endBreakController,
   getAllShiftsController,
+  getDeletedShiftsController,
+  exportPayrollController,
   getUserShiftsController,
   getShiftController,
+  getOpenShiftsController,
+  getPendingClaimsController,
+  claimShiftController,
+  approveShiftClaimController,
+  rejectShiftClaimController,
 } from "../controllers/shifts.controller.js";
 
 const router = express.Router();
@@ -23,6 +37,63 @@ const router = express.Router();
  *   description: Retrieve and manage user shifts
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ClockPosition:
+ *       type: object
+ *       required:
+ *         - latitude
+ *         - longitude
+ *       properties:
+ *         latitude:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *         longitude:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *         accuracy:
+ *           type: number
+ *           description: Reported accuracy of the position in metres
+ *     BatchShiftSelection:
+ *       type: object
+ *       description: Shifts to change, either by ID or by filter
+ *       properties:
+ *         ids:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of the shifts
+ *         filter:
+ *           type: object
+ *           required:
+ *             - from
+ *             - to
+ *           properties:
+ *             from:
+ *               type: string
+ *               format: date
+ *               description: Only shifts on or after this date
+ *             to:
+ *               type: string
+ *               format: date
+ *               description: Only shifts on or before this date
+ *             location:
+ *               type: string
+ *               description: Only shifts at this location
+ *         atomic:
+ *           type: boolean
+ *           default: false
+ *           description: Change all shifts in one transaction, or none of them if any fails (BATCH_ENTRY_FAILED). Requires MongoDB to run as a replica set
+ *         dryRun:
+ *           type: boolean
+ *           default: false
+ *           description: Check every shift as if changing it, without saving anything. Runs in a transaction that is rolled back, so requires MongoDB to run as a replica set
+ */
+
 /**
  * @swagger
  * /shifts:
@@ -49,24 +120,90 @@ const router = express.Router();
  *           default: 10
  *         description: Number of items per page
  *       - in: query
+ *         name: paginationMode
+ *         schema:
+ *           type: string
+ *           enum: [page, cursor]
+ *           default: page
+ *         description: Page by page number, or by the opaque nextCursor/prevCursor returned with each page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor or prevCursor of a previous page (implies cursor mode). Cursors are tied to the sort they were created with
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *         description: Whether to count all matching shifts (default true in page mode, false in cursor mode). Without the count, page mode omits totalCount and totalPages
+ *       - in: query
  *         name: status
  *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [Scheduled, In Progress, Completed, Cancelled, No Show]
+ *         style: form
+ *         explode: false
+ *         description: Filter by shift statuses, comma-separated or repeated
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only shifts on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only shifts on or before this date
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Filter by location ID
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter by role
+ *       - in: query
+ *         name: typeOfShift
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [Weekend, Weekday, Evening, Morning, Night]
+ *         style: form
+ *         explode: false
+ *         description: Filter by shift types, matching shifts with any of them
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: Case-insensitive search in shift titles
+ *       - in: query
+ *         name: user
+ *         schema:
  *           type: string
- *           enum: [active, cancelled, completed, in_progress]
- *         description: Filter by shift status
+ *         description: Filter by assigned worker ID
  *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
  *           default: "date"
- *         description: Field to sort by
+ *           example: "date,-startTime"
+ *         description: Comma-separated fields to sort by, each prefixed with "-" to sort it descending. One of date, startTime, finishTime, title, role, status, createdAt, updatedAt, deletedAt, workerName, locationName
  *       - in: query
  *         name: sortOrder
  *         schema:
  *           type: string
  *           enum: [asc, desc]
  *           default: "asc"
- *         description: Sort order
+ *         description: Sort order of sort fields without a "-" prefix
  *     responses:
  *       200:
  *         description: List of all shifts
@@ -94,6 +231,54 @@ router.get(
   requireAdminMiddleware,
   getAllShiftsController,
 );
+/**
+ * @swagger
+ * /shifts/deleted:
+ *   get:
+ *     summary: Get deleted shifts
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Retrieve soft-deleted shifts that have not been purged yet (admin only). Takes the same pagination, filter and sort parameters as GET /shifts; each shift has deletedAt and deletedBy set
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           default: "date"
+ *           example: "-deletedAt"
+ *         description: Comma-separated fields to sort by, each prefixed with "-" to sort it descending
+ *     responses:
+ *       200:
+ *         description: List of deleted shifts
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/deleted",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getDeletedShiftsController,
+);
 /**
  * @swagger
  * /shifts/my-shifts:
@@ -120,24 +305,85 @@ router.get(
  *           default: 10
  *         description: Number of items per page
  *       - in: query
+ *         name: paginationMode
+ *         schema:
+ *           type: string
+ *           enum: [page, cursor]
+ *           default: page
+ *         description: Page by page number, or by the opaque nextCursor/prevCursor returned with each page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor or prevCursor of a previous page (implies cursor mode). Cursors are tied to the sort they were created with
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *         description: Whether to count all matching shifts (default true in page mode, false in cursor mode). Without the count, page mode omits totalCount and totalPages
+ *       - in: query
  *         name: status
  *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [Scheduled, In Progress, Completed, Cancelled, No Show]
+ *         style: form
+ *         explode: false
+ *         description: Filter by shift statuses, comma-separated or repeated
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only shifts on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only shifts on or before this date
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Filter by location ID
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter by role
+ *       - in: query
+ *         name: typeOfShift
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [Weekend, Weekday, Evening, Morning, Night]
+ *         style: form
+ *         explode: false
+ *         description: Filter by shift types, matching shifts with any of them
+ *       - in: query
+ *         name: search
+ *         schema:
  *           type: string
- *           enum: [active, cancelled, completed, in_progress]
- *         description: Filter by shift status
+ *           maxLength: 100
+ *         description: Case-insensitive search in shift titles
  *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
  *           default: "date"
- *         description: Field to sort by
+ *           example: "date,-startTime"
+ *         description: Comma-separated fields to sort by, each prefixed with "-" to sort it descending. One of date, startTime, finishTime, title, role, status, createdAt, updatedAt, deletedAt, workerName, locationName
  *       - in: query
  *         name: sortOrder
  *         schema:
  *           type: string
  *           enum: [asc, desc]
  *           default: "asc"
- *         description: Sort order
+ *         description: Sort order of sort fields without a "-" prefix
  *     responses:
  *       200:
  *         description: List of user's shifts
@@ -158,6 +404,158 @@ router.get(
  *         description: Internal server error
  */
 router.get("/my-shifts", requireAuthMiddleware, getUserShiftsController);
+/**
+ * @swagger
+ * /shifts/export:
+ *   get:
+ *     summary: Export payroll CSV
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Stream one CSV row per completed shift in a date range (admin only)
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First shift date to export
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last shift date to export (inclusive)
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *           example: "worker:Employee,email,date,workedMinutes:Minutes"
+ *         description: |
+ *           Comma-separated columns in output order, each optionally renamed with `key:Header`.
+ *           Keys: shiftId, title, worker, email, location, role, date, scheduledStart, scheduledFinish,
+ *           clockIn, clockOut, workedMinutes, breakMinutes, paidMinutes, shiftTypes.
+ *           Defaults to worker, email, location, role, date, scheduledStart, scheduledFinish, clockIn,
+ *           clockOut, workedMinutes and shiftTypes
+ *       - in: query
+ *         name: approvedOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only export shifts on approved or locked timesheets
+ *     responses:
+ *       200:
+ *         description: Payroll CSV
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Bad request - invalid date range or unknown column
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/export",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  exportPayrollController,
+);
+/**
+ * @swagger
+ * /shifts/open:
+ *   get:
+ *     summary: Get open shifts
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Retrieve upcoming unassigned shifts the authenticated worker is eligible to claim
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           default: "date"
+ *           example: "date,-startTime"
+ *         description: Comma-separated fields to sort by, each prefixed with "-" to sort it descending. One of date, startTime, finishTime, title, role, status, createdAt, updatedAt, deletedAt, workerName, locationName
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: "asc"
+ *         description: Sort order of sort fields without a "-" prefix
+ *     responses:
+ *       200:
+ *         description: List of open shifts
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/open", requireAuthMiddleware, getOpenShiftsController);
+/**
+ * @swagger
+ * /shifts/open/claims:
+ *   get:
+ *     summary: Get pending shift claims
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Retrieve open shifts with a claim waiting for approval (admin only)
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 10
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: List of shifts with pending claims
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/open/claims",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getPendingClaimsController,
+);
 /**
  * @swagger
  * /shifts:
@@ -177,7 +575,6 @@ router.get("/my-shifts", requireAuthMiddleware, getUserShiftsController);
  *               - title
  *               - role
  *               - typeOfShift
- *               - user
  *               - startTime
  *               - finishTime
  *               - location
@@ -197,7 +594,21 @@ router.get("/my-shifts", requireAuthMiddleware, getUserShiftsController);
  *                 description: Types of shift (at least one required)
  *               user:
  *                 type: string
- *                 description: ID of the user assigned to the shift
+ *                 description: ID of the user assigned to the shift. Omit to publish an open shift
+ *               eligibleWorkers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of the workers allowed to claim an open shift (defaults to any worker)
+ *               requiresClaimApproval:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Whether claims of an open shift must be approved by an admin
+ *               requiredQualifications:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of qualifications the worker must hold, on top of those required for the role
  *               startTime:
  *                 type: string
  *                 pattern: "^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$"
@@ -244,10 +655,21 @@ router.get("/my-shifts", requireAuthMiddleware, getUserShiftsController);
  *                         minimum: -90
  *                         maximum: 90
  *                         description: Latitude coordinate
+ *                       useRotaCloud:
+ *                         type: boolean
+ *                         default: true
+ *                         description: Enforce the geofence when clocking in/out, if the location has a geofenceRadius
+ *                   geofenceRadius:
+ *                     type: number
+ *                     description: Radius in metres around the coordinates where clocking in/out is allowed. Setting it turns the geofence on; without one any position is accepted
  *               date:
  *                 type: string
  *                 format: date-time
  *                 description: Date for the shift (cannot be in the past)
+ *               overrideRestPeriod:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Schedule the shift even if the worker would get less than the minimum rest (11 hours) between shifts. The override is recorded on the shift
  *     responses:
  *       201:
  *         description: Shift created successfully
@@ -266,6 +688,8 @@ router.get("/my-shifts", requireAuthMiddleware, getUserShiftsController);
  *         description: Unauthorized - invalid or missing token
  *       403:
  *         description: Forbidden - admin access required
+ *       409:
+ *         description: Conflict - shift overlaps another shift assigned to the user (SHIFT_OVERLAP), leaves the worker less than the minimum rest between shifts (INSUFFICIENT_REST) or needs a qualification the worker does not hold (MISSING_QUALIFICATIONS)
  *       500:
  *         description: Internal server error
  */
@@ -301,7 +725,6 @@ router.post(
  *                     - title
  *                     - role
  *                     - typeOfShift
- *                     - user
  *                     - startTime
  *                     - finishTime
  *                     - location
@@ -324,7 +747,20 @@ router.post(
  *                       description: Types of shift (at least one required)
  *                     user:
  *                       type: string
- *                       description: ID of the user assigned to the shift
+ *                       description: ID of the user assigned to the shift. Omit to publish an open shift
+ *                     eligibleWorkers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: IDs of the workers allowed to claim an open shift
+ *                     requiresClaimApproval:
+ *                       type: boolean
+ *                       description: Whether claims of an open shift must be approved by an admin
+ *                     requiredQualifications:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: IDs of qualifications the worker must hold, on top of those required for the role
  *                     startTime:
  *                       type: string
  *                       pattern: "^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$"
@@ -371,10 +807,29 @@ router.post(
  *                               minimum: -90
  *                               maximum: 90
  *                               description: Latitude coordinate
+ *                             useRotaCloud:
+ *                               type: boolean
+ *                               default: true
+ *                               description: Enforce the geofence when clocking in/out, if the location has a geofenceRadius
+ *                         geofenceRadius:
+ *                           type: number
+ *                           description: Radius in metres around the coordinates where clocking in/out is allowed. Setting it turns the geofence on; without one any position is accepted
  *                     date:
  *                       type: string
  *                       format: date-time
  *                       description: Date for the shift (cannot be in the past)
+ *                     overrideRestPeriod:
+ *                       type: boolean
+ *                       default: false
+ *                       description: Save the entry even if the worker would get less than the minimum rest between shifts
+ *               atomic:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Save all entries in one transaction, or none of them if any entry fails (BATCH_ENTRY_FAILED). Requires MongoDB to run as a replica set
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Check every entry as if saving it, including overlaps and user existence, and report the results by index without saving anything. Runs in a transaction that is rolled back, so requires MongoDB to run as a replica set
  *     responses:
  *       200:
  *         description: Shifts processed successfully
@@ -396,14 +851,31 @@ router.post(
  *                       type: array
  *                       items:
  *                         type: object
+ *                     errors:
+ *                       type: array
+ *                       description: Failed entries by index. Entries overlapping an earlier entry or an existing shift fail with SHIFT_OVERLAP
+ *                       items:
+ *                         type: object
+ *                     warnings:
+ *                       type: array
+ *                       description: Scheduling warnings of saved entries by index, such as INSUFFICIENT_REST
+ *                       items:
+ *                         type: object
+ *                     dryRun:
+ *                       type: boolean
+ *                       description: Present and true when nothing was saved
  *       400:
  *         description: Bad request - invalid input data
  *       401:
  *         description: Unauthorized - invalid or missing token
  *       403:
  *         description: Forbidden - admin access required
+ *       409:
+ *         description: An entry of an atomic batch overlaps another shift (BATCH_ENTRY_FAILED, with the failed entry in details)
  *       500:
  *         description: Internal server error
+ *       501:
+ *         description: Atomic batches and dry runs need MongoDB to run as a replica set (TRANSACTIONS_UNSUPPORTED)
  */
 router.post(
   "/batch",
@@ -413,42 +885,237 @@ router.post(
 );
 /**
  * @swagger
- * /shifts/{id}:
- *   put:
- *     summary: Update a shift
+ * /shifts/batch/delete:
+ *   post:
+ *     summary: Batch delete shifts
  *     tags: [Shifts]
  *     security:
  *       - bearerAuth: []
- *     description: Update an existing shift (admin only)
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Shift ID
+ *     description: Soft-delete several shifts, selected by ID or by date range and location (admin only)
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *                 description: Title of the shift
- *               role:
- *                 type: string
- *                 description: Role for the shift
- *               typeOfShift:
- *                 type: array
- *                 items:
- *                   type: string
- *                   enum: [weekend, weekday, evening, morning, night]
- *                 description: Types of shift (at least one required)
- *               user:
+ *             $ref: '#/components/schemas/BatchShiftSelection'
+ *     responses:
+ *       200:
+ *         description: Shifts processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: array
+ *                   description: IDs of the deleted shifts
+ *                   items:
+ *                     type: string
+ *                 errors:
+ *                   type: array
+ *                   description: Failed shifts with their index in the selection, ID and error
+ *                   items:
+ *                     type: object
+ *                 dryRun:
+ *                   type: boolean
+ *                   description: Present and true when nothing was saved
+ *       400:
+ *         description: Bad request - invalid input data, or both or neither of ids and filter
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       500:
+ *         description: Internal server error
+ *       501:
+ *         description: Atomic batches and dry runs need MongoDB to run as a replica set (TRANSACTIONS_UNSUPPORTED)
+ */
+router.post(
+  "/batch/delete",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  batchDeleteShiftsController,
+);
+/**
+ * @swagger
+ * /shifts/batch/cancel:
+ *   post:
+ *     summary: Batch cancel shifts
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Cancel several shifts, selected by ID or by date range and location (admin only). A filter only selects scheduled shifts and shifts in progress
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BatchShiftSelection'
+ *     responses:
+ *       200:
+ *         description: Shifts processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cancelled:
+ *                   type: array
+ *                   description: IDs of the cancelled shifts
+ *                   items:
+ *                     type: string
+ *                 errors:
+ *                   type: array
+ *                   description: Failed shifts with their index in the selection, ID and error
+ *                   items:
+ *                     type: object
+ *                 dryRun:
+ *                   type: boolean
+ *                   description: Present and true when nothing was saved
+ *       400:
+ *         description: Bad request - invalid input data, or both or neither of ids and filter
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       500:
+ *         description: Internal server error
+ *       501:
+ *         description: Atomic batches and dry runs need MongoDB to run as a replica set (TRANSACTIONS_UNSUPPORTED)
+ */
+router.post(
+  "/batch/cancel",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  batchCancelShiftsController,
+);
+/**
+ * @swagger
+ * /shifts/auto-schedule:
+ *   post:
+ *     summary: Propose workers for unfilled shifts
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Propose a worker for each upcoming open shift without a pending claim, selected by ID or by date range and location (admin only). Workers must be eligible, available, not on leave, qualified, free of overlapping shifts, rested and within their weekly hours limit; among them, those with fewer hours scheduled in the period and living closer to the location are preferred. Nothing is saved - send the proposal's batch to POST /shifts/batch (with atomic to apply all or none) to assign the workers
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of the shifts to fill
+ *               filter:
+ *                 type: object
+ *                 required:
+ *                   - from
+ *                   - to
+ *                 properties:
+ *                   from:
+ *                     type: string
+ *                     format: date
+ *                   to:
+ *                     type: string
+ *                     format: date
+ *                   location:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Proposal to review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 proposal:
+ *                   type: object
+ *                   properties:
+ *                     generatedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     assignments:
+ *                       type: array
+ *                       description: Proposed worker for each filled shift, with their distance from the location in metres (null without a home location) and hours already scheduled in the period
+ *                       items:
+ *                         type: object
+ *                     unfilled:
+ *                       type: array
+ *                       description: Shifts no worker could take, with how many workers each rule excluded
+ *                       items:
+ *                         type: object
+ *                     skipped:
+ *                       type: array
+ *                       description: IDs of selected shifts that are not upcoming, open and unclaimed
+ *                       items:
+ *                         type: string
+ *                     batch:
+ *                       type: array
+ *                       description: Entries to send as the shifts of POST /shifts/batch to apply the proposal
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Bad request - invalid input data, both or neither of ids and filter, or more than 500 shifts (TOO_MANY_SHIFTS)
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/auto-schedule",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  autoScheduleShiftsController,
+);
+/**
+ * @swagger
+ * /shifts/{id}:
+ *   put:
+ *     summary: Update a shift
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Update an existing shift (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Title of the shift
+ *               role:
+ *                 type: string
+ *                 description: Role for the shift
+ *               typeOfShift:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [weekend, weekday, evening, morning, night]
+ *                 description: Types of shift (at least one required)
+ *               user:
  *                 type: string
  *                 description: ID of the user assigned to the shift
+ *               requiredQualifications:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of qualifications the worker must hold, replacing the current ones
  *               startTime:
  *                 type: string
  *                 pattern: "^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$"
@@ -494,10 +1161,21 @@ router.post(
  *                         minimum: -90
  *                         maximum: 90
  *                         description: Latitude coordinate
+ *                       useRotaCloud:
+ *                         type: boolean
+ *                         default: true
+ *                         description: Enforce the geofence when clocking in/out, if the location has a geofenceRadius
+ *                   geofenceRadius:
+ *                     type: number
+ *                     description: Radius in metres around the coordinates where clocking in/out is allowed. Setting it turns the geofence on; without one any position is accepted
  *               date:
  *                 type: string
  *                 format: date-time
  *                 description: Date for the shift (cannot be in the past)
+ *               overrideRestPeriod:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Schedule the shift even if the worker would get less than the minimum rest (11 hours) between shifts. The override is recorded on the shift
  *     responses:
  *       200:
  *         description: Shift updated successfully
@@ -518,6 +1196,8 @@ router.post(
  *         description: Forbidden - admin access required
  *       404:
  *         description: Shift not found
+ *       409:
+ *         description: Conflict - shift overlaps another shift assigned to the user (SHIFT_OVERLAP), leaves the worker less than the minimum rest between shifts (INSUFFICIENT_REST) or needs a qualification the worker does not hold (MISSING_QUALIFICATIONS)
  *       500:
  *         description: Internal server error
  */
@@ -565,6 +1245,81 @@ router.put(
  *         description: Internal server error
  */
 router.get("/:id", requireAuthMiddleware, getShiftController);
+/**
+ * @swagger
+ * /shifts/{id}/history:
+ *   get:
+ *     summary: Get a shift's change history
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Append-only history of a shift, oldest first (admin only). Records creation, edits with field-level changes, status transitions and deletion, with who made each change and through which endpoint or job. Still available after the shift is deleted.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift ID
+ *     responses:
+ *       200:
+ *         description: Shift history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       action:
+ *                         type: string
+ *                         enum: [create, update, delete, restore, purge, remove_occurrence, clock_in, clock_out, auto_clock_out, no_show, cancel]
+ *                       actor:
+ *                         type: object
+ *                         nullable: true
+ *                         description: User who made the change, null for background jobs
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           email:
+ *                             type: string
+ *                       source:
+ *                         type: string
+ *                         example: PUT /api/shifts/:id
+ *                       changes:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             field:
+ *                               type: string
+ *                             from: {}
+ *                             to: {}
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Shift not found and has no history
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/:id/history",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getShiftHistoryController,
+);
 /**
  * @swagger
  * /shifts/{id}:
@@ -573,7 +1328,7 @@ router.get("/:id", requireAuthMiddleware, getShiftController);
  *     tags: [Shifts]
  *     security:
  *       - bearerAuth: []
- *     description: Delete an existing shift (admin only)
+ *     description: Soft-delete an existing shift (admin only). The shift is hidden from listings and lookups, can be restored, and is purged for good after the retention period. Shifts recorded on a timesheet cannot be deleted
  *     parameters:
  *       - in: path
  *         name: id
@@ -599,6 +1354,8 @@ router.get("/:id", requireAuthMiddleware, getShiftController);
  *         description: Forbidden - admin access required
  *       404:
  *         description: Shift not found
+ *       409:
+ *         description: Shift is locked by its timesheet (SHIFT_LOCKED) or recorded on one (SHIFT_ON_TIMESHEET)
  *       500:
  *         description: Internal server error
  */
@@ -608,6 +1365,53 @@ router.delete(
   requireAdminMiddleware,
   deleteShiftController,
 );
+/**
+ * @swagger
+ * /shifts/{id}/restore:
+ *   patch:
+ *     summary: Restore a deleted shift
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Restore a soft-deleted shift that has not been purged yet (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift ID
+ *     responses:
+ *       200:
+ *         description: Shift restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 shift:
+ *                   type: object
+ *       400:
+ *         description: Shift is not deleted (SHIFT_NOT_DELETED)
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Shift not found or already purged
+ *       409:
+ *         description: The shift's worker has another shift overlapping it (SHIFT_OVERLAP)
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  "/:id/restore",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  restoreShiftController,
+);
 /**
  * @swagger
  * /shifts/{id}/cancel:
@@ -659,6 +1463,113 @@ router.patch(
   requireAdminMiddleware,
   cancelShiftController,
 );
+/**
+ * @swagger
+ * /shifts/{id}/claim:
+ *   patch:
+ *     summary: Claim an open shift
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Claim an open shift. The first eligible claimant wins; if the shift requires approval the claim stays pending until an admin approves it
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift ID
+ *     responses:
+ *       200:
+ *         description: Shift claimed, or claim submitted for approval, with any scheduling warnings
+ *       400:
+ *         description: Shift is not scheduled or has already started
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - worker is not eligible to claim the shift
+ *       404:
+ *         description: Shift not found
+ *       409:
+ *         description: Conflict - shift already claimed (SHIFT_ALREADY_CLAIMED), or the worker could not be assigned it directly (SHIFT_OVERLAP, WORKER_ON_LEAVE, INSUFFICIENT_REST, WEEKLY_HOURS_EXCEEDED, OUTSIDE_AVAILABILITY or MISSING_QUALIFICATIONS)
+ *       500:
+ *         description: Internal server error
+ */
+router.patch("/:id/claim", requireAuthMiddleware, claimShiftController);
+/**
+ * @swagger
+ * /shifts/{id}/claim/approve:
+ *   patch:
+ *     summary: Approve a shift claim
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Approve the pending claim of an open shift and assign it to the claimant (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift ID
+ *     responses:
+ *       200:
+ *         description: Claim approved and shift assigned, with any scheduling warnings
+ *       400:
+ *         description: Shift has no claim waiting for approval, is no longer scheduled or has already started
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Shift not found
+ *       409:
+ *         description: Conflict - the claimant could no longer be assigned the shift directly (SHIFT_OVERLAP, WORKER_ON_LEAVE, INSUFFICIENT_REST, WEEKLY_HOURS_EXCEEDED, OUTSIDE_AVAILABILITY or MISSING_QUALIFICATIONS)
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  "/:id/claim/approve",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  approveShiftClaimController,
+);
+/**
+ * @swagger
+ * /shifts/{id}/claim/reject:
+ *   patch:
+ *     summary: Reject a shift claim
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Reject the pending claim of an open shift so other workers can claim it (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift ID
+ *     responses:
+ *       200:
+ *         description: Claim rejected and shift reopened
+ *       400:
+ *         description: Shift has no claim waiting for approval
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Shift not found
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  "/:id/claim/reject",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  rejectShiftClaimController,
+);
 /**
  * @swagger
  * /shifts/{id}/clock-in:
@@ -667,7 +1578,7 @@ router.patch(
  *     tags: [Shifts]
  *     security:
  *       - bearerAuth: []
- *     description: Clock in to start working a shift
+ *     description: Clock in to start working a shift, including one already marked as a no-show (the clock-in is then flagged late). When the location enforces a geofence (it has a geofenceRadius and useRotaCloud is not disabled), the worker's position is required and must be within the location's geofenceRadius
  *     parameters:
  *       - in: path
  *         name: id
@@ -681,6 +1592,8 @@ router.patch(
  *           schema:
  *             type: object
  *             properties:
+ *               position:
+ *                 $ref: '#/components/schemas/ClockPosition'
  *     responses:
  *       200:
  *         description: Successfully clocked in
@@ -697,8 +1610,15 @@ router.patch(
  *                     clockInTime:
  *                       type: string
  *                       format: date-time
+ *                     lateMinutes:
+ *                       type: integer
+ *                       description: Minutes after the scheduled start the worker clocked in, 0 when on time
+ *                     isLate:
+ *                       type: boolean
  *       401:
  *         description: Unauthorized - invalid or missing token
+ *       400:
+ *         description: Bad request - timing rules violated, position missing (POSITION_REQUIRED) or outside the location's geofence (OUTSIDE_GEOFENCE)
  *       403:
  *         description: Forbidden - not authorized to clock in to this shift
  *       404:
@@ -717,7 +1637,7 @@ router.patch("/:id/clock-in", requireAuthMiddleware, clockInController);
  *     tags: [Shifts]
  *     security:
  *       - bearerAuth: []
- *     description: Clock out to end working a shift
+ *     description: Clock out to end working a shift. The same geofence rules as clock-in apply
  *     parameters:
  *       - in: path
  *         name: id
@@ -731,6 +1651,8 @@ router.patch("/:id/clock-in", requireAuthMiddleware, clockInController);
  *           schema:
  *             type: object
  *             properties:
+ *               position:
+ *                 $ref: '#/components/schemas/ClockPosition'
  *     responses:
  *       200:
  *         description: Successfully clocked out
@@ -752,6 +1674,8 @@ router.patch("/:id/clock-in", requireAuthMiddleware, clockInController);
  *                       description: Total hours worked
  *       401:
  *         description: Unauthorized - invalid or missing token
+ *       400:
+ *         description: Bad request - timing rules violated, position missing (POSITION_REQUIRED) or outside the location's geofence (OUTSIDE_GEOFENCE)
  *       403:
  *         description: Forbidden - not authorized to clock out of this shift
  *       404:
@@ -762,5 +1686,77 @@ router.patch("/:id/clock-in", requireAuthMiddleware, clockInController);
  *         description: Internal server error
  */
 router.patch("/:id/clock-out", requireAuthMiddleware, clockOutController);
+/**
+ * @swagger
+ * /shifts/{id}/breaks/start:
+ *   patch:
+ *     summary: Start a break
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Start a break during a shift in progress. Only one break can run at a time and it must start before the shift's scheduled finish
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paid:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Whether the break counts as paid time
+ *     responses:
+ *       200:
+ *         description: Break started
+ *       400:
+ *         description: Shift not in progress, already on a break (BREAK_ALREADY_STARTED) or break outside the shift (INVALID_BREAK)
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - not assigned to this shift
+ *       404:
+ *         description: Shift not found
+ *       500:
+ *         description: Internal server error
+ */
+router.patch("/:id/breaks/start", requireAuthMiddleware, startBreakController);
+/**
+ * @swagger
+ * /shifts/{id}/breaks/end:
+ *   patch:
+ *     summary: End a break
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     description: End the current break. A break running past the shift's scheduled finish ends at the finish time
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift ID
+ *     responses:
+ *       200:
+ *         description: Break ended
+ *       400:
+ *         description: Shift not in progress or not on a break (NO_ACTIVE_BREAK)
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - not assigned to this shift
+ *       404:
+ *         description: Shift not found
+ *       500:
+ *         description: Internal server error
+ */
+router.patch("/:id/breaks/end", requireAuthMiddleware, endBreakController);
 
 export default router;
@@ -0,0 +1,336 @@
+import express from "express";
+import requireAuthMiddleware from "../middlewares/require-auth.middleware.js";
+import requireAdminMiddleware from "../middlewares/require-admin.middleware.js";
+import {
+  generateTimesheetController,
+  getTimesheetsController,
+  getUserTimesheetsController,
+  getTimesheetController,
+  amendTimesheetEntryController,
+  submitTimesheetController,
+  approveTimesheetController,
+  lockTimesheetController,
+} from "../controllers/timesheet.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Timesheets
+ *   description: Completed shifts aggregated per pay period and moved through draft, submitted, approved and locked
+ */
+
+/**
+ * @swagger
+ * /timesheets:
+ *   post:
+ *     summary: Generate a timesheet
+ *     tags: [Timesheets]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Generate a draft timesheet from a worker's completed shifts in a pay period (admin only). Generating the same period again while it is still a draft rebuilds its entries
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user
+ *               - periodStart
+ *               - periodEnd
+ *             properties:
+ *               user:
+ *                 type: string
+ *                 description: ID of the worker
+ *               periodStart:
+ *                 type: string
+ *                 format: date
+ *               periodEnd:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of the pay period (inclusive, at most 31 days after the start)
+ *     responses:
+ *       201:
+ *         description: Draft timesheet generated
+ *       400:
+ *         description: Bad request - invalid input data
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Conflict - the worker already has a timesheet covering the period (TIMESHEET_EXISTS)
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  generateTimesheetController,
+);
+
+/**
+ * @swagger
+ * /timesheets:
+ *   get:
+ *     summary: Get all timesheets
+ *     tags: [Timesheets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Draft, Submitted, Approved, Locked]
+ *         description: Filter by timesheet status
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Filter by worker ID
+ *     responses:
+ *       200:
+ *         description: List of timesheets
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getTimesheetsController,
+);
+
+/**
+ * @swagger
+ * /timesheets/mine:
+ *   get:
+ *     summary: Get current user's timesheets
+ *     tags: [Timesheets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Draft, Submitted, Approved, Locked]
+ *         description: Filter by timesheet status
+ *     responses:
+ *       200:
+ *         description: List of timesheets
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/mine", requireAuthMiddleware, getUserTimesheetsController);
+
+/**
+ * @swagger
+ * /timesheets/{id}:
+ *   get:
+ *     summary: Get a timesheet
+ *     tags: [Timesheets]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Retrieve a timesheet with its entries, totals and amendments. Available to its worker and admins
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Timesheet ID
+ *     responses:
+ *       200:
+ *         description: Timesheet details
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - not your timesheet
+ *       404:
+ *         description: Timesheet not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/:id", requireAuthMiddleware, getTimesheetController);
+
+/**
+ * @swagger
+ * /timesheets/{id}/entries/{shiftId}:
+ *   patch:
+ *     summary: Amend a timesheet entry
+ *     tags: [Timesheets]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Correct the clock times of a shift on a draft or submitted timesheet (admin only). The shift is updated and each changed time is recorded with the reason
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Timesheet ID
+ *       - in: path
+ *         name: shiftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               clockInTime:
+ *                 type: string
+ *                 pattern: "^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$"
+ *               clockOutTime:
+ *                 type: string
+ *                 pattern: "^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$"
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Timesheet entry amended
+ *       400:
+ *         description: Bad request - invalid input data, nothing changed, clock-out not after clock-in, a break outside the new times (INVALID_BREAK) or timesheet can no longer be amended
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Timesheet not found or shift not on it
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  "/:id/entries/:shiftId",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  amendTimesheetEntryController,
+);
+
+/**
+ * @swagger
+ * /timesheets/{id}/submit:
+ *   patch:
+ *     summary: Submit a timesheet
+ *     tags: [Timesheets]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Submit a draft timesheet for approval. Available to its worker and admins
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Timesheet ID
+ *     responses:
+ *       200:
+ *         description: Timesheet submitted
+ *       400:
+ *         description: Timesheet is not a draft
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - not your timesheet
+ *       404:
+ *         description: Timesheet not found
+ *       500:
+ *         description: Internal server error
+ */
+router.patch("/:id/submit", requireAuthMiddleware, submitTimesheetController);
+
+/**
+ * @swagger
+ * /timesheets/{id}/approve:
+ *   patch:
+ *     summary: Approve a timesheet
+ *     tags: [Timesheets]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Approve a submitted timesheet (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Timesheet ID
+ *     responses:
+ *       200:
+ *         description: Timesheet approved
+ *       400:
+ *         description: Timesheet is not submitted
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Timesheet not found
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  "/:id/approve",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  approveTimesheetController,
+);
+
+/**
+ * @swagger
+ * /timesheets/{id}/lock:
+ *   patch:
+ *     summary: Lock a timesheet
+ *     tags: [Timesheets]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Lock an approved timesheet (admin only). Its shifts can no longer be updated or deleted
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Timesheet ID
+ *     responses:
+ *       200:
+ *         description: Timesheet locked
+ *       400:
+ *         description: Timesheet is not approved
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Timesheet not found
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  "/:id/lock",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  lockTimesheetController,
+);
+
+export default router;
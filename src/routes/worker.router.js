@@ -1,9 +1,70 @@
 import express from "express";
 import requireAuthMiddleware from "../middlewares/require-auth.middleware.js";
 import requireAdminMiddleware from "../middlewares/require-admin.middleware.js";
-import { getWorkersController } from "../controllers/worker.controller.js";
+import {
+  getWorkersController,
+  updateWorkerWorkingHoursController,
+  updateWorkerHomeLocationController,
+  getMyAvailabilityController,
+  getWorkerAvailabilityController,
+  updateMyWeeklyAvailabilityController,
+  addMyUnavailableDateController,
+  removeMyUnavailableDateController,
+  getAvailableWorkersController,
+  getMyQualificationsController,
+  getWorkerQualificationsController,
+  setWorkerQualificationController,
+  removeWorkerQualificationController,
+} from "../controllers/worker.controller.js";
 const router = express.Router();
 
+/**
+ * @swagger
+ * tags:
+ *   name: Workers
+ *   description: Workers, their working hours and availability
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WorkerAvailability:
+ *       type: object
+ *       properties:
+ *         weeklyAvailability:
+ *           type: array
+ *           description: Recurring weekly windows the worker can work in. Empty when the worker can work any day
+ *           items:
+ *             type: object
+ *             properties:
+ *               dayOfWeek:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 6
+ *                 description: Day the window starts on, 0 for Sunday
+ *               startTime:
+ *                 type: string
+ *                 example: "09:00"
+ *               finishTime:
+ *                 type: string
+ *                 example: "17:00"
+ *                 description: Finish time, the next day if not after the start time
+ *         unavailableDates:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *                 nullable: true
+ */
+
 router.get(
   "/all",
   requireAuthMiddleware,
@@ -11,4 +72,527 @@ router.get(
   getWorkersController,
 );
 
+/**
+ * @swagger
+ * /workers/me/availability:
+ *   get:
+ *     summary: Get my availability
+ *     tags: [Workers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The logged-in worker's weekly availability and unavailable dates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 availability:
+ *                   $ref: '#/components/schemas/WorkerAvailability'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       500:
+ *         description: Internal server error
+ *   put:
+ *     summary: Replace my weekly availability
+ *     tags: [Workers]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Replace the logged-in worker's recurring weekly availability. Shifts assigned outside it give an OUTSIDE_AVAILABILITY warning. An empty list means the worker can work any day
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - weeklyAvailability
+ *             properties:
+ *               weeklyAvailability:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - dayOfWeek
+ *                     - startTime
+ *                     - finishTime
+ *                   properties:
+ *                     dayOfWeek:
+ *                       type: integer
+ *                       minimum: 0
+ *                       maximum: 6
+ *                       example: 1
+ *                     startTime:
+ *                       type: string
+ *                       example: "09:00"
+ *                     finishTime:
+ *                       type: string
+ *                       example: "17:00"
+ *     responses:
+ *       200:
+ *         description: Availability updated
+ *       400:
+ *         description: Bad request - invalid input data
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/me/availability",
+  requireAuthMiddleware,
+  getMyAvailabilityController,
+);
+router.put(
+  "/me/availability",
+  requireAuthMiddleware,
+  updateMyWeeklyAvailabilityController,
+);
+
+/**
+ * @swagger
+ * /workers/me/unavailable-dates:
+ *   post:
+ *     summary: Mark a day as unavailable
+ *     tags: [Workers]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Mark a one-off day the logged-in worker cannot work. Shifts assigned on it give an OUTSIDE_AVAILABILITY warning
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 example: "2030-01-15"
+ *               reason:
+ *                 type: string
+ *                 maxLength: 200
+ *                 example: "Appointment"
+ *     responses:
+ *       201:
+ *         description: Unavailable date added
+ *       400:
+ *         description: Bad request - invalid input data or date in the past
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       409:
+ *         description: Conflict - the day is already marked as unavailable (UNAVAILABLE_DATE_EXISTS)
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/me/unavailable-dates",
+  requireAuthMiddleware,
+  addMyUnavailableDateController,
+);
+
+/**
+ * @swagger
+ * /workers/me/unavailable-dates/{id}:
+ *   delete:
+ *     summary: Remove an unavailable date
+ *     tags: [Workers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unavailable date ID
+ *     responses:
+ *       200:
+ *         description: Unavailable date removed
+ *       400:
+ *         description: Bad request - invalid ID
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       404:
+ *         description: Unavailable date not found (UNAVAILABLE_DATE_NOT_FOUND)
+ *       500:
+ *         description: Internal server error
+ */
+router.delete(
+  "/me/unavailable-dates/:id",
+  requireAuthMiddleware,
+  removeMyUnavailableDateController,
+);
+
+/**
+ * @swagger
+ * /workers/me/qualifications:
+ *   get:
+ *     summary: Get my qualifications
+ *     tags: [Workers]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Get the qualifications the logged-in worker holds, with their expiry and whether they have expired
+ *     responses:
+ *       200:
+ *         description: The worker's qualifications
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/me/qualifications",
+  requireAuthMiddleware,
+  getMyQualificationsController,
+);
+
+/**
+ * @swagger
+ * /workers/availability:
+ *   get:
+ *     summary: List workers available for a time window
+ *     tags: [Workers]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Split workers into those who can work a time window on a date and those who cannot, with the reason (unavailable_date, outside_weekly_availability or already_scheduled) (admin only)
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "2030-01-15"
+ *       - in: query
+ *         name: startTime
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "09:00"
+ *       - in: query
+ *         name: finishTime
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "17:00"
+ *         description: Finish time, the next day if not after the start time
+ *     responses:
+ *       200:
+ *         description: Available and unavailable workers
+ *       400:
+ *         description: Bad request - invalid query parameters
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/availability",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getAvailableWorkersController,
+);
+
+/**
+ * @swagger
+ * /workers/{id}/availability:
+ *   get:
+ *     summary: Get a worker's availability
+ *     tags: [Workers]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Get a worker's weekly availability and unavailable dates (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Worker ID
+ *     responses:
+ *       200:
+ *         description: The worker's availability
+ *       400:
+ *         description: Bad request - invalid worker ID
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Worker not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/:id/availability",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getWorkerAvailabilityController,
+);
+
+/**
+ * @swagger
+ * /workers/{id}/working-hours:
+ *   patch:
+ *     summary: Update a worker's weekly working hours
+ *     tags: [Workers]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Set a worker's contracted and maximum weekly hours, whether they opted out of the default weekly limit, and their annual leave allowance (admin only). Shifts that take a worker over their limit are rejected with WEEKLY_HOURS_EXCEEDED
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Worker ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               contractedWeeklyHours:
+ *                 type: number
+ *                 nullable: true
+ *                 minimum: 0
+ *                 maximum: 168
+ *                 description: Hours in the worker's contract; scheduling above them gives an ABOVE_CONTRACTED_HOURS warning
+ *               maxWeeklyHours:
+ *                 type: number
+ *                 nullable: true
+ *                 minimum: 0
+ *                 maximum: 168
+ *                 description: Worker's own weekly limit. Null applies the default limit (48 hours)
+ *               weeklyHoursOptOut:
+ *                 type: boolean
+ *                 description: Worker signed an opt-out of the default weekly limit. Their own maximum still applies
+ *               annualLeaveDays:
+ *                 type: number
+ *                 nullable: true
+ *                 minimum: 0
+ *                 maximum: 366
+ *                 description: Days of holiday per year. Null applies the default allowance (28 days)
+ *     responses:
+ *       200:
+ *         description: Working hours updated
+ *       400:
+ *         description: Bad request - invalid input data or contracted hours above the maximum (INVALID_WORKING_HOURS)
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Worker not found
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  "/:id/working-hours",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  updateWorkerWorkingHoursController,
+);
+
+/**
+ * @swagger
+ * /workers/{id}/home-location:
+ *   patch:
+ *     summary: Set where a worker lives
+ *     tags: [Workers]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Set or clear the coordinates of a worker's home (admin only). Auto-scheduling prefers workers who live closer to a shift's location
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Worker ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - homeLocation
+ *             properties:
+ *               homeLocation:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Null to clear it
+ *                 properties:
+ *                   latitude:
+ *                     type: number
+ *                     example: 53.4808
+ *                   longitude:
+ *                     type: number
+ *                     example: -2.2426
+ *     responses:
+ *       200:
+ *         description: Home location updated
+ *       400:
+ *         description: Bad request - invalid coordinates
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Worker not found
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  "/:id/home-location",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  updateWorkerHomeLocationController,
+);
+
+/**
+ * @swagger
+ * /workers/{id}/qualifications:
+ *   get:
+ *     summary: Get a worker's qualifications
+ *     tags: [Workers]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Get the qualifications a worker holds, with their expiry and whether they have expired (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Worker ID
+ *     responses:
+ *       200:
+ *         description: The worker's qualifications
+ *       400:
+ *         description: Bad request - invalid worker ID
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Worker not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/:id/qualifications",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  getWorkerQualificationsController,
+);
+
+/**
+ * @swagger
+ * /workers/{id}/qualifications/{qualificationId}:
+ *   put:
+ *     summary: Record a worker's qualification
+ *     tags: [Workers]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Record that a worker holds a qualification, replacing the details if they already hold it, e.g. after a renewal (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Worker ID
+ *       - in: path
+ *         name: qualificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Qualification ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               obtainedAt:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *                 example: "2024-03-01"
+ *               expiresAt:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *                 example: "2027-03-01"
+ *                 description: When the certification expires, null if it does not
+ *               reference:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Certificate or registration number
+ *     responses:
+ *       200:
+ *         description: The worker's updated qualifications
+ *       400:
+ *         description: Bad request - invalid input data, or it expires before it was obtained (INVALID_QUALIFICATION_DATES)
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Worker or qualification not found
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Remove a worker's qualification
+ *     tags: [Workers]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Remove a qualification from a worker (admin only). Shifts already assigned are not checked again
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Worker ID
+ *       - in: path
+ *         name: qualificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Qualification ID
+ *     responses:
+ *       200:
+ *         description: The worker's updated qualifications
+ *       400:
+ *         description: Bad request - invalid ID
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - admin access required
+ *       404:
+ *         description: Worker not found, or they do not hold the qualification (WORKER_QUALIFICATION_NOT_FOUND)
+ *       500:
+ *         description: Internal server error
+ */
+router.put(
+  "/:id/qualifications/:qualificationId",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  setWorkerQualificationController,
+);
+router.delete(
+  "/:id/qualifications/:qualificationId",
+  requireAuthMiddleware,
+  requireAdminMiddleware,
+  removeWorkerQualificationController,
+);
+
 export default router;
@@ -6,14 +6,22 @@ import swaggerUi from "swagger-ui-express";
 import swaggerSpec from "./swagger/swaggerConfig.js";
 import authRouter from "./routes/authentication.router.js";
 import shiftsRouter from "./routes/shifts.router.js";
+import shiftSeriesRouter from "./routes/shift-series.router.js";
+import shiftSwapRouter from "./routes/shift-swap.router.js";
+import timesheetRouter from "./routes/timesheet.router.js";
+import leaveRouter from "./routes/leave.router.js";
+import qualificationRouter from "./routes/qualification.router.js";
+import calendarRouter from "./routes/calendar.router.js";
 import workerRouter from "./routes/worker.router.js";
 import locationRouter from "./routes/location.router.js";
 import { errorHandlerMiddleware } from "./middlewares/error-handler.middleware.js";
 import connectDB from "./db.js";
 import mongoose from "mongoose";
+import { startJobs, stopJobs } from "./jobs/index.js";
 
 if (process.env.NODE_ENV !== "test") {
   await connectDB();
+  startJobs();
 }
 
 const app = express();
@@ -26,6 +34,12 @@ app.use(cors());
 //api endpoints
 app.use("/api/user", authRouter);
 app.use("/api/shifts", shiftsRouter);
+app.use("/api/shift-series", shiftSeriesRouter);
+app.use("/api/shift-swaps", shiftSwapRouter);
+app.use("/api/timesheets", timesheetRouter);
+app.use("/api/leave-requests", leaveRouter);
+app.use("/api/qualifications", qualificationRouter);
+app.use("/api/calendar", calendarRouter);
 app.use("/api/workers", workerRouter);
 app.use("/api/locations", locationRouter);
 // Swagger Docs
@@ -37,6 +51,7 @@ app.listen(port, () => console.log(`Listening on localhost:${port}`));
 
 const gracefulShutdown = async (signal) => {
   console.log(`${signal}: Shutting down gracefully...`);
+  stopJobs();
   await mongoose.disconnect();
 };
 
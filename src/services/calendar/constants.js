@@ -0,0 +1,16 @@
+import { SHIFT_STATUS } from "../shift/constants.js";
+
+export const CALENDAR_FEED = Object.freeze({
+  // Past shifts kept in feeds; every upcoming shift is included
+  PAST_DAYS: 30,
+});
+
+// iCalendar event status for each shift status
+export const SHIFT_EVENT_STATUS = Object.freeze({
+  [SHIFT_STATUS.SCHEDULED]: "CONFIRMED",
+  [SHIFT_STATUS.IN_PROGRESS]: "CONFIRMED",
+  [SHIFT_STATUS.COMPLETED]: "CONFIRMED",
+  [SHIFT_STATUS.CANCELLED]: "CANCELLED",
+  // The shift was not worked, so calendars show it as called off
+  [SHIFT_STATUS.NO_SHOW]: "CANCELLED",
+});
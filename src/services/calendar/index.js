@@ -0,0 +1,174 @@
+import crypto from "node:crypto";
+import ShiftModel from "../../models/shifts.model.js";
+import UserModel from "../../models/user.model.js";
+import LocationModel from "../../models/location.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+import { getCurrentDateTime, subtractTime } from "../../utils/datetime.js";
+import { buildIcsCalendar } from "../../utils/ical.js";
+import { userShiftsQuery } from "../shift/index.js";
+import { CALENDAR_FEED, SHIFT_EVENT_STATUS } from "./constants.js";
+
+/**
+ * Hash a calendar feed token for storage and lookup
+ * @param {string} token - Token from the feed URL
+ * @returns {string} SHA-256 hex digest
+ */
+const hashFeedToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Convert a shift into a calendar event
+ * @param {Object} shift - Shift document with populated user and location
+ * @param {Object} [options]
+ * @param {boolean} [options.includeWorker=false] - Name the assigned worker in the summary
+ * @returns {import("../../utils/ical.js").CalendarEvent} Calendar event
+ */
+const shiftToCalendarEvent = (shift, { includeWorker = false } = {}) => {
+  const worker = shift.user ? shift.user.name : "Open shift";
+  const { location } = shift;
+
+  return {
+    uid: `shift-${shift._id}@orta`,
+    start: shift.startTime,
+    end: shift.finishTime,
+    updatedAt: shift.updatedAt,
+    summary: includeWorker
+      ? `${shift.title} - ${worker}`
+      : `${shift.title} (${shift.role})`,
+    description: [
+      `Role: ${shift.role}`,
+      `Status: ${shift.status}`,
+      ...(includeWorker ? [`Worker: ${worker}`] : []),
+    ].join("\n"),
+    location: [location.name, location.address].filter(Boolean).join(", "),
+    geo: location.cordinates && {
+      latitude: location.cordinates.latitude,
+      longitude: location.cordinates.longitude,
+    },
+    status: SHIFT_EVENT_STATUS[shift.status],
+  };
+};
+
+/**
+ * Find the shifts to publish in a feed: the last few weeks and everything upcoming
+ * @param {Object} baseQuery - MongoDB query selecting the feed's shifts
+ * @returns {Promise<Object[]>} Shift documents, earliest first
+ */
+const findFeedShifts = (baseQuery) =>
+  ShiftModel.find({
+    ...baseQuery,
+    finishTime: {
+      $gte: subtractTime(getCurrentDateTime(), CALENDAR_FEED.PAST_DAYS, "day"),
+    },
+  })
+    .populate("user", "name")
+    .populate("location", "name address cordinates")
+    .sort({ startTime: 1 })
+    .exec();
+
+/**
+ * Find the user a calendar feed token belongs to
+ * @param {string} token - Token from the feed URL
+ * @returns {Promise<Object>} User document
+ * @throws {AppError} If no user has this token
+ */
+const findFeedOwner = async (token) => {
+  const user = await UserModel.findOne({
+    calendarFeedTokenHash: hashFeedToken(token),
+  });
+
+  if (!user) {
+    throw new AppError({
+      message: "Calendar feed not found",
+      statusCode: 404,
+      errorCode: "CALENDAR_FEED_NOT_FOUND",
+    });
+  }
+
+  return user;
+};
+
+/**
+ * Create a new calendar feed token for a user, invalidating any previous feed URL
+ * @param {string} userId - ID of the user
+ * @returns {Promise<{token: string}>} New token; only its hash is stored, so it cannot be shown again
+ * @throws {AppError} If the user does not exist
+ */
+const rotateCalendarFeedToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  const user = await UserModel.findByIdAndUpdate(userId, {
+    calendarFeedTokenHash: hashFeedToken(token),
+  });
+
+  if (!user) {
+    throw new AppError({
+      message: "User not found",
+      statusCode: 404,
+      errorCode: "USER_NOT_FOUND",
+    });
+  }
+
+  return { token };
+};
+
+/**
+ * Build the iCalendar feed of the shifts assigned to the token's owner
+ * @param {string} token - Token from the feed URL
+ * @returns {Promise<string>} iCalendar document
+ * @throws {AppError} If the token is unknown
+ */
+const getUserCalendarFeed = async (token) => {
+  const user = await findFeedOwner(token);
+  const shifts = await findFeedShifts(userShiftsQuery(user._id));
+
+  return buildIcsCalendar({
+    name: `${user.name} - Shifts`,
+    events: shifts.map((shift) => shiftToCalendarEvent(shift)),
+  });
+};
+
+/**
+ * Build the iCalendar feed of every shift at a location. Only admins' tokens
+ * give access to location feeds.
+ * @param {string} token - Token from the feed URL
+ * @param {string} locationId - ID of the location
+ * @returns {Promise<string>} iCalendar document
+ * @throws {AppError} If the token is unknown or not an admin's, or the location does not exist
+ */
+const getLocationCalendarFeed = async (token, locationId) => {
+  const user = await findFeedOwner(token);
+
+  // Same response as an unknown token, so worker tokens reveal nothing
+  if (user.role !== "admin") {
+    throw new AppError({
+      message: "Calendar feed not found",
+      statusCode: 404,
+      errorCode: "CALENDAR_FEED_NOT_FOUND",
+    });
+  }
+
+  const location = await LocationModel.findById(locationId);
+  if (!location) {
+    throw new AppError({
+      message: "Location not found",
+      statusCode: 404,
+      errorCode: "LOCATION_NOT_FOUND",
+    });
+  }
+
+  const shifts = await findFeedShifts({ location: location._id });
+
+  return buildIcsCalendar({
+    name: `${location.name} - Shifts`,
+    events: shifts.map((shift) =>
+      shiftToCalendarEvent(shift, { includeWorker: true }),
+    ),
+  });
+};
+
+export {
+  rotateCalendarFeedToken,
+  getUserCalendarFeed,
+  getLocationCalendarFeed,
+};
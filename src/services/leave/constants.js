@@ -0,0 +1,34 @@
+export const LEAVE_TYPE = Object.freeze({
+  // Paid holiday, taken from the worker's annual allowance
+  HOLIDAY: "holiday",
+  SICK: "sick",
+  UNPAID: "unpaid",
+  OTHER: "other",
+});
+
+// Leave types counted against the annual allowance
+export const ALLOWANCE_LEAVE_TYPES = Object.freeze([LEAVE_TYPE.HOLIDAY]);
+
+export const LEAVE_REQUEST_STATUS = Object.freeze({
+  // Waiting for an admin to approve or reject it
+  PENDING: "Pending",
+  APPROVED: "Approved",
+  REJECTED: "Rejected",
+});
+
+// Requests that hold the period and count towards the balance
+export const ACTIVE_LEAVE_REQUEST_STATUSES = Object.freeze([
+  LEAVE_REQUEST_STATUS.PENDING,
+  LEAVE_REQUEST_STATUS.APPROVED,
+]);
+
+export const LEAVE_CONSTRAINTS = Object.freeze({
+  // Annual allowance of workers without their own annualLeaveDays
+  ANNUAL_ALLOWANCE_DAYS: 28,
+  // Length of a full day of leave, used to count partial days
+  HOURS_PER_DAY: 8,
+  // Longest period a single request can cover, in calendar days
+  MAX_REQUEST_DAYS: 31,
+  // Days of the week (0 is Sunday) counted for workers without weekly availability
+  WORKING_DAYS_OF_WEEK: Object.freeze([1, 2, 3, 4, 5]),
+});
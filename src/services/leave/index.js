@@ -0,0 +1,655 @@
+import LeaveRequestModel from "../../models/leave-request.model.js";
+import ShiftModel from "../../models/shifts.model.js";
+import UserModel from "../../models/user.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+import {
+  addTime,
+  createShiftDateTimes,
+  formatTimeString,
+  getCurrentDateTime,
+  getDayOfWeek,
+  getStartOfDay,
+  isBefore,
+  minutesBetween,
+} from "../../utils/datetime.js";
+import { SHIFT_STATUS } from "../shift/constants.js";
+import {
+  LEAVE_REQUEST_STATUS,
+  ACTIVE_LEAVE_REQUEST_STATUSES,
+  ALLOWANCE_LEAVE_TYPES,
+  LEAVE_CONSTRAINTS,
+} from "./constants.js";
+
+/**
+ * @typedef {Object} LeavePeriod
+ * @property {Date} startDate - First day of leave
+ * @property {Date} endDate - Last day of leave
+ * @property {{startTime: string, finishTime: string}|null} partialDay - Times off for a partial day
+ * @property {Date} startsAt - When the worker leaves
+ * @property {Date} endsAt - When the worker is back
+ * @property {number} days - Length of the leave in working days
+ */
+
+/**
+ * Format a populated user reference for API response
+ * @param {Object|null} user - Populated user document
+ * @returns {Object|null} User summary
+ */
+const formatLeaveUser = (user) =>
+  user ? { id: user._id, name: user.name, email: user.email } : null;
+
+/**
+ * Format a leave request document for API response
+ * @param {Object} leaveRequest - Leave request document with populated users
+ * @returns {Object} Formatted leave request
+ */
+const formatLeaveRequestForResponse = (leaveRequest) => ({
+  id: leaveRequest._id,
+  worker: formatLeaveUser(leaveRequest.worker),
+  type: leaveRequest.type,
+  startDate: leaveRequest.startDate,
+  endDate: leaveRequest.endDate,
+  partialDay: leaveRequest.partialDay
+    ? {
+        startTime: leaveRequest.partialDay.startTime,
+        finishTime: leaveRequest.partialDay.finishTime,
+      }
+    : null,
+  startsAt: leaveRequest.startsAt,
+  endsAt: leaveRequest.endsAt,
+  days: leaveRequest.days,
+  reason: leaveRequest.reason,
+  status: leaveRequest.status,
+  reviewedBy: formatLeaveUser(leaveRequest.reviewedBy),
+  reviewedAt: leaveRequest.reviewedAt,
+  reviewNote: leaveRequest.reviewNote,
+  createdAt: leaveRequest.createdAt,
+  updatedAt: leaveRequest.updatedAt,
+});
+
+/**
+ * Format a shift that clashes with leave for API response
+ * @param {Object} shift - Shift document
+ * @returns {Object} Shift summary
+ */
+const formatConflictingShift = (shift) => ({
+  id: shift._id,
+  title: shift.title,
+  date: shift.date,
+  startTime: formatTimeString(shift.startTime),
+  finishTime: formatTimeString(shift.finishTime),
+  status: shift.status,
+});
+
+/**
+ * Populate the user references of a leave request query
+ * @param {Object} query - Mongoose query returning leave requests
+ * @returns {Object} Populated query
+ */
+const populateLeaveRequest = (query) =>
+  query.populate("worker", "name email").populate("reviewedBy", "name email");
+
+/**
+ * Find a leave request with populated references
+ * @param {string} leaveRequestId - ID of the leave request
+ * @returns {Promise<Object>} Leave request document
+ * @throws {AppError} If the leave request does not exist
+ */
+const findLeaveRequestById = async (leaveRequestId) => {
+  const leaveRequest = await populateLeaveRequest(
+    LeaveRequestModel.findById(leaveRequestId),
+  ).exec();
+
+  if (!leaveRequest) {
+    throw new AppError({
+      message: "Leave request not found",
+      statusCode: 404,
+      errorCode: "LEAVE_REQUEST_NOT_FOUND",
+    });
+  }
+
+  return leaveRequest;
+};
+
+/**
+ * Get the days of the week a worker works: those in their weekly
+ * availability, or the standard working week if they have not set one
+ * @param {Object} worker - User document
+ * @returns {number[]} Days of the week, 0 (Sunday) to 6 (Saturday)
+ */
+const getWorkingDaysOfWeek = (worker) =>
+  worker.weeklyAvailability?.length
+    ? [...new Set(worker.weeklyAvailability.map((window) => window.dayOfWeek))]
+    : LEAVE_CONSTRAINTS.WORKING_DAYS_OF_WEEK;
+
+/**
+ * Work out the period a leave request covers. Whole days run from the start
+ * of the first day to the end of the last, and only the worker's working days
+ * are counted; a partial day covers its times on a single day.
+ * @param {Object} period
+ * @param {Date|string} period.startDate - First day of leave
+ * @param {Date|string} [period.endDate] - Last day of leave, the first day if omitted
+ * @param {{startTime: string, finishTime: string}} [period.partialDay] - Times off on a single day
+ * @param {number[]} [workingDaysOfWeek] - Days of the week counted as leave
+ * @returns {LeavePeriod} Leave period
+ * @throws {AppError} If the period is invalid, too long or has no working days
+ */
+const buildLeavePeriod = (
+  { startDate, endDate, partialDay = null },
+  workingDaysOfWeek = LEAVE_CONSTRAINTS.WORKING_DAYS_OF_WEEK,
+) => {
+  const firstDay = getStartOfDay(startDate);
+  const lastDay = getStartOfDay(endDate ?? startDate);
+
+  if (isBefore(lastDay, firstDay)) {
+    throw new AppError({
+      message: "Leave cannot end before it starts",
+      statusCode: 400,
+      errorCode: "INVALID_LEAVE_PERIOD",
+    });
+  }
+
+  if (partialDay) {
+    if (lastDay.getTime() !== firstDay.getTime()) {
+      throw new AppError({
+        message: "A partial day of leave must start and end on the same day",
+        statusCode: 400,
+        errorCode: "INVALID_LEAVE_PERIOD",
+      });
+    }
+
+    const { startDateTime, finishDateTime } = createShiftDateTimes(
+      firstDay,
+      partialDay.startTime,
+      partialDay.finishTime,
+    );
+    const minutes = minutesBetween(startDateTime, finishDateTime);
+    return {
+      startDate: firstDay,
+      endDate: lastDay,
+      partialDay,
+      startsAt: startDateTime,
+      endsAt: finishDateTime,
+      days:
+        Math.round(
+          Math.min(minutes / (LEAVE_CONSTRAINTS.HOURS_PER_DAY * 60), 1) * 100,
+        ) / 100,
+    };
+  }
+
+  const endsAt = addTime(lastDay, 1, "day");
+  // Rounded, as days around a clock change are not exactly 24 hours long
+  const calendarDays = Math.round(minutesBetween(firstDay, endsAt) / (24 * 60));
+
+  if (calendarDays > LEAVE_CONSTRAINTS.MAX_REQUEST_DAYS) {
+    throw new AppError({
+      message: `A leave request cannot cover more than ${LEAVE_CONSTRAINTS.MAX_REQUEST_DAYS} days`,
+      statusCode: 400,
+      errorCode: "INVALID_LEAVE_PERIOD",
+    });
+  }
+
+  let days = 0;
+  for (let day = 0; day < calendarDays; day++) {
+    if (
+      workingDaysOfWeek.includes(getDayOfWeek(addTime(firstDay, day, "day")))
+    ) {
+      days++;
+    }
+  }
+
+  if (days === 0) {
+    throw new AppError({
+      message: "Leave must include at least one working day",
+      statusCode: 400,
+      errorCode: "INVALID_LEAVE_PERIOD",
+    });
+  }
+
+  return {
+    startDate: firstDay,
+    endDate: lastDay,
+    partialDay: null,
+    startsAt: firstDay,
+    endsAt,
+    days,
+  };
+};
+
+/**
+ * Find a worker by ID
+ * @param {string} workerId - ID of the worker
+ * @returns {Promise<Object>} User document
+ * @throws {AppError} If the worker does not exist
+ */
+const findWorker = async (workerId) => {
+  const worker = await UserModel.findById(workerId);
+  if (!worker) {
+    throw new AppError({
+      message: "User not found",
+      statusCode: 404,
+      errorCode: "USER_NOT_FOUND",
+    });
+  }
+  return worker;
+};
+
+/**
+ * Add up a worker's leave counted against the allowance of a year, by status.
+ * Leave counts towards the year it starts in.
+ * @param {string} workerId - ID of the worker
+ * @param {number} year - Leave year
+ * @param {string} [excludeLeaveRequestId] - Request to leave out (the one being reviewed)
+ * @returns {Promise<{approvedDays: number, pendingDays: number}>} Days approved and waiting for approval
+ */
+const sumAllowanceLeave = async (workerId, year, excludeLeaveRequestId) => {
+  const query = {
+    worker: workerId,
+    type: { $in: ALLOWANCE_LEAVE_TYPES },
+    status: { $in: ACTIVE_LEAVE_REQUEST_STATUSES },
+    startDate: { $gte: new Date(year, 0, 1), $lt: new Date(year + 1, 0, 1) },
+  };
+
+  if (excludeLeaveRequestId) {
+    query._id = { $ne: excludeLeaveRequestId };
+  }
+
+  const leaveRequests = await LeaveRequestModel.find(query)
+    .select("days status")
+    .exec();
+
+  const sumDays = (status) =>
+    Math.round(
+      leaveRequests
+        .filter((leaveRequest) => leaveRequest.status === status)
+        .reduce((total, leaveRequest) => total + leaveRequest.days, 0) * 100,
+    ) / 100;
+
+  return {
+    approvedDays: sumDays(LEAVE_REQUEST_STATUS.APPROVED),
+    pendingDays: sumDays(LEAVE_REQUEST_STATUS.PENDING),
+  };
+};
+
+/**
+ * Work out a worker's leave balance for a year
+ * @param {Object} worker - User document
+ * @param {number} year - Leave year
+ * @param {string} [excludeLeaveRequestId] - Request to leave out (the one being reviewed)
+ * @returns {Promise<Object>} Allowance, approved, pending and remaining days
+ */
+const calculateLeaveBalance = async (worker, year, excludeLeaveRequestId) => {
+  const allowanceDays =
+    worker.annualLeaveDays ?? LEAVE_CONSTRAINTS.ANNUAL_ALLOWANCE_DAYS;
+  const { approvedDays, pendingDays } = await sumAllowanceLeave(
+    worker._id,
+    year,
+    excludeLeaveRequestId,
+  );
+
+  return {
+    year,
+    allowanceDays,
+    approvedDays,
+    pendingDays,
+    remainingDays:
+      Math.round((allowanceDays - approvedDays - pendingDays) * 100) / 100,
+  };
+};
+
+/**
+ * Ensure a request fits in what is left of the worker's allowance
+ * @param {number} remainingDays - Days left in the allowance
+ * @param {number} days - Days requested
+ * @throws {AppError} If the request needs more days than are left
+ */
+const assertWithinAllowance = (remainingDays, days) => {
+  if (days > remainingDays) {
+    throw new AppError({
+      message: `Not enough leave left: ${days} days requested, ${remainingDays} remaining`,
+      statusCode: 409,
+      errorCode: "INSUFFICIENT_LEAVE_BALANCE",
+      details: { days, remainingDays },
+    });
+  }
+};
+
+/**
+ * Find a worker's upcoming shifts that clash with a leave request
+ * @param {Object} leaveRequest - Leave request document
+ * @returns {Promise<Object[]>} Scheduled shifts during the leave, in start order
+ */
+const findConflictingShifts = (leaveRequest) =>
+  ShiftModel.find({
+    user: leaveRequest.worker._id ?? leaveRequest.worker,
+    status: SHIFT_STATUS.SCHEDULED,
+    startTime: { $lt: leaveRequest.endsAt },
+    finishTime: { $gt: leaveRequest.startsAt },
+  })
+    .sort({ startTime: 1 })
+    .exec();
+
+/**
+ * Submit a leave request for a worker. Holiday must fit in what is left of
+ * the worker's allowance for the year, counting requests still pending.
+ * @param {string} workerId - ID of the worker
+ * @param {Object} requestData - Leave request data
+ * @param {string} requestData.type - One of LEAVE_TYPE
+ * @param {Date|string} requestData.startDate - First day of leave
+ * @param {Date|string} [requestData.endDate] - Last day of leave, the first day if omitted
+ * @param {{startTime: string, finishTime: string}} [requestData.partialDay] - Times off on a single day
+ * @param {string} [requestData.reason] - Note for the admin
+ * @returns {Promise<{leaveRequest: Object}>} Created leave request
+ * @throws {AppError} If the period is invalid, overlaps another request or exceeds the allowance
+ */
+const createLeaveRequest = async (workerId, requestData) => {
+  const { type, reason = null } = requestData;
+  const worker = await findWorker(workerId);
+  const period = buildLeavePeriod(requestData, getWorkingDaysOfWeek(worker));
+
+  const overlappingRequest = await LeaveRequestModel.findOne({
+    worker: workerId,
+    status: { $in: ACTIVE_LEAVE_REQUEST_STATUSES },
+    startsAt: { $lt: period.endsAt },
+    endsAt: { $gt: period.startsAt },
+  });
+  if (overlappingRequest) {
+    throw new AppError({
+      message: "Leave overlaps another of your leave requests",
+      statusCode: 409,
+      errorCode: "LEAVE_REQUEST_OVERLAP",
+      details: { leaveRequestId: overlappingRequest._id.toString() },
+    });
+  }
+
+  if (ALLOWANCE_LEAVE_TYPES.includes(type)) {
+    const { remainingDays } = await calculateLeaveBalance(
+      worker,
+      period.startDate.getFullYear(),
+    );
+    assertWithinAllowance(remainingDays, period.days);
+  }
+
+  const leaveRequest = await LeaveRequestModel.create({
+    worker: workerId,
+    type,
+    reason,
+    ...period,
+  });
+
+  return {
+    leaveRequest: formatLeaveRequestForResponse(
+      await findLeaveRequestById(leaveRequest._id),
+    ),
+  };
+};
+
+/**
+ * Get all leave requests (admin only)
+ * @param {Object} options - Query options
+ * @param {string} [options.status] - Filter by leave request status
+ * @param {string} [options.worker] - Filter by worker ID
+ * @returns {Promise<{leaveRequests: Object[]}>} Leave requests, soonest first
+ */
+const getLeaveRequests = async (options = {}) => {
+  const query = {};
+  if (options.status) {
+    query.status = options.status;
+  }
+  if (options.worker) {
+    query.worker = options.worker;
+  }
+
+  const leaveRequests = await populateLeaveRequest(
+    LeaveRequestModel.find(query).sort({ startsAt: 1 }),
+  ).exec();
+
+  return {
+    leaveRequests: leaveRequests.map(formatLeaveRequestForResponse),
+  };
+};
+
+/**
+ * Get a worker's own leave requests
+ * @param {string} workerId - ID of the worker
+ * @param {Object} options - Query options
+ * @param {string} [options.status] - Filter by leave request status
+ * @returns {Promise<{leaveRequests: Object[]}>} Leave requests, soonest first
+ */
+const getUserLeaveRequests = (workerId, options = {}) =>
+  getLeaveRequests({ ...options, worker: workerId });
+
+/**
+ * Get a worker's leave balance for a year
+ * @param {string} workerId - ID of the worker
+ * @param {Object} options - Query options
+ * @param {number} [options.year] - Leave year, the current year by default
+ * @returns {Promise<{balance: Object}>} Allowance, approved, pending and remaining days
+ * @throws {AppError} If the worker does not exist
+ */
+const getLeaveBalance = async (workerId, options = {}) => {
+  const worker = await findWorker(workerId);
+  const year = options.year ?? getCurrentDateTime().getFullYear();
+
+  return { balance: await calculateLeaveBalance(worker, year) };
+};
+
+/**
+ * Ensure a leave request is still waiting for a decision
+ * @param {Object} leaveRequest - Leave request document
+ * @param {string} action - Action attempted, for the error message
+ * @throws {AppError} If the request is no longer pending
+ */
+const assertLeaveRequestPending = (leaveRequest, action) => {
+  if (leaveRequest.status !== LEAVE_REQUEST_STATUS.PENDING) {
+    throw new AppError({
+      message: `Cannot ${action} leave request as it is ${leaveRequest.status}`,
+      statusCode: 400,
+      errorCode: "INVALID_LEAVE_REQUEST_STATUS",
+    });
+  }
+};
+
+/**
+ * Record an admin's decision on a pending leave request. The update is
+ * conditional on the request still being pending, so two admins cannot both
+ * decide it.
+ * @param {string} leaveRequestId - ID of the leave request
+ * @param {string} status - New status
+ * @param {string} adminId - ID of the deciding admin
+ * @param {string|null} note - Note for the worker
+ * @returns {Promise<Object>} Updated leave request with populated references
+ * @throws {AppError} If the request was decided meanwhile
+ */
+const reviewLeaveRequest = async (leaveRequestId, status, adminId, note) => {
+  const reviewedRequest = await LeaveRequestModel.findOneAndUpdate(
+    { _id: leaveRequestId, status: LEAVE_REQUEST_STATUS.PENDING },
+    {
+      status,
+      reviewedBy: adminId,
+      reviewedAt: getCurrentDateTime(),
+      reviewNote: note,
+    },
+  );
+
+  if (!reviewedRequest) {
+    throw new AppError({
+      message: "Leave request has already been reviewed",
+      statusCode: 409,
+      errorCode: "LEAVE_REQUEST_ALREADY_REVIEWED",
+    });
+  }
+
+  return findLeaveRequestById(leaveRequestId);
+};
+
+/**
+ * Check an approval still fits in the worker's allowance once written, as
+ * another request may have been approved since the check before it.
+ * Approvals are ordered by when they were written (then by ID), and only
+ * the approval that takes the worker over the allowance is undone: it goes
+ * back to pending with the review fields it had before, while approvals
+ * written earlier keep their reviewer and note.
+ * @param {Object} approvedRequest - Approved leave request with populated references
+ * @param {Object} pendingRequest - The same request as read before approval
+ * @throws {AppError} If earlier approvals leave no room for this one
+ */
+const assertApprovalWithinAllowance = async (
+  approvedRequest,
+  pendingRequest,
+) => {
+  const worker = await findWorker(approvedRequest.worker._id);
+  const allowanceDays =
+    worker.annualLeaveDays ?? LEAVE_CONSTRAINTS.ANNUAL_ALLOWANCE_DAYS;
+  const year = approvedRequest.startDate.getFullYear();
+  const { reviewedAt } = approvedRequest;
+
+  const earlierApprovals = await LeaveRequestModel.find({
+    worker: worker._id,
+    type: { $in: ALLOWANCE_LEAVE_TYPES },
+    status: LEAVE_REQUEST_STATUS.APPROVED,
+    startDate: { $gte: new Date(year, 0, 1), $lt: new Date(year + 1, 0, 1) },
+    $or: [
+      { reviewedAt: { $lt: reviewedAt } },
+      { reviewedAt, _id: { $lt: approvedRequest._id } },
+    ],
+  })
+    .select("days")
+    .exec();
+  const remainingDays =
+    Math.round(
+      (allowanceDays -
+        earlierApprovals.reduce(
+          (total, leaveRequest) => total + leaveRequest.days,
+          0,
+        )) *
+        100,
+    ) / 100;
+
+  if (approvedRequest.days <= remainingDays) {
+    return;
+  }
+
+  await LeaveRequestModel.updateOne(
+    {
+      _id: approvedRequest._id,
+      status: LEAVE_REQUEST_STATUS.APPROVED,
+      reviewedAt,
+    },
+    {
+      status: LEAVE_REQUEST_STATUS.PENDING,
+      reviewedBy: pendingRequest.reviewedBy?._id ?? null,
+      reviewedAt: pendingRequest.reviewedAt ?? null,
+      reviewNote: pendingRequest.reviewNote ?? null,
+    },
+  );
+
+  assertWithinAllowance(remainingDays, approvedRequest.days);
+};
+
+/**
+ * Approve a pending leave request. From then on the worker cannot be
+ * assigned shifts during the leave; shifts they already have are returned so
+ * they can be reassigned.
+ * @param {string} leaveRequestId - ID of the leave request
+ * @param {string} adminId - ID of the approving admin
+ * @param {Object} [options]
+ * @param {string} [options.note] - Note for the worker
+ * @returns {Promise<{leaveRequest: Object, conflictingShifts: Object[]}>} Approved request and the worker's clashing shifts
+ * @throws {AppError} If the request is not pending or exceeds the worker's allowance
+ */
+const approveLeaveRequest = async (
+  leaveRequestId,
+  adminId,
+  { note = null } = {},
+) => {
+  const leaveRequest = await findLeaveRequestById(leaveRequestId);
+  assertLeaveRequestPending(leaveRequest, "approve");
+
+  if (ALLOWANCE_LEAVE_TYPES.includes(leaveRequest.type)) {
+    const worker = await findWorker(leaveRequest.worker._id);
+    // Other pending requests may still be rejected, so only approved leave counts
+    const { allowanceDays, approvedDays } = await calculateLeaveBalance(
+      worker,
+      leaveRequest.startDate.getFullYear(),
+      leaveRequestId,
+    );
+    assertWithinAllowance(
+      Math.round((allowanceDays - approvedDays) * 100) / 100,
+      leaveRequest.days,
+    );
+  }
+
+  const approvedRequest = await reviewLeaveRequest(
+    leaveRequestId,
+    LEAVE_REQUEST_STATUS.APPROVED,
+    adminId,
+    note,
+  );
+
+  if (ALLOWANCE_LEAVE_TYPES.includes(leaveRequest.type)) {
+    await assertApprovalWithinAllowance(approvedRequest, leaveRequest);
+  }
+
+  const conflictingShifts = await findConflictingShifts(approvedRequest);
+
+  return {
+    leaveRequest: formatLeaveRequestForResponse(approvedRequest),
+    conflictingShifts: conflictingShifts.map(formatConflictingShift),
+  };
+};
+
+/**
+ * Reject a pending leave request
+ * @param {string} leaveRequestId - ID of the leave request
+ * @param {string} adminId - ID of the rejecting admin
+ * @param {Object} [options]
+ * @param {string} [options.note] - Note for the worker
+ * @returns {Promise<{leaveRequest: Object}>} Rejected request
+ * @throws {AppError} If the request is not pending
+ */
+const rejectLeaveRequest = async (
+  leaveRequestId,
+  adminId,
+  { note = null } = {},
+) => {
+  const leaveRequest = await findLeaveRequestById(leaveRequestId);
+  assertLeaveRequestPending(leaveRequest, "reject");
+
+  return {
+    leaveRequest: formatLeaveRequestForResponse(
+      await reviewLeaveRequest(
+        leaveRequestId,
+        LEAVE_REQUEST_STATUS.REJECTED,
+        adminId,
+        note,
+      ),
+    ),
+  };
+};
+
+/**
+ * List the worker's scheduled shifts that clash with a leave request, e.g.
+ * to find which still need reassigning after approval (admin only)
+ * @param {string} leaveRequestId - ID of the leave request
+ * @returns {Promise<{conflictingShifts: Object[]}>} Clashing shifts, in start order
+ * @throws {AppError} If the leave request does not exist
+ */
+const getLeaveRequestConflicts = async (leaveRequestId) => {
+  const leaveRequest = await findLeaveRequestById(leaveRequestId);
+  const conflictingShifts = await findConflictingShifts(leaveRequest);
+
+  return { conflictingShifts: conflictingShifts.map(formatConflictingShift) };
+};
+
+export {
+  formatLeaveRequestForResponse,
+  buildLeavePeriod,
+  createLeaveRequest,
+  getLeaveRequests,
+  getUserLeaveRequests,
+  getLeaveBalance,
+  approveLeaveRequest,
+  rejectLeaveRequest,
+  getLeaveRequestConflicts,
+};
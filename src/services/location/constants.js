@@ -0,0 +1,10 @@
+export const COVERAGE_CONSTRAINTS = Object.freeze({
+  // Longest date range one coverage report can cover, in days
+  MAX_RANGE_DAYS: 62,
+
+  // A shift counts toward a staffing slot when it covers at least half of it
+  MIN_OVERLAP_RATIO: 0.5,
+
+  // Most staffing requirements a location can have
+  MAX_REQUIREMENTS: 100,
+});
@@ -17,6 +17,8 @@ const getLocations = async () => {
  * @param {Object} locationData.cordinates - Location coordinates
  * @param {number} locationData.cordinates.longitude - Longitude
  * @param {number} locationData.cordinates.latitude - Latitude
+ * @param {boolean} [locationData.cordinates.useRotaCloud] - Whether the geofence is enforced
+ * @param {number} [locationData.geofenceRadius] - Geofence radius in metres
  * @returns {Promise<Object>} Location document
  */
 const createOrUpdateLocation = async (locationData) => {
@@ -26,10 +28,19 @@ const createOrUpdateLocation = async (locationData) => {
     location = new LocationModel(locationData);
     await location.save();
   } else {
-    await LocationModel.findByIdAndUpdate(location._id, locationData, {
-      new: true,
-      runValidators: true,
-    });
+    // Keep settings such as useRotaCloud that the caller did not send
+    const cordinates = locationData.cordinates && {
+      ...location.cordinates.toObject(),
+      ...locationData.cordinates,
+    };
+    await LocationModel.findByIdAndUpdate(
+      location._id,
+      { ...locationData, ...(cordinates && { cordinates }) },
+      {
+        new: true,
+        runValidators: true,
+      },
+    );
   }
 
   return location._id;
@@ -0,0 +1,280 @@
+import LocationModel from "../../models/location.model.js";
+import ShiftModel from "../../models/shifts.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+import {
+  addTime,
+  createShiftDateTimes,
+  formatTimeString,
+  getDayOfWeek,
+  getStartOfDay,
+  isAfter,
+  isBefore,
+  minutesBetween,
+} from "../../utils/datetime.js";
+import { SHIFT_STATUS } from "../shift/constants.js";
+import { normaliseRole } from "../qualification/index.js";
+import { COVERAGE_CONSTRAINTS } from "./constants.js";
+
+/**
+ * @typedef {Object} StaffingRequirement
+ * @property {number} dayOfWeek - Day the time band starts on, 0 (Sunday) to 6
+ * @property {string} startTime - Start of the time band in HH:MM format
+ * @property {string} finishTime - Finish of the time band in HH:MM format, the next day if not after the start
+ * @property {string} role - Shift role, matched ignoring case
+ * @property {number} count - Number of workers needed
+ */
+
+// Shifts that staff a slot; cancelled shifts and no-shows do not
+const STAFFED_SHIFT_STATUSES = Object.freeze([
+  SHIFT_STATUS.SCHEDULED,
+  SHIFT_STATUS.IN_PROGRESS,
+  SHIFT_STATUS.COMPLETED,
+]);
+
+/**
+ * Format a location's staffing requirements for API responses
+ * @param {Object} location - Location document
+ * @returns {{location: {id: string, name: string}, staffingRequirements: Object[]}}
+ */
+const formatStaffingRequirementsForResponse = (location) => ({
+  location: { id: location._id, name: location.name },
+  staffingRequirements: location.staffingRequirements.map(
+    ({ _id, dayOfWeek, startTime, finishTime, role, count }) => ({
+      id: _id,
+      dayOfWeek,
+      startTime,
+      finishTime,
+      role,
+      count,
+    }),
+  ),
+});
+
+/**
+ * Find a location by ID
+ * @param {string} locationId - ID of the location
+ * @returns {Promise<Object>} Location document
+ * @throws {AppError} If the location does not exist
+ */
+const findLocation = async (locationId) => {
+  const location = await LocationModel.findById(locationId);
+  if (!location) {
+    throw new AppError({
+      message: "Location not found",
+      statusCode: 404,
+      errorCode: "LOCATION_NOT_FOUND",
+    });
+  }
+  return location;
+};
+
+/**
+ * Get a location's staffing requirements
+ * @param {string} locationId - ID of the location
+ * @returns {Promise<Object>} Staffing requirements, see formatStaffingRequirementsForResponse
+ * @throws {AppError} If the location does not exist
+ */
+const getStaffingRequirements = async (locationId) =>
+  formatStaffingRequirementsForResponse(await findLocation(locationId));
+
+/**
+ * Replace a location's staffing requirements
+ * @param {string} locationId - ID of the location
+ * @param {StaffingRequirement[]} staffingRequirements - New requirements, empty to clear them
+ * @returns {Promise<Object>} Updated staffing requirements
+ * @throws {AppError} If the location does not exist, or two requirements share a day, time band and role
+ */
+const setStaffingRequirements = async (locationId, staffingRequirements) => {
+  const location = await findLocation(locationId);
+
+  const seen = new Set();
+  staffingRequirements.forEach((requirement, index) => {
+    const key = [
+      requirement.dayOfWeek,
+      requirement.startTime,
+      requirement.finishTime,
+      normaliseRole(requirement.role),
+    ].join("|");
+    if (seen.has(key)) {
+      throw new AppError({
+        message:
+          "Each role can only have one requirement per day and time band",
+        statusCode: 400,
+        errorCode: "DUPLICATE_STAFFING_REQUIREMENT",
+        details: { index },
+      });
+    }
+    seen.add(key);
+  });
+
+  location.staffingRequirements = staffingRequirements;
+  await location.save();
+
+  return formatStaffingRequirementsForResponse(location);
+};
+
+/**
+ * Summarise a shift counted toward a staffing slot
+ * @param {Object} shift - Shift document with populated user
+ * @returns {Object}
+ */
+const summariseSlotShift = (shift) => ({
+  id: shift._id,
+  title: shift.title,
+  status: shift.status,
+  startTime: formatTimeString(shift.startTime),
+  finishTime: formatTimeString(shift.finishTime),
+  user: { id: shift.user._id, name: shift.user.name },
+});
+
+/**
+ * Check whether a shift covers enough of a slot to count toward it, see
+ * COVERAGE_CONSTRAINTS.MIN_OVERLAP_RATIO
+ * @param {{startTime: Date, finishTime: Date}} shift - Shift window
+ * @param {{startsAt: Date, endsAt: Date}} slot - Slot window
+ * @returns {boolean}
+ */
+const coversSlot = (shift, slot) => {
+  const overlapStart = isAfter(shift.startTime, slot.startsAt)
+    ? shift.startTime
+    : slot.startsAt;
+  const overlapEnd = isBefore(shift.finishTime, slot.endsAt)
+    ? shift.finishTime
+    : slot.endsAt;
+
+  return (
+    minutesBetween(overlapStart, overlapEnd) >=
+    minutesBetween(slot.startsAt, slot.endsAt) *
+      COVERAGE_CONSTRAINTS.MIN_OVERLAP_RATIO
+  );
+};
+
+/**
+ * Turn a location's staffing requirements into dated slots
+ * @param {Object} location - Location document
+ * @param {Date} from - First day
+ * @param {Date} to - Last day (inclusive)
+ * @returns {Array<Object>} Slots by start, with the location, date, band, role and count
+ */
+const expandStaffingRequirements = (location, from, to) => {
+  const slots = [];
+  for (
+    let day = getStartOfDay(from);
+    !isAfter(day, to);
+    day = addTime(day, 1, "day")
+  ) {
+    const dayOfWeek = getDayOfWeek(day);
+    location.staffingRequirements
+      .filter((requirement) => requirement.dayOfWeek === dayOfWeek)
+      .forEach((requirement) => {
+        const { startDateTime, finishDateTime } = createShiftDateTimes(
+          day,
+          requirement.startTime,
+          requirement.finishTime,
+        );
+        slots.push({
+          location: { id: location._id, name: location.name },
+          date: day,
+          dayOfWeek,
+          startTime: requirement.startTime,
+          finishTime: requirement.finishTime,
+          startsAt: startDateTime,
+          endsAt: finishDateTime,
+          role: requirement.role,
+          required: requirement.count,
+        });
+      });
+  }
+  return slots.sort((a, b) => a.startsAt - b.startsAt);
+};
+
+/**
+ * Compare locations' staffing requirements with their shifts over a date
+ * range. A slot is one requirement on one day; assigned shifts of the same
+ * role count toward it when they cover enough of it, and open shifts that
+ * would count are listed so they can be filled.
+ * @param {Object} params
+ * @param {Date} params.from - First day of the range
+ * @param {Date} params.to - Last day of the range (inclusive)
+ * @param {string} [params.location] - Only this location, instead of every location with requirements
+ * @returns {Promise<Object>} Summary counts, and the under- and over-staffed slots with their gap
+ * (scheduled minus required) and the shifts counted toward them
+ * @throws {AppError} If the location does not exist
+ */
+const getCoverage = async ({ from, to, location }) => {
+  const locations = location
+    ? [await findLocation(location)]
+    : await LocationModel.find({ "staffingRequirements.0": { $exists: true } })
+        .sort({ name: 1 })
+        .exec();
+
+  const slots = locations.flatMap((locationDoc) =>
+    expandStaffingRequirements(locationDoc, from, to),
+  );
+
+  const summary = {
+    slots: slots.length,
+    met: 0,
+    understaffed: 0,
+    overstaffed: 0,
+    missingStaff: 0,
+  };
+  const report = { from, to, summary, understaffed: [], overstaffed: [] };
+
+  if (slots.length === 0) {
+    return report;
+  }
+
+  const rangeStart = slots[0].startsAt;
+  const rangeEnd = slots.reduce(
+    (latest, slot) => (isAfter(slot.endsAt, latest) ? slot.endsAt : latest),
+    slots[0].endsAt,
+  );
+  const shifts = await ShiftModel.find({
+    location: { $in: locations.map((locationDoc) => locationDoc._id) },
+    status: { $in: STAFFED_SHIFT_STATUSES },
+    startTime: { $lt: rangeEnd },
+    finishTime: { $gt: rangeStart },
+  })
+    .populate("user", "name")
+    .sort({ startTime: 1 })
+    .exec();
+
+  slots.forEach((slot) => {
+    const matching = shifts.filter(
+      (shift) =>
+        shift.location.equals(slot.location.id) &&
+        normaliseRole(shift.role) === normaliseRole(slot.role) &&
+        coversSlot(shift, slot),
+    );
+    const staffed = matching.filter((shift) => shift.user);
+    const gap = staffed.length - slot.required;
+
+    if (gap === 0) {
+      summary.met++;
+      return;
+    }
+
+    const entry = {
+      ...slot,
+      scheduled: staffed.length,
+      gap,
+      shifts: staffed.map(summariseSlotShift),
+      openShiftIds: matching
+        .filter((shift) => !shift.user)
+        .map((shift) => shift._id),
+    };
+    if (gap < 0) {
+      summary.understaffed++;
+      summary.missingStaff -= gap;
+      report.understaffed.push(entry);
+    } else {
+      summary.overstaffed++;
+      report.overstaffed.push(entry);
+    }
+  });
+
+  return report;
+};
+
+export { getStaffingRequirements, setStaffingRequirements, getCoverage };
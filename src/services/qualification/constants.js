@@ -0,0 +1,14 @@
+// Why a worker does not meet one of a shift's required qualifications
+export const QUALIFICATION_GAP = Object.freeze({
+  // The worker does not hold the qualification
+  MISSING: "missing",
+  // The worker's certification expires before the shift finishes
+  EXPIRED: "expired",
+});
+
+export const QUALIFICATION_CONSTRAINTS = Object.freeze({
+  // Days ahead the expiry report looks when none are given
+  DEFAULT_EXPIRY_REPORT_DAYS: 30,
+  // Furthest ahead the expiry report can look
+  MAX_EXPIRY_REPORT_DAYS: 365,
+});
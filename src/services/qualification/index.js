@@ -0,0 +1,209 @@
+import QualificationModel from "../../models/qualification.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+
+/**
+ * Normalise a shift role for comparing roles, e.g. against requiredForRoles
+ * or staffing requirements
+ * @param {string} role - Shift role, e.g. "Senior Carer"
+ * @returns {string} Trimmed, lower-cased role
+ */
+const normaliseRole = (role) => role.trim().toLowerCase();
+
+/**
+ * Format a qualification for API responses
+ * @param {Object} qualification - Qualification document
+ * @returns {{id: string, name: string, description: string|null, requiredForRoles: string[]}}
+ */
+const formatQualificationForResponse = (qualification) => ({
+  id: qualification._id,
+  name: qualification.name,
+  description: qualification.description,
+  requiredForRoles: qualification.requiredForRoles,
+  createdAt: qualification.createdAt,
+  updatedAt: qualification.updatedAt,
+});
+
+/**
+ * Ensure no other qualification has the same name, ignoring case
+ * @param {string} name - Qualification name
+ * @param {string} [excludeQualificationId] - Qualification to ignore (the one being updated)
+ * @throws {AppError} If the name is taken
+ */
+const assertNameAvailable = async (name, excludeQualificationId) => {
+  const query = { name };
+  if (excludeQualificationId) {
+    query._id = { $ne: excludeQualificationId };
+  }
+
+  const existing = await QualificationModel.findOne(query)
+    .collation({ locale: "en", strength: 2 })
+    .exec();
+  if (existing) {
+    throw new AppError({
+      message: "A qualification with this name already exists",
+      statusCode: 409,
+      errorCode: "QUALIFICATION_EXISTS",
+      details: { qualificationId: existing._id.toString() },
+    });
+  }
+};
+
+/**
+ * Add a qualification to the catalogue
+ * @param {Object} qualificationData
+ * @param {string} qualificationData.name - Name, e.g. "Manual Handling"
+ * @param {string} [qualificationData.description] - Description
+ * @param {string[]} [qualificationData.requiredForRoles] - Shift roles that require it
+ * @returns {Promise<{qualification: Object}>} Created qualification
+ * @throws {AppError} If a qualification with the same name exists
+ */
+const createQualification = async ({
+  name,
+  description = null,
+  requiredForRoles = [],
+}) => {
+  await assertNameAvailable(name);
+
+  const qualification = await QualificationModel.create({
+    name,
+    description,
+    requiredForRoles: [...new Set(requiredForRoles.map(normaliseRole))],
+  });
+
+  return { qualification: formatQualificationForResponse(qualification) };
+};
+
+/**
+ * Get the qualification catalogue
+ * @returns {Promise<{qualifications: Object[]}>} Qualifications by name
+ */
+const getQualifications = async () => {
+  const qualifications = await QualificationModel.find()
+    .collation({ locale: "en" })
+    .sort({ name: 1 })
+    .exec();
+
+  return { qualifications: qualifications.map(formatQualificationForResponse) };
+};
+
+/**
+ * Update a qualification in the catalogue
+ * @param {string} qualificationId - ID of the qualification
+ * @param {Object} qualificationData - Fields to update
+ * @param {string} [qualificationData.name] - Name
+ * @param {string|null} [qualificationData.description] - Description
+ * @param {string[]} [qualificationData.requiredForRoles] - Shift roles that require it, replacing the current ones
+ * @returns {Promise<{qualification: Object}>} Updated qualification
+ * @throws {AppError} If the qualification does not exist or the name is taken
+ */
+const updateQualification = async (qualificationId, qualificationData) => {
+  const qualification = await QualificationModel.findById(qualificationId);
+  if (!qualification) {
+    throw new AppError({
+      message: "Qualification not found",
+      statusCode: 404,
+      errorCode: "QUALIFICATION_NOT_FOUND",
+    });
+  }
+
+  const { name, description, requiredForRoles } = qualificationData;
+  if (name !== undefined) {
+    await assertNameAvailable(name, qualificationId);
+    qualification.name = name;
+  }
+  if (description !== undefined) {
+    qualification.description = description;
+  }
+  if (requiredForRoles !== undefined) {
+    qualification.requiredForRoles = [
+      ...new Set(requiredForRoles.map(normaliseRole)),
+    ];
+  }
+
+  await qualification.save();
+  return { qualification: formatQualificationForResponse(qualification) };
+};
+
+/**
+ * Ensure qualifications exist in the catalogue
+ * @param {string[]} qualificationIds - IDs of the qualifications
+ * @throws {AppError} If any of them does not exist
+ */
+const assertQualificationsExist = async (qualificationIds) => {
+  const uniqueIds = [...new Set(qualificationIds.map(String))];
+  const count = await QualificationModel.countDocuments({
+    _id: { $in: uniqueIds },
+  });
+
+  if (count !== uniqueIds.length) {
+    throw new AppError({
+      message: "Qualification not found",
+      statusCode: 404,
+      errorCode: "QUALIFICATION_NOT_FOUND",
+    });
+  }
+};
+
+/**
+ * Find the qualifications a shift requires: those required for its role and
+ * those set on the shift itself
+ * @param {Object} shift
+ * @param {string} shift.role - Shift role
+ * @param {Array<string|Object>} [shift.requiredQualifications] - IDs of qualifications set on the shift
+ * @returns {Promise<Object[]>} Qualification documents
+ */
+const findRequiredQualifications = ({ role, requiredQualifications = [] }) =>
+  QualificationModel.find({
+    $or: [
+      { requiredForRoles: normaliseRole(role) },
+      { _id: { $in: requiredQualifications } },
+    ],
+  }).exec();
+
+/**
+ * Find the qualifications each of several shifts requires with a single
+ * query, matching them to the shifts as findRequiredQualifications does
+ * @param {Array<{_id: Object, role: string, requiredQualifications?: Array<string|Object>}>} shifts
+ * @returns {Promise<Map<string, Object[]>>} Qualification documents keyed by shift ID
+ */
+const findRequiredQualificationsForShifts = async (shifts) => {
+  const qualificationIds = (shift) =>
+    (shift.requiredQualifications ?? []).map((id) => (id._id ?? id).toString());
+
+  const qualifications = await QualificationModel.find({
+    $or: [
+      {
+        requiredForRoles: {
+          $in: [...new Set(shifts.map((shift) => normaliseRole(shift.role)))],
+        },
+      },
+      { _id: { $in: [...new Set(shifts.flatMap(qualificationIds))] } },
+    ],
+  }).exec();
+
+  return new Map(
+    shifts.map((shift) => {
+      const role = normaliseRole(shift.role);
+      const ids = new Set(qualificationIds(shift));
+      return [
+        shift._id.toString(),
+        qualifications.filter(
+          (qualification) =>
+            qualification.requiredForRoles.includes(role) ||
+            ids.has(qualification._id.toString()),
+        ),
+      ];
+    }),
+  );
+};
+
+export {
+  normaliseRole,
+  formatQualificationForResponse,
+  createQualification,
+  getQualifications,
+  updateQualification,
+  assertQualificationsExist,
+  findRequiredQualifications,
+  findRequiredQualificationsForShifts,
+};
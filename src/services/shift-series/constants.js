@@ -0,0 +1,26 @@
+export const SERIES_FREQUENCY = Object.freeze({
+  DAILY: "daily",
+  WEEKLY: "weekly",
+});
+
+export const SERIES_STATUS = Object.freeze({
+  ACTIVE: "Active",
+  ENDED: "Ended",
+});
+
+export const SERIES_EDIT_SCOPE = Object.freeze({
+  // Only the selected occurrence
+  THIS: "this",
+  // The selected occurrence and every later one (splits the series)
+  FOLLOWING: "following",
+  // Every upcoming occurrence of the series
+  ALL: "all",
+});
+
+export const SERIES_CONSTRAINTS = Object.freeze({
+  // Maximum number of occurrences a single series can generate
+  MAX_OCCURRENCES: 366,
+
+  // Maximum number of days between the series start date and its last occurrence
+  MAX_SPAN_DAYS: 731,
+});
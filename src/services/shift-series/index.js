@@ -0,0 +1,569 @@
+import ShiftSeriesModel from "../../models/shift-series.model.js";
+import ShiftModel from "../../models/shifts.model.js";
+import UserModel from "../../models/user.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+import { serialiseBatchError } from "../../utils/errors/utils.js";
+import { runInTransaction } from "../../utils/transaction.js";
+import {
+  getCurrentDateTime,
+  getStartOfDay,
+  addTime,
+  subtractTime,
+  isAfter,
+  isBefore,
+} from "../../utils/datetime.js";
+import { createOrUpdateLocation } from "../location/index.js";
+import {
+  formatShiftForResponse,
+  createShift,
+  updateShift,
+  removeSeriesOccurrence,
+  cancelShift,
+} from "../shift/index.js";
+import { SHIFT_STATUS, SHIFT_HISTORY_SOURCE } from "../shift/constants.js";
+import { SERIES_EDIT_SCOPE, SERIES_STATUS } from "./constants.js";
+import {
+  toDayKey,
+  expandRecurrence,
+  countOccurrencesBefore,
+} from "./recurrence.js";
+
+const TEMPLATE_FIELDS = [
+  "title",
+  "role",
+  "typeOfShift",
+  "startTime",
+  "finishTime",
+  "numOfShiftsPerDay",
+];
+
+/**
+ * Format a shift series document for API response
+ * @param {Object} series - Mongoose shift series document with populated user and location
+ * @returns {Object} Formatted shift series object
+ */
+const formatSeriesForResponse = (series) => ({
+  id: series._id,
+  title: series.title,
+  role: series.role,
+  typeOfShift: series.typeOfShift,
+  startTime: series.startTime,
+  finishTime: series.finishTime,
+  numOfShiftsPerDay: series.numOfShiftsPerDay,
+  status: series.status,
+  recurrence: {
+    frequency: series.recurrence.frequency,
+    interval: series.recurrence.interval,
+    byWeekday: series.recurrence.byWeekday,
+    startDate: series.recurrence.startDate,
+    until: series.recurrence.until,
+    count: series.recurrence.count,
+    exdates: series.recurrence.exdates,
+  },
+  createdAt: series.createdAt,
+  updatedAt: series.updatedAt,
+  user: {
+    id: series.user._id,
+    name: series.user.name,
+    email: series.user.email,
+    role: series.user.role,
+  },
+  location: {
+    id: series.location._id,
+    name: series.location.name,
+    postCode: series.location.postCode,
+    address: series.location.address,
+  },
+});
+
+/**
+ * Find a shift series with populated user and location
+ * @param {string} seriesId - ID of the shift series
+ * @returns {Promise<Object>} Shift series document
+ * @throws {AppError} If the series does not exist
+ */
+const findSeriesById = async (seriesId) => {
+  const series = await ShiftSeriesModel.findById(seriesId)
+    .populate("user", "name email role")
+    .populate("location")
+    .exec();
+
+  if (!series) {
+    throw new AppError({
+      message: "Shift series not found",
+      statusCode: 404,
+      errorCode: "SERIES_NOT_FOUND",
+    });
+  }
+
+  return series;
+};
+
+/**
+ * Build the shift fields shared by every occurrence of a series
+ * @param {Object} series - Shift series document with populated location
+ * @returns {Object} Shift data without the date
+ */
+const buildOccurrenceData = (series) => ({
+  title: series.title,
+  role: series.role,
+  typeOfShift: series.typeOfShift,
+  user: series.user._id.toString(),
+  startTime: series.startTime,
+  finishTime: series.finishTime,
+  numOfShiftsPerDay: series.numOfShiftsPerDay,
+  location: {
+    name: series.location.name,
+    address: series.location.address,
+    postCode: series.location.postCode,
+    cordinates: {
+      longitude: series.location.cordinates.longitude,
+      latitude: series.location.cordinates.latitude,
+      useRotaCloud: series.location.cordinates.useRotaCloud,
+    },
+  },
+});
+
+/**
+ * Bring the upcoming occurrences of a series in line with its template and
+ * recurrence rule. Occurrences that are still scheduled and were not edited on
+ * their own are updated in place, removed when the rule no longer generates
+ * their date (without appearing among deleted shifts), and missing dates are
+ * created. Started, completed, cancelled and
+ * individually edited occurrences are left untouched.
+ * @param {Object} series - Shift series document with populated user and location
+ * @param {Date} from - First day to reconcile
+ * @param {Object} context - Who made the series change and through which endpoint, recorded in the shifts' history
+ * @param {string|null} context.actorId - ID of the admin
+ * @param {string} context.source - One of SHIFT_HISTORY_SOURCE
+ * @returns {Promise<{created: Object[], updated: Object[], removed: string[], errors: Object[]}>} Reconciliation results
+ */
+const reconcileOccurrences = async (series, from, context) => {
+  const results = {
+    created: [],
+    updated: [],
+    removed: [],
+    errors: [],
+  };
+
+  const now = getCurrentDateTime();
+  const seriesShifts = await ShiftModel.find({
+    series: series._id,
+    seriesOccurrenceDate: { $gte: from },
+  });
+
+  const editableShifts = new Map();
+  const occupiedDays = new Set();
+  seriesShifts.forEach((shift) => {
+    const dayKey = toDayKey(shift.seriesOccurrenceDate);
+    if (
+      shift.status === SHIFT_STATUS.SCHEDULED &&
+      !shift.isSeriesException &&
+      isAfter(shift.startTime, now)
+    ) {
+      editableShifts.set(dayKey, shift);
+    } else {
+      occupiedDays.add(dayKey);
+    }
+  });
+
+  const occurrenceDates = expandRecurrence(series.recurrence, { from }).filter(
+    (date) => !occupiedDays.has(toDayKey(date)),
+  );
+  const occurrenceDays = new Set(occurrenceDates.map(toDayKey));
+
+  // Remove first so that moved occurrences do not clash with stale ones
+  for (const [dayKey, shift] of editableShifts) {
+    if (!occurrenceDays.has(dayKey)) {
+      if (await removeSeriesOccurrence(shift._id.toString(), context)) {
+        results.removed.push(shift._id.toString());
+      }
+      editableShifts.delete(dayKey);
+    }
+  }
+
+  const occurrenceData = buildOccurrenceData(series);
+
+  for (const date of occurrenceDates) {
+    const existingShift = editableShifts.get(toDayKey(date));
+
+    try {
+      if (existingShift) {
+        const result = await updateShift(
+          existingShift._id.toString(),
+          { ...occurrenceData, date },
+          context,
+        );
+        results.updated.push(result.shift);
+      } else {
+        const result = await createShift(
+          {
+            ...occurrenceData,
+            date,
+            series: series._id,
+            seriesOccurrenceDate: date,
+          },
+          context,
+        );
+        results.created.push(result.shift);
+      }
+    } catch (error) {
+      results.errors.push({
+        date,
+        error: serialiseBatchError(error),
+      });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Create a shift series and materialise its upcoming occurrences
+ * @param {Object} seriesData - Shift series data object
+ * @param {string} seriesData.title - Shift title
+ * @param {string} seriesData.role - Shift role
+ * @param {string[]} seriesData.typeOfShift - Array of shift types
+ * @param {string} seriesData.user - User ID
+ * @param {string} seriesData.startTime - Start time of each occurrence (HH:MM)
+ * @param {string} seriesData.finishTime - Finish time of each occurrence (HH:MM)
+ * @param {number} [seriesData.numOfShiftsPerDay] - Number of shifts per day
+ * @param {Object} seriesData.location - Location object
+ * @param {import('./recurrence.js').RecurrenceRule} seriesData.recurrence - Recurrence rule
+ * @param {Object} [context]
+ * @param {string} [context.actorId] - ID of the admin creating the series, recorded in the shifts' history
+ * @returns {Promise<Object>} Created series and the occurrence results
+ * @throws {AppError} If user does not exist
+ */
+const createShiftSeries = async (seriesData, { actorId = null } = {}) => {
+  const { location, recurrence, ...template } = seriesData;
+
+  const userExists = await UserModel.findById(template.user);
+  if (!userExists) {
+    throw new AppError({
+      message: "User not found",
+      statusCode: 404,
+      errorCode: "USER_NOT_FOUND",
+    });
+  }
+
+  const locationId = await createOrUpdateLocation(location);
+
+  const savedSeries = await new ShiftSeriesModel({
+    ...template,
+    location: locationId,
+    recurrence,
+  }).save();
+
+  const series = await findSeriesById(savedSeries._id);
+  const occurrences = await reconcileOccurrences(
+    series,
+    getStartOfDay(getCurrentDateTime()),
+    { actorId, source: SHIFT_HISTORY_SOURCE.CREATE_SERIES },
+  );
+
+  return {
+    series: formatSeriesForResponse(series),
+    occurrences,
+  };
+};
+
+/**
+ * Get all shift series
+ * @param {Object} [options] - Query options
+ * @param {string} [options.status] - Filter by series status
+ * @returns {Promise<{series: Object[]}>} Shift series
+ */
+const getShiftSeriesList = async (options = {}) => {
+  const query = options.status ? { status: options.status } : {};
+
+  const series = await ShiftSeriesModel.find(query)
+    .populate("user", "name email role")
+    .populate("location")
+    .sort({ createdAt: -1 })
+    .exec();
+
+  return {
+    series: series.map(formatSeriesForResponse),
+  };
+};
+
+/**
+ * Get a shift series with its occurrences
+ * @param {string} seriesId - ID of the shift series
+ * @returns {Promise<{series: Object, shifts: Object[]}>} Series and its shifts ordered by date
+ * @throws {AppError} If the series does not exist
+ */
+const getShiftSeries = async (seriesId) => {
+  const series = await findSeriesById(seriesId);
+
+  const shifts = await ShiftModel.find({ series: series._id })
+    .populate("user", "name email role")
+    .populate(
+      "location",
+      "name postCode distance constituency adminDistrict cordinates address",
+    )
+    .sort({ seriesOccurrenceDate: 1 })
+    .exec();
+
+  return {
+    series: formatSeriesForResponse(series),
+    shifts: shifts.map(formatShiftForResponse),
+  };
+};
+
+/**
+ * Find the occurrence of a series on a given day
+ * @param {string} seriesId - ID of the shift series
+ * @param {Date} occurrenceDate - Occurrence day
+ * @returns {Promise<Object>} Shift document
+ * @throws {AppError} If the series has no occurrence on that day
+ */
+const findOccurrence = async (seriesId, occurrenceDate) => {
+  const dayStart = getStartOfDay(occurrenceDate);
+  const shift = await ShiftModel.findOne({
+    series: seriesId,
+    seriesOccurrenceDate: { $gte: dayStart, $lt: addTime(dayStart, 1, "day") },
+  });
+
+  if (!shift) {
+    throw new AppError({
+      message: "Shift series has no occurrence on this date",
+      statusCode: 404,
+      errorCode: "OCCURRENCE_NOT_FOUND",
+    });
+  }
+
+  return shift;
+};
+
+/**
+ * Apply an edit to every upcoming occurrence of a series
+ * @param {Object} series - Shift series document
+ * @param {Object} updateData - Template, location and recurrence changes
+ * @param {Object} context - Actor and source recorded in the shifts' history
+ * @returns {Promise<Object>} Updated series and the occurrence results
+ */
+const updateAllOccurrences = async (series, updateData, context) => {
+  const { location, recurrence, ...template } = updateData;
+
+  if (location) {
+    series.location = await createOrUpdateLocation(location);
+  }
+  Object.assign(series, template);
+  if (recurrence) {
+    series.recurrence = { ...series.recurrence.toObject(), ...recurrence };
+  }
+  await series.save();
+
+  const updatedSeries = await findSeriesById(series._id);
+  const occurrences = await reconcileOccurrences(
+    updatedSeries,
+    getStartOfDay(getCurrentDateTime()),
+    context,
+  );
+
+  return {
+    series: formatSeriesForResponse(updatedSeries),
+    occurrences,
+  };
+};
+
+/**
+ * Split a series at an occurrence: the original series ends the day before and
+ * a new series with the edits takes over that occurrence and the later ones.
+ * @param {Object} series - Shift series document
+ * @param {Object} updateData - Template, location and recurrence changes
+ * @param {Date} occurrenceDate - First occurrence of the new series
+ * @param {Object} context - Actor and source recorded in the shifts' history
+ * @returns {Promise<Object>} New series, the ended original series and the occurrence results
+ * @throws {AppError} If the series has no occurrence on that day, or the database does not support transactions
+ */
+const updateFollowingOccurrences = async (
+  series,
+  updateData,
+  occurrenceDate,
+  context,
+) => {
+  const splitDate = getStartOfDay(occurrenceDate);
+
+  if (!isAfter(splitDate, getStartOfDay(series.recurrence.startDate))) {
+    return updateAllOccurrences(series, updateData, context);
+  }
+
+  await findOccurrence(series._id, splitDate);
+
+  const { location, recurrence, ...template } = updateData;
+  const originalRule = series.recurrence.toObject();
+
+  // Split in one transaction so a failure cannot leave both series claiming the same days
+  return runInTransaction(async () => {
+    const newSeries = await new ShiftSeriesModel({
+      ...Object.fromEntries(
+        TEMPLATE_FIELDS.map((field) => [field, series[field]]),
+      ),
+      user: series.user._id,
+      ...template,
+      location: location
+        ? await createOrUpdateLocation(location)
+        : series.location._id,
+      recurrence: {
+        ...originalRule,
+        startDate: splitDate,
+        count: originalRule.count
+          ? originalRule.count - countOccurrencesBefore(originalRule, splitDate)
+          : null,
+        ...recurrence,
+      },
+    }).save();
+
+    series.recurrence.until = subtractTime(splitDate, 1, "day");
+    series.recurrence.count = null;
+    await series.save();
+
+    await ShiftModel.updateMany(
+      {
+        series: series._id,
+        seriesOccurrenceDate: { $gte: splitDate },
+        deletedAt: null,
+      },
+      { series: newSeries._id },
+    );
+
+    const updatedSeries = await findSeriesById(newSeries._id);
+    const occurrences = await reconcileOccurrences(
+      updatedSeries,
+      splitDate,
+      context,
+    );
+
+    return {
+      series: formatSeriesForResponse(updatedSeries),
+      previousSeries: formatSeriesForResponse(await findSeriesById(series._id)),
+      occurrences,
+    };
+  });
+};
+
+/**
+ * Update a shift series
+ * @param {string} seriesId - ID of the shift series
+ * @param {Object} updateData - Data to update
+ * @param {string} [updateData.title] - Shift title
+ * @param {string} [updateData.role] - Shift role
+ * @param {string[]} [updateData.typeOfShift] - Array of shift types
+ * @param {string} [updateData.user] - User ID
+ * @param {string} [updateData.startTime] - Start time (HH:MM)
+ * @param {string} [updateData.finishTime] - Finish time (HH:MM)
+ * @param {number} [updateData.numOfShiftsPerDay] - Number of shifts per day
+ * @param {Object} [updateData.location] - Location object
+ * @param {Object} [updateData.recurrence] - Recurrence rule changes (not allowed for "this")
+ * @param {Object} options - Edit options
+ * @param {string} options.scope - "this", "following" or "all"
+ * @param {Date} [options.occurrenceDate] - Occurrence being edited (required unless scope is "all")
+ * @param {string} [options.actorId] - ID of the admin making the change, recorded in the shifts' history
+ * @returns {Promise<Object>} Updated series and shift(s)
+ * @throws {AppError} If the series or occurrence does not exist, or the series has ended
+ */
+const updateShiftSeries = async (seriesId, updateData, options) => {
+  const { scope, occurrenceDate, actorId = null } = options;
+  const context = { actorId, source: SHIFT_HISTORY_SOURCE.UPDATE_SERIES };
+  const series = await findSeriesById(seriesId);
+
+  if (series.status === SERIES_STATUS.ENDED) {
+    throw new AppError({
+      message: "Cannot update a shift series that has ended",
+      statusCode: 400,
+      errorCode: "SERIES_ENDED",
+    });
+  }
+
+  if (updateData.user) {
+    const userExists = await UserModel.findById(updateData.user);
+    if (!userExists) {
+      throw new AppError({
+        message: "User not found",
+        statusCode: 404,
+        errorCode: "USER_NOT_FOUND",
+      });
+    }
+  }
+
+  if (scope === SERIES_EDIT_SCOPE.THIS) {
+    const occurrence = await findOccurrence(series._id, occurrenceDate);
+    const result = await updateShift(
+      occurrence._id.toString(),
+      { ...updateData, isSeriesException: true },
+      context,
+    );
+
+    return {
+      series: formatSeriesForResponse(series),
+      shift: result.shift,
+    };
+  }
+
+  if (scope === SERIES_EDIT_SCOPE.FOLLOWING) {
+    return updateFollowingOccurrences(
+      series,
+      updateData,
+      occurrenceDate,
+      context,
+    );
+  }
+
+  return updateAllOccurrences(series, updateData, context);
+};
+
+/**
+ * End a shift series, cancelling its occurrences that have not started yet
+ * @param {string} seriesId - ID of the shift series
+ * @param {Object} [context]
+ * @param {string} [context.actorId] - ID of the admin ending the series, recorded in the shifts' history
+ * @returns {Promise<{series: Object, cancelledShiftIds: string[]}>} Ended series and cancelled shifts
+ * @throws {AppError} If the series does not exist or has already ended
+ */
+const endShiftSeries = async (seriesId, { actorId = null } = {}) => {
+  const series = await findSeriesById(seriesId);
+
+  if (series.status === SERIES_STATUS.ENDED) {
+    throw new AppError({
+      message: "Shift series has already ended",
+      statusCode: 400,
+      errorCode: "SERIES_ENDED",
+    });
+  }
+
+  const upcomingShifts = await ShiftModel.find({
+    series: series._id,
+    status: SHIFT_STATUS.SCHEDULED,
+  });
+
+  const now = getCurrentDateTime();
+  const cancelledShiftIds = [];
+  for (const shift of upcomingShifts) {
+    if (isBefore(now, shift.startTime)) {
+      await cancelShift(shift._id.toString(), {
+        actorId,
+        source: SHIFT_HISTORY_SOURCE.END_SERIES,
+      });
+      cancelledShiftIds.push(shift._id.toString());
+    }
+  }
+
+  series.status = SERIES_STATUS.ENDED;
+  await series.save();
+
+  return {
+    series: formatSeriesForResponse(await findSeriesById(series._id)),
+    cancelledShiftIds,
+  };
+};
+
+export {
+  createShiftSeries,
+  getShiftSeriesList,
+  getShiftSeries,
+  updateShiftSeries,
+  endShiftSeries,
+};
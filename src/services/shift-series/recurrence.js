@@ -0,0 +1,110 @@
+import dayjs from "dayjs";
+import { SERIES_FREQUENCY, SERIES_CONSTRAINTS } from "./constants.js";
+
+/**
+ * @typedef {Object} RecurrenceRule
+ * @property {string} frequency - "daily" or "weekly"
+ * @property {number} [interval=1] - Every N days/weeks
+ * @property {number[]} [byWeekday] - Days of the week (0 = Sunday) for weekly rules
+ * @property {Date|string} startDate - First day of the series
+ * @property {Date|string|null} [until] - Last day (inclusive) of the series
+ * @property {number|null} [count] - Maximum number of occurrences
+ * @property {Array<Date|string>} [exdates] - Skipped occurrence dates
+ */
+
+/**
+ * Format a date as a YYYY-MM-DD key used to compare occurrence days
+ * @param {Date|string|dayjs.Dayjs} date
+ * @returns {string} Day key
+ */
+const toDayKey = (date) => dayjs(date).format("YYYY-MM-DD");
+
+/**
+ * Check whether a day matches the rule's frequency, interval and weekdays
+ * @param {RecurrenceRule} rule
+ * @param {dayjs.Dayjs} day - Day to check
+ * @param {dayjs.Dayjs} start - Series start day
+ * @returns {boolean} True if the rule generates an occurrence on that day
+ */
+const isRecurrenceDay = (rule, day, start) => {
+  const interval = rule.interval || 1;
+
+  if (rule.frequency === SERIES_FREQUENCY.DAILY) {
+    return day.diff(start, "day") % interval === 0;
+  }
+
+  const weekdays =
+    rule.byWeekday && rule.byWeekday.length > 0
+      ? rule.byWeekday
+      : [start.day()];
+  const weeksSinceStart = day
+    .startOf("week")
+    .diff(start.startOf("week"), "week");
+
+  return weeksSinceStart % interval === 0 && weekdays.includes(day.day());
+};
+
+/**
+ * Generate every occurrence day of a rule, ignoring exclusion dates. As in
+ * RFC 5545, excluded days still count towards `count`, so cancelling an
+ * occurrence never shifts the remaining ones.
+ * @param {RecurrenceRule} rule
+ * @returns {dayjs.Dayjs[]} Occurrence days in chronological order
+ */
+const generateOccurrenceDays = (rule) => {
+  const start = dayjs(rule.startDate).startOf("day");
+  const lastDay = start.add(SERIES_CONSTRAINTS.MAX_SPAN_DAYS, "day");
+  const until = rule.until ? dayjs(rule.until).startOf("day") : lastDay;
+  const maxCount = Math.min(
+    rule.count || SERIES_CONSTRAINTS.MAX_OCCURRENCES,
+    SERIES_CONSTRAINTS.MAX_OCCURRENCES,
+  );
+
+  const days = [];
+  let day = start;
+
+  while (
+    days.length < maxCount &&
+    !day.isAfter(until) &&
+    !day.isAfter(lastDay)
+  ) {
+    if (isRecurrenceDay(rule, day, start)) {
+      days.push(day);
+    }
+    day = day.add(1, "day");
+  }
+
+  return days;
+};
+
+/**
+ * Expand a recurrence rule into the dates that should have a shift
+ * @param {RecurrenceRule} rule
+ * @param {Object} [options]
+ * @param {Date|string} [options.from] - Only return occurrences on or after this day
+ * @returns {Date[]} Occurrence dates (start of day) in chronological order
+ */
+const expandRecurrence = (rule, options = {}) => {
+  const excluded = new Set((rule.exdates || []).map(toDayKey));
+  const from = options.from ? dayjs(options.from).startOf("day") : null;
+
+  return generateOccurrenceDays(rule)
+    .filter((day) => !excluded.has(toDayKey(day)))
+    .filter((day) => !from || !day.isBefore(from))
+    .map((day) => day.toDate());
+};
+
+/**
+ * Count the occurrences a rule generates before a given day (excluded ones included)
+ * @param {RecurrenceRule} rule
+ * @param {Date|string} date - Day to count up to (exclusive)
+ * @returns {number} Number of occurrences before the day
+ */
+const countOccurrencesBefore = (rule, date) => {
+  const day = dayjs(date).startOf("day");
+  return generateOccurrenceDays(rule).filter((occurrence) =>
+    occurrence.isBefore(day),
+  ).length;
+};
+
+export { toDayKey, expandRecurrence, countOccurrencesBefore };
@@ -0,0 +1,22 @@
+export const SWAP_REQUEST_STATUS = Object.freeze({
+  // Waiting for the recipient (or any worker) to accept
+  PENDING: "Pending",
+  // Accepted by a worker, waiting for admin approval
+  ACCEPTED: "Accepted",
+  APPROVED: "Approved",
+  REJECTED: "Rejected",
+  EXPIRED: "Expired",
+});
+
+// Requests that can still change the shift's assignment
+export const ACTIVE_SWAP_REQUEST_STATUSES = Object.freeze([
+  SWAP_REQUEST_STATUS.PENDING,
+  SWAP_REQUEST_STATUS.ACCEPTED,
+]);
+
+export const SWAP_EXPIRY_REASON = Object.freeze({
+  SHIFT_CANCELLED: "Shift was cancelled",
+  SHIFT_DELETED: "Shift was deleted",
+  SHIFT_STARTED: "Shift has started",
+  SHIFT_REASSIGNED: "Shift is no longer assigned to the requester",
+});
@@ -0,0 +1,504 @@
+import ShiftSwapRequestModel from "../../models/shift-swap-request.model.js";
+import ShiftModel from "../../models/shifts.model.js";
+import UserModel from "../../models/user.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+import {
+  getCurrentDateTime,
+  formatTimeString,
+  isBefore,
+} from "../../utils/datetime.js";
+import { updateShift } from "../shift/index.js";
+import { SHIFT_STATUS, SHIFT_HISTORY_SOURCE } from "../shift/constants.js";
+import {
+  assertNoOverlappingShifts,
+  assertNotOnLeave,
+  assertQualified,
+} from "../shift/constraints.js";
+import { expireSwapRequestsForShifts } from "./invalidation.js";
+import {
+  SWAP_REQUEST_STATUS,
+  ACTIVE_SWAP_REQUEST_STATUSES,
+  SWAP_EXPIRY_REASON,
+} from "./constants.js";
+
+/**
+ * Format a populated user reference for API response
+ * @param {Object|null} user - Populated user document
+ * @returns {Object|null} User summary
+ */
+const formatSwapUser = (user) =>
+  user ? { id: user._id, name: user.name, email: user.email } : null;
+
+/**
+ * Format a swap request document for API response
+ * @param {Object} swapRequest - Mongoose swap request document with populated references
+ * @returns {Object} Formatted swap request object
+ */
+const formatSwapRequestForResponse = (swapRequest) => ({
+  id: swapRequest._id,
+  status: swapRequest.status,
+  message: swapRequest.message,
+  // The shift is missing once it has been purged after deletion
+  shift: swapRequest.shift
+    ? {
+        id: swapRequest.shift._id,
+        title: swapRequest.shift.title,
+        date: swapRequest.shift.date,
+        startTime: formatTimeString(swapRequest.shift.startTime),
+        finishTime: formatTimeString(swapRequest.shift.finishTime),
+        status: swapRequest.shift.status,
+        deleted: Boolean(swapRequest.shift.deletedAt),
+      }
+    : null,
+  requester: formatSwapUser(swapRequest.requester),
+  recipient: formatSwapUser(swapRequest.recipient),
+  acceptedBy: formatSwapUser(swapRequest.acceptedBy),
+  acceptedAt: swapRequest.acceptedAt,
+  reviewedBy: formatSwapUser(swapRequest.reviewedBy),
+  reviewedAt: swapRequest.reviewedAt,
+  expiryReason: swapRequest.expiryReason,
+  createdAt: swapRequest.createdAt,
+  updatedAt: swapRequest.updatedAt,
+});
+
+/**
+ * Populate the shift and user references of a swap request query
+ * @param {Object} query - Mongoose query returning swap requests
+ * @returns {Object} Populated query
+ */
+const populateSwapRequest = (query) =>
+  query
+    .populate({
+      path: "shift",
+      select:
+        "title role requiredQualifications date startTime finishTime status user deletedAt",
+      // Expired requests still show the shift they were for after it is deleted
+      options: { withDeleted: true },
+    })
+    .populate("requester", "name email")
+    .populate("recipient", "name email")
+    .populate("acceptedBy", "name email")
+    .populate("reviewedBy", "name email");
+
+/**
+ * Find a swap request with populated references
+ * @param {string} swapRequestId - ID of the swap request
+ * @returns {Promise<Object>} Swap request document
+ * @throws {AppError} If the swap request does not exist
+ */
+const findSwapRequestById = async (swapRequestId) => {
+  const swapRequest = await populateSwapRequest(
+    ShiftSwapRequestModel.findById(swapRequestId),
+  ).exec();
+
+  if (!swapRequest) {
+    throw new AppError({
+      message: "Swap request not found",
+      statusCode: 404,
+      errorCode: "SWAP_REQUEST_NOT_FOUND",
+    });
+  }
+
+  return swapRequest;
+};
+
+/**
+ * Build the error for a swap request whose status changed while it was being reviewed
+ * @returns {AppError}
+ */
+const buildAlreadyReviewedError = () =>
+  new AppError({
+    message: "Swap request has already been reviewed",
+    statusCode: 409,
+    errorCode: "SWAP_REQUEST_ALREADY_REVIEWED",
+  });
+
+/**
+ * Get the reason a swap request's shift can no longer be handed over, if any
+ * @param {Object} shift - Shift document
+ * @param {string} requesterId - ID of the worker offering the shift
+ * @returns {string|null} One of SWAP_EXPIRY_REASON, or null if the shift can still be swapped
+ */
+const getShiftExpiryReason = (shift, requesterId) => {
+  if (shift.deletedAt) {
+    return SWAP_EXPIRY_REASON.SHIFT_DELETED;
+  }
+  if (shift.status === SHIFT_STATUS.CANCELLED) {
+    return SWAP_EXPIRY_REASON.SHIFT_CANCELLED;
+  }
+  if (
+    shift.status !== SHIFT_STATUS.SCHEDULED ||
+    !isBefore(getCurrentDateTime(), shift.startTime)
+  ) {
+    return SWAP_EXPIRY_REASON.SHIFT_STARTED;
+  }
+  if (!shift.user || shift.user.toString() !== requesterId.toString()) {
+    return SWAP_EXPIRY_REASON.SHIFT_REASSIGNED;
+  }
+  return null;
+};
+
+/**
+ * Expire the swap request if its shift can no longer be handed over
+ * @param {Object} swapRequest - Swap request document with populated shift
+ * @throws {AppError} If the swap request has expired
+ */
+const assertSwapRequestStillValid = async (swapRequest) => {
+  const reason = getShiftExpiryReason(
+    swapRequest.shift,
+    swapRequest.requester._id,
+  );
+
+  if (reason) {
+    await expireSwapRequestsForShifts([swapRequest.shift._id], reason);
+    throw new AppError({
+      message: `Swap request has expired: ${reason}`,
+      statusCode: 400,
+      errorCode: "SWAP_REQUEST_EXPIRED",
+    });
+  }
+};
+
+/**
+ * Create a swap request offering a shift to a colleague or to anyone
+ * @param {string} requesterId - ID of the worker offering the shift
+ * @param {Object} requestData - Swap request data
+ * @param {string} requestData.shift - ID of the shift being offered
+ * @param {string} [requestData.recipient] - ID of the colleague; omit to offer the shift to anyone
+ * @param {string} [requestData.message] - Note for the recipient and admins
+ * @returns {Promise<Object>} Created swap request
+ * @throws {AppError} If the shift cannot be offered or already has an open request
+ */
+const createSwapRequest = async (requesterId, requestData) => {
+  const { shift: shiftId, recipient = null, message = null } = requestData;
+
+  const shift = await ShiftModel.findById(shiftId);
+  if (!shift) {
+    throw new AppError({
+      message: "Shift not found",
+      statusCode: 404,
+      errorCode: "SHIFT_NOT_FOUND",
+    });
+  }
+
+  if (!shift.user || shift.user.toString() !== requesterId) {
+    throw new AppError({
+      message: "You are not assigned to this shift",
+      statusCode: 403,
+      errorCode: "UNAUTHORIZED_SHIFT_ACCESS",
+    });
+  }
+
+  if (getShiftExpiryReason(shift, requesterId)) {
+    throw new AppError({
+      message: "Only upcoming scheduled shifts can be offered",
+      statusCode: 400,
+      errorCode: "INVALID_SHIFT_STATUS",
+    });
+  }
+
+  if (recipient) {
+    if (recipient === requesterId) {
+      throw new AppError({
+        message: "You cannot offer a shift to yourself",
+        statusCode: 400,
+        errorCode: "INVALID_SWAP_RECIPIENT",
+      });
+    }
+
+    const recipientExists = await UserModel.findById(recipient);
+    if (!recipientExists) {
+      throw new AppError({
+        message: "User not found",
+        statusCode: 404,
+        errorCode: "USER_NOT_FOUND",
+      });
+    }
+  }
+
+  const existingRequest = await ShiftSwapRequestModel.findOne({
+    shift: shiftId,
+    status: { $in: ACTIVE_SWAP_REQUEST_STATUSES },
+  });
+  if (existingRequest) {
+    throw new AppError({
+      message: "Shift already has an open swap request",
+      statusCode: 409,
+      errorCode: "SWAP_REQUEST_EXISTS",
+      details: { swapRequestId: existingRequest._id.toString() },
+    });
+  }
+
+  const swapRequest = await ShiftSwapRequestModel.create({
+    shift: shiftId,
+    requester: requesterId,
+    recipient,
+    message,
+  });
+
+  return {
+    swapRequest: formatSwapRequestForResponse(
+      await findSwapRequestById(swapRequest._id),
+    ),
+  };
+};
+
+/**
+ * Get all swap requests (admin only)
+ * @param {Object} options - Query options
+ * @param {string} [options.status] - Filter by swap request status
+ * @returns {Promise<{swapRequests: Object[]}>} Swap requests, newest first
+ */
+const getSwapRequests = async (options = {}) => {
+  const query = options.status ? { status: options.status } : {};
+
+  const swapRequests = await populateSwapRequest(
+    ShiftSwapRequestModel.find(query).sort({ createdAt: -1 }),
+  ).exec();
+
+  return {
+    swapRequests: swapRequests.map(formatSwapRequestForResponse),
+  };
+};
+
+/**
+ * Get the swap requests a worker sent, received or accepted, plus pending
+ * offers open to anyone
+ * @param {string} userId - ID of the worker
+ * @param {Object} options - Query options
+ * @param {string} [options.status] - Filter by swap request status
+ * @returns {Promise<{swapRequests: Object[]}>} Swap requests, newest first
+ */
+const getUserSwapRequests = async (userId, options = {}) => {
+  const query = {
+    $or: [
+      { requester: userId },
+      { recipient: userId },
+      { acceptedBy: userId },
+      { recipient: null, status: SWAP_REQUEST_STATUS.PENDING },
+    ],
+  };
+
+  if (options.status) {
+    query.status = options.status;
+  }
+
+  const swapRequests = await populateSwapRequest(
+    ShiftSwapRequestModel.find(query).sort({ createdAt: -1 }),
+  ).exec();
+
+  return {
+    swapRequests: swapRequests.map(formatSwapRequestForResponse),
+  };
+};
+
+/**
+ * Accept a pending swap request. The request then waits for admin approval.
+ * @param {string} swapRequestId - ID of the swap request
+ * @param {string} userId - ID of the worker accepting the shift
+ * @returns {Promise<Object>} Accepted swap request
+ * @throws {AppError} If the request is not pending, not addressed to the worker, has expired
+ * or the shift would overlap another of the worker's shifts
+ */
+const acceptSwapRequest = async (swapRequestId, userId) => {
+  const swapRequest = await findSwapRequestById(swapRequestId);
+
+  if (swapRequest.status !== SWAP_REQUEST_STATUS.PENDING) {
+    throw new AppError({
+      message: `Cannot accept swap request as it is ${swapRequest.status}`,
+      statusCode: 400,
+      errorCode: "INVALID_SWAP_REQUEST_STATUS",
+    });
+  }
+
+  if (swapRequest.requester._id.toString() === userId) {
+    throw new AppError({
+      message: "You cannot accept your own swap request",
+      statusCode: 400,
+      errorCode: "INVALID_SWAP_RECIPIENT",
+    });
+  }
+
+  if (
+    swapRequest.recipient &&
+    swapRequest.recipient._id.toString() !== userId
+  ) {
+    throw new AppError({
+      message: "This swap request is not addressed to you",
+      statusCode: 403,
+      errorCode: "UNAUTHORIZED_SWAP_ACCESS",
+    });
+  }
+
+  await assertSwapRequestStillValid(swapRequest);
+
+  const shiftWindow = {
+    user: userId,
+    startTime: swapRequest.shift.startTime,
+    finishTime: swapRequest.shift.finishTime,
+  };
+  await assertNoOverlappingShifts(shiftWindow);
+  await assertNotOnLeave(shiftWindow);
+  await assertQualified({
+    ...shiftWindow,
+    role: swapRequest.shift.role,
+    requiredQualifications: swapRequest.shift.requiredQualifications,
+  });
+
+  // Conditional update so that two workers cannot accept the same offer
+  const acceptedRequest = await ShiftSwapRequestModel.findOneAndUpdate(
+    { _id: swapRequestId, status: SWAP_REQUEST_STATUS.PENDING },
+    {
+      status: SWAP_REQUEST_STATUS.ACCEPTED,
+      acceptedBy: userId,
+      acceptedAt: getCurrentDateTime(),
+    },
+  );
+
+  if (!acceptedRequest) {
+    throw new AppError({
+      message: "Swap request has already been accepted",
+      statusCode: 409,
+      errorCode: "SWAP_REQUEST_ALREADY_ACCEPTED",
+    });
+  }
+
+  return {
+    swapRequest: formatSwapRequestForResponse(
+      await findSwapRequestById(swapRequestId),
+    ),
+  };
+};
+
+/**
+ * Approve an accepted swap request, reassigning the shift to the worker who accepted it
+ * @param {string} swapRequestId - ID of the swap request
+ * @param {string} adminId - ID of the approving admin
+ * @returns {Promise<Object>} Approved swap request and the reassigned shift
+ * @throws {AppError} If the request is not accepted, has expired, was reviewed concurrently or the reassignment fails
+ */
+const approveSwapRequest = async (swapRequestId, adminId) => {
+  const swapRequest = await findSwapRequestById(swapRequestId);
+
+  if (swapRequest.status !== SWAP_REQUEST_STATUS.ACCEPTED) {
+    throw new AppError({
+      message: `Cannot approve swap request as it is ${swapRequest.status}`,
+      statusCode: 400,
+      errorCode: "INVALID_SWAP_REQUEST_STATUS",
+    });
+  }
+
+  await assertSwapRequestStillValid(swapRequest);
+
+  // Mark the request approved before reassigning the shift, conditional on it
+  // still being accepted, so a concurrent approval or rejection cannot also succeed
+  const approvedRequest = await ShiftSwapRequestModel.findOneAndUpdate(
+    { _id: swapRequestId, status: SWAP_REQUEST_STATUS.ACCEPTED },
+    {
+      status: SWAP_REQUEST_STATUS.APPROVED,
+      reviewedBy: adminId,
+      reviewedAt: getCurrentDateTime(),
+    },
+  );
+
+  if (!approvedRequest) {
+    throw buildAlreadyReviewedError();
+  }
+
+  let shift;
+  try {
+    ({ shift } = await updateShift(
+      swapRequest.shift._id.toString(),
+      { user: swapRequest.acceptedBy._id.toString() },
+      { actorId: adminId, source: SHIFT_HISTORY_SOURCE.APPROVE_SWAP },
+    ));
+  } catch (error) {
+    // The shift was not reassigned, so the request is back to waiting for review
+    await ShiftSwapRequestModel.findOneAndUpdate(
+      { _id: swapRequestId, status: SWAP_REQUEST_STATUS.APPROVED },
+      {
+        status: SWAP_REQUEST_STATUS.ACCEPTED,
+        reviewedBy: null,
+        reviewedAt: null,
+      },
+    );
+    throw error;
+  }
+
+  return {
+    swapRequest: formatSwapRequestForResponse(
+      await findSwapRequestById(swapRequestId),
+    ),
+    shift,
+  };
+};
+
+/**
+ * Reject a swap request. Admins can reject pending or accepted requests; the
+ * recipient of a request addressed to them can decline it while it is pending.
+ * @param {string} swapRequestId - ID of the swap request
+ * @param {string} userId - ID of the admin or recipient rejecting the request
+ * @returns {Promise<Object>} Rejected swap request
+ * @throws {AppError} If the request is no longer active, was reviewed concurrently or the user may not reject it
+ */
+const rejectSwapRequest = async (swapRequestId, userId) => {
+  const swapRequest = await findSwapRequestById(swapRequestId);
+
+  if (!ACTIVE_SWAP_REQUEST_STATUSES.includes(swapRequest.status)) {
+    throw new AppError({
+      message: `Cannot reject swap request as it is ${swapRequest.status}`,
+      statusCode: 400,
+      errorCode: "INVALID_SWAP_REQUEST_STATUS",
+    });
+  }
+
+  const user = await UserModel.findById(userId);
+  const isAdmin = user?.role === "admin";
+  const isPendingRecipient =
+    swapRequest.status === SWAP_REQUEST_STATUS.PENDING &&
+    swapRequest.recipient?._id.toString() === userId;
+
+  if (!isAdmin && !isPendingRecipient) {
+    throw new AppError({
+      message: "You cannot reject this swap request",
+      statusCode: 403,
+      errorCode: "UNAUTHORIZED_SWAP_ACCESS",
+    });
+  }
+
+  // Conditional on a status the user may reject, so a concurrent approval or
+  // acceptance cannot also succeed
+  const rejectedRequest = await ShiftSwapRequestModel.findOneAndUpdate(
+    {
+      _id: swapRequestId,
+      status: isAdmin
+        ? { $in: ACTIVE_SWAP_REQUEST_STATUSES }
+        : SWAP_REQUEST_STATUS.PENDING,
+    },
+    {
+      status: SWAP_REQUEST_STATUS.REJECTED,
+      reviewedBy: userId,
+      reviewedAt: getCurrentDateTime(),
+    },
+  );
+
+  if (!rejectedRequest) {
+    throw buildAlreadyReviewedError();
+  }
+
+  return {
+    swapRequest: formatSwapRequestForResponse(
+      await findSwapRequestById(swapRequestId),
+    ),
+  };
+};
+
+export {
+  formatSwapRequestForResponse,
+  createSwapRequest,
+  getSwapRequests,
+  getUserSwapRequests,
+  acceptSwapRequest,
+  approveSwapRequest,
+  rejectSwapRequest,
+};
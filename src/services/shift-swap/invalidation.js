@@ -0,0 +1,57 @@
+import ShiftSwapRequestModel from "../../models/shift-swap-request.model.js";
+import ShiftModel from "../../models/shifts.model.js";
+import { getCurrentDateTime } from "../../utils/datetime.js";
+import {
+  SWAP_REQUEST_STATUS,
+  ACTIVE_SWAP_REQUEST_STATUSES,
+  SWAP_EXPIRY_REASON,
+} from "./constants.js";
+
+/**
+ * Expire the pending and accepted swap requests of the given shifts
+ * @param {string[]} shiftIds - IDs of the shifts whose requests are no longer valid
+ * @param {string} reason - Why the requests expired (one of SWAP_EXPIRY_REASON)
+ * @returns {Promise<number>} Number of requests expired
+ */
+const expireSwapRequestsForShifts = async (shiftIds, reason) => {
+  if (shiftIds.length === 0) {
+    return 0;
+  }
+
+  const result = await ShiftSwapRequestModel.updateMany(
+    {
+      shift: { $in: shiftIds },
+      status: { $in: ACTIVE_SWAP_REQUEST_STATUSES },
+    },
+    { status: SWAP_REQUEST_STATUS.EXPIRED, expiryReason: reason },
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Expire the active swap requests of shifts that have already started.
+ * Runs periodically from the job scheduler.
+ * @returns {Promise<number>} Number of requests expired
+ */
+const expireStartedSwapRequests = async () => {
+  const activeShiftIds = await ShiftSwapRequestModel.distinct("shift", {
+    status: { $in: ACTIVE_SWAP_REQUEST_STATUSES },
+  });
+
+  if (activeShiftIds.length === 0) {
+    return 0;
+  }
+
+  const startedShiftIds = await ShiftModel.distinct("_id", {
+    _id: { $in: activeShiftIds },
+    startTime: { $lte: getCurrentDateTime() },
+  });
+
+  return expireSwapRequestsForShifts(
+    startedShiftIds,
+    SWAP_EXPIRY_REASON.SHIFT_STARTED,
+  );
+};
+
+export { expireSwapRequestsForShifts, expireStartedSwapRequests };
@@ -0,0 +1,94 @@
+import ShiftModel from "../../models/shifts.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+import { getCurrentDateTime, subtractTime } from "../../utils/datetime.js";
+import {
+  SHIFT_STATUS,
+  SHIFT_CONSTRAINTS,
+  SHIFT_HISTORY_SOURCE,
+  SHIFT_TRANSITION,
+} from "./constants.js";
+import { findOpenBreak } from "./timekeeping.js";
+import { transitionShift } from "./lifecycle.js";
+
+/**
+ * Make a transition for each shift, skipping shifts that changed since they
+ * were read (e.g. the worker clocked in meanwhile)
+ * @param {Object[]} shifts - Shift documents
+ * @param {string} transition - One of SHIFT_TRANSITION
+ * @param {(shift: Object) => Object} getOptions - Transition options for a shift
+ * @returns {Promise<number>} Number of shifts moved
+ */
+const transitionEach = async (shifts, transition, getOptions) => {
+  let moved = 0;
+  for (const shift of shifts) {
+    try {
+      await transitionShift(shift, transition, getOptions(shift));
+      moved += 1;
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        throw error;
+      }
+    }
+  }
+  return moved;
+};
+
+/**
+ * Mark assigned shifts whose worker has not clocked in by the end of the
+ * grace period as no-shows. Runs periodically from the job scheduler.
+ * @returns {Promise<number>} Number of shifts marked as no-shows
+ */
+const markNoShowShifts = async () => {
+  const shifts = await ShiftModel.find({
+    status: SHIFT_STATUS.SCHEDULED,
+    user: { $ne: null },
+    clockInTime: null,
+    startTime: {
+      $lte: subtractTime(
+        getCurrentDateTime(),
+        SHIFT_CONSTRAINTS.NO_SHOW_GRACE_MINUTES,
+        "minute",
+      ),
+    },
+  });
+
+  return transitionEach(shifts, SHIFT_TRANSITION.MARK_NO_SHOW, () => ({
+    source: SHIFT_HISTORY_SOURCE.NO_SHOW_SWEEP,
+  }));
+};
+
+/**
+ * Clock out shifts still in progress once the grace period after their finish
+ * has passed, closing them at the scheduled finish time along with any break
+ * left running. Runs periodically from the job scheduler.
+ * @returns {Promise<number>} Number of shifts clocked out
+ */
+const autoClockOutShifts = async () => {
+  const shifts = await ShiftModel.find({
+    status: SHIFT_STATUS.IN_PROGRESS,
+    finishTime: {
+      $lte: subtractTime(
+        getCurrentDateTime(),
+        SHIFT_CONSTRAINTS.AUTO_CLOCK_OUT_GRACE_MINUTES,
+        "minute",
+      ),
+    },
+  });
+
+  return transitionEach(shifts, SHIFT_TRANSITION.AUTO_CLOCK_OUT, (shift) => {
+    const update = { clockOutTime: shift.finishTime, autoClockedOut: true };
+    if (!findOpenBreak(shift.breaks)) {
+      return { update, source: SHIFT_HISTORY_SOURCE.AUTO_CLOCK_OUT_SWEEP };
+    }
+    return {
+      update: {
+        ...update,
+        "breaks.$[openBreak].endTime": shift.finishTime,
+      },
+      arrayFilters: [{ "openBreak.endTime": null }],
+      source: SHIFT_HISTORY_SOURCE.AUTO_CLOCK_OUT_SWEEP,
+    };
+  });
+};
+
+export { markNoShowShifts, autoClockOutShifts };
@@ -0,0 +1,404 @@
+import dayjs from "dayjs";
+import ShiftModel from "../../models/shifts.model.js";
+import UserModel from "../../models/user.model.js";
+import LeaveRequestModel from "../../models/leave-request.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+import {
+  addTime,
+  subtractTime,
+  isBefore,
+  minutesBetween,
+  formatTimeString,
+  getCurrentDateTime,
+} from "../../utils/datetime.js";
+import { distanceInMetres } from "../../utils/geo.js";
+import {
+  SHIFT_STATUS,
+  SHIFT_CONSTRAINTS,
+  AUTO_SCHEDULE_CONSTRAINTS,
+  AUTO_SCHEDULE_EXCLUSION,
+} from "./constants.js";
+import {
+  windowsOverlap,
+  getMaxWeeklyHours,
+  measureWeeklyHours,
+} from "./constraints.js";
+import { selectBatchShiftIds } from "./index.js";
+import { LEAVE_REQUEST_STATUS } from "../leave/constants.js";
+import { findAvailabilityConflict } from "../worker/availability.js";
+import { findRequiredQualificationsForShifts } from "../qualification/index.js";
+import { findQualificationGaps } from "../worker/qualifications.js";
+
+/** @typedef {import('./index.js').ShiftSelection} ShiftSelection */
+/** @typedef {{startTime: Date, finishTime: Date}} ShiftWindow */
+
+/**
+ * @typedef {Object} Candidate
+ * @property {Object} worker - User document
+ * @property {number|null} distanceMetres - Distance from the worker's home to the location, null if unknown
+ * @property {number} scheduledMinutes - Minutes the worker is scheduled for in the planning period
+ * @property {number} score - Lower is better, see scoreCandidate
+ */
+
+// Fields of a worker the scheduling rules need
+const WORKER_FIELDS =
+  "name email weeklyAvailability unavailableDates qualifications contractedWeeklyHours maxWeeklyHours weeklyHoursOptOut homeLocation";
+
+/**
+ * Summarise a shift for the proposal
+ * @param {Object} shift - Shift document with populated location
+ * @returns {Object} Shift ID, title, role, date, times and location
+ */
+const summariseShift = (shift) => ({
+  id: shift._id,
+  title: shift.title,
+  role: shift.role,
+  date: shift.date,
+  startTime: formatTimeString(shift.startTime),
+  finishTime: formatTimeString(shift.finishTime),
+  location: { id: shift.location._id, name: shift.location.name },
+});
+
+/**
+ * Build the POST /shifts/batch entry assigning a shift to a worker. The entry
+ * repeats the shift's fields, so applying it only changes the worker.
+ * @param {Object} shift - Shift document with populated location
+ * @param {string} workerId - ID of the proposed worker
+ * @returns {Object} Batch entry
+ */
+const buildBatchEntry = (shift, workerId) => ({
+  id: shift._id.toString(),
+  title: shift.title,
+  role: shift.role,
+  typeOfShift: shift.typeOfShift,
+  user: workerId,
+  requiredQualifications: shift.requiredQualifications.map(String),
+  startTime: formatTimeString(shift.startTime),
+  finishTime: formatTimeString(shift.finishTime),
+  numOfShiftsPerDay: shift.numOfShiftsPerDay,
+  location: {
+    name: shift.location.name,
+    address: shift.location.address,
+    postCode: shift.location.postCode,
+    cordinates: {
+      longitude: shift.location.cordinates.longitude,
+      latitude: shift.location.cordinates.latitude,
+    },
+  },
+  date: dayjs(shift.date).format("YYYY-MM-DD"),
+});
+
+/**
+ * Check the rest period between a shift window and a worker's other shifts
+ * @param {ShiftWindow[]} schedule - Worker's other shifts
+ * @param {ShiftWindow} window - Shift window
+ * @returns {boolean} True if a shift finishes or starts too close to the window
+ */
+const breaksRestPeriod = (schedule, window) => {
+  const minimumRest = SHIFT_CONSTRAINTS.MINIMUM_REST_MINUTES;
+  return schedule.some(
+    (other) =>
+      (isBefore(
+        subtractTime(window.startTime, minimumRest, "minute"),
+        other.finishTime,
+      ) &&
+        !isBefore(window.startTime, other.finishTime)) ||
+      (!isBefore(other.startTime, window.finishTime) &&
+        isBefore(
+          other.startTime,
+          addTime(window.finishTime, minimumRest, "minute"),
+        )),
+  );
+};
+
+/**
+ * Check whether a shift window takes a worker over their weekly hours limit,
+ * see enforceWeeklyHours
+ * @param {Object} worker - User document
+ * @param {ShiftWindow[]} schedule - Worker's other shifts
+ * @param {ShiftWindow} window - Shift window
+ * @returns {boolean} True if the worker would go over their limit
+ */
+const exceedsWeeklyHours = (worker, schedule, window) => {
+  const maxWeeklyHours = getMaxWeeklyHours(worker);
+  if (maxWeeklyHours === null) {
+    return false;
+  }
+
+  const nearbyShifts = schedule.filter(
+    (other) =>
+      isBefore(subtractTime(window.startTime, 7, "day"), other.startTime) &&
+      isBefore(other.startTime, addTime(window.startTime, 7, "day")),
+  );
+  return (
+    measureWeeklyHours(nearbyShifts, window).scheduledHours > maxWeeklyHours
+  );
+};
+
+/**
+ * Find why a worker cannot take a shift, checking the same rules as assigning
+ * it would. Availability is always enforced, and the rest period cannot be
+ * overridden.
+ * @param {Object} params
+ * @param {Object} params.worker - User document
+ * @param {Object} params.shift - Shift document
+ * @param {Object[]} params.requiredQualifications - Qualification documents the shift requires
+ * @param {ShiftWindow[]} params.schedule - Worker's shifts, existing and proposed
+ * @param {ShiftWindow[]} params.leave - Worker's approved leave
+ * @returns {string|null} One of AUTO_SCHEDULE_EXCLUSION, null if the worker can take the shift
+ */
+const findExclusion = ({
+  worker,
+  shift,
+  requiredQualifications,
+  schedule,
+  leave,
+}) => {
+  const window = { startTime: shift.startTime, finishTime: shift.finishTime };
+
+  if (
+    shift.eligibleWorkers.length > 0 &&
+    !shift.eligibleWorkers.some((id) => id.equals(worker._id))
+  ) {
+    return AUTO_SCHEDULE_EXCLUSION.NOT_ELIGIBLE;
+  }
+  if (leave.some((period) => windowsOverlap(period, window))) {
+    return AUTO_SCHEDULE_EXCLUSION.ON_LEAVE;
+  }
+
+  const availabilityConflict = findAvailabilityConflict(worker, window);
+  if (availabilityConflict) {
+    return availabilityConflict.reason;
+  }
+
+  if (
+    findQualificationGaps(worker, requiredQualifications, shift.finishTime)
+      .length > 0
+  ) {
+    return AUTO_SCHEDULE_EXCLUSION.MISSING_QUALIFICATIONS;
+  }
+  if (schedule.some((other) => windowsOverlap(other, window))) {
+    return AUTO_SCHEDULE_EXCLUSION.ALREADY_SCHEDULED;
+  }
+  if (breaksRestPeriod(schedule, window)) {
+    return AUTO_SCHEDULE_EXCLUSION.INSUFFICIENT_REST;
+  }
+  if (exceedsWeeklyHours(worker, schedule, window)) {
+    return AUTO_SCHEDULE_EXCLUSION.WEEKLY_HOURS_EXCEEDED;
+  }
+  return null;
+};
+
+/**
+ * Score a worker who can take a shift. Workers with fewer hours in the
+ * planning period come first so hours are shared fairly; distance to the
+ * location is weighed against them with AUTO_SCHEDULE_CONSTRAINTS.MINUTES_PER_KILOMETRE.
+ * @param {Object} worker - User document
+ * @param {Object} shift - Shift document with populated location
+ * @param {ShiftWindow[]} planned - Worker's shifts starting in the planning period
+ * @returns {Omit<Candidate, 'worker'>}
+ */
+const scoreCandidate = (worker, shift, planned) => {
+  const distanceMetres = worker.homeLocation
+    ? Math.round(
+        distanceInMetres(worker.homeLocation, shift.location.cordinates),
+      )
+    : null;
+  const scheduledMinutes = planned.reduce(
+    (total, other) => total + minutesBetween(other.startTime, other.finishTime),
+    0,
+  );
+  const distanceKilometres =
+    distanceMetres === null
+      ? AUTO_SCHEDULE_CONSTRAINTS.UNKNOWN_DISTANCE_KILOMETRES
+      : distanceMetres / 1000;
+
+  return {
+    distanceMetres,
+    scheduledMinutes,
+    score:
+      scheduledMinutes +
+      distanceKilometres * AUTO_SCHEDULE_CONSTRAINTS.MINUTES_PER_KILOMETRE,
+  };
+};
+
+/**
+ * Group time windows by worker ID
+ * @param {Object[]} documents - Shifts or leave requests
+ * @param {string} workerField - Field holding the worker
+ * @param {(document: Object) => ShiftWindow} toWindow - Time window of a document
+ * @returns {Map<string, ShiftWindow[]>}
+ */
+const groupByWorker = (documents, workerField, toWindow) =>
+  documents.reduce((grouped, document) => {
+    const workerId = document[workerField].toString();
+    grouped.set(workerId, [
+      ...(grouped.get(workerId) ?? []),
+      toWindow(document),
+    ]);
+    return grouped;
+  }, new Map());
+
+/**
+ * Propose workers for unfilled shifts. Upcoming open shifts without a pending
+ * claim are filled in start order, each with the best-scoring worker who can
+ * take it under the scheduling rules, counting the shifts already proposed.
+ * Nothing is saved: the proposal's batch entries are applied with
+ * POST /shifts/batch, which checks every rule again.
+ * @param {ShiftSelection} selection - Shifts to fill, by ID or by date range and location
+ * @returns {Promise<{proposal: Object}>} Proposed assignments, shifts left unfilled with how
+ * many workers each rule excluded (counting the first rule a worker fails), skipped shift IDs
+ * and the batch entries to apply
+ * @throws {AppError} If more shifts are selected than AUTO_SCHEDULE_CONSTRAINTS.MAX_SHIFTS
+ */
+const proposeShiftAssignments = async (selection) => {
+  const now = getCurrentDateTime();
+  const selectedIds = await selectBatchShiftIds(selection, [
+    SHIFT_STATUS.SCHEDULED,
+  ]);
+
+  if (selectedIds.length > AUTO_SCHEDULE_CONSTRAINTS.MAX_SHIFTS) {
+    throw new AppError({
+      message: `Cannot auto-schedule more than ${AUTO_SCHEDULE_CONSTRAINTS.MAX_SHIFTS} shifts at once`,
+      statusCode: 400,
+      errorCode: "TOO_MANY_SHIFTS",
+      details: {
+        selected: selectedIds.length,
+        max: AUTO_SCHEDULE_CONSTRAINTS.MAX_SHIFTS,
+      },
+    });
+  }
+
+  const shifts = await ShiftModel.find({
+    _id: { $in: selectedIds },
+    user: null,
+    "claim.user": null,
+    status: SHIFT_STATUS.SCHEDULED,
+    startTime: { $gt: now },
+  })
+    .populate("location", "name address postCode cordinates")
+    .sort({ startTime: 1, _id: 1 })
+    .exec();
+
+  const unfilledIds = new Set(shifts.map((shift) => shift._id.toString()));
+  const proposal = {
+    generatedAt: now,
+    assignments: [],
+    unfilled: [],
+    // Shifts that are not upcoming, open and unclaimed
+    skipped: selectedIds.filter((id) => !unfilledIds.has(id)),
+    batch: [],
+  };
+
+  if (shifts.length === 0) {
+    return { proposal };
+  }
+
+  const planStart = shifts[0].startTime;
+  const planEnd = shifts.reduce(
+    (latest, shift) =>
+      isBefore(latest, shift.finishTime) ? shift.finishTime : latest,
+    shifts[0].finishTime,
+  );
+
+  const workers = await UserModel.find({ role: "worker" })
+    .select(WORKER_FIELDS)
+    .sort({ name: 1, _id: 1 })
+    .exec();
+  const workerIds = workers.map((worker) => worker._id);
+
+  // A week either side covers the rest period and weekly hours rules
+  const existingShifts = await ShiftModel.find({
+    user: { $in: workerIds },
+    status: { $ne: SHIFT_STATUS.CANCELLED },
+    startTime: {
+      $gt: subtractTime(planStart, 7, "day"),
+      $lt: addTime(planEnd, 7, "day"),
+    },
+  })
+    .select("user startTime finishTime")
+    .exec();
+  const leaveRequests = await LeaveRequestModel.find({
+    worker: { $in: workerIds },
+    status: LEAVE_REQUEST_STATUS.APPROVED,
+    startsAt: { $lt: planEnd },
+    endsAt: { $gt: planStart },
+  })
+    .select("worker startsAt endsAt")
+    .exec();
+
+  const schedules = groupByWorker(existingShifts, "user", (shift) => ({
+    startTime: shift.startTime,
+    finishTime: shift.finishTime,
+  }));
+  const leaveByWorker = groupByWorker(leaveRequests, "worker", (leave) => ({
+    startTime: leave.startsAt,
+    finishTime: leave.endsAt,
+  }));
+
+  const qualificationsByShift =
+    await findRequiredQualificationsForShifts(shifts);
+
+  for (const shift of shifts) {
+    const requiredQualifications = qualificationsByShift.get(
+      shift._id.toString(),
+    );
+    const exclusions = {};
+    /** @type {Candidate|null} */
+    let best = null;
+
+    for (const worker of workers) {
+      const schedule = schedules.get(worker._id.toString()) ?? [];
+      const exclusion = findExclusion({
+        worker,
+        shift,
+        requiredQualifications,
+        schedule,
+        leave: leaveByWorker.get(worker._id.toString()) ?? [],
+      });
+
+      if (exclusion) {
+        exclusions[exclusion] = (exclusions[exclusion] ?? 0) + 1;
+        continue;
+      }
+
+      const planned = schedule.filter(
+        (other) =>
+          !isBefore(other.startTime, planStart) &&
+          isBefore(other.startTime, planEnd),
+      );
+      const candidate = { worker, ...scoreCandidate(worker, shift, planned) };
+      if (!best || candidate.score < best.score) {
+        best = candidate;
+      }
+    }
+
+    if (!best) {
+      proposal.unfilled.push({ shift: summariseShift(shift), exclusions });
+      continue;
+    }
+
+    const workerId = best.worker._id.toString();
+    schedules.set(workerId, [
+      ...(schedules.get(workerId) ?? []),
+      { startTime: shift.startTime, finishTime: shift.finishTime },
+    ]);
+
+    proposal.assignments.push({
+      shift: summariseShift(shift),
+      worker: {
+        id: best.worker._id,
+        name: best.worker.name,
+        email: best.worker.email,
+      },
+      distanceMetres: best.distanceMetres,
+      scheduledHoursBefore:
+        Math.round((best.scheduledMinutes / 60) * 100) / 100,
+    });
+    proposal.batch.push(buildBatchEntry(shift, workerId));
+  }
+
+  return { proposal };
+};
+
+export { proposeShiftAssignments };
@@ -1,9 +1,78 @@
+// How a violated scheduling rule is reported: rejecting the change, or saving
+// it and returning a warning in the response
+export const RULE_ENFORCEMENT = Object.freeze({
+  ERROR: "error",
+  WARNING: "warning",
+});
+
+// Windows scheduled hours are summed over: any 7 consecutive days, or Monday to Sunday
+export const WEEKLY_HOURS_WINDOW = Object.freeze({
+  ROLLING: "rolling",
+  CALENDAR: "calendar",
+});
+
 export const SHIFT_CONSTRAINTS = Object.freeze({
   // Worker can clock in no earlier than 10 minutes before shift starts
   EARLY_CLOCK_IN_BUFFER: 10,
 
   // Worker must clock out at least 2 hours before shift ends
   MINIMUM_CLOCK_OUT_BUFFER: 120,
+
+  // Worker must have at least 11 hours between the end of one shift and the start of the next
+  MINIMUM_REST_MINUTES: 660,
+  REST_PERIOD_ENFORCEMENT: RULE_ENFORCEMENT.ERROR,
+
+  // Default limit of scheduled hours per week, unless the worker has their own
+  // maximum or has opted out of the limit
+  MAX_WEEKLY_HOURS: 48,
+  WEEKLY_HOURS_WINDOW: WEEKLY_HOURS_WINDOW.ROLLING,
+
+  // Assigning a shift outside the worker's declared availability only gives a warning
+  AVAILABILITY_ENFORCEMENT: RULE_ENFORCEMENT.WARNING,
+
+  // Scheduled shifts with no clock-in 30 minutes after the start are marked as no-shows
+  NO_SHOW_GRACE_MINUTES: 30,
+
+  // Shifts still in progress 2 hours after the finish are clocked out at the finish time
+  AUTO_CLOCK_OUT_GRACE_MINUTES: 120,
+
+  // Deleted shifts are purged for good 30 days after deletion, unless the
+  // DELETED_SHIFT_RETENTION_DAYS environment variable sets another period
+  DELETED_SHIFT_RETENTION_DAYS: 30,
+});
+
+export const AUTO_SCHEDULE_CONSTRAINTS = Object.freeze({
+  // Most unfilled shifts one proposal can cover
+  MAX_SHIFTS: 500,
+
+  // Weight of distance against fairness: each kilometre between a worker's
+  // home and the shift location counts like 15 more minutes already scheduled
+  MINUTES_PER_KILOMETRE: 15,
+
+  // Distance assumed for workers without a home location
+  UNKNOWN_DISTANCE_KILOMETRES: 20,
+});
+
+// Why the auto-scheduler left a worker out for a shift
+export const AUTO_SCHEDULE_EXCLUSION = Object.freeze({
+  // The shift is limited to other eligible workers
+  NOT_ELIGIBLE: "not_eligible",
+  ON_LEAVE: "on_leave",
+  // See AVAILABILITY_CONFLICT
+  UNAVAILABLE_DATE: "unavailable_date",
+  OUTSIDE_WEEKLY_AVAILABILITY: "outside_weekly_availability",
+  MISSING_QUALIFICATIONS: "missing_qualifications",
+  // The worker has a shift overlapping it, existing or proposed
+  ALREADY_SCHEDULED: "already_scheduled",
+  INSUFFICIENT_REST: "insufficient_rest",
+  WEEKLY_HOURS_EXCEEDED: "weekly_hours_exceeded",
+});
+
+// Codes of scheduling warnings returned alongside a saved shift
+export const SHIFT_WARNING_CODE = Object.freeze({
+  INSUFFICIENT_REST: "INSUFFICIENT_REST",
+  ABOVE_CONTRACTED_HOURS: "ABOVE_CONTRACTED_HOURS",
+  OUTSIDE_AVAILABILITY: "OUTSIDE_AVAILABILITY",
 });
 
 export const SHIFT_STATUS = Object.freeze({
@@ -11,6 +80,94 @@ export const SHIFT_STATUS = Object.freeze({
   IN_PROGRESS: "In Progress",
   COMPLETED: "Completed",
   CANCELLED: "Cancelled",
+  NO_SHOW: "No Show",
+});
+
+// Changes recorded in a shift's history
+export const SHIFT_HISTORY_ACTION = Object.freeze({
+  CREATE: "create",
+  UPDATE: "update",
+  DELETE: "delete",
+  RESTORE: "restore",
+  PURGE: "purge",
+  // Occurrence dropped from its series by an edit, removed outright
+  REMOVE_OCCURRENCE: "remove_occurrence",
+  CLOCK_IN: "clock_in",
+  CLOCK_OUT: "clock_out",
+  AUTO_CLOCK_OUT: "auto_clock_out",
+  NO_SHOW: "no_show",
+  CANCEL: "cancel",
+});
+
+// Where a change to a shift came from: an API endpoint, or a background job
+export const SHIFT_HISTORY_SOURCE = Object.freeze({
+  CREATE: "POST /api/shifts",
+  BATCH: "POST /api/shifts/batch",
+  BATCH_DELETE: "POST /api/shifts/batch/delete",
+  BATCH_CANCEL: "POST /api/shifts/batch/cancel",
+  UPDATE: "PUT /api/shifts/:id",
+  DELETE: "DELETE /api/shifts/:id",
+  RESTORE: "PATCH /api/shifts/:id/restore",
+  CLOCK_IN: "PATCH /api/shifts/:id/clock-in",
+  CLOCK_OUT: "PATCH /api/shifts/:id/clock-out",
+  CANCEL: "PATCH /api/shifts/:id/cancel",
+  CLAIM: "PATCH /api/shifts/:id/claim",
+  APPROVE_CLAIM: "PATCH /api/shifts/:id/claim/approve",
+  CREATE_SERIES: "POST /api/shift-series",
+  UPDATE_SERIES: "PUT /api/shift-series/:id",
+  END_SERIES: "DELETE /api/shift-series/:id",
+  APPROVE_SWAP: "PATCH /api/shift-swaps/:id/approve",
+  AMEND_TIMESHEET: "PATCH /api/timesheets/:id/entries/:shiftId",
+  NO_SHOW_SWEEP: "job:mark-no-show-shifts",
+  AUTO_CLOCK_OUT_SWEEP: "job:auto-clock-out-shifts",
+  PURGE_SWEEP: "job:purge-deleted-shifts",
+});
+
+// Shift fields compared when recording creations, edits and deletions
+export const SHIFT_HISTORY_FIELDS = Object.freeze([
+  "title",
+  "role",
+  "typeOfShift",
+  "user",
+  "eligibleWorkers",
+  "requiresClaimApproval",
+  "requiredQualifications",
+  "startTime",
+  "finishTime",
+  "numOfShiftsPerDay",
+  "location",
+  "date",
+  "isSeriesException",
+]);
+
+// Shift fields recorded when clock times are amended on a timesheet
+export const SHIFT_CLOCK_FIELDS = Object.freeze([
+  "clockInTime",
+  "clockOutTime",
+]);
+
+// Shift fields recorded when a shift is soft-deleted or restored
+export const SHIFT_DELETION_FIELDS = Object.freeze(["deletedAt", "deletedBy"]);
+
+// Status changes of the shift lifecycle, see SHIFT_TRANSITIONS in lifecycle.js.
+// Each is recorded in the shift's history under the same action
+export const SHIFT_TRANSITION = Object.freeze({
+  CLOCK_IN: SHIFT_HISTORY_ACTION.CLOCK_IN,
+  CLOCK_OUT: SHIFT_HISTORY_ACTION.CLOCK_OUT,
+  AUTO_CLOCK_OUT: SHIFT_HISTORY_ACTION.AUTO_CLOCK_OUT,
+  MARK_NO_SHOW: SHIFT_HISTORY_ACTION.NO_SHOW,
+  CANCEL: SHIFT_HISTORY_ACTION.CANCEL,
+});
+
+// Changes that keep a shift's status but are only allowed in some statuses,
+// see SHIFT_STATUS_RULES in lifecycle.js
+export const SHIFT_OPERATION = Object.freeze({
+  // Editing the shift's details or assigned worker
+  EDIT: "edit",
+  // Starting or ending a break
+  TAKE_BREAK: "take_break",
+  // Claiming an open shift, or approving a claim
+  CLAIM: "claim",
 });
 
 export const SHIFT_TYPES = Object.freeze({
@@ -20,3 +177,59 @@ export const SHIFT_TYPES = Object.freeze({
   MORNING: "Morning",
   NIGHT: "Night",
 });
+
+// Fields shift listings can be sorted by, mapped to the path that is sorted on.
+// Paths into a referenced document (user, location) are sorted through an aggregation
+export const SHIFT_SORT_FIELDS = Object.freeze({
+  date: "date",
+  startTime: "startTime",
+  finishTime: "finishTime",
+  title: "title",
+  role: "role",
+  status: "status",
+  createdAt: "createdAt",
+  updatedAt: "updatedAt",
+  deletedAt: "deletedAt",
+  workerName: "user.name",
+  locationName: "location.name",
+});
+
+// How shift listings are paged: by page number, or by an opaque cursor keyed on the sort
+export const PAGINATION_MODE = Object.freeze({
+  PAGE: "page",
+  CURSOR: "cursor",
+});
+
+// Columns available in the payroll CSV export, with their default headers
+export const PAYROLL_EXPORT_COLUMNS = Object.freeze({
+  shiftId: "Shift ID",
+  title: "Title",
+  worker: "Worker",
+  email: "Email",
+  location: "Location",
+  role: "Role",
+  date: "Date",
+  scheduledStart: "Scheduled Start",
+  scheduledFinish: "Scheduled Finish",
+  clockIn: "Clock In",
+  clockOut: "Clock Out",
+  workedMinutes: "Worked Minutes",
+  breakMinutes: "Break Minutes",
+  paidMinutes: "Paid Minutes",
+  shiftTypes: "Shift Types",
+});
+
+// Columns exported when the request does not choose its own
+export const DEFAULT_PAYROLL_EXPORT_COLUMNS = Object.freeze([
+  "worker",
+  "email",
+  "location",
+  "role",
+  "date",
+  "scheduledStart",
+  "scheduledFinish",
+  "clockIn",
+  "clockOut",
+  "workedMinutes",
+  "shiftTypes",
+]);
@@ -0,0 +1,666 @@
+import ShiftModel from "../../models/shifts.model.js";
+import UserModel from "../../models/user.model.js";
+import LeaveRequestModel from "../../models/leave-request.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+import {
+  isBefore,
+  addTime,
+  subtractTime,
+  minutesBetween,
+  getCurrentDateTime,
+  getStartOfWeek,
+} from "../../utils/datetime.js";
+import { distanceInMetres } from "../../utils/geo.js";
+import {
+  SHIFT_STATUS,
+  SHIFT_CONSTRAINTS,
+  SHIFT_WARNING_CODE,
+  RULE_ENFORCEMENT,
+  WEEKLY_HOURS_WINDOW,
+} from "./constants.js";
+import { findAvailabilityConflict } from "../worker/availability.js";
+import { AVAILABILITY_CONFLICT } from "../worker/constants.js";
+import { LEAVE_REQUEST_STATUS } from "../leave/constants.js";
+import { findRequiredQualifications } from "../qualification/index.js";
+import { findQualificationGaps } from "../worker/qualifications.js";
+
+/** @typedef {{startTime: Date, finishTime: Date}} ShiftWindow */
+
+/**
+ * Check whether two shift windows overlap. Back-to-back shifts (one finishing
+ * exactly when the other starts) do not overlap.
+ * @param {ShiftWindow} a - First shift window
+ * @param {ShiftWindow} b - Second shift window
+ * @returns {boolean} True if the windows overlap
+ */
+const windowsOverlap = (a, b) => {
+  return (
+    isBefore(a.startTime, b.finishTime) && isBefore(b.startTime, a.finishTime)
+  );
+};
+
+/**
+ * Find non-cancelled shifts assigned to a user that overlap the given window
+ * @param {Object} params
+ * @param {string} params.user - User ID
+ * @param {Date} params.startTime - Window start datetime
+ * @param {Date} params.finishTime - Window finish datetime
+ * @param {string} [params.excludeShiftId] - Shift to ignore (the one being updated)
+ * @returns {Promise<Object[]>} Overlapping shift documents
+ */
+const findOverlappingShifts = async ({
+  user,
+  startTime,
+  finishTime,
+  excludeShiftId,
+}) => {
+  const query = {
+    user,
+    status: { $ne: SHIFT_STATUS.CANCELLED },
+    startTime: { $lt: finishTime },
+    finishTime: { $gt: startTime },
+  };
+
+  if (excludeShiftId) {
+    query._id = { $ne: excludeShiftId };
+  }
+
+  return ShiftModel.find(query).select("_id startTime finishTime").exec();
+};
+
+/**
+ * Ensure a user has no other shift overlapping the given window
+ * @param {Object} params
+ * @param {string} params.user - User ID
+ * @param {Date} params.startTime - Window start datetime
+ * @param {Date} params.finishTime - Window finish datetime
+ * @param {string} [params.excludeShiftId] - Shift to ignore (the one being updated)
+ * @throws {AppError} If an overlapping shift exists
+ */
+const assertNoOverlappingShifts = async (params) => {
+  const overlappingShifts = await findOverlappingShifts(params);
+
+  if (overlappingShifts.length > 0) {
+    throw new AppError({
+      message: "Shift overlaps with another shift assigned to this user",
+      statusCode: 409,
+      errorCode: "SHIFT_OVERLAP",
+      details: {
+        conflictingShiftIds: overlappingShifts.map((shift) =>
+          shift._id.toString(),
+        ),
+      },
+    });
+  }
+};
+
+/**
+ * Find a user's non-cancelled shifts that finish less than the minimum rest
+ * period before the window starts, or start less than it after the window ends
+ * @param {Object} params
+ * @param {string} params.user - User ID
+ * @param {Date} params.startTime - Window start datetime
+ * @param {Date} params.finishTime - Window finish datetime
+ * @param {string} [params.excludeShiftId] - Shift to ignore (the one being updated)
+ * @returns {Promise<Array<{shiftId: string, restMinutes: number}>>} Neighbouring shifts with the rest between them and the window
+ */
+const findRestPeriodConflicts = async ({
+  user,
+  startTime,
+  finishTime,
+  excludeShiftId,
+}) => {
+  const minimumRest = SHIFT_CONSTRAINTS.MINIMUM_REST_MINUTES;
+  const query = {
+    user,
+    status: { $ne: SHIFT_STATUS.CANCELLED },
+    $or: [
+      {
+        finishTime: {
+          $gt: subtractTime(startTime, minimumRest, "minute"),
+          $lte: startTime,
+        },
+      },
+      {
+        startTime: {
+          $gte: finishTime,
+          $lt: addTime(finishTime, minimumRest, "minute"),
+        },
+      },
+    ],
+  };
+
+  if (excludeShiftId) {
+    query._id = { $ne: excludeShiftId };
+  }
+
+  const shifts = await ShiftModel.find(query)
+    .select("_id startTime finishTime")
+    .exec();
+
+  return shifts.map((shift) => ({
+    shiftId: shift._id.toString(),
+    restMinutes: isBefore(shift.startTime, startTime)
+      ? minutesBetween(shift.finishTime, startTime)
+      : minutesBetween(finishTime, shift.startTime),
+  }));
+};
+
+/**
+ * Apply the minimum rest period rule to a user's shift window. A violation is
+ * rejected or returned as a warning according to
+ * SHIFT_CONSTRAINTS.REST_PERIOD_ENFORCEMENT. An admin override always saves
+ * the shift with a warning, and returns the override to record on the shift.
+ * @param {Object} params - Shift window, see findRestPeriodConflicts
+ * @param {Object} [override]
+ * @param {boolean} [override.overridden=false] - Whether an admin chose to override the rule
+ * @param {string} [override.actorId] - ID of the admin overriding the rule
+ * @returns {Promise<{warning: Object|null, override: Object|null}>} Warning for the response and override record, null when the rule is met
+ * @throws {AppError} If the rule is violated, enforced as an error and not overridden
+ */
+const enforceRestPeriod = async (
+  params,
+  { overridden = false, actorId = null } = {},
+) => {
+  const conflicts = await findRestPeriodConflicts(params);
+
+  if (conflicts.length === 0) {
+    return { warning: null, override: null };
+  }
+
+  const restMinutes = Math.min(
+    ...conflicts.map((conflict) => conflict.restMinutes),
+  );
+  const conflictingShiftIds = conflicts.map((conflict) => conflict.shiftId);
+  const message = `Worker would only have ${restMinutes} minutes of rest between shifts, at least ${SHIFT_CONSTRAINTS.MINIMUM_REST_MINUTES} are required`;
+  const details = {
+    restMinutes,
+    minimumRestMinutes: SHIFT_CONSTRAINTS.MINIMUM_REST_MINUTES,
+    conflictingShiftIds,
+  };
+
+  if (
+    !overridden &&
+    SHIFT_CONSTRAINTS.REST_PERIOD_ENFORCEMENT === RULE_ENFORCEMENT.ERROR
+  ) {
+    throw new AppError({
+      message,
+      statusCode: 409,
+      errorCode: SHIFT_WARNING_CODE.INSUFFICIENT_REST,
+      details,
+    });
+  }
+
+  return {
+    warning: {
+      code: SHIFT_WARNING_CODE.INSUFFICIENT_REST,
+      message,
+      details: { ...details, overridden },
+    },
+    override: overridden
+      ? {
+          overriddenBy: actorId,
+          overriddenAt: getCurrentDateTime(),
+          restMinutes,
+          conflictingShifts: conflictingShiftIds,
+        }
+      : null,
+  };
+};
+
+/**
+ * Ensure a user has no approved leave during the given window
+ * @param {Object} params
+ * @param {string} params.user - User ID
+ * @param {Date} params.startTime - Window start datetime
+ * @param {Date} params.finishTime - Window finish datetime
+ * @throws {AppError} If the window overlaps the user's approved leave
+ */
+const assertNotOnLeave = async ({ user, startTime, finishTime }) => {
+  const leaveRequests = await LeaveRequestModel.find({
+    worker: user,
+    status: LEAVE_REQUEST_STATUS.APPROVED,
+    startsAt: { $lt: finishTime },
+    endsAt: { $gt: startTime },
+  })
+    .select("_id")
+    .exec();
+
+  if (leaveRequests.length > 0) {
+    throw new AppError({
+      message: "Worker is on approved leave during this shift",
+      statusCode: 409,
+      errorCode: "WORKER_ON_LEAVE",
+      details: {
+        leaveRequestIds: leaveRequests.map((leaveRequest) =>
+          leaveRequest._id.toString(),
+        ),
+      },
+    });
+  }
+};
+
+/**
+ * Ensure a user holds the qualifications a shift requires, valid until the
+ * shift finishes
+ * @param {Object} params
+ * @param {string} params.user - User ID
+ * @param {string} params.role - Shift role
+ * @param {Array<string|Object>} [params.requiredQualifications] - IDs of qualifications set on the shift
+ * @param {Date} params.finishTime - Shift finish datetime
+ * @throws {AppError} If the user does not exist, is missing a qualification or it expires before the shift finishes
+ */
+const assertQualified = async ({
+  user,
+  role,
+  requiredQualifications,
+  finishTime,
+}) => {
+  const qualifications = await findRequiredQualifications({
+    role,
+    requiredQualifications,
+  });
+  if (qualifications.length === 0) {
+    return;
+  }
+
+  const worker = await UserModel.findById(user).select("qualifications").exec();
+  if (!worker) {
+    throw new AppError({
+      message: "User not found",
+      statusCode: 404,
+      errorCode: "USER_NOT_FOUND",
+    });
+  }
+
+  const gaps = findQualificationGaps(worker, qualifications, finishTime);
+  if (gaps.length > 0) {
+    throw new AppError({
+      message: "Worker does not hold the qualifications this shift requires",
+      statusCode: 409,
+      errorCode: "MISSING_QUALIFICATIONS",
+      details: { missing: gaps },
+    });
+  }
+};
+
+/**
+ * Find the week around a shift with the most scheduled minutes. Shifts count
+ * towards the week they start in. Rolling weeks are any 7 consecutive days
+ * containing the shift's start; the busiest one starts with one of the shifts.
+ * @param {ShiftWindow[]} shifts - User's other shifts starting within 7 days of the shift
+ * @param {ShiftWindow} shift - Shift being scheduled
+ * @param {string} [windowType] - One of WEEKLY_HOURS_WINDOW
+ * @returns {{windowStart: Date, windowEnd: Date, scheduledMinutes: number}} Busiest week including the shift
+ */
+const findBusiestWeek = (
+  shifts,
+  shift,
+  windowType = SHIFT_CONSTRAINTS.WEEKLY_HOURS_WINDOW,
+) => {
+  const allShifts = [...shifts, shift];
+  const earliestStart = subtractTime(shift.startTime, 7, "day");
+  const windowStarts =
+    windowType === WEEKLY_HOURS_WINDOW.CALENDAR
+      ? [getStartOfWeek(shift.startTime)]
+      : allShifts
+          .map((other) => other.startTime)
+          .filter(
+            (start) =>
+              isBefore(earliestStart, start) &&
+              !isBefore(shift.startTime, start),
+          );
+
+  return windowStarts
+    .map((windowStart) => {
+      const windowEnd = addTime(windowStart, 7, "day");
+      const scheduledMinutes = allShifts
+        .filter(
+          (other) =>
+            !isBefore(other.startTime, windowStart) &&
+            isBefore(other.startTime, windowEnd),
+        )
+        .reduce(
+          (total, other) =>
+            total + minutesBetween(other.startTime, other.finishTime),
+          0,
+        );
+      return { windowStart, windowEnd, scheduledMinutes };
+    })
+    .reduce((busiest, week) =>
+      week.scheduledMinutes > busiest.scheduledMinutes ? week : busiest,
+    );
+};
+
+/**
+ * Get a user's weekly hours limit: their own maximum, or
+ * SHIFT_CONSTRAINTS.MAX_WEEKLY_HOURS unless they opted out of it
+ * @param {{maxWeeklyHours?: number|null, weeklyHoursOptOut?: boolean}|null} worker - User document
+ * @returns {number|null} Limit in hours, null if the user has none
+ */
+const getMaxWeeklyHours = (worker) =>
+  worker?.maxWeeklyHours ??
+  (worker?.weeklyHoursOptOut ? null : SHIFT_CONSTRAINTS.MAX_WEEKLY_HOURS);
+
+/**
+ * Work out the hours scheduled in the busiest week around a shift window,
+ * rounded to hundredths as they are compared with the weekly limits
+ * @param {ShiftWindow[]} shifts - User's other shifts starting within 7 days of the window
+ * @param {ShiftWindow} window - Shift window being scheduled
+ * @returns {{windowStart: Date, windowEnd: Date, scheduledHours: number}} Busiest week and its hours
+ */
+const measureWeeklyHours = (shifts, window) => {
+  const { windowStart, windowEnd, scheduledMinutes } = findBusiestWeek(
+    shifts,
+    window,
+  );
+  return {
+    windowStart,
+    windowEnd,
+    scheduledHours: Math.round((scheduledMinutes / 60) * 100) / 100,
+  };
+};
+
+/**
+ * Apply the user's weekly hours limit to a shift window. The limit is the
+ * user's own maximum, or SHIFT_CONSTRAINTS.MAX_WEEKLY_HOURS unless they opted
+ * out of it. Going over the user's contracted hours only gives a warning.
+ * @param {Object} params
+ * @param {string} params.user - User ID
+ * @param {Date} params.startTime - Window start datetime
+ * @param {Date} params.finishTime - Window finish datetime
+ * @param {string} [params.excludeShiftId] - Shift to ignore (the one being updated)
+ * @returns {Promise<{warning: Object|null}>} Warning for the response, null when within the contracted hours
+ * @throws {AppError} If the shift takes the user over their weekly hours limit
+ */
+const enforceWeeklyHours = async ({
+  user,
+  startTime,
+  finishTime,
+  excludeShiftId,
+}) => {
+  const worker = await UserModel.findById(user)
+    .select("contractedWeeklyHours maxWeeklyHours weeklyHoursOptOut")
+    .exec();
+
+  const maxWeeklyHours = getMaxWeeklyHours(worker);
+  const contractedWeeklyHours = worker?.contractedWeeklyHours ?? null;
+
+  if (maxWeeklyHours === null && contractedWeeklyHours === null) {
+    return { warning: null };
+  }
+
+  const query = {
+    user,
+    status: { $ne: SHIFT_STATUS.CANCELLED },
+    startTime: {
+      $gt: subtractTime(startTime, 7, "day"),
+      $lt: addTime(startTime, 7, "day"),
+    },
+  };
+
+  if (excludeShiftId) {
+    query._id = { $ne: excludeShiftId };
+  }
+
+  const shifts = await ShiftModel.find(query)
+    .select("_id startTime finishTime")
+    .exec();
+
+  const { windowStart, windowEnd, scheduledHours } = measureWeeklyHours(
+    shifts,
+    { startTime, finishTime },
+  );
+  const details = {
+    scheduledHours,
+    maxWeeklyHours,
+    contractedWeeklyHours,
+    window: SHIFT_CONSTRAINTS.WEEKLY_HOURS_WINDOW,
+    windowStart,
+    windowEnd,
+  };
+
+  if (maxWeeklyHours !== null && scheduledHours > maxWeeklyHours) {
+    throw new AppError({
+      message: `Worker would be scheduled for ${scheduledHours} hours in a week, the limit is ${maxWeeklyHours}`,
+      statusCode: 409,
+      errorCode: "WEEKLY_HOURS_EXCEEDED",
+      details,
+    });
+  }
+
+  if (
+    contractedWeeklyHours !== null &&
+    scheduledHours > contractedWeeklyHours
+  ) {
+    return {
+      warning: {
+        code: SHIFT_WARNING_CODE.ABOVE_CONTRACTED_HOURS,
+        message: `Worker would be scheduled for ${scheduledHours} hours in a week, above their contracted ${contractedWeeklyHours}`,
+        details,
+      },
+    };
+  }
+
+  return { warning: null };
+};
+
+/**
+ * Apply the worker's declared availability to a shift window. Shifts on one
+ * of their unavailable dates or outside their weekly availability are
+ * rejected or returned as a warning according to
+ * SHIFT_CONSTRAINTS.AVAILABILITY_ENFORCEMENT.
+ * @param {Object} params
+ * @param {string} params.user - User ID
+ * @param {Date} params.startTime - Window start datetime
+ * @param {Date} params.finishTime - Window finish datetime
+ * @returns {Promise<{warning: Object|null}>} Warning for the response, null when the worker is available
+ * @throws {AppError} If the worker is unavailable and the rule is enforced as an error
+ */
+const enforceAvailability = async ({ user, startTime, finishTime }) => {
+  const worker = await UserModel.findById(user)
+    .select("weeklyAvailability unavailableDates")
+    .exec();
+  const conflict = worker
+    ? findAvailabilityConflict(worker, { startTime, finishTime })
+    : null;
+
+  if (!conflict) {
+    return { warning: null };
+  }
+
+  const message =
+    conflict.reason === AVAILABILITY_CONFLICT.UNAVAILABLE_DATE
+      ? "Worker is unavailable on this date"
+      : "Shift is outside the worker's weekly availability";
+
+  if (SHIFT_CONSTRAINTS.AVAILABILITY_ENFORCEMENT === RULE_ENFORCEMENT.ERROR) {
+    throw new AppError({
+      message,
+      statusCode: 409,
+      errorCode: SHIFT_WARNING_CODE.OUTSIDE_AVAILABILITY,
+      details: conflict,
+    });
+  }
+
+  return {
+    warning: {
+      code: SHIFT_WARNING_CODE.OUTSIDE_AVAILABILITY,
+      message,
+      details: conflict,
+    },
+  };
+};
+
+/**
+ * Apply the scheduling rules for assigning a worker to a shift window: no
+ * overlapping shifts or approved leave, the minimum rest period, the weekly
+ * hours limit and the worker's availability. Qualifications depend on the
+ * shift's role and are checked separately with assertQualified.
+ * @param {Object} shiftWindow
+ * @param {string} shiftWindow.user - User ID
+ * @param {Date} shiftWindow.startTime - Window start datetime
+ * @param {Date} shiftWindow.finishTime - Window finish datetime
+ * @param {string} [shiftWindow.excludeShiftId] - Shift to ignore (the one being updated)
+ * @param {Object} [override] - Rest period override, see enforceRestPeriod
+ * @returns {Promise<{warnings: Object[], restPeriodOverride: Object|null}>} Warnings for the response and the rest period override to record on the shift
+ * @throws {AppError} If a rule enforced as an error is broken
+ */
+const enforceSchedulingRules = async (shiftWindow, override = {}) => {
+  await assertNoOverlappingShifts(shiftWindow);
+  await assertNotOnLeave(shiftWindow);
+
+  const restPeriod = await enforceRestPeriod(shiftWindow, override);
+  const weeklyHours = await enforceWeeklyHours(shiftWindow);
+  const availability = await enforceAvailability(shiftWindow);
+
+  return {
+    warnings: [
+      restPeriod.warning,
+      weeklyHours.warning,
+      availability.warning,
+    ].filter(Boolean),
+    restPeriodOverride: restPeriod.override,
+  };
+};
+
+/**
+ * Find overlaps between entries of the same batch. Each entry is compared
+ * against the earlier entries only, so the first of two clashing entries is
+ * kept and the later one is reported.
+ * @param {Array<{id?: string, user?: string|null, startTime: Date, finishTime: Date}>} entries - Batch entries with resolved datetimes
+ * @returns {Map<number, {conflictingIndexes: number[], conflictingShiftIds: string[]}>} Conflicts keyed by entry index
+ */
+const findBatchOverlaps = (entries) => {
+  const conflicts = new Map();
+
+  entries.forEach((entry, index) => {
+    const conflictingIndexes = [];
+
+    // Open shifts have no user yet, so they cannot clash
+    if (!entry.user) {
+      return;
+    }
+
+    for (let i = 0; i < index; i++) {
+      if (conflicts.has(i)) {
+        continue;
+      }
+      const other = entries[i];
+      if (
+        String(other.user) === String(entry.user) &&
+        windowsOverlap(entry, other)
+      ) {
+        conflictingIndexes.push(i);
+      }
+    }
+
+    if (conflictingIndexes.length > 0) {
+      conflicts.set(index, {
+        conflictingIndexes,
+        conflictingShiftIds: conflictingIndexes
+          .map((i) => entries[i].id)
+          .filter(Boolean),
+      });
+    }
+  });
+
+  return conflicts;
+};
+
+/**
+ * Check a worker's position against the shift location's geofence. Locations
+ * opt in by setting a geofenceRadius, and useRotaCloud can switch enforcement
+ * off again; the distance is recorded whenever a position is given.
+ * @param {Object} location - Location document of the shift
+ * @param {{latitude: number, longitude: number, accuracy?: number}} [position] - Worker position
+ * @returns {Object|null} Position with its distance to the location, or null if none was given
+ * @throws {AppError} If the geofence is enforced and the position is missing or too far away
+ */
+const assertWithinGeofence = (location, position) => {
+  const radius = location.geofenceRadius ?? null;
+  const enforced =
+    radius !== null && location.cordinates.useRotaCloud !== false;
+
+  if (!position) {
+    if (enforced) {
+      throw new AppError({
+        message: "Your location is required to clock in or out at this site",
+        statusCode: 400,
+        errorCode: "POSITION_REQUIRED",
+      });
+    }
+    return null;
+  }
+
+  const distance = Math.round(distanceInMetres(position, location.cordinates));
+
+  if (enforced && distance > radius) {
+    throw new AppError({
+      message: "You are too far from the shift location",
+      statusCode: 400,
+      errorCode: "OUTSIDE_GEOFENCE",
+      details: { distance, radius },
+    });
+  }
+
+  return {
+    latitude: position.latitude,
+    longitude: position.longitude,
+    accuracy: position.accuracy ?? null,
+    distance,
+  };
+};
+
+/**
+ * Ensure a shift has not been locked by an approved timesheet
+ * @param {{lockedAt?: Date|null}} shift - Shift document
+ * @throws {AppError} If the shift is locked
+ */
+const assertShiftNotLocked = (shift) => {
+  if (shift.lockedAt) {
+    throw new AppError({
+      message: "Shift is locked by its timesheet and can no longer be edited",
+      statusCode: 409,
+      errorCode: "SHIFT_LOCKED",
+      details: { timesheetId: shift.timesheet?.toString() ?? null },
+    });
+  }
+};
+
+/**
+ * Ensure a shift is not recorded on a timesheet, which refers to it for its
+ * worked hours
+ * @param {{timesheet?: Object|null}} shift - Shift document
+ * @throws {AppError} If the shift is on a timesheet
+ */
+const assertShiftNotOnTimesheet = (shift) => {
+  if (shift.timesheet) {
+    throw new AppError({
+      message: "Shift is recorded on a timesheet and cannot be deleted",
+      statusCode: 409,
+      errorCode: "SHIFT_ON_TIMESHEET",
+      details: { timesheetId: shift.timesheet.toString() },
+    });
+  }
+};
+
+export {
+  windowsOverlap,
+  findOverlappingShifts,
+  assertNoOverlappingShifts,
+  assertNotOnLeave,
+  assertQualified,
+  findBatchOverlaps,
+  findRestPeriodConflicts,
+  enforceRestPeriod,
+  findBusiestWeek,
+  getMaxWeeklyHours,
+  measureWeeklyHours,
+  enforceWeeklyHours,
+  enforceAvailability,
+  enforceSchedulingRules,
+  assertWithinGeofence,
+  assertShiftNotLocked,
+  assertShiftNotOnTimesheet,
+};
@@ -0,0 +1,168 @@
+import mongoose from "mongoose";
+import ShiftModel from "../../models/shifts.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+
+/** @typedef {"next"|"prev"} CursorDirection */
+
+/**
+ * @typedef {Object} ShiftCursor
+ * @property {Array<*>} values - Sort values of the shift the cursor points at, in sort order (the last is the _id)
+ * @property {CursorDirection} direction - Whether the cursor pages forwards or backwards
+ */
+
+/**
+ * Describe a sort as a string, so cursors cannot be reused with another sort
+ * @param {Object} sort - MongoDB sort object
+ * @returns {string} e.g. "date,-startTime,_id"
+ */
+const describeSort = (sort) =>
+  Object.entries(sort)
+    .map(([path, order]) => `${order < 0 ? "-" : ""}${path}`)
+    .join(",");
+
+/**
+ * Read a sort path from a shift, following populated references
+ * @param {Object} shift - Shift document with user and location populated
+ * @param {string} path - Sort path such as "date" or "user.name"
+ * @returns {*} Value at the path, or null if missing
+ */
+const getSortValue = (shift, path) =>
+  path.split(".").reduce((value, key) => value?.[key], shift) ?? null;
+
+/**
+ * Restore a sort value decoded from JSON to the type stored in MongoDB
+ * @param {string} path - Sort path
+ * @param {*} value - Decoded value
+ * @returns {*} Value to compare against the stored field
+ */
+const restoreSortValue = (path, value) => {
+  if (value === null) {
+    return null;
+  }
+  if (path === "_id") {
+    return new mongoose.Types.ObjectId(value);
+  }
+  if (ShiftModel.schema.path(path)?.instance === "Date") {
+    return new Date(value);
+  }
+  return value;
+};
+
+/**
+ * Throw the error for a cursor that cannot be used
+ * @throws {AppError}
+ */
+const throwInvalidCursor = () => {
+  throw new AppError({
+    message: "Invalid or expired cursor",
+    statusCode: 400,
+    errorCode: "INVALID_CURSOR",
+  });
+};
+
+/**
+ * Encode an opaque cursor pointing at a shift
+ * @param {Object} shift - Shift document with user and location populated
+ * @param {Object} sort - MongoDB sort object the page was read with
+ * @param {CursorDirection} direction - Direction the cursor pages in
+ * @returns {string} Base64url cursor
+ */
+const encodeShiftCursor = (shift, sort, direction) =>
+  Buffer.from(
+    JSON.stringify({
+      s: describeSort(sort),
+      d: direction,
+      v: Object.keys(sort).map((path) => getSortValue(shift, path)),
+    }),
+  ).toString("base64url");
+
+/**
+ * Decode a cursor created by encodeShiftCursor
+ * @param {string} cursor - Base64url cursor
+ * @param {Object} sort - MongoDB sort object of the current request
+ * @returns {ShiftCursor} Decoded cursor
+ * @throws {AppError} If the cursor is malformed or was created with another sort
+ */
+const decodeShiftCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throwInvalidCursor();
+  }
+
+  const paths = Object.keys(sort);
+  if (
+    decoded?.s !== describeSort(sort) ||
+    !["next", "prev"].includes(decoded.d) ||
+    !Array.isArray(decoded.v) ||
+    decoded.v.length !== paths.length ||
+    !mongoose.isValidObjectId(decoded.v.at(-1))
+  ) {
+    throwInvalidCursor();
+  }
+
+  return {
+    direction: decoded.d,
+    values: paths.map((path, index) =>
+      restoreSortValue(path, decoded.v[index]),
+    ),
+  };
+};
+
+/**
+ * Condition matching values after `value` when sorting in `order`. Nulls sort
+ * before every other value, so they come last in a descending sort.
+ * @param {*} value - Sort value of the cursor
+ * @param {number} order - 1 for ascending, -1 for descending
+ * @returns {Object|null} Condition on the field, or null if nothing comes after
+ */
+const afterValue = (value, order) => {
+  if (value === null) {
+    return order > 0 ? { $ne: null } : null;
+  }
+  return order > 0 ? { $gt: value } : { $lt: value };
+};
+
+/**
+ * Build the query matching shifts after a cursor position in a sort. Each
+ * sort path contributes one branch: earlier paths equal, this path after.
+ * @param {Object} sort - MongoDB sort object, ending with _id
+ * @param {Array<*>} values - Sort values of the cursor position
+ * @returns {Object} MongoDB query object
+ */
+const buildKeysetQuery = (sort, values) => {
+  const paths = Object.keys(sort);
+  const branches = [];
+
+  paths.forEach((path, index) => {
+    const order = sort[path];
+    const value = values[index];
+    const equalPrefix = Object.fromEntries(
+      paths.slice(0, index).map((prefixPath, i) => [prefixPath, values[i]]),
+    );
+
+    const after = afterValue(value, order);
+    if (after) {
+      branches.push({ ...equalPrefix, [path]: after });
+    }
+    // Nulls come after every value in a descending sort (_id is never null)
+    if (value !== null && order < 0 && path !== "_id") {
+      branches.push({ ...equalPrefix, [path]: null });
+    }
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: null };
+};
+
+/**
+ * Reverse a sort, for reading the page before a cursor
+ * @param {Object} sort - MongoDB sort object
+ * @returns {Object} Sort with every order inverted
+ */
+const reverseSort = (sort) =>
+  Object.fromEntries(
+    Object.entries(sort).map(([path, order]) => [path, -order]),
+  );
+
+export { encodeShiftCursor, decodeShiftCursor, buildKeysetQuery, reverseSort };
@@ -0,0 +1,104 @@
+import { Readable } from "node:stream";
+import dayjs from "dayjs";
+import ShiftModel from "../../models/shifts.model.js";
+import TimesheetModel from "../../models/timesheet.model.js";
+import {
+  formatTimeString,
+  getStartOfDay,
+  addTime,
+} from "../../utils/datetime.js";
+import { toCsvRow } from "../../utils/csv.js";
+import { SHIFT_STATUS, PAYROLL_EXPORT_COLUMNS } from "./constants.js";
+import { summariseWorkedTime } from "./timekeeping.js";
+import { TIMESHEET_STATUS } from "../timesheet/constants.js";
+
+/** @typedef {{key: string, header?: string}} PayrollColumn */
+
+// Cell value of each export column for a populated shift
+const PAYROLL_COLUMN_VALUES = Object.freeze({
+  shiftId: (shift) => shift._id.toString(),
+  title: (shift) => shift.title,
+  worker: (shift) => shift.user?.name,
+  email: (shift) => shift.user?.email,
+  location: (shift) => shift.location?.name,
+  role: (shift) => shift.role,
+  date: (shift) => dayjs(shift.date).format("YYYY-MM-DD"),
+  scheduledStart: (shift) => formatTimeString(shift.startTime),
+  scheduledFinish: (shift) => formatTimeString(shift.finishTime),
+  clockIn: (shift) => formatTimeString(shift.clockInTime),
+  clockOut: (shift) => formatTimeString(shift.clockOutTime),
+  workedMinutes: (shift) => summariseWorkedTime(shift).workedMinutes,
+  breakMinutes: (shift) => summariseWorkedTime(shift).breakMinutes,
+  paidMinutes: (shift) => summariseWorkedTime(shift).paidMinutes,
+  shiftTypes: (shift) => (shift.typeOfShift || []).join("; "),
+});
+
+/**
+ * Build the query for completed shifts in the export range
+ * @param {Object} options
+ * @param {Date} options.from - First day of the range
+ * @param {Date} options.to - Last day of the range (inclusive)
+ * @param {boolean} [options.approvedOnly] - Only include shifts on approved or locked timesheets
+ * @returns {Promise<Object>} MongoDB query object
+ */
+const buildPayrollExportQuery = async ({ from, to, approvedOnly }) => {
+  const query = {
+    status: SHIFT_STATUS.COMPLETED,
+    date: {
+      $gte: getStartOfDay(from),
+      $lt: addTime(getStartOfDay(to), 1, "day"),
+    },
+  };
+
+  if (approvedOnly) {
+    query.timesheet = {
+      $in: await TimesheetModel.distinct("_id", {
+        status: { $in: [TIMESHEET_STATUS.APPROVED, TIMESHEET_STATUS.LOCKED] },
+      }),
+    };
+  }
+
+  return query;
+};
+
+/**
+ * Yield the CSV header row followed by one row per shift, reading shifts
+ * from a cursor so large ranges are never held in memory at once
+ * @param {Object} options - Export options, see createPayrollExportStream
+ * @returns {AsyncGenerator<string>} CSV rows
+ */
+async function* generatePayrollRows(options) {
+  const columns = options.columns.map(({ key, header }) => ({
+    key,
+    header: header || PAYROLL_EXPORT_COLUMNS[key],
+  }));
+
+  yield toCsvRow(columns.map((column) => column.header));
+
+  const cursor = ShiftModel.find(await buildPayrollExportQuery(options))
+    .populate("user", "name email")
+    .populate("location", "name")
+    .sort({ date: 1, startTime: 1 })
+    .lean()
+    .cursor();
+
+  for await (const shift of cursor) {
+    yield toCsvRow(
+      columns.map((column) => PAYROLL_COLUMN_VALUES[column.key](shift)),
+    );
+  }
+}
+
+/**
+ * Create a stream of completed shifts in a date range as payroll CSV
+ * @param {Object} options
+ * @param {Date} options.from - First day of the range
+ * @param {Date} options.to - Last day of the range (inclusive)
+ * @param {PayrollColumn[]} options.columns - Columns in output order, optionally with a custom header
+ * @param {boolean} [options.approvedOnly=false] - Only include shifts on approved or locked timesheets
+ * @returns {Readable} CSV text stream
+ */
+const createPayrollExportStream = (options) =>
+  Readable.from(generatePayrollRows(options));
+
+export { createPayrollExportStream };
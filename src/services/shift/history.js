@@ -0,0 +1,106 @@
+import ShiftHistoryModel from "../../models/shift-history.model.js";
+import ShiftModel from "../../models/shifts.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+import { SHIFT_HISTORY_FIELDS } from "./constants.js";
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} field - Name of the changed shift field
+ * @property {*} from - Value before the change
+ * @property {*} to - Value after the change
+ */
+
+/**
+ * Convert a shift field value to the form kept in the history: references
+ * (populated or not) become ID strings and missing values become null
+ * @param {*} value - Field value
+ * @returns {*} Value to store
+ */
+const toHistoryValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toHistoryValue);
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  // ObjectIds and populated documents both expose _id
+  if (value._id) {
+    return value._id.toString();
+  }
+  return value;
+};
+
+/**
+ * List the fields that differ between two versions of a shift
+ * @param {Object|null} before - Shift before the change, null when it is created
+ * @param {Object|null} after - Shift after the change, null when it is deleted
+ * @param {readonly string[]} [fields] - Fields to compare
+ * @returns {FieldChange[]} Changed fields
+ */
+const diffShiftFields = (before, after, fields = SHIFT_HISTORY_FIELDS) =>
+  fields
+    .map((field) => ({
+      field,
+      from: toHistoryValue(before?.[field]),
+      to: toHistoryValue(after?.[field]),
+    }))
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+
+/**
+ * Append an entry to a shift's history
+ * @param {Object} entry
+ * @param {string} entry.shift - ID of the changed shift
+ * @param {string} entry.action - What happened (one of SHIFT_HISTORY_ACTION)
+ * @param {string|null} [entry.actor] - ID of the user who made the change, null for jobs
+ * @param {string} entry.source - Endpoint or job the change came through (one of SHIFT_HISTORY_SOURCE)
+ * @param {FieldChange[]} [entry.changes] - Fields changed
+ * @returns {Promise<Object>} Created history entry
+ */
+const recordShiftHistory = ({ shift, action, actor = null, source, changes }) =>
+  ShiftHistoryModel.create({ shift, action, actor, source, changes });
+
+/**
+ * Format a history entry for API response
+ * @param {Object} entry - History entry with populated actor
+ * @returns {Object} Formatted entry
+ */
+const formatHistoryEntryForResponse = (entry) => ({
+  id: entry._id,
+  action: entry.action,
+  actor: entry.actor
+    ? { id: entry.actor._id, name: entry.actor.name, email: entry.actor.email }
+    : null,
+  source: entry.source,
+  changes: entry.changes.map(({ field, from, to }) => ({ field, from, to })),
+  createdAt: entry.createdAt,
+});
+
+/**
+ * Get the history of a shift, oldest entry first. The history outlives the
+ * shift, so it can still be read after the shift is deleted.
+ * @param {string} shiftId - ID of the shift
+ * @returns {Promise<{history: Object[]}>} History entries
+ * @throws {AppError} If the shift does not exist and has no history
+ */
+const getShiftHistory = async (shiftId) => {
+  const entries = await ShiftHistoryModel.find({ shift: shiftId })
+    .populate("actor", "name email")
+    .sort({ createdAt: 1, _id: 1 });
+
+  if (entries.length === 0 && !(await ShiftModel.exists({ _id: shiftId }))) {
+    throw new AppError({
+      message: "Shift not found",
+      statusCode: 404,
+      errorCode: "SHIFT_NOT_FOUND",
+    });
+  }
+
+  return {
+    history: entries.map(formatHistoryEntryForResponse),
+  };
+};
+
+export { toHistoryValue, diffShiftFields, recordShiftHistory, getShiftHistory };
@@ -1,16 +1,63 @@
 import ShiftModel from "../../models/shifts.model.js";
 import UserModel from "../../models/user.model.js";
+import ShiftSeriesModel from "../../models/shift-series.model.js";
+import LocationModel from "../../models/location.model.js";
 import { AppError } from "../../utils/errors/app.error.js";
 import { ValidationError } from "../../utils/errors/validation.error.js";
-import { SHIFT_STATUS, SHIFT_CONSTRAINTS } from "./constants.js";
+import { serialiseBatchError } from "../../utils/errors/utils.js";
+import { runInTransaction, runAndRollBack } from "../../utils/transaction.js";
+import {
+  SHIFT_STATUS,
+  SHIFT_SORT_FIELDS,
+  PAGINATION_MODE,
+  SHIFT_HISTORY_ACTION,
+  SHIFT_HISTORY_SOURCE,
+  SHIFT_DELETION_FIELDS,
+  SHIFT_TRANSITION,
+  SHIFT_OPERATION,
+} from "./constants.js";
 import {
   createShiftDateTimes,
-  validateClockInTime,
-  validateClockOutTime,
   getCurrentDateTime,
   formatTimeString,
+  isBefore,
+  getStartOfDay,
+  addTime,
+  minutesBetween,
 } from "../../utils/datetime.js";
 import { createOrUpdateLocation } from "../location/index.js";
+import { assertQualificationsExist } from "../qualification/index.js";
+import {
+  assertNoOverlappingShifts,
+  assertNotOnLeave,
+  assertQualified,
+  findBatchOverlaps,
+  enforceSchedulingRules,
+  assertWithinGeofence,
+  assertShiftNotLocked,
+  assertShiftNotOnTimesheet,
+} from "./constraints.js";
+import {
+  summariseWorkedTime,
+  findOpenBreak,
+  validateBreak,
+} from "./timekeeping.js";
+import {
+  encodeShiftCursor,
+  decodeShiftCursor,
+  buildKeysetQuery,
+  reverseSort,
+} from "./cursor.js";
+import {
+  SHIFT_TRANSITIONS,
+  SHIFT_STATUS_RULES,
+  assertCanTransition,
+  assertStatusAllows,
+  transitionShift,
+} from "./lifecycle.js";
+import { recordShiftHistory, diffShiftFields } from "./history.js";
+import { expireSwapRequestsForShifts } from "../shift-swap/invalidation.js";
+import { SWAP_EXPIRY_REASON } from "../shift-swap/constants.js";
 
 /**
  * Format a single shift object for API response
@@ -31,14 +78,56 @@ const formatShiftForResponse = (shift) => ({
   clockOutTime: shift.clockOutTime
     ? formatTimeString(shift.clockOutTime)
     : null,
+  clockInPosition: shift.clockInPosition,
+  clockOutPosition: shift.clockOutPosition,
+  lateMinutes: shift.lateMinutes ?? null,
+  isLate: shift.lateMinutes > 0,
+  autoClockedOut: shift.autoClockedOut ?? false,
+  breaks: (shift.breaks || []).map((shiftBreak) => ({
+    id: shiftBreak._id,
+    startTime: formatTimeString(shiftBreak.startTime),
+    endTime: shiftBreak.endTime ? formatTimeString(shiftBreak.endTime) : null,
+    paid: shiftBreak.paid,
+  })),
+  ...summariseWorkedTime(shift),
+  series: shift.series
+    ? {
+        id: shift.series,
+        occurrenceDate: shift.seriesOccurrenceDate,
+        isException: shift.isSeriesException,
+      }
+    : null,
+  eligibleWorkers: shift.eligibleWorkers,
+  requiresClaimApproval: shift.requiresClaimApproval,
+  requiredQualifications: shift.requiredQualifications ?? [],
+  claim: shift.claim?.user
+    ? {
+        user: shift.claim.user,
+        claimedAt: shift.claim.claimedAt,
+      }
+    : null,
+  timesheet: shift.timesheet ?? null,
+  lockedAt: shift.lockedAt ?? null,
+  deletedAt: shift.deletedAt ?? null,
+  deletedBy: shift.deletedBy ?? null,
+  restPeriodOverride: shift.restPeriodOverride
+    ? {
+        overriddenBy: shift.restPeriodOverride.overriddenBy,
+        overriddenAt: shift.restPeriodOverride.overriddenAt,
+        restMinutes: shift.restPeriodOverride.restMinutes,
+        conflictingShiftIds: shift.restPeriodOverride.conflictingShifts,
+      }
+    : null,
   createdAt: shift.createdAt,
   updatedAt: shift.updatedAt,
-  user: {
-    id: shift.user._id,
-    name: shift.user.name,
-    email: shift.user.email,
-    role: shift.user.role,
-  },
+  user: shift.user
+    ? {
+        id: shift.user._id,
+        name: shift.user.name,
+        email: shift.user.email,
+        role: shift.user.role,
+      }
+    : null,
   location: {
     id: shift.location._id,
     name: shift.location.name,
@@ -52,75 +141,376 @@ const formatShiftForResponse = (shift) => ({
 });
 
 /**
- * Core shifts query function with pagination
- * @param {Object} baseQuery - MongoDB query object
- * @param {Object} options - Query options
- * @param {number} [options.page=1] - Page number
- * @param {number} [options.limit=10] - Number of shifts per page
- * @param {string} [options.status] - Filter by shift status
- * @param {string} [options.sortBy='date'] - Sort field
- * @param {string} [options.sortOrder='desc'] - Sort order (asc/desc)
- * @returns {Promise<Object>} Paginated shifts with metadata
+ * Build a MongoDB query from shift listing filters
+ * @param {Object} filters - Listing filters
+ * @param {string|string[]} [filters.status] - Shift statuses to include
+ * @param {Date} [filters.from] - First shift date to include
+ * @param {Date} [filters.to] - Last shift date to include (inclusive)
+ * @param {string} [filters.location] - Location ID
+ * @param {string} [filters.role] - Shift role
+ * @param {string[]} [filters.typeOfShift] - Shift types, matching shifts with any of them
+ * @param {string} [filters.user] - Assigned worker ID
+ * @param {string} [filters.search] - Case-insensitive text to find in the title
+ * @returns {Object} MongoDB query object
  */
-const getShiftsWithPagination = async (baseQuery = {}, options = {}) => {
-  const {
-    page = 1,
-    limit = 10,
-    status,
-    sortBy = "date",
-    sortOrder = "desc",
-  } = options;
-
-  const skip = (page - 1) * limit;
-  const query = { ...baseQuery };
+const buildShiftFilterQuery = ({
+  status,
+  from,
+  to,
+  location,
+  role,
+  typeOfShift,
+  user,
+  search,
+}) => {
+  const query = {};
 
   if (status) {
-    query.status = status;
+    query.status = Array.isArray(status) ? { $in: status } : status;
   }
 
-  const sortOptions = {};
-  sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+  if (from || to) {
+    query.date = {};
+    if (from) {
+      query.date.$gte = getStartOfDay(from);
+    }
+    if (to) {
+      query.date.$lt = addTime(getStartOfDay(to), 1, "day");
+    }
+  }
 
-  const [shifts, totalCount] = await Promise.all([
-    ShiftModel.find(query)
+  if (location) {
+    query.location = location;
+  }
+
+  if (role) {
+    query.role = role;
+  }
+
+  if (typeOfShift) {
+    query.typeOfShift = { $in: typeOfShift };
+  }
+
+  if (user) {
+    query.user = user;
+  }
+
+  if (search) {
+    // Escape regex metacharacters so the search is matched literally
+    query.title = {
+      $regex: search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+      $options: "i",
+    };
+  }
+
+  return query;
+};
+
+// Referenced collections joined when sorting by one of their fields
+const SORT_REFERENCES = Object.freeze({
+  user: UserModel,
+  location: LocationModel,
+});
+
+/**
+ * Build a MongoDB sort from listing sort keys
+ * @param {string|string[]} sortBy - Keys of SHIFT_SORT_FIELDS, comma-separated or as an array. A "-" prefix sorts the key descending
+ * @param {string} sortOrder - Order of keys without a prefix (asc/desc)
+ * @returns {Object} MongoDB sort object, ending with _id so pages are stable
+ * @throws {AppError} If a key is not sortable
+ */
+const buildShiftSort = (sortBy, sortOrder) => {
+  const keys = Array.isArray(sortBy) ? sortBy : sortBy.split(",");
+  const sort = {};
+
+  for (const key of keys) {
+    const descending = key.startsWith("-");
+    const field = descending ? key.slice(1) : key;
+
+    if (!Object.hasOwn(SHIFT_SORT_FIELDS, field)) {
+      throw new AppError({
+        message: `Cannot sort shifts by ${field}`,
+        statusCode: 400,
+        errorCode: "INVALID_SORT_FIELD",
+      });
+    }
+
+    sort[SHIFT_SORT_FIELDS[field]] =
+      descending || sortOrder === "desc" ? -1 : 1;
+  }
+
+  sort._id ??= 1;
+  return sort;
+};
+
+/**
+ * Find the IDs of one page of shifts sorted by fields of referenced documents,
+ * joining the referenced collections in an aggregation
+ * @param {Object} query - MongoDB query object
+ * @param {Object} sort - MongoDB sort object
+ * @param {Object} page - Page to read
+ * @param {Object} [page.keysetQuery] - Query on sort paths selecting shifts after a cursor
+ * @param {number} page.skip - Number of shifts to skip
+ * @param {number} page.limit - Number of shifts to return
+ * @returns {Promise<Object[]>} Shift IDs in sort order
+ */
+const findSortedShiftIds = async (
+  query,
+  sort,
+  { keysetQuery, skip, limit },
+) => {
+  const references = Object.keys(SORT_REFERENCES).filter((reference) =>
+    Object.keys(sort).some((path) => path.startsWith(`${reference}.`)),
+  );
+
+  const shifts = await ShiftModel.aggregate([
+    // Aggregations bypass schema casting, so cast the query as find() would
+    { $match: ShiftModel.find(query).cast() },
+    ...references.flatMap((reference) => [
+      {
+        $lookup: {
+          from: SORT_REFERENCES[reference].collection.collectionName,
+          localField: reference,
+          foreignField: "_id",
+          pipeline: [{ $project: { name: 1 } }],
+          as: reference,
+        },
+      },
+      { $unwind: { path: `$${reference}`, preserveNullAndEmptyArrays: true } },
+    ]),
+    ...(keysetQuery ? [{ $match: keysetQuery }] : []),
+    { $sort: sort },
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { _id: 1 } },
+  ]);
+
+  return shifts.map((shift) => shift._id);
+};
+
+/**
+ * Find one page of shifts with populated user and location
+ * @param {Object} query - MongoDB query object
+ * @param {Object} sort - MongoDB sort object
+ * @param {Object} page - Page to read
+ * @param {Object} [page.keysetQuery] - Query on sort paths selecting shifts after a cursor
+ * @param {number} [page.skip=0] - Number of shifts to skip
+ * @param {number} page.limit - Number of shifts to return
+ * @returns {Promise<Object[]>} Shift documents in sort order
+ */
+const findShiftsPage = async (
+  query,
+  sort,
+  { keysetQuery, skip = 0, limit },
+) => {
+  const populateShifts = (shiftQuery) =>
+    shiftQuery
       .populate("user", "name email role")
       .populate(
         "location",
         "name postCode distance constituency adminDistrict cordinates address",
       )
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(limit)
-      .exec(),
+      .exec();
+
+  // The query itself says whether deleted shifts are listed
+  if (!Object.keys(sort).some((path) => path.includes("."))) {
+    return populateShifts(
+      ShiftModel.find(keysetQuery ? { $and: [query, keysetQuery] } : query)
+        .withDeleted()
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+    );
+  }
+
+  const ids = await findSortedShiftIds(query, sort, {
+    keysetQuery,
+    skip,
+    limit,
+  });
+  const shiftsById = new Map(
+    (
+      await populateShifts(ShiftModel.find({ _id: { $in: ids } }).withDeleted())
+    ).map((shift) => [shift._id.toString(), shift]),
+  );
+  return ids.map((id) => shiftsById.get(id.toString()));
+};
+
+/**
+ * Read a page of shifts by page number
+ * @param {Object} query - MongoDB query object
+ * @param {Object} sort - MongoDB sort object
+ * @param {Object} options
+ * @param {number} options.page - Page number
+ * @param {number} options.limit - Number of shifts per page
+ * @param {boolean} options.includeTotal - Whether to count the matching shifts
+ * @returns {Promise<{shifts: Object[], pagination: Object}>}
+ */
+const getShiftsPageByNumber = async (
+  query,
+  sort,
+  { page, limit, includeTotal },
+) => {
+  const skip = (page - 1) * limit;
+
+  if (!includeTotal) {
+    // One extra shift tells whether there is a next page without counting
+    const shifts = await findShiftsPage(query, sort, {
+      skip,
+      limit: limit + 1,
+    });
+    return {
+      shifts: shifts.slice(0, limit),
+      pagination: {
+        currentPage: page,
+        hasNextPage: shifts.length > limit,
+        hasPrevPage: page > 1,
+        limit,
+      },
+    };
+  }
+
+  const [shifts, totalCount] = await Promise.all([
+    findShiftsPage(query, sort, { skip, limit }),
     ShiftModel.countDocuments(query),
   ]);
 
   const totalPages = Math.ceil(totalCount / limit);
-  const hasNextPage = page < totalPages;
-  const hasPrevPage = page > 1;
-
-  const formattedShifts = shifts.map(formatShiftForResponse);
 
   return {
-    shifts: formattedShifts,
+    shifts,
     pagination: {
       currentPage: page,
       totalPages,
       totalCount,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      limit,
+    },
+  };
+};
+
+/**
+ * Read a page of shifts from an opaque cursor. Pages are keyed on the sort
+ * values and _id of the shift at the cursor, so they stay stable while
+ * shifts are added or removed.
+ * @param {Object} query - MongoDB query object
+ * @param {Object} sort - MongoDB sort object, ending with _id
+ * @param {Object} options
+ * @param {string} [options.cursor] - Cursor from a previous page. Omit for the first page
+ * @param {number} options.limit - Number of shifts per page
+ * @param {boolean} options.includeTotal - Whether to count the matching shifts
+ * @returns {Promise<{shifts: Object[], pagination: Object}>}
+ * @throws {AppError} If the cursor is invalid
+ */
+const getShiftsPageByCursor = async (
+  query,
+  sort,
+  { cursor, limit, includeTotal },
+) => {
+  const position = cursor ? decodeShiftCursor(cursor, sort) : null;
+  const backwards = position?.direction === "prev";
+  const readSort = backwards ? reverseSort(sort) : sort;
+
+  // One extra shift tells whether there is another page in the read direction
+  const [readShifts, totalCount] = await Promise.all([
+    findShiftsPage(query, readSort, {
+      keysetQuery: position && buildKeysetQuery(readSort, position.values),
+      limit: limit + 1,
+    }),
+    includeTotal ? ShiftModel.countDocuments(query) : undefined,
+  ]);
+
+  const hasMore = readShifts.length > limit;
+  const pageShifts = readShifts.slice(0, limit);
+  const shifts = backwards ? pageShifts.reverse() : pageShifts;
+
+  const hasNextPage = backwards ? true : hasMore;
+  const hasPrevPage = backwards ? hasMore : Boolean(position);
+
+  return {
+    shifts,
+    pagination: {
+      nextCursor:
+        hasNextPage && shifts.length > 0
+          ? encodeShiftCursor(shifts.at(-1), sort, "next")
+          : null,
+      prevCursor:
+        hasPrevPage && shifts.length > 0
+          ? encodeShiftCursor(shifts[0], sort, "prev")
+          : null,
       hasNextPage,
       hasPrevPage,
       limit,
+      ...(includeTotal ? { totalCount } : {}),
     },
   };
 };
 
+/**
+ * Core shifts query function with pagination. Pages are read by page number
+ * unless cursor pagination is requested.
+ * @param {Object} baseQuery - MongoDB query object, taking precedence over the filters
+ * @param {Object} options - Query options and listing filters (see buildShiftFilterQuery)
+ * @param {string} [options.paginationMode='page'] - "page" or "cursor"
+ * @param {number} [options.page=1] - Page number (page mode)
+ * @param {string} [options.cursor] - Cursor of the page to read (cursor mode, implied when set)
+ * @param {number} [options.limit=10] - Number of shifts per page
+ * @param {boolean} [options.includeTotal] - Whether to count the matching shifts (default: true in page mode, false in cursor mode)
+ * @param {string|string[]} [options.sortBy='date'] - Sort keys (see buildShiftSort)
+ * @param {string} [options.sortOrder='desc'] - Sort order of keys without a "-" prefix (asc/desc)
+ * @returns {Promise<Object>} Paginated shifts with metadata
+ * @throws {AppError} If the sort or cursor is invalid
+ */
+const getShiftsWithPagination = async (baseQuery = {}, options = {}) => {
+  const {
+    paginationMode = PAGINATION_MODE.PAGE,
+    page = 1,
+    cursor,
+    limit = 10,
+    includeTotal,
+    sortBy = "date",
+    sortOrder = "desc",
+    ...filters
+  } = options;
+
+  // The base query may ask for deleted shifts instead
+  const query = {
+    deletedAt: null,
+    ...buildShiftFilterQuery(filters),
+    ...baseQuery,
+  };
+  const sort = buildShiftSort(sortBy, sortOrder);
+
+  const result =
+    cursor || paginationMode === PAGINATION_MODE.CURSOR
+      ? await getShiftsPageByCursor(query, sort, {
+          cursor,
+          limit,
+          includeTotal: includeTotal ?? false,
+        })
+      : await getShiftsPageByNumber(query, sort, {
+          page,
+          limit,
+          includeTotal: includeTotal ?? true,
+        });
+
+  return {
+    shifts: result.shifts.map(formatShiftForResponse),
+    pagination: result.pagination,
+  };
+};
+
 /**
  * Create a new shift for a user
  * @param {Object} shiftData - Shift data object
  * @param {string} shiftData.title - Shift title
  * @param {string} shiftData.role - Shift role
  * @param {string[]} [shiftData.typeOfShift] - Array of shift types
- * @param {string} shiftData.user - User ID
+ * @param {string} [shiftData.user] - User ID. Omit to publish an open shift workers can claim
+ * @param {string[]} [shiftData.eligibleWorkers] - Workers allowed to claim an open shift (default: any worker)
+ * @param {boolean} [shiftData.requiresClaimApproval] - Whether claims of an open shift need admin approval
+ * @param {string[]} [shiftData.requiredQualifications] - Qualifications the worker must hold, on top of those required for the role
  * @param {string} shiftData.startTime - Start time of the shift
  * @param {string} shiftData.finishTime - Finish time of the shift
  * @param {number} [shiftData.numOfShiftsPerDay] - Number of shifts per day (default: 1)
@@ -130,33 +520,66 @@ const getShiftsWithPagination = async (baseQuery = {}, options = {}) => {
  * @param {string} shiftData.location.postcode - Location postcode
  * @param {Object} shiftData.location.cordinates - Location coordinates
  * @param {Date} shiftData.date - Date of the shift
- * @returns {Promise<Object>} Created shift with populated user and location data
- * @throws {AppError} If user does not exist
+ * @param {string} [shiftData.series] - ID of the shift series the shift belongs to
+ * @param {Date} [shiftData.seriesOccurrenceDate] - Occurrence date within the series
+ * @param {boolean} [shiftData.overrideRestPeriod] - Schedule the shift even if the worker would not get the minimum rest
+ * @param {Object} [context]
+ * @param {string} [context.actorId] - ID of the admin making the change, recorded with overrides and in the history
+ * @param {string} [context.source] - Endpoint the change comes through (one of SHIFT_HISTORY_SOURCE)
+ * @returns {Promise<Object>} Created shift with populated user and location data, and scheduling warnings
+ * @throws {AppError} If user does not exist, already has an overlapping shift, would not get the minimum rest,
+ * would go over their weekly hours limit or lacks a required qualification
  * @throws {ValidationError} If validation fails
  */
-const createShift = async (shiftData) => {
+const createShift = async (
+  shiftData,
+  { actorId = null, source = SHIFT_HISTORY_SOURCE.CREATE } = {},
+) => {
   const {
     title,
     role,
     typeOfShift,
-    user,
+    user = null,
+    eligibleWorkers = [],
+    requiresClaimApproval = false,
+    requiredQualifications = [],
     startTime,
     finishTime,
     numOfShiftsPerDay = 1,
     location,
     date,
+    series = null,
+    seriesOccurrenceDate = null,
+    overrideRestPeriod = false,
   } = shiftData;
 
-  const userExists = await UserModel.findById(user);
-  if (!userExists) {
-    throw new AppError({
-      message: "User not found",
-      statusCode: 404,
-      errorCode: "USER_NOT_FOUND",
+  if (user) {
+    const userExists = await UserModel.findById(user);
+    if (!userExists) {
+      throw new AppError({
+        message: "User not found",
+        statusCode: 404,
+        errorCode: "USER_NOT_FOUND",
+      });
+    }
+  }
+
+  if (eligibleWorkers.length > 0) {
+    const eligibleCount = await UserModel.countDocuments({
+      _id: { $in: eligibleWorkers },
     });
+    if (eligibleCount !== new Set(eligibleWorkers.map(String)).size) {
+      throw new AppError({
+        message: "Eligible worker not found",
+        statusCode: 404,
+        errorCode: "USER_NOT_FOUND",
+      });
+    }
   }
 
-  const locationDoc = await createOrUpdateLocation(location);
+  if (requiredQualifications.length > 0) {
+    await assertQualificationsExist(requiredQualifications);
+  }
 
   const { startDateTime, finishDateTime } = createShiftDateTimes(
     date,
@@ -164,20 +587,52 @@ const createShift = async (shiftData) => {
     finishTime,
   );
 
+  let warnings = [];
+  let restPeriodOverride = null;
+
+  if (user) {
+    const shiftWindow = {
+      user,
+      startTime: startDateTime,
+      finishTime: finishDateTime,
+    };
+    await assertQualified({ ...shiftWindow, role, requiredQualifications });
+    ({ warnings, restPeriodOverride } = await enforceSchedulingRules(
+      shiftWindow,
+      { overridden: overrideRestPeriod, actorId },
+    ));
+  }
+
+  const locationDoc = await createOrUpdateLocation(location);
+
   const newShift = new ShiftModel({
     title,
     role,
     typeOfShift,
     user,
+    eligibleWorkers: user ? [] : eligibleWorkers,
+    requiresClaimApproval: user ? false : requiresClaimApproval,
+    requiredQualifications,
     startTime: startDateTime,
     finishTime: finishDateTime,
     numOfShiftsPerDay,
     location: locationDoc._id,
     date,
+    series,
+    seriesOccurrenceDate,
+    restPeriodOverride,
   });
 
   const savedShift = await newShift.save();
 
+  await recordShiftHistory({
+    shift: savedShift._id,
+    action: SHIFT_HISTORY_ACTION.CREATE,
+    actor: actorId,
+    source,
+    changes: diffShiftFields(null, savedShift),
+  });
+
   const shift = await ShiftModel.findById(savedShift._id)
     .populate("user", "name email role")
     .populate(
@@ -196,6 +651,7 @@ const createShift = async (shiftData) => {
 
   return {
     shift: formatShiftForResponse(shift),
+    warnings,
   };
 };
 
@@ -207,6 +663,7 @@ const createShift = async (shiftData) => {
  * @param {string} [updateData.role] - Shift role
  * @param {string[]} [updateData.typeOfShift] - Array of shift types
  * @param {string} [updateData.user] - User ID
+ * @param {string[]} [updateData.requiredQualifications] - Qualifications the worker must hold, replacing the current ones
  * @param {string} [updateData.startTime] - Start time of the shift
  * @param {string} [updateData.finishTime] - Finish time of the shift
  * @param {number} [updateData.numOfShiftsPerDay] - Number of shifts per day
@@ -216,10 +673,20 @@ const createShift = async (shiftData) => {
  * @param {string} [updateData.location.postcode] - Location postcode
  * @param {Object} [updateData.location.cordinates] - Location coordinates
  * @param {Date} [updateData.date] - Date of the shift
- * @returns {Promise<Object>} Updated shift with populated user and location data
- * @throws {AppError} If shift not found, user not authorized, or validation fails
+ * @param {boolean} [updateData.overrideRestPeriod] - Keep the change even if the worker would not get the minimum rest
+ * @param {Object} [context]
+ * @param {string} [context.actorId] - ID of the admin making the change, recorded with overrides and in the history
+ * @param {string} [context.source] - Endpoint the change comes through (one of SHIFT_HISTORY_SOURCE)
+ * @returns {Promise<Object>} Updated shift with populated user and location data, and scheduling warnings
+ * @throws {AppError} If shift not found, locked by its timesheet, user not authorized, validation fails,
+ * the shift would overlap another, the worker would not get the minimum rest, would go over their weekly hours limit
+ * or lacks a required qualification
  */
-const updateShift = async (shiftId, updateData) => {
+const updateShift = async (
+  shiftId,
+  { overrideRestPeriod = false, ...updateData },
+  { actorId = null, source = SHIFT_HISTORY_SOURCE.UPDATE } = {},
+) => {
   const existingShift = await ShiftModel.findById(shiftId).populate("user");
   if (!existingShift) {
     throw new AppError({
@@ -229,13 +696,9 @@ const updateShift = async (shiftId, updateData) => {
     });
   }
 
-  if (existingShift.status !== SHIFT_STATUS.SCHEDULED) {
-    throw new AppError({
-      message: `Cannot update shift as it is ${existingShift.status}`,
-      statusCode: 400,
-      errorCode: "INVALID_SHIFT_STATUS",
-    });
-  }
+  assertShiftNotLocked(existingShift);
+
+  assertStatusAllows(existingShift, SHIFT_OPERATION.EDIT);
 
   if (updateData.user) {
     const newUserExists = await UserModel.findById(updateData.user);
@@ -248,6 +711,10 @@ const updateShift = async (shiftId, updateData) => {
     }
   }
 
+  if (updateData.requiredQualifications?.length > 0) {
+    await assertQualificationsExist(updateData.requiredQualifications);
+  }
+
   if (updateData.location) {
     updateData.location = await createOrUpdateLocation(updateData.location);
   }
@@ -269,6 +736,40 @@ const updateShift = async (shiftId, updateData) => {
     updateData.finishTime = finishDateTime;
   }
 
+  let warnings = [];
+  const assignedUser = updateData.user || existingShift.user?._id;
+  if (assignedUser && (updateData.user || updateData.startTime)) {
+    const shiftWindow = {
+      user: assignedUser,
+      startTime: updateData.startTime || existingShift.startTime,
+      finishTime: updateData.finishTime || existingShift.finishTime,
+      excludeShiftId: shiftId,
+    };
+    // A previous override no longer applies once the worker or times change
+    ({ warnings, restPeriodOverride: updateData.restPeriodOverride } =
+      await enforceSchedulingRules(shiftWindow, {
+        overridden: overrideRestPeriod,
+        actorId,
+      }));
+  }
+
+  if (
+    assignedUser &&
+    (updateData.user ||
+      updateData.startTime ||
+      updateData.role ||
+      updateData.requiredQualifications)
+  ) {
+    await assertQualified({
+      user: assignedUser,
+      role: updateData.role || existingShift.role,
+      requiredQualifications:
+        updateData.requiredQualifications ||
+        existingShift.requiredQualifications,
+      finishTime: updateData.finishTime || existingShift.finishTime,
+    });
+  }
+
   const updatedShift = await ShiftModel.findByIdAndUpdate(shiftId, updateData, {
     new: true,
     runValidators: true,
@@ -282,6 +783,17 @@ const updateShift = async (shiftId, updateData) => {
     });
   }
 
+  const changes = diffShiftFields(existingShift, updatedShift);
+  if (changes.length > 0) {
+    await recordShiftHistory({
+      shift: shiftId,
+      action: SHIFT_HISTORY_ACTION.UPDATE,
+      actor: actorId,
+      source,
+      changes,
+    });
+  }
+
   const shift = await ShiftModel.findById(updatedShift._id)
     .populate("user", "name email role")
     .populate(
@@ -300,16 +812,26 @@ const updateShift = async (shiftId, updateData) => {
 
   return {
     shift: formatShiftForResponse(shift),
+    warnings,
   };
 };
 
 /**
- * Delete an existing shift
+ * Soft-delete an existing shift and expire its open swap requests. The shift
+ * is hidden from listings and lookups until it is restored, or purged by the
+ * retention job. Shifts recorded on a timesheet cannot be deleted, as the
+ * timesheet refers to them.
  * @param {string} shiftId - ID of the shift to delete
+ * @param {Object} [context]
+ * @param {string} [context.actorId] - ID of the admin deleting the shift
+ * @param {string} [context.source] - Endpoint the deletion comes through (one of SHIFT_HISTORY_SOURCE)
  * @returns {Promise<Object>} Success message
- * @throws {AppError} If shift not found
+ * @throws {AppError} If shift not found, locked by its timesheet or recorded on one
  */
-const deleteShift = async (shiftId) => {
+const deleteShift = async (
+  shiftId,
+  { actorId = null, source = SHIFT_HISTORY_SOURCE.DELETE } = {},
+) => {
   const existingShift = await ShiftModel.findById(shiftId);
   if (!existingShift) {
     throw new AppError({
@@ -319,7 +841,184 @@ const deleteShift = async (shiftId) => {
     });
   }
 
-  await ShiftModel.findByIdAndDelete(shiftId);
+  assertShiftNotLocked(existingShift);
+  assertShiftNotOnTimesheet(existingShift);
+
+  // Conditional, in case a timesheet picked the shift up meanwhile
+  const deletedShift = await ShiftModel.findOneAndUpdate(
+    { _id: shiftId, timesheet: null },
+    { deletedAt: getCurrentDateTime(), deletedBy: actorId },
+    { new: true },
+  );
+  if (!deletedShift) {
+    const currentShift = await ShiftModel.findById(shiftId);
+    if (currentShift) {
+      assertShiftNotOnTimesheet(currentShift);
+    }
+    throw new AppError({
+      message: "Shift not found",
+      statusCode: 404,
+      errorCode: "SHIFT_NOT_FOUND",
+    });
+  }
+  await recordShiftHistory({
+    shift: shiftId,
+    action: SHIFT_HISTORY_ACTION.DELETE,
+    actor: actorId,
+    source,
+    changes: diffShiftFields(
+      existingShift,
+      deletedShift,
+      SHIFT_DELETION_FIELDS,
+    ),
+  });
+  await expireSwapRequestsForShifts(
+    [shiftId],
+    SWAP_EXPIRY_REASON.SHIFT_DELETED,
+  );
+};
+
+/**
+ * Remove an occurrence its series no longer generates. Unlike deleteShift the
+ * shift is removed outright rather than soft-deleted, as it can be generated
+ * again by editing the series; its history is kept, ending with the removal.
+ * The removal is conditional on the occurrence still being scheduled and not
+ * edited on its own.
+ * @param {string} shiftId - ID of the occurrence
+ * @param {Object} context
+ * @param {string|null} context.actorId - ID of the admin editing the series
+ * @param {string} context.source - Endpoint the series edit comes through (one of SHIFT_HISTORY_SOURCE)
+ * @returns {Promise<boolean>} Whether the occurrence was removed
+ * @throws {AppError} If the occurrence is locked by its timesheet
+ */
+const removeSeriesOccurrence = async (shiftId, { actorId, source }) => {
+  const existingShift = await ShiftModel.findById(shiftId);
+  if (!existingShift) {
+    return false;
+  }
+
+  assertShiftNotLocked(existingShift);
+
+  const { deletedCount } = await ShiftModel.deleteOne({
+    _id: shiftId,
+    status: SHIFT_STATUS.SCHEDULED,
+    isSeriesException: { $ne: true },
+    deletedAt: null,
+  });
+  if (deletedCount === 0) {
+    return false;
+  }
+
+  await recordShiftHistory({
+    shift: shiftId,
+    action: SHIFT_HISTORY_ACTION.REMOVE_OCCURRENCE,
+    actor: actorId,
+    source,
+    changes: [],
+  });
+  await expireSwapRequestsForShifts(
+    [shiftId],
+    SWAP_EXPIRY_REASON.SHIFT_DELETED,
+  );
+  return true;
+};
+
+/**
+ * Restore a soft-deleted shift. An assigned shift cannot be restored while
+ * its worker has another shift overlapping it.
+ * @param {string} shiftId - ID of the deleted shift
+ * @param {Object} [context]
+ * @param {string} [context.actorId] - ID of the admin restoring the shift
+ * @param {string} [context.source] - Endpoint the restore comes through (one of SHIFT_HISTORY_SOURCE)
+ * @returns {Promise<Object>} Restored shift
+ * @throws {AppError} If the shift is not found, not deleted or overlaps another shift of its worker
+ */
+const restoreShift = async (
+  shiftId,
+  { actorId = null, source = SHIFT_HISTORY_SOURCE.RESTORE } = {},
+) => {
+  const deletedShift = await ShiftModel.findById(shiftId).withDeleted();
+  if (!deletedShift) {
+    throw new AppError({
+      message: "Shift not found",
+      statusCode: 404,
+      errorCode: "SHIFT_NOT_FOUND",
+    });
+  }
+
+  if (!deletedShift.deletedAt) {
+    throw new AppError({
+      message: "Shift is not deleted",
+      statusCode: 400,
+      errorCode: "SHIFT_NOT_DELETED",
+    });
+  }
+
+  if (deletedShift.user && deletedShift.status !== SHIFT_STATUS.CANCELLED) {
+    const shiftWindow = {
+      user: deletedShift.user,
+      startTime: deletedShift.startTime,
+      finishTime: deletedShift.finishTime,
+      excludeShiftId: shiftId,
+    };
+    await assertNoOverlappingShifts(shiftWindow);
+    await assertNotOnLeave(shiftWindow);
+  }
+
+  // Conditional on the deletion, so concurrent restores cannot both succeed
+  const restoredShift = await ShiftModel.findOneAndUpdate(
+    { _id: shiftId, deletedAt: { $ne: null } },
+    { deletedAt: null, deletedBy: null },
+    { new: true },
+  )
+    .populate("user", "name email role")
+    .populate(
+      "location",
+      "name postCode distance constituency adminDistrict cordinates address",
+    )
+    .exec();
+  if (!restoredShift) {
+    throw new AppError({
+      message: "Shift is not deleted",
+      statusCode: 400,
+      errorCode: "SHIFT_NOT_DELETED",
+    });
+  }
+
+  await recordShiftHistory({
+    shift: shiftId,
+    action: SHIFT_HISTORY_ACTION.RESTORE,
+    actor: actorId,
+    source,
+    changes: diffShiftFields(
+      deletedShift,
+      restoredShift,
+      SHIFT_DELETION_FIELDS,
+    ),
+  });
+
+  return { shift: formatShiftForResponse(restoredShift) };
+};
+
+/**
+ * Work out the worker and time window a batch entry gives its shift. Update
+ * entries keep the stored shift's worker, date and times they do not change.
+ * @param {Object} shiftData - Batch entry
+ * @param {Object} [storedShift] - Shift the entry updates, none for new shifts
+ * @returns {{id?: string, user: string|null, startTime: Date, finishTime: Date}} Entry window
+ */
+const resolveBatchEntryWindow = (shiftData, storedShift) => {
+  const { startDateTime, finishDateTime } = createShiftDateTimes(
+    shiftData.date ?? storedShift?.date,
+    shiftData.startTime ?? formatTimeString(storedShift?.startTime),
+    shiftData.finishTime ?? formatTimeString(storedShift?.finishTime),
+  );
+  return {
+    id: shiftData.id,
+    user: shiftData.user ?? storedShift?.user ?? null,
+    startTime: startDateTime,
+    finishTime: finishDateTime,
+  };
 };
 
 /**
@@ -329,7 +1028,7 @@ const deleteShift = async (shiftId) => {
  * @param {string} shiftsData[].title - Shift title
  * @param {string} shiftsData[].role - Shift role
  * @param {string[]} [shiftsData[].typeOfShift] - Array of shift types
- * @param {string} shiftsData[].user - User ID
+ * @param {string} [shiftsData[].user] - User ID (omit for an open shift)
  * @param {string} shiftsData[].startTime - Start time of the shift
  * @param {string} shiftsData[].finishTime - Finish time of the shift
  * @param {number} [shiftsData[].numOfShiftsPerDay] - Number of shifts per day
@@ -339,37 +1038,144 @@ const deleteShift = async (shiftId) => {
  * @param {string} shiftsData[].location.postcode - Location postcode
  * @param {Object} shiftsData[].location.cordinates - Location coordinates
  * @param {Date} shiftsData[].date - Date of the shift
- * @returns {Promise<Object>} Results with created and updated shifts
- * @throws {AppError} If validation fails
+ * @param {boolean} [shiftsData[].overrideRestPeriod] - Save the entry even if the worker would not get the minimum rest
+ * @param {Object} [context]
+ * @param {string} [context.actorId] - ID of the admin making the changes, recorded with overrides and in the history
+ * @param {Object} [options]
+ * @param {boolean} [options.atomic=false] - Save all entries in one transaction, or none if any entry fails
+ * @param {boolean} [options.dryRun=false] - Check every entry as if saving it, without saving anything
+ * @returns {Promise<Object>} Results with created and updated shifts. Entries that overlap an
+ * earlier entry of the same batch, or an existing shift of the same user, are reported in errors;
+ * scheduling warnings of saved entries are reported in warnings
+ * @throws {AppError} If validation fails, an entry of an atomic batch fails or the database
+ * does not support transactions
+ */
+const batchCreateUpdateShifts = async (
+  shiftsData,
+  context = {},
+  options = {},
+) =>
+  runBatch(
+    (stopOnError) => saveBatchEntries(shiftsData, context, { stopOnError }),
+    options,
+  );
+
+/**
+ * Run a batch in the requested mode
+ * @param {(stopOnError: boolean) => Promise<Object>} applyBatch - Applies every entry of the batch,
+ * reporting failed entries in the results or, with stopOnError, throwing on the first one
+ * @param {Object} [options]
+ * @param {boolean} [options.atomic=false] - Apply all entries in one transaction, or none if any entry fails
+ * @param {boolean} [options.dryRun=false] - Check every entry as if applying it, without saving anything
+ * @returns {Promise<Object>} Results of the batch, flagged with dryRun when nothing was saved
+ * @throws {AppError} If an entry of an atomic batch fails or the database does not support transactions
+ */
+const runBatch = async (
+  applyBatch,
+  { atomic = false, dryRun = false } = {},
+) => {
+  // A dry run reports every entry, as an atomic batch would only save them all together
+  if (dryRun) {
+    const results = await runAndRollBack(() => applyBatch(false));
+    return { ...results, dryRun: true };
+  }
+
+  if (atomic) {
+    return runInTransaction(() => applyBatch(true));
+  }
+
+  return applyBatch(false);
+};
+
+/**
+ * Build the error failing an atomic batch
+ * @param {{index: number}} entryError - Failed entry with its serialised error
+ * @param {Error & {statusCode?: number}} error - Error the entry failed with
+ * @returns {AppError}
+ */
+const buildBatchEntryError = (entryError, error) =>
+  new AppError({
+    message: `Batch entry ${entryError.index} failed, no changes were saved`,
+    statusCode: error.statusCode ?? 500,
+    errorCode: "BATCH_ENTRY_FAILED",
+    details: entryError,
+    cause: error,
+  });
+
+/**
+ * Save the entries of a batch one after the other
+ * @param {Array<Object>} shiftsData - Batch entries, see batchCreateUpdateShifts
+ * @param {Object} context - Who makes the changes, see batchCreateUpdateShifts
+ * @param {Object} options
+ * @param {boolean} options.stopOnError - Throw on the first failed entry instead of reporting it and carrying on
+ * @returns {Promise<Object>} Results with created and updated shifts, errors and warnings
+ * @throws {AppError} If an entry fails and stopOnError is set
  */
-const batchCreateUpdateShifts = async (shiftsData) => {
+const saveBatchEntries = async (shiftsData, context, { stopOnError }) => {
   const results = {
     created: [],
     updated: [],
     errors: [],
+    warnings: [],
   };
+  const entryContext = { ...context, source: SHIFT_HISTORY_SOURCE.BATCH };
+
+  const updatedIds = shiftsData
+    .map((shiftData) => shiftData.id)
+    .filter(Boolean);
+  const storedShifts = new Map(
+    (
+      await ShiftModel.find({ _id: { $in: updatedIds } })
+        .select("user date startTime finishTime")
+        .exec()
+    ).map((shift) => [shift._id.toString(), shift]),
+  );
+
+  // Entries updating a missing shift fail on their own below
+  const batchOverlaps = findBatchOverlaps(
+    shiftsData.map((shiftData) =>
+      !shiftData.id || storedShifts.has(shiftData.id)
+        ? resolveBatchEntryWindow(shiftData, storedShifts.get(shiftData.id))
+        : { id: shiftData.id, user: null },
+    ),
+  );
 
   for (let i = 0; i < shiftsData.length; i++) {
     const shiftData = shiftsData[i];
 
     try {
+      if (batchOverlaps.has(i)) {
+        throw new AppError({
+          message: "Shift overlaps with another shift in the same batch",
+          statusCode: 409,
+          errorCode: "SHIFT_OVERLAP",
+          details: batchOverlaps.get(i),
+        });
+      }
+
+      let result;
       if (shiftData.id) {
         const { id, ...updateData } = shiftData;
-        const result = await updateShift(id, updateData);
+        result = await updateShift(id, updateData, entryContext);
         results.updated.push(result.shift);
       } else {
-        const result = await createShift(shiftData);
+        result = await createShift(shiftData, entryContext);
         results.created.push(result.shift);
       }
+
+      if (result.warnings.length > 0) {
+        results.warnings.push({ index: i, warnings: result.warnings });
+      }
     } catch (error) {
-      results.errors.push({
+      const entryError = {
         index: i,
         shift: shiftData,
-        error: {
-          message: error.message,
-          errorCode: error.errorCode || "UNKNOWN_ERROR",
-        },
-      });
+        error: serialiseBatchError(error),
+      };
+      if (stopOnError) {
+        throw buildBatchEntryError(entryError, error);
+      }
+      results.errors.push(entryError);
     }
   }
 
@@ -377,12 +1183,20 @@ const batchCreateUpdateShifts = async (shiftsData) => {
 };
 
 /**
- * Cancel an existing shift
+ * Cancel an existing shift and expire its open swap requests. Cancelling an
+ * occurrence of a shift series adds its date to the series exclusions so later
+ * series edits do not recreate it.
  * @param {string} shiftId - ID of the shift to cancel
+ * @param {Object} [context]
+ * @param {string} [context.actorId] - ID of the admin cancelling the shift
+ * @param {string} [context.source] - Endpoint the cancellation comes through (one of SHIFT_HISTORY_SOURCE)
  * @returns {Promise<Object>} Success message
- * @throws {AppError} If shift not found or already cancelled/completed
+ * @throws {AppError} If shift not found or its status does not allow cancelling
  */
-const cancelShift = async (shiftId) => {
+const cancelShift = async (
+  shiftId,
+  { actorId = null, source = SHIFT_HISTORY_SOURCE.CANCEL } = {},
+) => {
   const existingShift = await ShiftModel.findById(shiftId);
   if (!existingShift) {
     throw new AppError({
@@ -392,36 +1206,156 @@ const cancelShift = async (shiftId) => {
     });
   }
 
-  if (existingShift.status === SHIFT_STATUS.CANCELLED) {
-    throw new AppError({
-      message: "Shift is already cancelled",
-      statusCode: 400,
-      errorCode: "SHIFT_ALREADY_CANCELLED",
+  await transitionShift(existingShift, SHIFT_TRANSITION.CANCEL, {
+    actor: actorId,
+    source,
+  });
+  await expireSwapRequestsForShifts(
+    [shiftId],
+    SWAP_EXPIRY_REASON.SHIFT_CANCELLED,
+  );
+
+  if (existingShift.series) {
+    await ShiftSeriesModel.findByIdAndUpdate(existingShift.series, {
+      $addToSet: { "recurrence.exdates": existingShift.seriesOccurrenceDate },
     });
   }
+};
 
-  if (existingShift.status === SHIFT_STATUS.COMPLETED) {
-    throw new AppError({
-      message: "Cannot cancel a completed shift",
-      statusCode: 400,
-      errorCode: "SHIFT_ALREADY_COMPLETED",
-    });
+/**
+ * @typedef {Object} ShiftSelection
+ * @property {string[]} [ids] - IDs of the shifts
+ * @property {Object} [filter] - Shifts to select instead of listing their IDs
+ * @property {Date} filter.from - Only shifts on or after this date
+ * @property {Date} filter.to - Only shifts on or before this date
+ * @property {string} [filter.location] - Only shifts at this location
+ */
+
+/**
+ * Resolve the shifts a batch operation applies to
+ * @param {ShiftSelection} selection - Shift IDs, or a filter matching the shifts
+ * @param {string[]} [statuses] - Statuses a filter is limited to
+ * @returns {Promise<string[]>} Shift IDs, without duplicates; filtered shifts by start time
+ */
+const selectBatchShiftIds = async ({ ids, filter }, statuses) => {
+  if (ids) {
+    return [...new Set(ids.map(String))];
   }
 
-  await ShiftModel.findByIdAndUpdate(shiftId, {
-    status: SHIFT_STATUS.CANCELLED,
-  });
+  const shifts = await ShiftModel.find(
+    buildShiftFilterQuery({ ...filter, status: statuses }),
+  )
+    .select("_id")
+    .sort({ startTime: 1, _id: 1 });
+  return shifts.map((shift) => shift._id.toString());
 };
 
+/**
+ * Apply an operation to each selected shift, collecting per-shift results
+ * @param {ShiftSelection} selection - Shifts to apply the operation to
+ * @param {Object} operation
+ * @param {(shiftId: string) => Promise<unknown>} operation.apply - Applies the operation to one shift
+ * @param {string} operation.resultKey - Results property listing the shifts the operation succeeded on
+ * @param {string[]} [operation.statuses] - Statuses a filter is limited to
+ * @param {boolean} stopOnError - Throw on the first failed shift instead of reporting it and carrying on
+ * @returns {Promise<Object>} IDs of the shifts changed under resultKey, and errors by index
+ * @throws {AppError} If a shift fails and stopOnError is set
+ */
+const applyToSelectedShifts = async (
+  selection,
+  { apply, resultKey, statuses },
+  stopOnError,
+) => {
+  const results = { [resultKey]: [], errors: [] };
+  const shiftIds = await selectBatchShiftIds(selection, statuses);
+
+  for (const [index, shiftId] of shiftIds.entries()) {
+    try {
+      await apply(shiftId);
+      results[resultKey].push(shiftId);
+    } catch (error) {
+      const entryError = {
+        index,
+        id: shiftId,
+        error: serialiseBatchError(error),
+      };
+      if (stopOnError) {
+        throw buildBatchEntryError(entryError, error);
+      }
+      results.errors.push(entryError);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Soft-delete several shifts, selected by ID or by date range and location
+ * @param {ShiftSelection} selection - Shifts to delete
+ * @param {Object} [context]
+ * @param {string} [context.actorId] - ID of the admin deleting the shifts
+ * @param {Object} [options] - Batch mode, see runBatch
+ * @returns {Promise<{deleted: string[], errors: Object[]}>} Deleted shift IDs and failed shifts by index
+ * @throws {AppError} If a shift of an atomic batch fails or the database does not support transactions
+ */
+const batchDeleteShifts = async (selection, context = {}, options = {}) =>
+  runBatch(
+    (stopOnError) =>
+      applyToSelectedShifts(
+        selection,
+        {
+          apply: (shiftId) =>
+            deleteShift(shiftId, {
+              ...context,
+              source: SHIFT_HISTORY_SOURCE.BATCH_DELETE,
+            }),
+          resultKey: "deleted",
+        },
+        stopOnError,
+      ),
+    options,
+  );
+
+/**
+ * Cancel several shifts, selected by ID or by date range and location. A
+ * filter only selects shifts that can still be cancelled.
+ * @param {ShiftSelection} selection - Shifts to cancel
+ * @param {Object} [context]
+ * @param {string} [context.actorId] - ID of the admin cancelling the shifts
+ * @param {Object} [options] - Batch mode, see runBatch
+ * @returns {Promise<{cancelled: string[], errors: Object[]}>} Cancelled shift IDs and failed shifts by index
+ * @throws {AppError} If a shift of an atomic batch fails or the database does not support transactions
+ */
+const batchCancelShifts = async (selection, context = {}, options = {}) =>
+  runBatch(
+    (stopOnError) =>
+      applyToSelectedShifts(
+        selection,
+        {
+          apply: (shiftId) =>
+            cancelShift(shiftId, {
+              ...context,
+              source: SHIFT_HISTORY_SOURCE.BATCH_CANCEL,
+            }),
+          resultKey: "cancelled",
+          statuses: SHIFT_TRANSITIONS[SHIFT_TRANSITION.CANCEL].from,
+        },
+        stopOnError,
+      ),
+    options,
+  );
+
 /**
  * Clock in a worker for a shift
  * @param {string} shiftId - ID of the shift
  * @param {string} userId - ID of the worker
+ * @param {{latitude: number, longitude: number, accuracy?: number}} [position] - Worker's current position
  * @returns {Promise<Object>} Updated shift with clock in time
- * @throws {AppError} If shift not found, worker not authorized, or time constraints violated
+ * @throws {AppError} If shift not found, worker not authorized, time constraints violated or
+ * the worker is outside the location's geofence
  */
-const clockInShift = async (shiftId, userId) => {
-  const shift = await ShiftModel.findById(shiftId);
+const clockInShift = async (shiftId, userId, position) => {
+  const shift = await ShiftModel.findById(shiftId).populate("location");
   if (!shift) {
     throw new AppError({
       message: "Shift not found",
@@ -430,7 +1364,7 @@ const clockInShift = async (shiftId, userId) => {
     });
   }
 
-  if (shift.user.toString() !== userId) {
+  if (!shift.user || shift.user.toString() !== userId) {
     throw new AppError({
       message: "You are not assigned to this shift",
       statusCode: 403,
@@ -438,61 +1372,115 @@ const clockInShift = async (shiftId, userId) => {
     });
   }
 
-  if (shift.status !== SHIFT_STATUS.SCHEDULED) {
+  assertCanTransition(shift, SHIFT_TRANSITION.CLOCK_IN);
+
+  const clockInPosition = assertWithinGeofence(shift.location, position);
+
+  const clockInTime = getCurrentDateTime();
+  const lateMinutes = Math.max(minutesBetween(shift.startTime, clockInTime), 0);
+
+  const updatedShift = await transitionShift(shift, SHIFT_TRANSITION.CLOCK_IN, {
+    update: { clockInTime, clockInPosition, lateMinutes },
+    actor: userId,
+    source: SHIFT_HISTORY_SOURCE.CLOCK_IN,
+  });
+
+  await expireSwapRequestsForShifts(
+    [shiftId],
+    SWAP_EXPIRY_REASON.SHIFT_STARTED,
+  );
+
+  return {
+    message: "Successfully clocked in",
+    shift: {
+      id: updatedShift._id,
+      status: updatedShift.status,
+      clockInTime: formatTimeString(updatedShift.clockInTime),
+      clockInPosition: updatedShift.clockInPosition,
+      lateMinutes: updatedShift.lateMinutes,
+      isLate: updatedShift.lateMinutes > 0,
+    },
+  };
+};
+
+/**
+ * Clock out a worker from a shift
+ * @param {string} shiftId - ID of the shift
+ * @param {string} userId - ID of the worker
+ * @param {{latitude: number, longitude: number, accuracy?: number}} [position] - Worker's current position
+ * @returns {Promise<Object>} Updated shift with clock out time
+ * @throws {AppError} If shift not found, worker not authorized, time constraints violated or
+ * the worker is outside the location's geofence
+ */
+const clockOutShift = async (shiftId, userId, position) => {
+  const shift = await ShiftModel.findById(shiftId).populate("location");
+  if (!shift) {
     throw new AppError({
-      message: "Can only clock in to scheduled shifts",
-      statusCode: 400,
-      errorCode: "INVALID_SHIFT_STATUS",
+      message: "Shift not found",
+      statusCode: 404,
+      errorCode: "SHIFT_NOT_FOUND",
     });
   }
 
-  const clockInValidation = validateClockInTime(
-    shift.startTime,
-    shift.finishTime,
-    SHIFT_CONSTRAINTS.EARLY_CLOCK_IN_BUFFER,
-  );
-
-  if (!clockInValidation.isValid) {
+  if (!shift.user || shift.user.toString() !== userId) {
     throw new AppError({
-      message: clockInValidation.message,
-      statusCode: 400,
-      errorCode: clockInValidation.message.includes("too early")
-        ? "CLOCK_IN_TOO_EARLY"
-        : "SHIFT_TIME_EXPIRED",
+      message: "You are not assigned to this shift",
+      statusCode: 403,
+      errorCode: "UNAUTHORIZED_SHIFT_ACCESS",
     });
   }
 
-  const clockInTime = getCurrentDateTime();
+  assertCanTransition(shift, SHIFT_TRANSITION.CLOCK_OUT);
+
+  const clockOutPosition = assertWithinGeofence(shift.location, position);
+
+  const clockOutTime = getCurrentDateTime();
 
-  const updatedShift = await ShiftModel.findByIdAndUpdate(
-    shiftId,
+  const update = { clockOutTime, clockOutPosition };
+  let arrayFilters;
+
+  // A break still running at clock-out ends with the shift
+  if (findOpenBreak(shift.breaks)) {
+    update["breaks.$[openBreak].endTime"] = isBefore(
+      clockOutTime,
+      shift.finishTime,
+    )
+      ? clockOutTime
+      : shift.finishTime;
+    arrayFilters = [{ "openBreak.endTime": null }];
+  }
+
+  const updatedShift = await transitionShift(
+    shift,
+    SHIFT_TRANSITION.CLOCK_OUT,
     {
-      status: SHIFT_STATUS.IN_PROGRESS,
-      clockInTime,
+      update,
+      arrayFilters,
+      actor: userId,
+      source: SHIFT_HISTORY_SOURCE.CLOCK_OUT,
     },
-    { new: true },
-  )
-    .populate("user", "name email role")
-    .populate("location");
+  );
 
   return {
-    message: "Successfully clocked in",
+    message: "Successfully clocked out",
     shift: {
       id: updatedShift._id,
       status: updatedShift.status,
-      clockInTime: formatTimeString(updatedShift.clockInTime),
+      clockOutTime: formatTimeString(updatedShift.clockOutTime),
+      clockOutPosition: updatedShift.clockOutPosition,
+      ...summariseWorkedTime(updatedShift),
     },
   };
 };
 
 /**
- * Clock out a worker from a shift
+ * Find an in-progress shift assigned to the worker
  * @param {string} shiftId - ID of the shift
  * @param {string} userId - ID of the worker
- * @returns {Promise<Object>} Updated shift with clock out time
- * @throws {AppError} If shift not found, worker not authorized, or time constraints violated
+ * @returns {Promise<Object>} Shift document
+ * @throws {AppError} If shift not found, worker not assigned or shift not in progress
  */
-const clockOutShift = async (shiftId, userId) => {
+const findInProgressShiftForWorker = async (shiftId, userId) => {
   const shift = await ShiftModel.findById(shiftId);
   if (!shift) {
     throw new AppError({
@@ -502,7 +1490,7 @@ const clockOutShift = async (shiftId, userId) => {
     });
   }
 
-  if (shift.user.toString() !== userId) {
+  if (!shift.user || shift.user.toString() !== userId) {
     throw new AppError({
       message: "You are not assigned to this shift",
       statusCode: 403,
@@ -510,47 +1498,150 @@ const clockOutShift = async (shiftId, userId) => {
     });
   }
 
-  if (shift.status !== SHIFT_STATUS.IN_PROGRESS) {
+  assertStatusAllows(shift, SHIFT_OPERATION.TAKE_BREAK);
+
+  return shift;
+};
+
+/**
+ * Start a break for the worker on an in-progress shift
+ * @param {string} shiftId - ID of the shift
+ * @param {string} userId - ID of the worker
+ * @param {Object} [breakData]
+ * @param {boolean} [breakData.paid=false] - Whether the break is paid
+ * @returns {Promise<Object>} Updated shift with its breaks
+ * @throws {AppError} If the worker is already on a break or the shift has reached its finish time
+ */
+const startShiftBreak = async (shiftId, userId, breakData = {}) => {
+  const shift = await findInProgressShiftForWorker(shiftId, userId);
+
+  if (findOpenBreak(shift.breaks)) {
     throw new AppError({
-      message: "Can only clock out from shifts in progress",
+      message: "You are already on a break",
       statusCode: 400,
-      errorCode: "INVALID_SHIFT_STATUS",
+      errorCode: "BREAK_ALREADY_STARTED",
     });
   }
 
-  const clockOutValidation = validateClockOutTime(
-    shift.finishTime,
-    SHIFT_CONSTRAINTS.MINIMUM_CLOCK_OUT_BUFFER,
+  const startTime = getCurrentDateTime();
+  const breakValidation = validateBreak(
+    shift.breaks,
+    { startTime, endTime: null },
+    { startTime: shift.clockInTime, finishTime: shift.finishTime },
   );
 
-  if (!clockOutValidation.isValid) {
+  if (!breakValidation.isValid) {
     throw new AppError({
-      message: clockOutValidation.message,
+      message: breakValidation.message,
       statusCode: 400,
-      errorCode: "CLOCK_OUT_TOO_EARLY",
+      errorCode: "INVALID_BREAK",
     });
   }
 
-  const clockOutTime = getCurrentDateTime();
-
-  const updatedShift = await ShiftModel.findByIdAndUpdate(
-    shiftId,
+  // Conditional update so that two concurrent requests cannot open two breaks
+  const updatedShift = await ShiftModel.findOneAndUpdate(
     {
-      status: SHIFT_STATUS.COMPLETED,
-      clockOutTime: clockOutTime,
+      _id: shiftId,
+      status: { $in: SHIFT_STATUS_RULES[SHIFT_OPERATION.TAKE_BREAK].statuses },
+      breaks: { $not: { $elemMatch: { endTime: null } } },
     },
+    { $push: { breaks: { startTime, paid: breakData.paid ?? false } } },
     { new: true },
   )
     .populate("user", "name email role")
-    .populate("location");
+    .populate(
+      "location",
+      "name postCode distance constituency adminDistrict cordinates address",
+    )
+    .exec();
+
+  if (!updatedShift) {
+    throw new AppError({
+      message: "You are already on a break",
+      statusCode: 400,
+      errorCode: "BREAK_ALREADY_STARTED",
+    });
+  }
 
   return {
-    message: "Successfully clocked out",
-    shift: {
-      id: updatedShift._id,
-      status: updatedShift.status,
-      clockOutTime: formatTimeString(updatedShift.clockOutTime),
+    message: "Break started",
+    shift: formatShiftForResponse(updatedShift),
+  };
+};
+
+/**
+ * End the worker's current break. Breaks running past the shift's scheduled
+ * finish end at the finish time so they never exceed the shift.
+ * @param {string} shiftId - ID of the shift
+ * @param {string} userId - ID of the worker
+ * @returns {Promise<Object>} Updated shift with its breaks
+ * @throws {AppError} If the shift is not found, or the worker is not on a break or it ended in the meantime
+ */
+const endShiftBreak = async (shiftId, userId) => {
+  const shift = await findInProgressShiftForWorker(shiftId, userId);
+
+  const openBreak = findOpenBreak(shift.breaks);
+  if (!openBreak) {
+    throw new AppError({
+      message: "You are not on a break",
+      statusCode: 400,
+      errorCode: "NO_ACTIVE_BREAK",
+    });
+  }
+
+  const now = getCurrentDateTime();
+  const endTime = isBefore(now, shift.finishTime) ? now : shift.finishTime;
+
+  const breakValidation = validateBreak(
+    shift.breaks,
+    { startTime: openBreak.startTime, endTime },
+    { startTime: shift.clockInTime, finishTime: shift.finishTime },
+  );
+
+  if (!breakValidation.isValid) {
+    throw new AppError({
+      message: breakValidation.message,
+      statusCode: 400,
+      errorCode: "INVALID_BREAK",
+    });
+  }
+
+  // Conditional on the break still being open, so a clock-out closing it at
+  // the same time keeps its end time
+  const updatedShift = await ShiftModel.findOneAndUpdate(
+    {
+      _id: shiftId,
+      status: { $in: SHIFT_STATUS_RULES[SHIFT_OPERATION.TAKE_BREAK].statuses },
+      breaks: { $elemMatch: { _id: openBreak._id, endTime: null } },
     },
+    { $set: { "breaks.$.endTime": endTime } },
+    { new: true },
+  )
+    .populate("user", "name email role")
+    .populate(
+      "location",
+      "name postCode distance constituency adminDistrict cordinates address",
+    )
+    .exec();
+
+  if (!updatedShift) {
+    if (!(await ShiftModel.exists({ _id: shiftId }))) {
+      throw new AppError({
+        message: "Shift not found",
+        statusCode: 404,
+        errorCode: "SHIFT_NOT_FOUND",
+      });
+    }
+    throw new AppError({
+      message: "You are not on a break",
+      statusCode: 400,
+      errorCode: "NO_ACTIVE_BREAK",
+    });
+  }
+
+  return {
+    message: "Break ended",
+    shift: formatShiftForResponse(updatedShift),
   };
 };
 
@@ -559,8 +1650,15 @@ const clockOutShift = async (shiftId, userId) => {
  * @param {Object} options - Query options
  * @param {number} [options.page=1] - Page number
  * @param {number} [options.limit=10] - Number of shifts per page
- * @param {string} [options.status] - Filter by shift status
- * @param {string} [options.sortBy='date'] - Sort field
+ * @param {string[]} [options.status] - Filter by shift statuses
+ * @param {Date} [options.from] - Only shifts on or after this date
+ * @param {Date} [options.to] - Only shifts on or before this date
+ * @param {string} [options.location] - Filter by location ID
+ * @param {string} [options.role] - Filter by role
+ * @param {string[]} [options.typeOfShift] - Filter by any of these shift types
+ * @param {string} [options.user] - Filter by assigned worker ID
+ * @param {string} [options.search] - Search shift titles
+ * @param {string[]} [options.sortBy=['date']] - Sort keys, "-" prefixed for descending
  * @param {string} [options.sortOrder='desc'] - Sort order (asc/desc)
  * @returns {Promise<Object>} Paginated shifts with metadata
  */
@@ -568,19 +1666,42 @@ const getAllShifts = async (options = {}) => {
   return getShiftsWithPagination({}, options);
 };
 
+/**
+ * Get soft-deleted shifts with pagination, so they can be reviewed and
+ * restored before the retention job purges them
+ * @param {Object} options - Query options, as for getAllShifts
+ * @returns {Promise<Object>} Paginated deleted shifts with metadata
+ */
+const getDeletedShifts = async (options = {}) => {
+  return getShiftsWithPagination({ deletedAt: { $ne: null } }, options);
+};
+
+/**
+ * Query matching the shifts assigned to a user
+ * @param {string} userId - ID of the user
+ * @returns {Object} MongoDB query object
+ */
+const userShiftsQuery = (userId) => ({ user: userId });
+
 /**
  * Get shifts for a specific user with pagination
  * @param {string} userId - ID of the user
  * @param {Object} options - Query options
  * @param {number} [options.page=1] - Page number
  * @param {number} [options.limit=10] - Number of shifts per page
- * @param {string} [options.status] - Filter by shift status
- * @param {string} [options.sortBy='date'] - Sort field
+ * @param {string[]} [options.status] - Filter by shift statuses
+ * @param {Date} [options.from] - Only shifts on or after this date
+ * @param {Date} [options.to] - Only shifts on or before this date
+ * @param {string} [options.location] - Filter by location ID
+ * @param {string} [options.role] - Filter by role
+ * @param {string[]} [options.typeOfShift] - Filter by any of these shift types
+ * @param {string} [options.search] - Search shift titles
+ * @param {string[]} [options.sortBy=['date']] - Sort keys, "-" prefixed for descending
  * @param {string} [options.sortOrder='desc'] - Sort order (asc/desc)
  * @returns {Promise<Object>} Paginated user shifts with metadata
  */
 const getUserShifts = async (userId, options = {}) => {
-  return getShiftsWithPagination({ user: userId }, options);
+  return getShiftsWithPagination(userShiftsQuery(userId), options);
 };
 
 /**
@@ -610,15 +1731,342 @@ const getShift = async (shiftId) => {
   };
 };
 
+/**
+ * Query matching open shifts a worker is allowed to claim
+ * @param {string} userId - ID of the worker
+ * @returns {Object} MongoDB query object
+ */
+const claimableShiftsQuery = (userId) => ({
+  user: null,
+  "claim.user": null,
+  status: { $in: SHIFT_STATUS_RULES[SHIFT_OPERATION.CLAIM].statuses },
+  startTime: { $gt: getCurrentDateTime() },
+  $or: [{ eligibleWorkers: { $size: 0 } }, { eligibleWorkers: userId }],
+});
+
+/**
+ * Get upcoming open shifts the worker is eligible to claim
+ * @param {string} userId - ID of the worker
+ * @param {Object} options - Query options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=10] - Number of shifts per page
+ * @param {string[]} [options.sortBy=['date']] - Sort keys, "-" prefixed for descending
+ * @param {string} [options.sortOrder='desc'] - Sort order (asc/desc)
+ * @returns {Promise<Object>} Paginated open shifts with metadata
+ */
+const getOpenShifts = async (userId, options = {}) => {
+  return getShiftsWithPagination(claimableShiftsQuery(userId), {
+    ...options,
+    status: SHIFT_STATUS_RULES[SHIFT_OPERATION.CLAIM].statuses,
+  });
+};
+
+/**
+ * Get open shifts with a claim waiting for admin approval
+ * @param {Object} options - Query options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=10] - Number of shifts per page
+ * @param {string[]} [options.sortBy=['date']] - Sort keys, "-" prefixed for descending
+ * @param {string} [options.sortOrder='desc'] - Sort order (asc/desc)
+ * @returns {Promise<Object>} Paginated shifts with metadata
+ */
+const getPendingClaims = async (options = {}) => {
+  return getShiftsWithPagination(
+    { user: null, "claim.user": { $ne: null } },
+    { ...options, status: SHIFT_STATUS_RULES[SHIFT_OPERATION.CLAIM].statuses },
+  );
+};
+
+/**
+ * Check that a worker can be assigned an open shift through its claim. The
+ * same rules apply as when an admin assigns the worker with updateShift.
+ * @param {Object} shift - Shift document
+ * @param {string} userId - ID of the claimant
+ * @returns {Promise<{warnings: Object[], restPeriodOverride: null}>} Scheduling warnings
+ * @throws {AppError} If a scheduling rule is broken or the worker lacks a required qualification
+ */
+const enforceClaimRules = async (shift, userId) => {
+  const shiftWindow = {
+    user: userId,
+    startTime: shift.startTime,
+    finishTime: shift.finishTime,
+    excludeShiftId: shift._id,
+  };
+  await assertQualified({
+    ...shiftWindow,
+    role: shift.role,
+    requiredQualifications: shift.requiredQualifications,
+  });
+  // Claims cannot override the rest period; only admins can
+  return enforceSchedulingRules(shiftWindow);
+};
+
+/**
+ * Assign an open shift to its claimant and record the change in the shift's
+ * history. The update is conditional on the claim state the rules were
+ * checked against, so concurrent claims and reviews cannot both succeed.
+ * @param {Object} shift - Shift document, as read before the assignment
+ * @param {Object} filter - Conditions on the shift's claim the update requires
+ * @param {Object} update - Claim fields to set with the worker
+ * @param {Object} context
+ * @param {string} context.userId - ID of the claimant
+ * @param {string} context.actorId - ID of the worker or admin making the change
+ * @param {string} context.source - Endpoint the change comes through (one of SHIFT_HISTORY_SOURCE)
+ * @returns {Promise<Object|null>} Assigned shift with populated user and location, null if the shift changed
+ */
+const assignClaimedShift = async (
+  shift,
+  filter,
+  update,
+  { userId, actorId, source },
+) => {
+  const assignedShift = await ShiftModel.findOneAndUpdate(
+    {
+      _id: shift._id,
+      user: null,
+      status: { $in: SHIFT_STATUS_RULES[SHIFT_OPERATION.CLAIM].statuses },
+      startTime: { $gt: getCurrentDateTime() },
+      ...filter,
+    },
+    { ...update, user: userId, restPeriodOverride: null },
+    { new: true },
+  )
+    .populate("user", "name email role")
+    .populate(
+      "location",
+      "name postCode distance constituency adminDistrict cordinates address",
+    )
+    .exec();
+
+  if (assignedShift) {
+    await recordShiftHistory({
+      shift: shift._id,
+      action: SHIFT_HISTORY_ACTION.UPDATE,
+      actor: actorId,
+      source,
+      changes: diffShiftFields(shift, assignedShift),
+    });
+  }
+
+  return assignedShift;
+};
+
+/**
+ * Claim an open shift. The shift is assigned atomically, so only the first
+ * claimant wins. Shifts that require approval keep the claim pending until an
+ * admin approves it.
+ * @param {string} shiftId - ID of the open shift
+ * @param {string} userId - ID of the worker claiming the shift
+ * @returns {Promise<Object>} Message, the claimed shift and scheduling warnings
+ * @throws {AppError} If the shift is not found, not open, already started, the worker is
+ * not eligible or lacks a required qualification, or a scheduling rule would be broken
+ */
+const claimOpenShift = async (shiftId, userId) => {
+  const shift = await ShiftModel.findById(shiftId);
+  if (!shift) {
+    throw new AppError({
+      message: "Shift not found",
+      statusCode: 404,
+      errorCode: "SHIFT_NOT_FOUND",
+    });
+  }
+
+  if (shift.user || shift.claim?.user) {
+    throw new AppError({
+      message: "Shift has already been claimed",
+      statusCode: 409,
+      errorCode: "SHIFT_ALREADY_CLAIMED",
+    });
+  }
+
+  assertStatusAllows(shift, SHIFT_OPERATION.CLAIM);
+
+  if (
+    shift.eligibleWorkers.length > 0 &&
+    !shift.eligibleWorkers.some((worker) => worker.toString() === userId)
+  ) {
+    throw new AppError({
+      message: "You are not eligible to claim this shift",
+      statusCode: 403,
+      errorCode: "NOT_ELIGIBLE_FOR_SHIFT",
+    });
+  }
+
+  const { warnings } = await enforceClaimRules(shift, userId);
+
+  const claim = { user: userId, claimedAt: getCurrentDateTime() };
+
+  // Conditional updates so that concurrent claims cannot both succeed
+  const claimedShift = shift.requiresClaimApproval
+    ? await ShiftModel.findOneAndUpdate(
+        {
+          _id: shiftId,
+          user: null,
+          "claim.user": null,
+          status: { $in: SHIFT_STATUS_RULES[SHIFT_OPERATION.CLAIM].statuses },
+          startTime: { $gt: getCurrentDateTime() },
+        },
+        { claim },
+        { new: true },
+      )
+        .populate("user", "name email role")
+        .populate(
+          "location",
+          "name postCode distance constituency adminDistrict cordinates address",
+        )
+        .exec()
+    : await assignClaimedShift(
+        shift,
+        { "claim.user": null },
+        { claim },
+        { userId, actorId: userId, source: SHIFT_HISTORY_SOURCE.CLAIM },
+      );
+
+  if (!claimedShift) {
+    throw new AppError({
+      message: "Shift has already been claimed",
+      statusCode: 409,
+      errorCode: "SHIFT_ALREADY_CLAIMED",
+    });
+  }
+
+  return {
+    message: shift.requiresClaimApproval
+      ? "Claim submitted for approval"
+      : "Shift claimed successfully",
+    shift: formatShiftForResponse(claimedShift),
+    warnings,
+  };
+};
+
+/**
+ * Find an open shift with a claim waiting for approval
+ * @param {string} shiftId - ID of the shift
+ * @returns {Promise<Object>} Shift document
+ * @throws {AppError} If the shift is not found or has no pending claim
+ */
+const findPendingClaimShift = async (shiftId) => {
+  const shift = await ShiftModel.findById(shiftId);
+  if (!shift) {
+    throw new AppError({
+      message: "Shift not found",
+      statusCode: 404,
+      errorCode: "SHIFT_NOT_FOUND",
+    });
+  }
+
+  if (shift.user || !shift.claim?.user) {
+    throw new AppError({
+      message: "Shift has no claim waiting for approval",
+      statusCode: 400,
+      errorCode: "NO_PENDING_CLAIM",
+    });
+  }
+
+  return shift;
+};
+
+/**
+ * Approve a pending claim and assign the shift to the claimant. The
+ * claimant is checked against the same rules as a direct assignment.
+ * @param {string} shiftId - ID of the shift
+ * @param {Object} [context]
+ * @param {string} [context.actorId] - ID of the admin approving the claim
+ * @returns {Promise<Object>} Assigned shift and scheduling warnings
+ * @throws {AppError} If there is no pending claim, the shift is no longer scheduled or has started,
+ * or the claimant now breaks a scheduling rule or lacks a required qualification
+ */
+const approveShiftClaim = async (shiftId, { actorId = null } = {}) => {
+  const shift = await findPendingClaimShift(shiftId);
+  assertStatusAllows(shift, SHIFT_OPERATION.CLAIM);
+
+  const claimant = shift.claim.user.toString();
+  const { warnings } = await enforceClaimRules(shift, claimant);
+
+  const approvedShift = await assignClaimedShift(
+    shift,
+    { "claim.user": shift.claim.user },
+    {},
+    {
+      userId: claimant,
+      actorId,
+      source: SHIFT_HISTORY_SOURCE.APPROVE_CLAIM,
+    },
+  );
+
+  if (!approvedShift) {
+    throw new AppError({
+      message: "Shift has no claim waiting for approval",
+      statusCode: 400,
+      errorCode: "NO_PENDING_CLAIM",
+    });
+  }
+
+  return {
+    shift: formatShiftForResponse(approvedShift),
+    warnings,
+  };
+};
+
+/**
+ * Reject a pending claim, publishing the shift as open again
+ * @param {string} shiftId - ID of the shift
+ * @returns {Promise<Object>} Reopened shift
+ * @throws {AppError} If there is no pending claim
+ */
+const rejectShiftClaim = async (shiftId) => {
+  const shift = await findPendingClaimShift(shiftId);
+
+  // Conditional on the claim being reviewed, so a concurrent approval wins or loses as a whole
+  const reopenedShift = await ShiftModel.findOneAndUpdate(
+    { _id: shiftId, user: null, "claim.user": shift.claim.user },
+    { claim: { user: null, claimedAt: null } },
+    { new: true },
+  )
+    .populate("user", "name email role")
+    .populate(
+      "location",
+      "name postCode distance constituency adminDistrict cordinates address",
+    )
+    .exec();
+
+  if (!reopenedShift) {
+    throw new AppError({
+      message: "Shift has no claim waiting for approval",
+      statusCode: 400,
+      errorCode: "NO_PENDING_CLAIM",
+    });
+  }
+
+  return {
+    shift: formatShiftForResponse(reopenedShift),
+  };
+};
+
 export {
+  formatShiftForResponse,
   createShift,
   updateShift,
   deleteShift,
+  removeSeriesOccurrence,
+  restoreShift,
   batchCreateUpdateShifts,
+  batchDeleteShifts,
+  batchCancelShifts,
+  selectBatchShiftIds,
   cancelShift,
   clockInShift,
   clockOutShift,
+  startShiftBreak,
+  endShiftBreak,
   getAllShifts,
+  getDeletedShifts,
+  userShiftsQuery,
   getUserShifts,
   getShift,
+  getOpenShifts,
+  getPendingClaims,
+  claimOpenShift,
+  approveShiftClaim,
+  rejectShiftClaim,
 };
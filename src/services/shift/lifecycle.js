@@ -0,0 +1,316 @@
+import { EventEmitter } from "node:events";
+import ShiftModel from "../../models/shifts.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+import { runAfterCommit } from "../../utils/transaction.js";
+import {
+  validateClockInTime,
+  validateClockOutTime,
+  getCurrentDateTime,
+  addTime,
+  isBefore,
+} from "../../utils/datetime.js";
+import {
+  SHIFT_STATUS,
+  SHIFT_CONSTRAINTS,
+  SHIFT_TRANSITION,
+  SHIFT_OPERATION,
+} from "./constants.js";
+import { recordShiftHistory, toHistoryValue } from "./history.js";
+
+/**
+ * @typedef {Object} ShiftTransitionRule
+ * @property {string[]} from - Statuses the shift can move from
+ * @property {string} to - Status the shift moves to
+ * @property {string} invalidStatusMessage - Error message when the shift is in another status
+ * @property {Object<string, {message: string, errorCode: string}>} [statusErrors] - Errors replacing
+ * the generic one for particular statuses
+ * @property {(shift: Object) => void} [guard] - Further checks on the shift, throwing an AppError
+ * when the move is not allowed yet
+ */
+
+/**
+ * @typedef {Object} ShiftStatusRule
+ * @property {string[]} statuses - Statuses the operation is allowed in
+ * @property {string} invalidStatusMessage - Error message when the shift is in another status
+ * @property {(shift: Object) => void} [guard] - Further checks on the shift, throwing an AppError
+ * when the operation is not allowed
+ */
+
+/**
+ * @typedef {Object} ShiftTransitionEvent
+ * @property {string} transition - Transition that happened (one of SHIFT_TRANSITION)
+ * @property {Object} shift - Shift document after the transition
+ * @property {string} from - Previous status
+ * @property {string} to - New status
+ * @property {string|null} actor - ID of the user who made the change, null for jobs
+ * @property {string} source - Endpoint or job the change came through (one of SHIFT_HISTORY_SOURCE)
+ */
+
+/**
+ * Throw the error for a shift that is not yet due to leave its status
+ * @param {string} message - Error message
+ * @throws {AppError}
+ */
+const throwTransitionNotDue = (message) => {
+  throw new AppError({
+    message,
+    statusCode: 400,
+    errorCode: "TRANSITION_NOT_DUE",
+  });
+};
+
+/** @type {Readonly<Object<string, ShiftTransitionRule>>} */
+const SHIFT_TRANSITIONS = Object.freeze({
+  [SHIFT_TRANSITION.CLOCK_IN]: {
+    // A worker marked as a no-show can still turn up late and clock in
+    from: [SHIFT_STATUS.SCHEDULED, SHIFT_STATUS.NO_SHOW],
+    to: SHIFT_STATUS.IN_PROGRESS,
+    invalidStatusMessage: "Can only clock in to scheduled or no-show shifts",
+    guard: (shift) => {
+      const { isValid, message } = validateClockInTime(
+        shift.startTime,
+        shift.finishTime,
+        SHIFT_CONSTRAINTS.EARLY_CLOCK_IN_BUFFER,
+      );
+      if (!isValid) {
+        throw new AppError({
+          message,
+          statusCode: 400,
+          errorCode: isBefore(getCurrentDateTime(), shift.startTime)
+            ? "CLOCK_IN_TOO_EARLY"
+            : "SHIFT_TIME_EXPIRED",
+        });
+      }
+    },
+  },
+
+  [SHIFT_TRANSITION.CLOCK_OUT]: {
+    from: [SHIFT_STATUS.IN_PROGRESS],
+    to: SHIFT_STATUS.COMPLETED,
+    invalidStatusMessage: "Can only clock out from shifts in progress",
+    guard: (shift) => {
+      const { isValid, message } = validateClockOutTime(
+        shift.finishTime,
+        SHIFT_CONSTRAINTS.MINIMUM_CLOCK_OUT_BUFFER,
+      );
+      if (!isValid) {
+        throw new AppError({
+          message,
+          statusCode: 400,
+          errorCode: "CLOCK_OUT_TOO_EARLY",
+        });
+      }
+    },
+  },
+
+  [SHIFT_TRANSITION.AUTO_CLOCK_OUT]: {
+    from: [SHIFT_STATUS.IN_PROGRESS],
+    to: SHIFT_STATUS.COMPLETED,
+    invalidStatusMessage: "Can only clock out from shifts in progress",
+    guard: (shift) => {
+      const due = addTime(
+        shift.finishTime,
+        SHIFT_CONSTRAINTS.AUTO_CLOCK_OUT_GRACE_MINUTES,
+        "minute",
+      );
+      if (isBefore(getCurrentDateTime(), due)) {
+        throwTransitionNotDue("Shift can still be clocked out by the worker");
+      }
+    },
+  },
+
+  [SHIFT_TRANSITION.MARK_NO_SHOW]: {
+    from: [SHIFT_STATUS.SCHEDULED],
+    to: SHIFT_STATUS.NO_SHOW,
+    invalidStatusMessage: "Only scheduled shifts can be marked as no-shows",
+    guard: (shift) => {
+      const due = addTime(
+        shift.startTime,
+        SHIFT_CONSTRAINTS.NO_SHOW_GRACE_MINUTES,
+        "minute",
+      );
+      if (!shift.user || shift.clockInTime) {
+        throwTransitionNotDue("Shift has no worker expected to clock in");
+      }
+      if (isBefore(getCurrentDateTime(), due)) {
+        throwTransitionNotDue("Shift can still be clocked in to");
+      }
+    },
+  },
+
+  [SHIFT_TRANSITION.CANCEL]: {
+    from: [SHIFT_STATUS.SCHEDULED, SHIFT_STATUS.IN_PROGRESS],
+    to: SHIFT_STATUS.CANCELLED,
+    invalidStatusMessage:
+      "Can only cancel scheduled shifts or shifts in progress",
+    statusErrors: {
+      [SHIFT_STATUS.CANCELLED]: {
+        message: "Shift is already cancelled",
+        errorCode: "SHIFT_ALREADY_CANCELLED",
+      },
+      [SHIFT_STATUS.COMPLETED]: {
+        message: "Cannot cancel a completed shift",
+        errorCode: "SHIFT_ALREADY_COMPLETED",
+      },
+    },
+  },
+});
+
+/** @type {Readonly<Object<string, ShiftStatusRule>>} */
+const SHIFT_STATUS_RULES = Object.freeze({
+  [SHIFT_OPERATION.EDIT]: {
+    statuses: [SHIFT_STATUS.SCHEDULED],
+    invalidStatusMessage: "Can only update scheduled shifts",
+  },
+
+  [SHIFT_OPERATION.TAKE_BREAK]: {
+    statuses: [SHIFT_STATUS.IN_PROGRESS],
+    invalidStatusMessage: "Breaks can only be taken during shifts in progress",
+  },
+
+  [SHIFT_OPERATION.CLAIM]: {
+    statuses: [SHIFT_STATUS.SCHEDULED],
+    invalidStatusMessage: "Can only claim scheduled shifts",
+    guard: (shift) => {
+      if (!isBefore(getCurrentDateTime(), shift.startTime)) {
+        throw new AppError({
+          message: "Cannot claim a shift that has already started",
+          statusCode: 400,
+          errorCode: "SHIFT_ALREADY_STARTED",
+        });
+      }
+    },
+  },
+});
+
+// Emits a "transition" event with a ShiftTransitionEvent after every status
+// change, once the change is committed
+const shiftLifecycleEvents = new EventEmitter();
+
+/**
+ * Build the error for a shift whose status does not allow a transition or operation
+ * @param {ShiftTransitionRule|ShiftStatusRule} rule - Transition or operation attempted
+ * @param {string} status - Current status of the shift
+ * @returns {AppError}
+ */
+const buildInvalidStatusError = (rule, status) => {
+  const { message, errorCode } = rule.statusErrors?.[status] ?? {
+    message: rule.invalidStatusMessage,
+    errorCode: "INVALID_SHIFT_STATUS",
+  };
+  return new AppError({ message, statusCode: 400, errorCode });
+};
+
+/**
+ * Check that a shift can make a transition now
+ * @param {Object} shift - Shift document
+ * @param {string} transition - One of SHIFT_TRANSITION
+ * @throws {AppError} If the shift's status does not allow the transition or a guard fails
+ */
+const assertCanTransition = (shift, transition) => {
+  const rule = SHIFT_TRANSITIONS[transition];
+
+  if (!rule.from.includes(shift.status)) {
+    throw buildInvalidStatusError(rule, shift.status);
+  }
+
+  rule.guard?.(shift);
+};
+
+/**
+ * Check that a shift's status allows an operation that keeps the status
+ * @param {Object} shift - Shift document
+ * @param {string} operation - One of SHIFT_OPERATION
+ * @throws {AppError} If the shift's status does not allow the operation or a guard fails
+ */
+const assertStatusAllows = (shift, operation) => {
+  const rule = SHIFT_STATUS_RULES[operation];
+
+  if (!rule.statuses.includes(shift.status)) {
+    throw buildInvalidStatusError(rule, shift.status);
+  }
+
+  rule.guard?.(shift);
+};
+
+/**
+ * Move a shift to the status its transition leads to, record the change in
+ * the shift's history and emit a transition event. The update is conditional
+ * on the status the shift was read with, so concurrent requests cannot both
+ * move it.
+ * @param {Object} shift - Shift document, as read before the transition
+ * @param {string} transition - One of SHIFT_TRANSITION
+ * @param {Object} options
+ * @param {Object} [options.update] - Other fields to set with the status
+ * @param {Object[]} [options.arrayFilters] - Array filters used by the update
+ * @param {string|null} [options.actor] - ID of the user making the change, null for jobs
+ * @param {string} options.source - Endpoint or job the change comes through (one of SHIFT_HISTORY_SOURCE)
+ * @returns {Promise<Object>} Updated shift document
+ * @throws {AppError} If the transition is not allowed or the shift changed since it was read
+ */
+const transitionShift = async (
+  shift,
+  transition,
+  { update = {}, arrayFilters, actor = null, source },
+) => {
+  const rule = SHIFT_TRANSITIONS[transition];
+  assertCanTransition(shift, transition);
+
+  const updatedShift = await ShiftModel.findOneAndUpdate(
+    { _id: shift._id, status: shift.status },
+    { ...update, status: rule.to },
+    { new: true, ...(arrayFilters && { arrayFilters }) },
+  );
+
+  if (!updatedShift) {
+    const currentShift = await ShiftModel.findById(shift._id);
+    if (!currentShift) {
+      throw new AppError({
+        message: "Shift not found",
+        statusCode: 404,
+        errorCode: "SHIFT_NOT_FOUND",
+      });
+    }
+    throw buildInvalidStatusError(rule, currentShift.status);
+  }
+
+  await recordShiftHistory({
+    shift: shift._id,
+    action: transition,
+    actor,
+    source,
+    changes: [
+      { field: "status", from: shift.status, to: rule.to },
+      // Array element updates such as ending a running break are not recorded
+      ...Object.entries(update)
+        .filter(([field]) => !field.includes("."))
+        .map(([field, value]) => ({
+          field,
+          from: toHistoryValue(shift[field]),
+          to: toHistoryValue(value),
+        })),
+    ],
+  });
+
+  runAfterCommit(() =>
+    shiftLifecycleEvents.emit("transition", {
+      transition,
+      shift: updatedShift,
+      from: shift.status,
+      to: rule.to,
+      actor,
+      source,
+    }),
+  );
+
+  return updatedShift;
+};
+
+export {
+  SHIFT_TRANSITIONS,
+  SHIFT_STATUS_RULES,
+  shiftLifecycleEvents,
+  assertCanTransition,
+  assertStatusAllows,
+  transitionShift,
+};
@@ -0,0 +1,66 @@
+import process from "node:process";
+import ShiftModel from "../../models/shifts.model.js";
+import { getCurrentDateTime, subtractTime } from "../../utils/datetime.js";
+import {
+  SHIFT_CONSTRAINTS,
+  SHIFT_HISTORY_ACTION,
+  SHIFT_HISTORY_SOURCE,
+} from "./constants.js";
+import { recordShiftHistory } from "./history.js";
+
+/**
+ * Number of days deleted shifts are kept before they are purged
+ * @returns {number} Retention period in days
+ */
+const getDeletedShiftRetentionDays = () => {
+  const configuredDays = Number.parseInt(
+    process.env.DELETED_SHIFT_RETENTION_DAYS,
+    10,
+  );
+  return configuredDays >= 0
+    ? configuredDays
+    : SHIFT_CONSTRAINTS.DELETED_SHIFT_RETENTION_DAYS;
+};
+
+/**
+ * Permanently remove shifts deleted longer ago than the retention period.
+ * Their history is kept, ending with the purge. Shifts recorded on a
+ * timesheet are kept, as the timesheet refers to them. Runs periodically from
+ * the job scheduler.
+ * @returns {Promise<number>} Number of shifts purged
+ */
+const purgeDeletedShifts = async () => {
+  const cutoff = subtractTime(
+    getCurrentDateTime(),
+    getDeletedShiftRetentionDays(),
+    "day",
+  );
+  const shifts = await ShiftModel.find({
+    deletedAt: { $ne: null, $lte: cutoff },
+    timesheet: null,
+  }).select("_id");
+
+  let purged = 0;
+  for (const shift of shifts) {
+    // Conditional on the deletion, in case the shift was restored meanwhile
+    const { deletedCount } = await ShiftModel.deleteOne({
+      _id: shift._id,
+      deletedAt: { $ne: null, $lte: cutoff },
+      timesheet: null,
+    });
+    if (deletedCount === 0) {
+      continue;
+    }
+
+    await recordShiftHistory({
+      shift: shift._id,
+      action: SHIFT_HISTORY_ACTION.PURGE,
+      source: SHIFT_HISTORY_SOURCE.PURGE_SWEEP,
+      changes: [],
+    });
+    purged += 1;
+  }
+  return purged;
+};
+
+export { getDeletedShiftRetentionDays, purgeDeletedShifts };
@@ -0,0 +1,110 @@
+import {
+  getCurrentDateTime,
+  minutesBetween,
+  isBefore,
+} from "../../utils/datetime.js";
+
+/**
+ * @typedef {Object} ShiftBreak
+ * @property {Date} startTime - When the break started
+ * @property {Date|null} endTime - When the break ended (null while on break)
+ * @property {boolean} paid - Whether the break counts as paid time
+ */
+
+/**
+ * @typedef {Object} WorkedTimeSummary
+ * @property {number|null} workedMinutes - Time on shift excluding all breaks
+ * @property {number|null} breakMinutes - Total time on break
+ * @property {number|null} paidMinutes - Worked time plus paid breaks
+ */
+
+/**
+ * Summarise worked and break time for a shift. Shifts still in progress, and
+ * breaks still running, are measured up to now.
+ * @param {{clockInTime?: Date|null, clockOutTime?: Date|null, breaks?: ShiftBreak[]}} shift
+ * @param {Date} [now] - Reference time for open shifts and breaks
+ * @returns {WorkedTimeSummary} Minutes worked and on break, or nulls if the worker has not clocked in
+ */
+const summariseWorkedTime = (shift, now = getCurrentDateTime()) => {
+  if (!shift.clockInTime) {
+    return { workedMinutes: null, breakMinutes: null, paidMinutes: null };
+  }
+
+  const periodEnd = shift.clockOutTime || now;
+  const elapsedMinutes = Math.max(
+    minutesBetween(shift.clockInTime, periodEnd),
+    0,
+  );
+
+  let breakMinutes = 0;
+  let paidBreakMinutes = 0;
+  (shift.breaks || []).forEach((shiftBreak) => {
+    const minutes = Math.max(
+      minutesBetween(shiftBreak.startTime, shiftBreak.endTime || periodEnd),
+      0,
+    );
+    breakMinutes += minutes;
+    if (shiftBreak.paid) {
+      paidBreakMinutes += minutes;
+    }
+  });
+
+  const workedMinutes = Math.max(elapsedMinutes - breakMinutes, 0);
+
+  return {
+    workedMinutes,
+    breakMinutes,
+    paidMinutes: workedMinutes + paidBreakMinutes,
+  };
+};
+
+/**
+ * Find the break the worker is currently on
+ * @param {ShiftBreak[]} breaks - Breaks recorded on the shift
+ * @returns {ShiftBreak|undefined} The open break, if any
+ */
+const findOpenBreak = (breaks = []) =>
+  breaks.find((shiftBreak) => !shiftBreak.endTime);
+
+/**
+ * Check that a break lies within the shift and does not overlap the shift's
+ * other breaks
+ * @param {ShiftBreak[]} breaks - Breaks already recorded on the shift
+ * @param {{startTime: Date, endTime: Date|null}} candidate - Break being added or closed
+ * @param {{startTime: Date, finishTime: Date}} bounds - Period the break must fall in
+ * @returns {{isValid: boolean, message: string}} Validation result
+ */
+const validateBreak = (breaks, candidate, bounds) => {
+  const candidateEnd = candidate.endTime || candidate.startTime;
+
+  if (
+    isBefore(candidate.startTime, bounds.startTime) ||
+    isBefore(bounds.finishTime, candidateEnd)
+  ) {
+    return {
+      isValid: false,
+      message: "Break must fall within the shift",
+    };
+  }
+
+  const overlapsOtherBreak = breaks.some(
+    (shiftBreak) =>
+      shiftBreak.endTime &&
+      isBefore(candidate.startTime, shiftBreak.endTime) &&
+      isBefore(shiftBreak.startTime, candidateEnd),
+  );
+
+  if (overlapsOtherBreak) {
+    return {
+      isValid: false,
+      message: "Break overlaps another break",
+    };
+  }
+
+  return {
+    isValid: true,
+    message: "Break is valid",
+  };
+};
+
+export { summariseWorkedTime, findOpenBreak, validateBreak };
@@ -0,0 +1,26 @@
+export const TIMESHEET_STATUS = Object.freeze({
+  // Generated from completed shifts, can be regenerated and amended
+  DRAFT: "Draft",
+  // Sent for approval, can still be amended by admins
+  SUBMITTED: "Submitted",
+  APPROVED: "Approved",
+  // Final; the timesheet's shifts can no longer be edited
+  LOCKED: "Locked",
+});
+
+// Statuses in which admins can amend clock times
+export const AMENDABLE_TIMESHEET_STATUSES = Object.freeze([
+  TIMESHEET_STATUS.DRAFT,
+  TIMESHEET_STATUS.SUBMITTED,
+]);
+
+export const TIMESHEET_CONSTRAINTS = Object.freeze({
+  // Longest pay period a single timesheet can cover
+  MAX_PERIOD_DAYS: 31,
+});
+
+// Clock times an amendment can change
+export const AMENDABLE_FIELDS = Object.freeze({
+  CLOCK_IN_TIME: "clockInTime",
+  CLOCK_OUT_TIME: "clockOutTime",
+});
@@ -0,0 +1,602 @@
+import TimesheetModel from "../../models/timesheet.model.js";
+import ShiftModel from "../../models/shifts.model.js";
+import UserModel from "../../models/user.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+import {
+  createShiftDateTimes,
+  resolveTimeNear,
+  formatTimeString,
+  getCurrentDateTime,
+  getStartOfDay,
+  minutesBetween,
+  isBefore,
+  addTime,
+} from "../../utils/datetime.js";
+import {
+  SHIFT_STATUS,
+  SHIFT_HISTORY_ACTION,
+  SHIFT_HISTORY_SOURCE,
+  SHIFT_CLOCK_FIELDS,
+} from "../shift/constants.js";
+import { summariseWorkedTime, validateBreak } from "../shift/timekeeping.js";
+import { recordShiftHistory, diffShiftFields } from "../shift/history.js";
+import {
+  TIMESHEET_STATUS,
+  AMENDABLE_TIMESHEET_STATUSES,
+  AMENDABLE_FIELDS,
+} from "./constants.js";
+
+/**
+ * Convert minutes to hours rounded to two decimal places
+ * @param {number} minutes
+ * @returns {number} Hours
+ */
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+/**
+ * Format a populated user reference for API response
+ * @param {Object|null} user - Populated user document
+ * @returns {Object|null} User summary
+ */
+const formatTimesheetUser = (user) =>
+  user ? { id: user._id, name: user.name, email: user.email } : null;
+
+/**
+ * Format a timesheet entry for API response
+ * @param {Object} entry - Timesheet entry subdocument
+ * @returns {Object} Formatted entry with its variance
+ */
+const formatTimesheetEntry = (entry) => ({
+  shift: entry.shift,
+  title: entry.title,
+  date: entry.date,
+  scheduledStartTime: formatTimeString(entry.scheduledStartTime),
+  scheduledFinishTime: formatTimeString(entry.scheduledFinishTime),
+  clockInTime: entry.clockInTime ? formatTimeString(entry.clockInTime) : null,
+  clockOutTime: entry.clockOutTime
+    ? formatTimeString(entry.clockOutTime)
+    : null,
+  scheduledMinutes: entry.scheduledMinutes,
+  actualMinutes: entry.actualMinutes,
+  breakMinutes: entry.breakMinutes,
+  varianceMinutes: entry.actualMinutes - entry.scheduledMinutes,
+});
+
+/**
+ * Add up the scheduled and actual time of a timesheet's entries
+ * @param {Object[]} entries - Timesheet entries
+ * @returns {Object} Totals in minutes and hours
+ */
+const summariseTimesheetEntries = (entries) => {
+  const totals = entries.reduce(
+    (sum, entry) => ({
+      scheduledMinutes: sum.scheduledMinutes + entry.scheduledMinutes,
+      actualMinutes: sum.actualMinutes + entry.actualMinutes,
+      breakMinutes: sum.breakMinutes + entry.breakMinutes,
+    }),
+    { scheduledMinutes: 0, actualMinutes: 0, breakMinutes: 0 },
+  );
+
+  return {
+    ...totals,
+    varianceMinutes: totals.actualMinutes - totals.scheduledMinutes,
+    scheduledHours: toHours(totals.scheduledMinutes),
+    actualHours: toHours(totals.actualMinutes),
+  };
+};
+
+/**
+ * Format a timesheet document for API response
+ * @param {Object} timesheet - Mongoose timesheet document with populated users
+ * @returns {Object} Formatted timesheet object
+ */
+const formatTimesheetForResponse = (timesheet) => ({
+  id: timesheet._id,
+  user: formatTimesheetUser(timesheet.user),
+  periodStart: timesheet.periodStart,
+  periodEnd: timesheet.periodEnd,
+  status: timesheet.status,
+  entries: timesheet.entries.map(formatTimesheetEntry),
+  totals: summariseTimesheetEntries(timesheet.entries),
+  amendments: timesheet.amendments.map((amendment) => ({
+    id: amendment._id,
+    shift: amendment.shift,
+    field: amendment.field,
+    previousValue: amendment.previousValue
+      ? formatTimeString(amendment.previousValue)
+      : null,
+    newValue: formatTimeString(amendment.newValue),
+    reason: amendment.reason,
+    amendedBy: formatTimesheetUser(amendment.amendedBy),
+    amendedAt: amendment.amendedAt,
+  })),
+  submittedBy: formatTimesheetUser(timesheet.submittedBy),
+  submittedAt: timesheet.submittedAt,
+  approvedBy: formatTimesheetUser(timesheet.approvedBy),
+  approvedAt: timesheet.approvedAt,
+  lockedBy: formatTimesheetUser(timesheet.lockedBy),
+  lockedAt: timesheet.lockedAt,
+  createdAt: timesheet.createdAt,
+  updatedAt: timesheet.updatedAt,
+});
+
+/**
+ * Populate the user references of a timesheet query
+ * @param {Object} query - Mongoose query returning timesheets
+ * @returns {Object} Populated query
+ */
+const populateTimesheet = (query) =>
+  query
+    .populate("user", "name email")
+    .populate("amendments.amendedBy", "name email")
+    .populate("submittedBy", "name email")
+    .populate("approvedBy", "name email")
+    .populate("lockedBy", "name email");
+
+/**
+ * Find a timesheet with populated references
+ * @param {string} timesheetId - ID of the timesheet
+ * @returns {Promise<Object>} Timesheet document
+ * @throws {AppError} If the timesheet does not exist
+ */
+const findTimesheetById = async (timesheetId) => {
+  const timesheet = await populateTimesheet(
+    TimesheetModel.findById(timesheetId),
+  ).exec();
+
+  if (!timesheet) {
+    throw new AppError({
+      message: "Timesheet not found",
+      statusCode: 404,
+      errorCode: "TIMESHEET_NOT_FOUND",
+    });
+  }
+
+  return timesheet;
+};
+
+/**
+ * Ensure the user is the timesheet's worker or an admin
+ * @param {Object} timesheet - Timesheet document with populated user
+ * @param {string} userId - ID of the user accessing the timesheet
+ * @throws {AppError} If the user may not access the timesheet
+ */
+const assertTimesheetAccess = async (timesheet, userId) => {
+  if (timesheet.user._id.toString() === userId) {
+    return;
+  }
+
+  const user = await UserModel.findById(userId);
+  if (user?.role !== "admin") {
+    throw new AppError({
+      message: "You do not have access to this timesheet",
+      statusCode: 403,
+      errorCode: "UNAUTHORIZED_TIMESHEET_ACCESS",
+    });
+  }
+};
+
+/**
+ * Build the timesheet entry for a completed shift
+ * @param {Object} shift - Completed shift document
+ * @returns {Object} Timesheet entry
+ */
+const buildTimesheetEntry = (shift) => {
+  const { breakMinutes, paidMinutes } = summariseWorkedTime(shift);
+
+  return {
+    shift: shift._id,
+    title: shift.title,
+    date: shift.date,
+    scheduledStartTime: shift.startTime,
+    scheduledFinishTime: shift.finishTime,
+    clockInTime: shift.clockInTime,
+    clockOutTime: shift.clockOutTime,
+    scheduledMinutes: minutesBetween(shift.startTime, shift.finishTime),
+    actualMinutes: paidMinutes ?? 0,
+    breakMinutes: breakMinutes ?? 0,
+  };
+};
+
+/**
+ * Generate a draft timesheet from a worker's completed shifts in a pay period.
+ * Generating the same period again while the timesheet is still a draft
+ * rebuilds its entries, picking up shifts completed since.
+ * @param {Object} timesheetData - Timesheet data
+ * @param {string} timesheetData.user - ID of the worker
+ * @param {Date} timesheetData.periodStart - First day of the pay period
+ * @param {Date} timesheetData.periodEnd - Last day of the pay period (inclusive)
+ * @returns {Promise<Object>} Draft timesheet
+ * @throws {AppError} If the worker does not exist or the period overlaps another of the
+ * worker's timesheets
+ */
+const generateTimesheet = async (timesheetData) => {
+  const { user } = timesheetData;
+  const periodStart = getStartOfDay(timesheetData.periodStart);
+  const periodEnd = getStartOfDay(timesheetData.periodEnd);
+
+  const userExists = await UserModel.findById(user);
+  if (!userExists) {
+    throw new AppError({
+      message: "User not found",
+      statusCode: 404,
+      errorCode: "USER_NOT_FOUND",
+    });
+  }
+
+  const overlappingTimesheet = await TimesheetModel.findOne({
+    user,
+    periodStart: { $lte: periodEnd },
+    periodEnd: { $gte: periodStart },
+  });
+
+  const isRegeneration =
+    overlappingTimesheet &&
+    overlappingTimesheet.status === TIMESHEET_STATUS.DRAFT &&
+    overlappingTimesheet.periodStart.getTime() === periodStart.getTime() &&
+    overlappingTimesheet.periodEnd.getTime() === periodEnd.getTime();
+
+  if (overlappingTimesheet && !isRegeneration) {
+    throw new AppError({
+      message: "Worker already has a timesheet covering this period",
+      statusCode: 409,
+      errorCode: "TIMESHEET_EXISTS",
+      details: { timesheetId: overlappingTimesheet._id.toString() },
+    });
+  }
+
+  const shifts = await ShiftModel.find({
+    user,
+    status: SHIFT_STATUS.COMPLETED,
+    date: {
+      $gte: periodStart,
+      $lt: addTime(periodEnd, 1, "day"),
+    },
+  }).sort({ startTime: 1 });
+  const shiftIds = shifts.map((shift) => shift._id);
+
+  const timesheet = isRegeneration
+    ? overlappingTimesheet
+    : new TimesheetModel({ user, periodStart, periodEnd });
+  timesheet.entries = shifts.map(buildTimesheetEntry);
+  await timesheet.save();
+
+  // Shifts dropped from a regenerated draft no longer belong to it
+  await ShiftModel.updateMany(
+    { timesheet: timesheet._id, _id: { $nin: shiftIds } },
+    { timesheet: null },
+  );
+  await ShiftModel.updateMany(
+    { _id: { $in: shiftIds } },
+    { timesheet: timesheet._id },
+  );
+
+  return {
+    timesheet: formatTimesheetForResponse(
+      await findTimesheetById(timesheet._id),
+    ),
+  };
+};
+
+/**
+ * Get all timesheets (admin only)
+ * @param {Object} options - Query options
+ * @param {string} [options.status] - Filter by timesheet status
+ * @param {string} [options.user] - Filter by worker
+ * @returns {Promise<{timesheets: Object[]}>} Timesheets, most recent period first
+ */
+const getTimesheets = async (options = {}) => {
+  const query = {};
+
+  if (options.status) {
+    query.status = options.status;
+  }
+  if (options.user) {
+    query.user = options.user;
+  }
+
+  const timesheets = await populateTimesheet(
+    TimesheetModel.find(query).sort({ periodStart: -1 }),
+  ).exec();
+
+  return {
+    timesheets: timesheets.map(formatTimesheetForResponse),
+  };
+};
+
+/**
+ * Get a worker's own timesheets
+ * @param {string} userId - ID of the worker
+ * @param {Object} options - Query options
+ * @param {string} [options.status] - Filter by timesheet status
+ * @returns {Promise<{timesheets: Object[]}>} Timesheets, most recent period first
+ */
+const getUserTimesheets = async (userId, options = {}) =>
+  getTimesheets({ status: options.status, user: userId });
+
+/**
+ * Get a timesheet by ID
+ * @param {string} timesheetId - ID of the timesheet
+ * @param {string} userId - ID of the user requesting the timesheet
+ * @returns {Promise<Object>} Timesheet
+ * @throws {AppError} If the timesheet does not exist or the user is neither its worker nor an admin
+ */
+const getTimesheet = async (timesheetId, userId) => {
+  const timesheet = await findTimesheetById(timesheetId);
+  await assertTimesheetAccess(timesheet, userId);
+
+  return {
+    timesheet: formatTimesheetForResponse(timesheet),
+  };
+};
+
+/**
+ * Move a timesheet from one status to the next. The update is conditional on
+ * the current status so concurrent requests cannot skip a step.
+ * @param {string} timesheetId - ID of the timesheet
+ * @param {string} action - Verb used in the error message (e.g. "approve")
+ * @param {string} fromStatus - Status the timesheet must currently have
+ * @param {Object} update - Fields to set, including the new status
+ * @returns {Promise<Object>} Updated timesheet document
+ * @throws {AppError} If the timesheet does not exist or is not in fromStatus
+ */
+const transitionTimesheet = async (timesheetId, action, fromStatus, update) => {
+  const timesheet = await TimesheetModel.findOneAndUpdate(
+    { _id: timesheetId, status: fromStatus },
+    update,
+    { new: true },
+  );
+
+  if (!timesheet) {
+    const { status } = await findTimesheetById(timesheetId);
+    throw new AppError({
+      message: `Cannot ${action} timesheet as it is ${status}`,
+      statusCode: 400,
+      errorCode: "INVALID_TIMESHEET_STATUS",
+    });
+  }
+
+  return timesheet;
+};
+
+/**
+ * Submit a draft timesheet for approval
+ * @param {string} timesheetId - ID of the timesheet
+ * @param {string} userId - ID of the worker or admin submitting it
+ * @returns {Promise<Object>} Submitted timesheet
+ * @throws {AppError} If the timesheet is not a draft or the user may not submit it
+ */
+const submitTimesheet = async (timesheetId, userId) => {
+  await assertTimesheetAccess(await findTimesheetById(timesheetId), userId);
+
+  await transitionTimesheet(timesheetId, "submit", TIMESHEET_STATUS.DRAFT, {
+    status: TIMESHEET_STATUS.SUBMITTED,
+    submittedBy: userId,
+    submittedAt: getCurrentDateTime(),
+  });
+
+  return {
+    timesheet: formatTimesheetForResponse(await findTimesheetById(timesheetId)),
+  };
+};
+
+/**
+ * Approve a submitted timesheet (admin only)
+ * @param {string} timesheetId - ID of the timesheet
+ * @param {string} adminId - ID of the approving admin
+ * @returns {Promise<Object>} Approved timesheet
+ * @throws {AppError} If the timesheet is not submitted
+ */
+const approveTimesheet = async (timesheetId, adminId) => {
+  await transitionTimesheet(
+    timesheetId,
+    "approve",
+    TIMESHEET_STATUS.SUBMITTED,
+    {
+      status: TIMESHEET_STATUS.APPROVED,
+      approvedBy: adminId,
+      approvedAt: getCurrentDateTime(),
+    },
+  );
+
+  return {
+    timesheet: formatTimesheetForResponse(await findTimesheetById(timesheetId)),
+  };
+};
+
+/**
+ * Lock an approved timesheet (admin only). Its shifts can no longer be edited.
+ * @param {string} timesheetId - ID of the timesheet
+ * @param {string} adminId - ID of the admin locking it
+ * @returns {Promise<Object>} Locked timesheet
+ * @throws {AppError} If the timesheet is not approved
+ */
+const lockTimesheet = async (timesheetId, adminId) => {
+  const lockedAt = getCurrentDateTime();
+
+  const timesheet = await transitionTimesheet(
+    timesheetId,
+    "lock",
+    TIMESHEET_STATUS.APPROVED,
+    {
+      status: TIMESHEET_STATUS.LOCKED,
+      lockedBy: adminId,
+      lockedAt,
+    },
+  );
+
+  await ShiftModel.updateMany(
+    { _id: { $in: timesheet.entries.map((entry) => entry.shift) } },
+    { lockedAt },
+  );
+
+  return {
+    timesheet: formatTimesheetForResponse(await findTimesheetById(timesheetId)),
+  };
+};
+
+/**
+ * Amend the clock times of a shift on a timesheet (admin only). Each changed
+ * time is recorded with the reason, the entry is recalculated and the change
+ * is added to the shift's history.
+ * @param {string} timesheetId - ID of the timesheet
+ * @param {string} shiftId - ID of the shift being amended
+ * @param {Object} amendment - Amendment data
+ * @param {string} [amendment.clockInTime] - Corrected clock-in time (HH:MM)
+ * @param {string} [amendment.clockOutTime] - Corrected clock-out time (HH:MM)
+ * @param {string} amendment.reason - Why the times were changed
+ * @param {string} adminId - ID of the admin making the amendment
+ * @returns {Promise<Object>} Amended timesheet
+ * @throws {AppError} If the timesheet cannot be amended, the shift is not on it, nothing changes,
+ * the clock-out would not be after the clock-in or a break would fall outside the new times
+ */
+const amendTimesheetEntry = async (
+  timesheetId,
+  shiftId,
+  amendment,
+  adminId,
+) => {
+  const timesheet = await findTimesheetById(timesheetId);
+
+  if (!AMENDABLE_TIMESHEET_STATUSES.includes(timesheet.status)) {
+    throw new AppError({
+      message: `Cannot amend timesheet as it is ${timesheet.status}`,
+      statusCode: 400,
+      errorCode: "INVALID_TIMESHEET_STATUS",
+    });
+  }
+
+  const isOnTimesheet = timesheet.entries.some(
+    (entry) => entry.shift.toString() === shiftId,
+  );
+  const shift = isOnTimesheet ? await ShiftModel.findById(shiftId) : null;
+  if (!shift) {
+    throw new AppError({
+      message: "Shift is not on this timesheet",
+      statusCode: 404,
+      errorCode: "SHIFT_NOT_IN_TIMESHEET",
+    });
+  }
+
+  // The clock-in is resolved near the recorded one, so amending an overnight
+  // shift keeps it on the day it was worked; the clock-out is the first time
+  // after the clock-in
+  const startDateTime = amendment.clockInTime
+    ? resolveTimeNear(
+        shift.clockInTime ?? shift.startTime,
+        amendment.clockInTime,
+      )
+    : shift.clockInTime;
+  const finishDateTime = amendment.clockOutTime
+    ? createShiftDateTimes(
+        startDateTime,
+        formatTimeString(startDateTime),
+        amendment.clockOutTime,
+      ).finishDateTime
+    : shift.clockOutTime;
+
+  if (!isBefore(startDateTime, finishDateTime)) {
+    throw new AppError({
+      message: "Clock-out must be after clock-in",
+      statusCode: 400,
+      errorCode: "INVALID_AMENDMENT",
+    });
+  }
+
+  shift.breaks.forEach((shiftBreak) => {
+    const breakValidation = validateBreak(
+      shift.breaks.filter((other) => other !== shiftBreak),
+      shiftBreak,
+      { startTime: startDateTime, finishTime: finishDateTime },
+    );
+    if (!breakValidation.isValid) {
+      throw new AppError({
+        message: breakValidation.message,
+        statusCode: 400,
+        errorCode: "INVALID_BREAK",
+        details: { breakId: shiftBreak._id.toString() },
+      });
+    }
+  });
+
+  const amendedAt = getCurrentDateTime();
+  const changes = [
+    [AMENDABLE_FIELDS.CLOCK_IN_TIME, amendment.clockInTime, startDateTime],
+    [AMENDABLE_FIELDS.CLOCK_OUT_TIME, amendment.clockOutTime, finishDateTime],
+  ]
+    .filter(
+      ([field, requested, newValue]) =>
+        requested && shift[field]?.getTime() !== newValue.getTime(),
+    )
+    .map(([field, , newValue]) => ({
+      shift: shift._id,
+      field,
+      previousValue: shift[field],
+      newValue,
+      reason: amendment.reason,
+      amendedBy: adminId,
+      amendedAt,
+    }));
+
+  if (changes.length === 0) {
+    throw new AppError({
+      message: "Amendment does not change any clock time",
+      statusCode: 400,
+      errorCode: "INVALID_AMENDMENT",
+    });
+  }
+
+  const originalShift = shift.toObject();
+  changes.forEach((change) => {
+    shift[change.field] = change.newValue;
+  });
+
+  const updatedTimesheet = await TimesheetModel.findOneAndUpdate(
+    {
+      _id: timesheetId,
+      status: { $in: AMENDABLE_TIMESHEET_STATUSES },
+      "entries.shift": shift._id,
+    },
+    {
+      $set: { "entries.$": buildTimesheetEntry(shift) },
+      $push: { amendments: { $each: changes } },
+    },
+  );
+
+  if (!updatedTimesheet) {
+    throw new AppError({
+      message: "Timesheet changed while it was being amended",
+      statusCode: 409,
+      errorCode: "TIMESHEET_CONFLICT",
+    });
+  }
+
+  const amendedShift = await ShiftModel.findByIdAndUpdate(
+    shiftId,
+    { clockInTime: shift.clockInTime, clockOutTime: shift.clockOutTime },
+    { new: true },
+  );
+  await recordShiftHistory({
+    shift: shift._id,
+    action: SHIFT_HISTORY_ACTION.UPDATE,
+    actor: adminId,
+    source: SHIFT_HISTORY_SOURCE.AMEND_TIMESHEET,
+    changes: diffShiftFields(originalShift, amendedShift, SHIFT_CLOCK_FIELDS),
+  });
+
+  return {
+    timesheet: formatTimesheetForResponse(await findTimesheetById(timesheetId)),
+  };
+};
+
+export {
+  formatTimesheetForResponse,
+  generateTimesheet,
+  getTimesheets,
+  getUserTimesheets,
+  getTimesheet,
+  submitTimesheet,
+  approveTimesheet,
+  lockTimesheet,
+  amendTimesheetEntry,
+};
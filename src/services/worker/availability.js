@@ -0,0 +1,297 @@
+import UserModel from "../../models/user.model.js";
+import ShiftModel from "../../models/shifts.model.js";
+import LeaveRequestModel from "../../models/leave-request.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+import {
+  addTime,
+  subtractTime,
+  createShiftDateTimes,
+  getStartOfDay,
+  getDayOfWeek,
+  isAfter,
+  isBefore,
+} from "../../utils/datetime.js";
+import { SHIFT_STATUS } from "../shift/constants.js";
+import { LEAVE_REQUEST_STATUS } from "../leave/constants.js";
+import { AVAILABILITY_CONFLICT } from "./constants.js";
+
+/** @typedef {{startTime: Date, finishTime: Date}} TimeWindow */
+
+/**
+ * @typedef {Object} AvailabilityConflict
+ * @property {string} reason - One of AVAILABILITY_CONFLICT
+ * @property {Date[]} [unavailableDates] - Unavailable dates the window falls on
+ */
+
+/**
+ * Format a worker's availability for API responses
+ * @param {Object} worker - User document
+ * @returns {{weeklyAvailability: Object[], unavailableDates: Object[]}} Availability
+ */
+const formatAvailabilityForResponse = (worker) => ({
+  weeklyAvailability: worker.weeklyAvailability.map(
+    ({ dayOfWeek, startTime, finishTime }) => ({
+      dayOfWeek,
+      startTime,
+      finishTime,
+    }),
+  ),
+  unavailableDates: worker.unavailableDates.map(({ _id, date, reason }) => ({
+    id: _id,
+    date,
+    reason,
+  })),
+});
+
+/**
+ * Turn a worker's weekly availability into datetime windows around a time
+ * window, merging windows that run into each other (e.g. Monday until
+ * midnight and Tuesday from midnight)
+ * @param {Object[]} weeklyAvailability - Worker's weekly availability windows
+ * @param {TimeWindow} window - Time window to cover
+ * @returns {TimeWindow[]} Merged windows, in start order
+ */
+const expandWeeklyAvailability = (weeklyAvailability, window) => {
+  const expanded = [];
+  // Start a day early for windows running past midnight into the time window
+  for (
+    let day = subtractTime(getStartOfDay(window.startTime), 1, "day");
+    !isAfter(day, window.finishTime);
+    day = addTime(day, 1, "day")
+  ) {
+    const dayOfWeek = getDayOfWeek(day);
+    weeklyAvailability
+      .filter((availability) => availability.dayOfWeek === dayOfWeek)
+      .forEach(({ startTime, finishTime }) => {
+        const { startDateTime, finishDateTime } = createShiftDateTimes(
+          day,
+          startTime,
+          finishTime,
+        );
+        expanded.push({ startTime: startDateTime, finishTime: finishDateTime });
+      });
+  }
+
+  expanded.sort((a, b) => a.startTime - b.startTime);
+  return expanded.reduce((merged, current) => {
+    const last = merged.at(-1);
+    if (last && !isBefore(last.finishTime, current.startTime)) {
+      if (isAfter(current.finishTime, last.finishTime)) {
+        last.finishTime = current.finishTime;
+      }
+    } else {
+      merged.push({ ...current });
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Check a time window against a worker's declared availability. A worker
+ * without weekly availability can work any time outside their unavailable
+ * dates.
+ * @param {Object} worker - User document with its availability
+ * @param {TimeWindow} window - Time window to check
+ * @returns {AvailabilityConflict|null} Why the worker cannot work the window, null if they can
+ */
+const findAvailabilityConflict = (worker, window) => {
+  const unavailableDates = (worker.unavailableDates ?? [])
+    .map(({ date }) => date)
+    .filter(
+      (date) =>
+        isBefore(date, window.finishTime) &&
+        isBefore(window.startTime, addTime(date, 1, "day")),
+    );
+  if (unavailableDates.length > 0) {
+    return { reason: AVAILABILITY_CONFLICT.UNAVAILABLE_DATE, unavailableDates };
+  }
+
+  const weeklyAvailability = worker.weeklyAvailability ?? [];
+  if (weeklyAvailability.length === 0) {
+    return null;
+  }
+
+  const covered = expandWeeklyAvailability(weeklyAvailability, window).some(
+    (available) =>
+      !isAfter(available.startTime, window.startTime) &&
+      !isBefore(available.finishTime, window.finishTime),
+  );
+  return covered
+    ? null
+    : { reason: AVAILABILITY_CONFLICT.OUTSIDE_WEEKLY_AVAILABILITY };
+};
+
+/**
+ * Find a worker by ID
+ * @param {string} workerId - ID of the worker
+ * @returns {Promise<Object>} User document
+ * @throws {AppError} If the worker does not exist
+ */
+const findWorker = async (workerId) => {
+  const worker = await UserModel.findById(workerId);
+  if (!worker) {
+    throw new AppError({
+      message: "User not found",
+      statusCode: 404,
+      errorCode: "USER_NOT_FOUND",
+    });
+  }
+  return worker;
+};
+
+/**
+ * Get a worker's availability
+ * @param {string} workerId - ID of the worker
+ * @returns {Promise<{availability: Object}>} Availability, see formatAvailabilityForResponse
+ * @throws {AppError} If the worker does not exist
+ */
+const getAvailability = async (workerId) => {
+  const worker = await findWorker(workerId);
+  return { availability: formatAvailabilityForResponse(worker) };
+};
+
+/**
+ * Replace a worker's weekly availability
+ * @param {string} workerId - ID of the worker
+ * @param {Array<{dayOfWeek: number, startTime: string, finishTime: string}>} weeklyAvailability - New
+ * windows, empty to lift the weekly restriction
+ * @returns {Promise<{availability: Object}>} Updated availability
+ * @throws {AppError} If the worker does not exist
+ */
+const setWeeklyAvailability = async (workerId, weeklyAvailability) => {
+  const worker = await findWorker(workerId);
+  worker.weeklyAvailability = weeklyAvailability;
+  await worker.save();
+  return { availability: formatAvailabilityForResponse(worker) };
+};
+
+/**
+ * Mark a day as unavailable for a worker
+ * @param {string} workerId - ID of the worker
+ * @param {Object} unavailableDate
+ * @param {Date} unavailableDate.date - Day the worker cannot work
+ * @param {string} [unavailableDate.reason] - Why, e.g. "Appointment"
+ * @returns {Promise<{availability: Object}>} Updated availability
+ * @throws {AppError} If the worker does not exist or the day is already unavailable
+ */
+const addUnavailableDate = async (workerId, { date, reason = null }) => {
+  const worker = await findWorker(workerId);
+  const day = getStartOfDay(date);
+
+  if (
+    worker.unavailableDates.some(
+      (unavailable) => unavailable.date.getTime() === day.getTime(),
+    )
+  ) {
+    throw new AppError({
+      message: "Date is already marked as unavailable",
+      statusCode: 409,
+      errorCode: "UNAVAILABLE_DATE_EXISTS",
+    });
+  }
+
+  worker.unavailableDates.push({ date: day, reason });
+  worker.unavailableDates.sort((a, b) => a.date - b.date);
+  await worker.save();
+  return { availability: formatAvailabilityForResponse(worker) };
+};
+
+/**
+ * Remove one of a worker's unavailable dates
+ * @param {string} workerId - ID of the worker
+ * @param {string} unavailableDateId - ID of the unavailable date
+ * @returns {Promise<{availability: Object}>} Updated availability
+ * @throws {AppError} If the worker or the unavailable date does not exist
+ */
+const removeUnavailableDate = async (workerId, unavailableDateId) => {
+  const worker = await findWorker(workerId);
+  const unavailableDate = worker.unavailableDates.id(unavailableDateId);
+
+  if (!unavailableDate) {
+    throw new AppError({
+      message: "Unavailable date not found",
+      statusCode: 404,
+      errorCode: "UNAVAILABLE_DATE_NOT_FOUND",
+    });
+  }
+
+  unavailableDate.deleteOne();
+  await worker.save();
+  return { availability: formatAvailabilityForResponse(worker) };
+};
+
+/**
+ * List which workers can work a time window on a date: those whose
+ * availability covers it, who are not on leave and who have no other shift
+ * overlapping it
+ * @param {Object} params
+ * @param {Date} params.date - Date of the window
+ * @param {string} params.startTime - Window start in HH:MM format
+ * @param {string} params.finishTime - Window finish in HH:MM format, the next day if not after the start
+ * @returns {Promise<Object>} The window, available workers, and unavailable workers with the reason
+ */
+const getAvailableWorkers = async ({ date, startTime, finishTime }) => {
+  const { startDateTime, finishDateTime } = createShiftDateTimes(
+    date,
+    startTime,
+    finishTime,
+  );
+  const window = { startTime: startDateTime, finishTime: finishDateTime };
+
+  const workers = await UserModel.find({ role: "worker" }).sort({ name: 1 });
+  const scheduledWorkerIds = new Set(
+    (
+      await ShiftModel.distinct("user", {
+        user: { $in: workers.map((worker) => worker._id) },
+        status: { $ne: SHIFT_STATUS.CANCELLED },
+        startTime: { $lt: finishDateTime },
+        finishTime: { $gt: startDateTime },
+      })
+    ).map(String),
+  );
+  const onLeaveWorkerIds = new Set(
+    (
+      await LeaveRequestModel.distinct("worker", {
+        worker: { $in: workers.map((worker) => worker._id) },
+        status: LEAVE_REQUEST_STATUS.APPROVED,
+        startsAt: { $lt: finishDateTime },
+        endsAt: { $gt: startDateTime },
+      })
+    ).map(String),
+  );
+
+  const available = [];
+  const unavailable = [];
+  workers.forEach((worker) => {
+    const summary = { id: worker._id, name: worker.name, email: worker.email };
+    let conflict = findAvailabilityConflict(worker, window);
+    if (onLeaveWorkerIds.has(worker._id.toString())) {
+      conflict = { reason: AVAILABILITY_CONFLICT.ON_LEAVE };
+    } else if (scheduledWorkerIds.has(worker._id.toString())) {
+      conflict = { reason: AVAILABILITY_CONFLICT.ALREADY_SCHEDULED };
+    }
+
+    if (conflict) {
+      unavailable.push({ worker: summary, ...conflict });
+    } else {
+      available.push(summary);
+    }
+  });
+
+  return {
+    date: getStartOfDay(date),
+    startTime,
+    finishTime,
+    available,
+    unavailable,
+  };
+};
+
+export {
+  findAvailabilityConflict,
+  getAvailability,
+  setWeeklyAvailability,
+  addUnavailableDate,
+  removeUnavailableDate,
+  getAvailableWorkers,
+};
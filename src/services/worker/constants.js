@@ -0,0 +1,11 @@
+// Why a worker cannot work a shift window
+export const AVAILABILITY_CONFLICT = Object.freeze({
+  // The window falls on one of the worker's unavailable dates
+  UNAVAILABLE_DATE: "unavailable_date",
+  // The window is not covered by the worker's weekly availability
+  OUTSIDE_WEEKLY_AVAILABILITY: "outside_weekly_availability",
+  // The worker has approved leave during the window
+  ON_LEAVE: "on_leave",
+  // The worker already has a shift overlapping the window
+  ALREADY_SCHEDULED: "already_scheduled",
+});
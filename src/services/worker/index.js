@@ -1,18 +1,101 @@
 import UserModel from "../../models/user.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+
+/**
+ * Format a worker for API responses
+ * @param {Object} worker - User document
+ * @returns {{id: string, name: string, email: string, role: string, contractedWeeklyHours: number|null, maxWeeklyHours: number|null, weeklyHoursOptOut: boolean, annualLeaveDays: number|null, homeLocation: {latitude: number, longitude: number}|null}}
+ */
+const formatWorkerForResponse = (worker) => ({
+  id: worker._id,
+  name: worker.name,
+  email: worker.email,
+  role: worker.role,
+  contractedWeeklyHours: worker.contractedWeeklyHours ?? null,
+  maxWeeklyHours: worker.maxWeeklyHours ?? null,
+  weeklyHoursOptOut: worker.weeklyHoursOptOut ?? false,
+  annualLeaveDays: worker.annualLeaveDays ?? null,
+  homeLocation: worker.homeLocation
+    ? {
+        latitude: worker.homeLocation.latitude,
+        longitude: worker.homeLocation.longitude,
+      }
+    : null,
+});
 
 /**
  * Get list of all workers
- * @returns {Promise<{id: string, name: string, email: string, role: string}[]>} User info
+ * @returns {Promise<Object[]>} Worker info, see formatWorkerForResponse
  */
 const getWorkers = async () => {
   const workers = await UserModel.find({ role: "worker" });
 
-  return workers.map((worker) => ({
-    id: worker._id,
-    name: worker.name,
-    email: worker.email,
-    role: worker.role,
-  }));
+  return workers.map(formatWorkerForResponse);
+};
+
+/**
+ * Update a worker's weekly working hours
+ * @param {string} workerId - ID of the worker
+ * @param {Object} workingHours - Fields to update
+ * @param {number|null} [workingHours.contractedWeeklyHours] - Contracted hours per week, null to clear
+ * @param {number|null} [workingHours.maxWeeklyHours] - Worker's own weekly limit, null for the default limit
+ * @param {boolean} [workingHours.weeklyHoursOptOut] - Whether the worker opted out of the default limit
+ * @param {number|null} [workingHours.annualLeaveDays] - Days of holiday per year, null for the default allowance
+ * @returns {Promise<{worker: Object}>} Updated worker
+ * @throws {AppError} If the worker is not found or contracted hours would exceed their maximum
+ */
+const updateWorkerWorkingHours = async (workerId, workingHours) => {
+  const worker = await UserModel.findById(workerId);
+  if (!worker) {
+    throw new AppError({
+      message: "User not found",
+      statusCode: 404,
+      errorCode: "USER_NOT_FOUND",
+    });
+  }
+
+  worker.set(workingHours);
+
+  if (
+    worker.contractedWeeklyHours !== null &&
+    worker.maxWeeklyHours !== null &&
+    worker.contractedWeeklyHours > worker.maxWeeklyHours
+  ) {
+    throw new AppError({
+      message: "Contracted weekly hours cannot exceed the maximum weekly hours",
+      statusCode: 400,
+      errorCode: "INVALID_WORKING_HOURS",
+    });
+  }
+
+  await worker.save();
+
+  return { worker: formatWorkerForResponse(worker) };
+};
+
+/**
+ * Set or clear where a worker lives, used by the auto-scheduler to prefer
+ * workers close to a shift's location
+ * @param {string} workerId - ID of the worker
+ * @param {{latitude: number, longitude: number}|null} homeLocation - Coordinates of the worker's home, null to clear them
+ * @returns {Promise<{worker: Object}>} Updated worker
+ * @throws {AppError} If the worker is not found
+ */
+const updateWorkerHomeLocation = async (workerId, homeLocation) => {
+  const worker = await UserModel.findByIdAndUpdate(
+    workerId,
+    { homeLocation },
+    { new: true, runValidators: true },
+  );
+  if (!worker) {
+    throw new AppError({
+      message: "User not found",
+      statusCode: 404,
+      errorCode: "USER_NOT_FOUND",
+    });
+  }
+
+  return { worker: formatWorkerForResponse(worker) };
 };
 
-export { getWorkers };
+export { getWorkers, updateWorkerWorkingHours, updateWorkerHomeLocation };
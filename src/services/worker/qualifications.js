@@ -0,0 +1,245 @@
+import UserModel from "../../models/user.model.js";
+import QualificationModel from "../../models/qualification.model.js";
+import { AppError } from "../../utils/errors/app.error.js";
+import {
+  addTime,
+  getCurrentDateTime,
+  isAfter,
+  isBefore,
+  minutesBetween,
+} from "../../utils/datetime.js";
+import { QUALIFICATION_GAP } from "../qualification/constants.js";
+
+/**
+ * @typedef {Object} QualificationGap
+ * @property {{id: string, name: string}} qualification - Required qualification
+ * @property {string} reason - One of QUALIFICATION_GAP
+ * @property {Date} [expiresAt] - When the worker's certification expired or expires
+ */
+
+/**
+ * Check whether a held qualification is still valid at a datetime
+ * @param {{expiresAt: Date|null}} held - Qualification held by a worker
+ * @param {Date} datetime - Datetime to check
+ * @returns {boolean} True if it does not expire before the datetime
+ */
+const isValidAt = (held, datetime) =>
+  !held.expiresAt || isAfter(held.expiresAt, datetime);
+
+/**
+ * Format a worker's qualifications for API responses
+ * @param {Object} worker - User document with populated qualifications
+ * @returns {Object[]} Held qualifications with whether they have expired
+ */
+const formatWorkerQualificationsForResponse = (worker) => {
+  const now = getCurrentDateTime();
+  return worker.qualifications
+    .filter((held) => held.qualification)
+    .map((held) => ({
+      qualification: {
+        id: held.qualification._id,
+        name: held.qualification.name,
+      },
+      obtainedAt: held.obtainedAt,
+      expiresAt: held.expiresAt,
+      reference: held.reference,
+      expired: !isValidAt(held, now),
+    }));
+};
+
+/**
+ * List the required qualifications a worker does not meet for a shift. A
+ * certification must stay valid until the shift finishes.
+ * @param {Object} worker - User document with its qualifications
+ * @param {Object[]} requiredQualifications - Qualification documents the shift requires
+ * @param {Date} finishTime - Shift finish datetime
+ * @returns {QualificationGap[]} Unmet qualifications, empty if the worker is qualified
+ */
+const findQualificationGaps = (worker, requiredQualifications, finishTime) =>
+  requiredQualifications.flatMap((qualification) => {
+    const held = worker.qualifications.find(
+      (workerQualification) =>
+        workerQualification.qualification._id.toString() ===
+        qualification._id.toString(),
+    );
+    const summary = { id: qualification._id, name: qualification.name };
+
+    if (!held) {
+      return [{ qualification: summary, reason: QUALIFICATION_GAP.MISSING }];
+    }
+    if (!isValidAt(held, finishTime)) {
+      return [
+        {
+          qualification: summary,
+          reason: QUALIFICATION_GAP.EXPIRED,
+          expiresAt: held.expiresAt,
+        },
+      ];
+    }
+    return [];
+  });
+
+/**
+ * Find a worker by ID with their qualifications populated
+ * @param {string} workerId - ID of the worker
+ * @returns {Promise<Object>} User document
+ * @throws {AppError} If the worker does not exist
+ */
+const findWorker = async (workerId) => {
+  const worker = await UserModel.findById(workerId)
+    .populate("qualifications.qualification", "name")
+    .exec();
+  if (!worker) {
+    throw new AppError({
+      message: "User not found",
+      statusCode: 404,
+      errorCode: "USER_NOT_FOUND",
+    });
+  }
+  return worker;
+};
+
+/**
+ * Get the qualifications a worker holds
+ * @param {string} workerId - ID of the worker
+ * @returns {Promise<{qualifications: Object[]}>} Held qualifications
+ * @throws {AppError} If the worker does not exist
+ */
+const getWorkerQualifications = async (workerId) => {
+  const worker = await findWorker(workerId);
+  return { qualifications: formatWorkerQualificationsForResponse(worker) };
+};
+
+/**
+ * Record that a worker holds a qualification, replacing the details of one
+ * they already hold (e.g. after renewing a certification)
+ * @param {string} workerId - ID of the worker
+ * @param {string} qualificationId - ID of the qualification
+ * @param {Object} details
+ * @param {Date|string|null} [details.obtainedAt] - When the worker obtained it
+ * @param {Date|string|null} [details.expiresAt] - When the certification expires, null if it does not
+ * @param {string|null} [details.reference] - Certificate or registration number
+ * @returns {Promise<{qualifications: Object[]}>} Updated qualifications
+ * @throws {AppError} If the worker or qualification does not exist, or the expiry is before it was obtained
+ */
+const setWorkerQualification = async (
+  workerId,
+  qualificationId,
+  { obtainedAt = null, expiresAt = null, reference = null },
+) => {
+  const worker = await findWorker(workerId);
+
+  if (!(await QualificationModel.exists({ _id: qualificationId }))) {
+    throw new AppError({
+      message: "Qualification not found",
+      statusCode: 404,
+      errorCode: "QUALIFICATION_NOT_FOUND",
+    });
+  }
+
+  if (obtainedAt && expiresAt && !isBefore(obtainedAt, expiresAt)) {
+    throw new AppError({
+      message: "A qualification must expire after it is obtained",
+      statusCode: 400,
+      errorCode: "INVALID_QUALIFICATION_DATES",
+    });
+  }
+
+  const held = {
+    qualification: qualificationId,
+    obtainedAt,
+    expiresAt,
+    reference,
+  };
+  const index = worker.qualifications.findIndex(
+    (workerQualification) =>
+      workerQualification.qualification?._id.toString() === qualificationId,
+  );
+  if (index === -1) {
+    worker.qualifications.push(held);
+  } else {
+    worker.qualifications.set(index, held);
+  }
+
+  await worker.save();
+  return getWorkerQualifications(workerId);
+};
+
+/**
+ * Remove a qualification from a worker
+ * @param {string} workerId - ID of the worker
+ * @param {string} qualificationId - ID of the qualification
+ * @returns {Promise<{qualifications: Object[]}>} Updated qualifications
+ * @throws {AppError} If the worker does not exist or does not hold the qualification
+ */
+const removeWorkerQualification = async (workerId, qualificationId) => {
+  const worker = await findWorker(workerId);
+  const index = worker.qualifications.findIndex(
+    (workerQualification) =>
+      workerQualification.qualification?._id.toString() === qualificationId,
+  );
+
+  if (index === -1) {
+    throw new AppError({
+      message: "Worker does not hold this qualification",
+      statusCode: 404,
+      errorCode: "WORKER_QUALIFICATION_NOT_FOUND",
+    });
+  }
+
+  worker.qualifications.splice(index, 1);
+  await worker.save();
+  return getWorkerQualifications(workerId);
+};
+
+/**
+ * List workers' certifications that expire within a number of days
+ * @param {Object} options
+ * @param {number} options.days - Days ahead to look
+ * @returns {Promise<Object>} The window and the expiring certifications, soonest first
+ */
+const getExpiringQualifications = async ({ days }) => {
+  const now = getCurrentDateTime();
+  const until = addTime(now, days, "day");
+
+  const workers = await UserModel.find({
+    qualifications: { $elemMatch: { expiresAt: { $gt: now, $lte: until } } },
+  })
+    .populate("qualifications.qualification", "name")
+    .exec();
+
+  const expiring = workers
+    .flatMap((worker) =>
+      worker.qualifications
+        .filter(
+          (held) =>
+            held.qualification &&
+            held.expiresAt &&
+            isAfter(held.expiresAt, now) &&
+            !isAfter(held.expiresAt, until),
+        )
+        .map((held) => ({
+          worker: { id: worker._id, name: worker.name, email: worker.email },
+          qualification: {
+            id: held.qualification._id,
+            name: held.qualification.name,
+          },
+          reference: held.reference,
+          expiresAt: held.expiresAt,
+          daysRemaining: Math.floor(
+            minutesBetween(now, held.expiresAt) / (24 * 60),
+          ),
+        })),
+    )
+    .sort((a, b) => a.expiresAt - b.expiresAt);
+
+  return { days, from: now, until, expiring };
+};
+
+export {
+  findQualificationGaps,
+  getWorkerQualifications,
+  setWorkerQualification,
+  removeWorkerQualification,
+  getExpiringQualifications,
+};
@@ -0,0 +1,34 @@
+// Leading characters that make spreadsheet applications evaluate a cell as a formula
+const FORMULA_PREFIXES = ["=", "+", "-", "@", "\t", "\r"];
+
+/**
+ * Escape a single value for a CSV cell. Text that a spreadsheet would
+ * evaluate as a formula is prefixed with a quote.
+ * @param {*} value - Cell value (null and undefined become empty cells)
+ * @returns {string} Escaped cell
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text = String(value);
+
+  if (typeof value === "string" && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Format values as a CSV row terminated by CRLF
+ * @param {Array<*>} values - Cell values
+ * @returns {string} CSV row
+ */
+export const toCsvRow = (values) =>
+  `${values.map(escapeCsvValue).join(",")}\r\n`;
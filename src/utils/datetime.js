@@ -2,10 +2,12 @@ import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc.js";
 import timezone from "dayjs/plugin/timezone.js";
 import customParseFormat from "dayjs/plugin/customParseFormat.js";
+import isoWeek from "dayjs/plugin/isoWeek.js";
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
 dayjs.extend(customParseFormat);
+dayjs.extend(isoWeek);
 
 /**
  * Create a datetime object from date and time string
@@ -44,6 +46,26 @@ export const createShiftDateTimes = (shiftDate, startTime, finishTime) => {
   };
 };
 
+/**
+ * Resolve a time of day to the datetime nearest a reference, which may be on
+ * the day before or after it, e.g. to correct a clock time around midnight
+ * @param {Date|string} reference - Datetime the time is close to
+ * @param {string} timeString - Time in HH:MM format
+ * @returns {Date} Datetime at that time, within 12 hours of the reference
+ */
+export const resolveTimeNear = (reference, timeString) => {
+  const sameDay = createDateTime(reference, timeString);
+  const offsetMinutes = sameDay.diff(dayjs(reference), "minute");
+
+  if (offsetMinutes > 12 * 60) {
+    return sameDay.subtract(1, "day").toDate();
+  }
+  if (offsetMinutes < -12 * 60) {
+    return sameDay.add(1, "day").toDate();
+  }
+  return sameDay.toDate();
+};
+
 /**
  * Check if current time is within allowed clock-in window
  * @param {Date|string} startDateTime - Shift start datetime
@@ -193,3 +215,40 @@ export const isBefore = (datetime1, datetime2) => {
 export const isAfter = (datetime1, datetime2) => {
   return dayjs(datetime1).isAfter(dayjs(datetime2));
 };
+
+/**
+ * Get the start of the day for a datetime
+ * @param {Date|string} datetime - The datetime
+ * @returns {Date} Midnight at the start of that day
+ */
+export const getStartOfDay = (datetime) => {
+  return dayjs(datetime).startOf("day").toDate();
+};
+
+/**
+ * Get the start of the calendar week (Monday 00:00) of a datetime
+ * @param {Date|string} datetime
+ * @returns {Date}
+ */
+export const getStartOfWeek = (datetime) => {
+  return dayjs(datetime).startOf("isoWeek").toDate();
+};
+
+/**
+ * Get the day of the week of a datetime
+ * @param {Date|string} datetime
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+export const getDayOfWeek = (datetime) => {
+  return dayjs(datetime).day();
+};
+
+/**
+ * Get the number of whole minutes between two datetimes
+ * @param {Date|string} start - Start datetime
+ * @param {Date|string} end - End datetime
+ * @returns {number} Minutes from start to end (negative if end is before start)
+ */
+export const minutesBetween = (start, end) => {
+  return dayjs(end).diff(dayjs(start), "minute");
+};
@@ -6,6 +6,7 @@ import dayjs from "dayjs";
  * statusCode: number,
  * errorCode: string,
  * timestamp: string,
+ * details?: Object,
  * stack?: string,
  * cause?: { name: string, message: string, stack?: string } | { error: string }
  }} SerialisedError */
@@ -28,6 +29,9 @@ export class AppError extends Error {
   /** @type {string} */
   timestamp;
 
+  /** @type {Object | undefined} */
+  details; // Extra structured context for the client, e.g. conflicting IDs
+
   /**
    * Custom application error class
    *
@@ -37,14 +41,23 @@ export class AppError extends Error {
    * @param {string} params.errorCode - Application-specific error code
    * @param {boolean} [params.isOperational=true] - Whether the error is operational (expected) or a programming error (bug
    * @param {Error} [params.cause] - The original error that caused this error, if any
+   * @param {Object} [params.details] - Extra structured data to expose in the API response
    */
-  constructor({ message, statusCode, errorCode, isOperational = true, cause }) {
+  constructor({
+    message,
+    statusCode,
+    errorCode,
+    isOperational = true,
+    cause,
+    details,
+  }) {
     super(message, { cause });
 
     this.statusCode = statusCode;
     this.isOperational = isOperational;
     this.errorCode = errorCode;
     this.timestamp = dayjs().toISOString();
+    this.details = details;
 
     Error.captureStackTrace?.(this, this.constructor);
   }
@@ -76,6 +89,7 @@ export class AppError extends Error {
       statusCode: this.statusCode,
       errorCode: this.errorCode,
       timestamp: this.timestamp,
+      ...(this.details ? { details: this.details } : {}),
       ...(this.cause ? { cause: formatCause(this.cause) } : {}),
       ...(!options?.removeStack && { stack: this.stack }),
     };
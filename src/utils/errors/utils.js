@@ -16,3 +16,15 @@ export const zodSchemaValidator = (schema, data) => {
     throw err;
   }
 };
+
+/**
+ * Serialise an error caught while processing one entry of a batch so it can be
+ * reported alongside the successful entries.
+ * @param {Error & {errorCode?: string, details?: Object}} error
+ * @returns {{message: string, errorCode: string, details?: Object}} Serialised error
+ */
+export const serialiseBatchError = (error) => ({
+  message: error.message,
+  errorCode: error.errorCode || "UNKNOWN_ERROR",
+  ...(error.details ? { details: error.details } : {}),
+});
@@ -0,0 +1,27 @@
+const EARTH_RADIUS_METRES = 6371000;
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees
+ * @returns {number} Radians
+ */
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @param {{latitude: number, longitude: number}} from - First point
+ * @param {{latitude: number, longitude: number}} to - Second point
+ * @returns {number} Distance in metres
+ */
+export const distanceInMetres = (from, to) => {
+  const latitudeDelta = toRadians(to.latitude - from.latitude);
+  const longitudeDelta = toRadians(to.longitude - from.longitude);
+
+  const a =
+    Math.sin(latitudeDelta / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) *
+      Math.cos(toRadians(to.latitude)) *
+      Math.sin(longitudeDelta / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METRES * Math.asin(Math.sqrt(a));
+};
@@ -0,0 +1,108 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+
+dayjs.extend(utc);
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid - Globally unique, stable event ID
+ * @property {Date} start - Event start
+ * @property {Date} end - Event end
+ * @property {Date} updatedAt - Last modification, used for DTSTAMP and LAST-MODIFIED
+ * @property {string} summary - Event title
+ * @property {string} [description] - Event notes
+ * @property {string} [location] - Human-readable location
+ * @property {{latitude: number, longitude: number}} [geo] - Location coordinates
+ * @property {"CONFIRMED"|"TENTATIVE"|"CANCELLED"} status - Event status
+ */
+
+/**
+ * Escape text for an iCalendar property value (RFC 5545 section 3.3.11)
+ * @param {string} text
+ * @returns {string} Escaped text
+ */
+export const escapeIcsText = (text) =>
+  String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Format a datetime as an iCalendar UTC date-time (e.g. 20261019T090000Z)
+ * @param {Date|string} datetime
+ * @returns {string} iCalendar date-time
+ */
+export const formatIcsDateTime = (datetime) =>
+  dayjs(datetime).utc().format("YYYYMMDDTHHmmss[Z]");
+
+/**
+ * Fold a content line so no line is longer than 75 octets
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, continuation lines starting with a space
+ */
+export const foldIcsLine = (line) => {
+  const chunks = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join("\r\n ");
+};
+
+/**
+ * Build the content lines of a VEVENT
+ * @param {CalendarEvent} event
+ * @returns {string[]} Unfolded content lines
+ */
+const buildEventLines = (event) => [
+  "BEGIN:VEVENT",
+  `UID:${event.uid}`,
+  `DTSTAMP:${formatIcsDateTime(event.updatedAt)}`,
+  `LAST-MODIFIED:${formatIcsDateTime(event.updatedAt)}`,
+  `DTSTART:${formatIcsDateTime(event.start)}`,
+  `DTEND:${formatIcsDateTime(event.end)}`,
+  `SUMMARY:${escapeIcsText(event.summary)}`,
+  ...(event.description
+    ? [`DESCRIPTION:${escapeIcsText(event.description)}`]
+    : []),
+  ...(event.location ? [`LOCATION:${escapeIcsText(event.location)}`] : []),
+  ...(event.geo ? [`GEO:${event.geo.latitude};${event.geo.longitude}`] : []),
+  `STATUS:${event.status}`,
+  "END:VEVENT",
+];
+
+/**
+ * Build an iCalendar (.ics) document
+ * @param {Object} calendar
+ * @param {string} calendar.name - Calendar name shown by calendar apps
+ * @param {CalendarEvent[]} calendar.events - Events in the calendar
+ * @returns {string} iCalendar document with CRLF line endings
+ */
+export const buildIcsCalendar = ({ name, events }) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//ORTA//Shifts//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    ...events.flatMap(buildEventLines),
+    "END:VCALENDAR",
+  ];
+
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+};
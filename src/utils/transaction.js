@@ -0,0 +1,106 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import mongoose from "mongoose";
+import { AppError } from "./errors/app.error.js";
+
+// MongoDB error code for transactions on a server that is not a replica set
+const ILLEGAL_OPERATION_CODE = 20;
+
+/** Thrown inside a transaction to roll it back once the work is done */
+const ROLLBACK = Symbol("rollback");
+
+// Callbacks waiting for the transaction they were registered in to commit
+/** @type {AsyncLocalStorage<Array<() => void>>} */
+const afterCommitCallbacks = new AsyncLocalStorage();
+
+/**
+ * Run a callback once the current transaction commits, or straight away
+ * outside a transaction. Side effects such as events then never announce
+ * changes that are rolled back.
+ * @param {() => void} callback
+ */
+export const runAfterCommit = (callback) => {
+  const callbacks = afterCommitCallbacks.getStore();
+  if (callbacks) {
+    callbacks.push(callback);
+  } else {
+    callback();
+  }
+};
+
+/**
+ * Run work in a transaction, collecting the callbacks it registers with
+ * runAfterCommit. Only the last attempt's callbacks are kept when the
+ * transaction is retried.
+ * @template T
+ * @param {() => Promise<T>} work
+ * @param {Array<() => void>} callbacks - Collected callbacks
+ * @returns {Promise<T>} Result of the work
+ */
+const runTransaction = (work, callbacks) =>
+  afterCommitCallbacks.run(callbacks, () =>
+    mongoose.connection.transaction(() => {
+      callbacks.length = 0;
+      return work();
+    }),
+  );
+
+/**
+ * Translate the error MongoDB raises when transactions are not available
+ * @param {Error & {code?: number}} error
+ * @returns {Error} AppError for missing transaction support, or the error itself
+ */
+const toTransactionError = (error) => {
+  if (error?.code === ILLEGAL_OPERATION_CODE) {
+    return new AppError({
+      message: "Transactions require MongoDB to run as a replica set",
+      statusCode: 501,
+      errorCode: "TRANSACTIONS_UNSUPPORTED",
+      cause: error,
+    });
+  }
+  return error;
+};
+
+/**
+ * Run work in a MongoDB transaction, committing if it resolves and rolling
+ * back if it throws. Needs MongoDB to run as a replica set, and Mongoose
+ * configured with configureMongoose from db.js before connecting.
+ * @template T
+ * @param {() => Promise<T>} work - Work to run; every query it makes joins the transaction
+ * @returns {Promise<T>} Result of the work
+ * @throws {AppError} If the database does not support transactions, or the work's error
+ */
+export const runInTransaction = async (work) => {
+  const callbacks = [];
+  let result;
+  try {
+    result = await runTransaction(work, callbacks);
+  } catch (error) {
+    throw toTransactionError(error);
+  }
+  callbacks.forEach((callback) => callback());
+  return result;
+};
+
+/**
+ * Run work in a MongoDB transaction and always roll it back, e.g. to find out
+ * what a change would do without saving it
+ * @template T
+ * @param {() => Promise<T>} work - Work to run; every query it makes joins the transaction
+ * @returns {Promise<T>} Result of the work
+ * @throws {AppError} If the database does not support transactions, or the work's error
+ */
+export const runAndRollBack = async (work) => {
+  let result;
+  try {
+    await runTransaction(async () => {
+      result = await work();
+      throw ROLLBACK;
+    }, []);
+  } catch (error) {
+    if (error !== ROLLBACK) {
+      throw toTransactionError(error);
+    }
+  }
+  return result;
+};
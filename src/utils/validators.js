@@ -0,0 +1,91 @@
+import { z } from "zod";
+import mongoose from "mongoose";
+import dayjs from "dayjs";
+import { isValidTimeString, isDateInPast } from "./datetime.js";
+
+export const objectIdValidator = (/** @type {string} */ errorMessage) =>
+  z.string({ error: errorMessage }).refine(
+    (val) => {
+      return mongoose.Types.ObjectId.isValid(val);
+    },
+    {
+      error: errorMessage,
+    },
+  );
+
+export const dateValidator = z.string({ error: "Invalid date or time" }).refine(
+  (val) => {
+    const date = dayjs(val);
+    if (!date.isValid()) {
+      return false;
+    }
+    return !isDateInPast(val);
+  },
+  {
+    error: "Date cannot be in the past and must be a valid date",
+  },
+);
+
+export const timeValidator = z
+  .string({ error: "Time must be in HH:MM format" })
+  .refine(
+    (val) => {
+      return isValidTimeString(val);
+    },
+    {
+      error: "Time must be in HH:MM format",
+    },
+  );
+
+export const locationObjectSchema = z.object(
+  {
+    name: z
+      .string({ error: "Location name is required" })
+      .nonempty({ error: "Location name cannot be empty" })
+      .trim(),
+    address: z
+      .string({ error: "Location address is required" })
+      .nonempty({ error: "Location address cannot be empty" })
+      .trim(),
+    postCode: z
+      .string({ error: "Location post code is required" })
+      .nonempty({ error: "Location post code cannot be empty" })
+      .trim(),
+    cordinates: z.object(
+      {
+        longitude: z
+          .number({ error: "Longitude must be a number" })
+          .min(-180, { error: "Longitude must be between -180 and 180" })
+          .max(180, { error: "Longitude must be between -180 and 180" }),
+        latitude: z
+          .number({ error: "Latitude must be a number" })
+          .min(-90, { error: "Latitude must be between -90 and 90" })
+          .max(90, { error: "Latitude must be between -90 and 90" }),
+        useRotaCloud: z
+          .boolean({ error: "useRotaCloud must be a boolean" })
+          .optional(),
+      },
+      { error: "Location coordinates are required" },
+    ),
+    geofenceRadius: z
+      .number({ error: "Geofence radius must be a number" })
+      .positive({ error: "Geofence radius must be a positive number" })
+      .optional(),
+  },
+  { error: "Invalid location object" },
+);
+
+export const positionObjectSchema = z.object({
+  latitude: z
+    .number({ error: "Latitude must be a number" })
+    .min(-90, { error: "Latitude must be between -90 and 90" })
+    .max(90, { error: "Latitude must be between -90 and 90" }),
+  longitude: z
+    .number({ error: "Longitude must be a number" })
+    .min(-180, { error: "Longitude must be between -180 and 180" })
+    .max(180, { error: "Longitude must be between -180 and 180" }),
+  accuracy: z
+    .number({ error: "Accuracy must be a number" })
+    .nonnegative({ error: "Accuracy cannot be negative" })
+    .optional(),
+});
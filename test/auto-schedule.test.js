@@ -0,0 +1,270 @@
+import { expect } from "chai";
+import request from "supertest";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import * as process from "node:process";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import dayjs from "dayjs";
+import { app } from "../src/server.js";
+import UserModel from "../src/models/user.model.js";
+import LocationModel from "../src/models/location.model.js";
+import ShiftModel from "../src/models/shifts.model.js";
+import {
+  SHIFT_TYPES,
+  AUTO_SCHEDULE_EXCLUSION,
+} from "../src/services/shift/constants.js";
+dotenv.config();
+
+describe("Auto-scheduling API", () => {
+  /** @type {MongoMemoryServer} */
+  let mongoServer;
+
+  /** @type {string} */
+  let adminToken;
+
+  /** @type {string} */
+  let aliceId;
+
+  /** @type {string} */
+  let aliceToken;
+
+  /** @type {string} */
+  let bobId;
+
+  const firstDay = dayjs().add(7, "day").startOf("day");
+
+  const testLocation = {
+    name: "Test Location",
+    address: "123 Test Street, Manchester",
+    postCode: "M1 1AA",
+    cordinates: { longitude: -2.244644, latitude: 53.483959 },
+  };
+
+  before(async () => {
+    if (process.env.NODE_ENV !== "test") {
+      process.env.NODE_ENV = "test";
+    }
+
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+
+    await mongoose.connect(mongoUri);
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Register a user and return their token and ID
+   * @param {string} name
+   * @param {string} email
+   * @returns {Promise<{token: string, id: string}>}
+   */
+  const registerUser = async (name, email) => {
+    const res = await request(app).post("/api/user/register").send({
+      name,
+      email,
+      password: "WorkerPass123!",
+    });
+    return { token: res.body.token, id: res.body.user.id };
+  };
+
+  beforeEach(async () => {
+    await UserModel.deleteMany({});
+    await LocationModel.deleteMany({});
+    await ShiftModel.deleteMany({});
+
+    const admin = await registerUser("Admin User", "admin@example.com");
+    adminToken = admin.token;
+    await UserModel.findByIdAndUpdate(admin.id, { role: "admin" });
+
+    const alice = await registerUser("Alice Worker", "alice@example.com");
+    aliceId = alice.id;
+    aliceToken = alice.token;
+
+    const bob = await registerUser("Bob Worker", "bob@example.com");
+    bobId = bob.id;
+  });
+
+  /**
+   * Create a shift as the admin and return its ID
+   * @param {dayjs.Dayjs} date - Day of the shift
+   * @param {Object} [data] - Shift fields replacing the defaults
+   * @returns {Promise<string>}
+   */
+  const createShift = async (date, data = {}) => {
+    const res = await request(app)
+      .post("/api/shifts")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        title: "Day Shift",
+        role: "Carer",
+        typeOfShift: [SHIFT_TYPES.MORNING],
+        startTime: "09:00",
+        finishTime: "17:00",
+        location: testLocation,
+        date: date.format("YYYY-MM-DD"),
+        ...data,
+      })
+      .expect(201);
+    return res.body.shift.id;
+  };
+
+  /**
+   * Ask for a proposal as the admin
+   * @param {Object} body - Shift selection
+   * @returns {Promise<Object>}
+   */
+  const propose = async (body) => {
+    const res = await request(app)
+      .post("/api/shifts/auto-schedule")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body)
+      .expect(200);
+    return res.body.proposal;
+  };
+
+  it("should share shifts between workers and save nothing", async () => {
+    const firstShiftId = await createShift(firstDay);
+    const secondShiftId = await createShift(firstDay.add(1, "day"));
+
+    const proposal = await propose({ ids: [firstShiftId, secondShiftId] });
+
+    expect(
+      proposal.assignments.map((assignment) => [
+        assignment.shift.id,
+        assignment.worker.id,
+      ]),
+    ).to.deep.equal([
+      [firstShiftId, aliceId],
+      [secondShiftId, bobId],
+    ]);
+    expect(proposal.unfilled).to.deep.equal([]);
+
+    const shift = await ShiftModel.findById(firstShiftId);
+    expect(shift.user).to.equal(null);
+  });
+
+  it("should prefer workers who live closer to the location", async () => {
+    await request(app)
+      .patch(`/api/workers/${aliceId}/home-location`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ homeLocation: { latitude: 51.5074, longitude: -0.1278 } })
+      .expect(200);
+    const res = await request(app)
+      .patch(`/api/workers/${bobId}/home-location`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ homeLocation: { latitude: 53.4808, longitude: -2.2426 } })
+      .expect(200);
+    expect(res.body.worker.homeLocation).to.deep.equal({
+      latitude: 53.4808,
+      longitude: -2.2426,
+    });
+
+    const shiftId = await createShift(firstDay);
+    const proposal = await propose({ ids: [shiftId] });
+
+    expect(proposal.assignments[0].worker.id).to.equal(bobId);
+    expect(proposal.assignments[0].distanceMetres).to.be.below(1000);
+  });
+
+  it("should leave a shift unfilled when every worker is excluded, with the reasons", async () => {
+    await request(app)
+      .post("/api/workers/me/unavailable-dates")
+      .set("Authorization", `Bearer ${aliceToken}`)
+      .send({ date: firstDay.format("YYYY-MM-DD") })
+      .expect(201);
+    await createShift(firstDay, { user: bobId });
+    const shiftId = await createShift(firstDay);
+
+    const proposal = await propose({ ids: [shiftId] });
+
+    expect(proposal.assignments).to.deep.equal([]);
+    expect(proposal.unfilled).to.have.length(1);
+    expect(proposal.unfilled[0].exclusions).to.deep.equal({
+      [AUTO_SCHEDULE_EXCLUSION.UNAVAILABLE_DATE]: 1,
+      [AUTO_SCHEDULE_EXCLUSION.ALREADY_SCHEDULED]: 1,
+    });
+  });
+
+  it("should count shifts proposed earlier in the same run", async () => {
+    const shiftIds = [
+      await createShift(firstDay),
+      await createShift(firstDay),
+      await createShift(firstDay),
+    ];
+
+    const proposal = await propose({ ids: shiftIds });
+
+    expect(proposal.assignments).to.have.length(2);
+    expect(proposal.unfilled[0].shift.id).to.equal(shiftIds[2]);
+    expect(proposal.unfilled[0].exclusions).to.deep.equal({
+      [AUTO_SCHEDULE_EXCLUSION.ALREADY_SCHEDULED]: 2,
+    });
+  });
+
+  it("should skip selected shifts that are already assigned", async () => {
+    const assignedShiftId = await createShift(firstDay, { user: bobId });
+    await createShift(firstDay.add(1, "day"));
+
+    const proposal = await propose({
+      filter: {
+        from: firstDay.format("YYYY-MM-DD"),
+        to: firstDay.add(1, "day").format("YYYY-MM-DD"),
+      },
+    });
+
+    expect(proposal.skipped).to.deep.equal([assignedShiftId]);
+    expect(proposal.assignments).to.have.length(1);
+  });
+
+  it("should apply the proposal through the batch endpoint", async () => {
+    const firstShiftId = await createShift(firstDay);
+    const secondShiftId = await createShift(firstDay.add(1, "day"));
+    const proposal = await propose({ ids: [firstShiftId, secondShiftId] });
+
+    const res = await request(app)
+      .post("/api/shifts/batch")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ shifts: proposal.batch })
+      .expect(200);
+
+    expect(res.body.errors).to.deep.equal([]);
+    expect(res.body.updated.map((shift) => shift.user.id)).to.deep.equal([
+      aliceId,
+      bobId,
+    ]);
+  });
+
+  it("should return error when both IDs and a filter are given", async () => {
+    const shiftId = await createShift(firstDay);
+
+    await request(app)
+      .post("/api/shifts/auto-schedule")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        ids: [shiftId],
+        filter: {
+          from: firstDay.format("YYYY-MM-DD"),
+          to: firstDay.format("YYYY-MM-DD"),
+        },
+      })
+      .expect(400);
+  });
+
+  it("should only let admins auto-schedule", async () => {
+    const shiftId = await createShift(firstDay);
+
+    await request(app)
+      .post("/api/shifts/auto-schedule")
+      .set("Authorization", `Bearer ${aliceToken}`)
+      .send({ ids: [shiftId] })
+      .expect(403);
+  });
+});
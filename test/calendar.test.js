@@ -0,0 +1,265 @@
+import { expect } from "chai";
+import request from "supertest";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import * as process from "node:process";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import { app } from "../src/server.js";
+import UserModel from "../src/models/user.model.js";
+import LocationModel from "../src/models/location.model.js";
+import ShiftModel from "../src/models/shifts.model.js";
+import { SHIFT_TYPES, SHIFT_STATUS } from "../src/services/shift/constants.js";
+dotenv.config();
+dayjs.extend(utc);
+
+describe("Calendar API", () => {
+  /** @type {MongoMemoryServer} */
+  let mongoServer;
+
+  /** @type {string} */
+  let adminToken;
+
+  /** @type {string} */
+  let workerToken;
+
+  /** @type {string} */
+  let workerUserId;
+
+  /** @type {string} */
+  let colleagueUserId;
+
+  /** @type {string} */
+  let shiftId;
+
+  /** @type {string} */
+  let cancelledShiftId;
+
+  /** @type {string} */
+  let colleagueShiftId;
+
+  const tomorrow = dayjs().add(1, "day").format("YYYY-MM-DD");
+
+  const shiftData = {
+    title: "Morning Shift",
+    role: "Carer",
+    typeOfShift: [SHIFT_TYPES.MORNING],
+    startTime: "08:00",
+    finishTime: "12:00",
+    location: {
+      name: "Test Location",
+      address: "123 Test Street, Manchester",
+      postCode: "M1 1AA",
+      cordinates: {
+        longitude: -2.244644,
+        latitude: 53.483959,
+      },
+    },
+    date: tomorrow,
+  };
+
+  before(async () => {
+    if (process.env.NODE_ENV !== "test") {
+      process.env.NODE_ENV = "test";
+    }
+
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+
+    await mongoose.connect(mongoUri);
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Create a shift as admin and return its ID
+   * @param {Object} overrides - Fields to override in the default shift data
+   * @returns {Promise<string>}
+   */
+  const createShift = async (overrides) => {
+    const res = await request(app)
+      .post("/api/shifts")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ ...shiftData, ...overrides })
+      .expect(201);
+    return res.body.shift.id;
+  };
+
+  /**
+   * Create a calendar feed token for a user
+   * @param {string} token - User's auth token
+   * @returns {Promise<string>} Feed token
+   */
+  const createFeedToken = async (token) => {
+    const res = await request(app)
+      .post("/api/calendar/token")
+      .set("Authorization", `Bearer ${token}`)
+      .expect(200);
+    return res.body.token;
+  };
+
+  beforeEach(async () => {
+    await UserModel.deleteMany({});
+    await LocationModel.deleteMany({});
+    await ShiftModel.deleteMany({});
+
+    const adminRes = await request(app).post("/api/user/register").send({
+      name: "Admin User",
+      email: "admin@example.com",
+      password: "AdminPass123!",
+    });
+    adminToken = adminRes.body.token;
+
+    const adminUser = await UserModel.findById(adminRes.body.user.id);
+    adminUser.role = "admin";
+    await adminUser.save();
+
+    const workerRes = await request(app).post("/api/user/register").send({
+      name: "Worker User",
+      email: "worker@example.com",
+      password: "WorkerPass123!",
+    });
+    workerToken = workerRes.body.token;
+    workerUserId = workerRes.body.user.id;
+
+    const colleagueRes = await request(app).post("/api/user/register").send({
+      name: "Colleague User",
+      email: "colleague@example.com",
+      password: "WorkerPass123!",
+    });
+    colleagueUserId = colleagueRes.body.user.id;
+
+    shiftId = await createShift({ user: workerUserId });
+    cancelledShiftId = await createShift({
+      user: workerUserId,
+      title: "Afternoon Shift",
+      startTime: "13:00",
+      finishTime: "17:00",
+      date: dayjs().add(3, "day").format("YYYY-MM-DD"),
+    });
+    colleagueShiftId = await createShift({
+      user: colleagueUserId,
+      title: "Colleague Shift",
+    });
+
+    await request(app)
+      .patch(`/api/shifts/${cancelledShiftId}/cancel`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+  });
+
+  describe("POST /api/calendar/token", () => {
+    it("should create a feed token and URL", async () => {
+      const res = await request(app)
+        .post("/api/calendar/token")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(res.body.token).to.match(/^[a-f0-9]{64}$/);
+      expect(res.body.feedUrl).to.match(
+        new RegExp(`/api/calendar/feeds/${res.body.token}\\.ics$`),
+      );
+
+      const user = await UserModel.findById(workerUserId);
+      expect(user.calendarFeedTokenHash).to.not.equal(res.body.token);
+    });
+
+    it("should invalidate the previous feed URL when rotated", async () => {
+      const oldToken = await createFeedToken(workerToken);
+      const newToken = await createFeedToken(workerToken);
+
+      await request(app).get(`/api/calendar/feeds/${oldToken}.ics`).expect(404);
+      await request(app).get(`/api/calendar/feeds/${newToken}.ics`).expect(200);
+    });
+  });
+
+  describe("GET /api/calendar/feeds/:token.ics", () => {
+    it("should return the worker's shifts as iCalendar events", async () => {
+      const feedToken = await createFeedToken(workerToken);
+
+      const res = await request(app)
+        .get(`/api/calendar/feeds/${feedToken}.ics`)
+        .expect(200)
+        .expect("Content-Type", /text\/calendar/);
+
+      expect(res.text).to.match(/^BEGIN:VCALENDAR\r\n/);
+      expect(res.text).to.include(`UID:shift-${shiftId}@orta`);
+      expect(res.text).to.include("SUMMARY:Morning Shift (Carer)");
+      expect(res.text).to.include(
+        "LOCATION:Test Location\\, 123 Test Street\\, Manchester",
+      );
+      expect(res.text).to.include("GEO:53.483959;-2.244644");
+      expect(res.text).to.include(
+        `DTSTART:${dayjs(`${tomorrow} 08:00`).utc().format("YYYYMMDDTHHmmss[Z]")}`,
+      );
+      expect(res.text).to.not.include(`UID:shift-${colleagueShiftId}@orta`);
+
+      const events = res.text.split("BEGIN:VEVENT").slice(1);
+      expect(events).to.have.length(2);
+      const cancelledEvent = events.find((event) =>
+        event.includes(`UID:shift-${cancelledShiftId}@orta`),
+      );
+      expect(cancelledEvent).to.include("STATUS:CANCELLED");
+    });
+
+    it("should mark no-show shifts as cancelled", async () => {
+      await ShiftModel.findByIdAndUpdate(shiftId, {
+        status: SHIFT_STATUS.NO_SHOW,
+      });
+      const feedToken = await createFeedToken(workerToken);
+
+      const res = await request(app)
+        .get(`/api/calendar/feeds/${feedToken}.ics`)
+        .expect(200);
+
+      const noShowEvent = res.text
+        .split("BEGIN:VEVENT")
+        .find((event) => event.includes(`UID:shift-${shiftId}@orta`));
+      expect(noShowEvent).to.include("STATUS:CANCELLED");
+      expect(res.text).to.not.include("STATUS:undefined");
+    });
+
+    it("should return error for an unknown token", async () => {
+      const res = await request(app)
+        .get(`/api/calendar/feeds/${"a".repeat(64)}.ics`)
+        .expect(404);
+
+      expect(res.body.errorCode).to.equal("CALENDAR_FEED_NOT_FOUND");
+    });
+
+    it("should return error for a malformed token", async () => {
+      await request(app).get("/api/calendar/feeds/not-a-token.ics").expect(400);
+    });
+  });
+
+  describe("GET /api/calendar/locations/:locationId/feeds/:token.ics", () => {
+    it("should return every shift at the location for an admin token", async () => {
+      const feedToken = await createFeedToken(adminToken);
+      const location = await LocationModel.findOne({ name: "Test Location" });
+
+      const res = await request(app)
+        .get(`/api/calendar/locations/${location._id}/feeds/${feedToken}.ics`)
+        .expect(200);
+
+      expect(res.text.split("BEGIN:VEVENT")).to.have.length(4);
+      expect(res.text).to.include("SUMMARY:Colleague Shift - Colleague User");
+    });
+
+    it("should not accept a worker's token", async () => {
+      const feedToken = await createFeedToken(workerToken);
+      const location = await LocationModel.findOne({ name: "Test Location" });
+
+      await request(app)
+        .get(`/api/calendar/locations/${location._id}/feeds/${feedToken}.ics`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,429 @@
+import { expect } from "chai";
+import request from "supertest";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import * as process from "node:process";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import dayjs from "dayjs";
+import { app } from "../src/server.js";
+import UserModel from "../src/models/user.model.js";
+import LocationModel from "../src/models/location.model.js";
+import ShiftModel from "../src/models/shifts.model.js";
+import LeaveRequestModel from "../src/models/leave-request.model.js";
+import { SHIFT_TYPES } from "../src/services/shift/constants.js";
+import { LEAVE_REQUEST_STATUS } from "../src/services/leave/constants.js";
+dotenv.config();
+
+describe("Leave API", () => {
+  /** @type {MongoMemoryServer} */
+  let mongoServer;
+
+  /** @type {string} */
+  let adminToken;
+
+  /** @type {string} */
+  let workerToken;
+
+  /** @type {string} */
+  let workerUserId;
+
+  // First day of leave in the tests, a Monday far enough ahead to schedule shifts
+  const leaveStart = dayjs().add(14, "day").startOf("week").add(1, "day");
+
+  before(async () => {
+    if (process.env.NODE_ENV !== "test") {
+      process.env.NODE_ENV = "test";
+    }
+
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+
+    await mongoose.connect(mongoUri);
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Register a user and return their token and ID
+   * @param {string} name
+   * @param {string} email
+   * @returns {Promise<{token: string, id: string}>}
+   */
+  const registerUser = async (name, email) => {
+    const res = await request(app).post("/api/user/register").send({
+      name,
+      email,
+      password: "WorkerPass123!",
+    });
+    return { token: res.body.token, id: res.body.user.id };
+  };
+
+  beforeEach(async () => {
+    await UserModel.deleteMany({});
+    await LocationModel.deleteMany({});
+    await ShiftModel.deleteMany({});
+    await LeaveRequestModel.deleteMany({});
+
+    const admin = await registerUser("Admin User", "admin@example.com");
+    adminToken = admin.token;
+    await UserModel.findByIdAndUpdate(admin.id, { role: "admin" });
+
+    const worker = await registerUser("Worker User", "worker@example.com");
+    workerToken = worker.token;
+    workerUserId = worker.id;
+  });
+
+  /**
+   * Create a shift for the worker as the admin
+   * @param {dayjs.Dayjs} date - Day of the shift
+   * @returns {import('supertest').Test}
+   */
+  const createShift = (date) =>
+    request(app)
+      .post("/api/shifts")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        title: "Morning Shift",
+        role: "Nurse",
+        typeOfShift: [SHIFT_TYPES.MORNING],
+        user: workerUserId,
+        startTime: "09:00",
+        finishTime: "17:00",
+        location: {
+          name: "Test Location",
+          address: "123 Test Street, Manchester",
+          postCode: "M1 1AA",
+          cordinates: { longitude: -2.244644, latitude: 53.483959 },
+        },
+        date: date.format("YYYY-MM-DD"),
+      });
+
+  /**
+   * Request leave as the worker and return the leave request
+   * @param {Object} [data] - Request fields replacing the defaults
+   * @returns {Promise<Object>}
+   */
+  const requestLeave = async (data = {}) => {
+    const res = await request(app)
+      .post("/api/leave-requests")
+      .set("Authorization", `Bearer ${workerToken}`)
+      .send({
+        type: "holiday",
+        startDate: leaveStart.format("YYYY-MM-DD"),
+        endDate: leaveStart.add(4, "day").format("YYYY-MM-DD"),
+        ...data,
+      })
+      .expect(201);
+    return res.body.leaveRequest;
+  };
+
+  describe("POST /api/leave-requests", () => {
+    it("should create a pending leave request", async () => {
+      const leaveRequest = await requestLeave({ reason: "Family holiday" });
+
+      expect(leaveRequest).to.include({
+        type: "holiday",
+        status: LEAVE_REQUEST_STATUS.PENDING,
+        days: 5,
+        reason: "Family holiday",
+      });
+      expect(leaveRequest.partialDay).to.be.null;
+      expect(leaveRequest.worker.id).to.equal(workerUserId);
+    });
+
+    it("should count a partial day as a fraction of a day", async () => {
+      const leaveRequest = await requestLeave({
+        endDate: undefined,
+        partialDay: { startTime: "13:00", finishTime: "17:00" },
+      });
+
+      expect(leaveRequest.days).to.equal(0.5);
+      expect(leaveRequest.partialDay).to.deep.equal({
+        startTime: "13:00",
+        finishTime: "17:00",
+      });
+    });
+
+    it("should return error for a partial day over several days", async () => {
+      const res = await request(app)
+        .post("/api/leave-requests")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({
+          type: "sick",
+          startDate: leaveStart.format("YYYY-MM-DD"),
+          endDate: leaveStart.add(1, "day").format("YYYY-MM-DD"),
+          partialDay: { startTime: "13:00", finishTime: "17:00" },
+        })
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("INVALID_LEAVE_PERIOD");
+    });
+
+    it("should return error when leave overlaps another request", async () => {
+      await requestLeave();
+
+      const res = await request(app)
+        .post("/api/leave-requests")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({
+          type: "unpaid",
+          startDate: leaveStart.add(2, "day").format("YYYY-MM-DD"),
+        })
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("LEAVE_REQUEST_OVERLAP");
+    });
+
+    it("should return error when holiday exceeds the remaining allowance", async () => {
+      await UserModel.findByIdAndUpdate(workerUserId, { annualLeaveDays: 3 });
+
+      const res = await request(app)
+        .post("/api/leave-requests")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({
+          type: "holiday",
+          startDate: leaveStart.format("YYYY-MM-DD"),
+          endDate: leaveStart.add(4, "day").format("YYYY-MM-DD"),
+        })
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("INSUFFICIENT_LEAVE_BALANCE");
+      expect(res.body.details).to.deep.equal({ days: 5, remainingDays: 3 });
+
+      // Sick leave is not taken from the allowance
+      await requestLeave({ type: "sick" });
+    });
+  });
+
+  describe("GET /api/leave-requests/balance", () => {
+    it("should report approved, pending and remaining days", async () => {
+      const approved = await requestLeave();
+      await request(app)
+        .patch(`/api/leave-requests/${approved.id}/approve`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      await requestLeave({
+        startDate: leaveStart.add(7, "day").format("YYYY-MM-DD"),
+        endDate: leaveStart.add(8, "day").format("YYYY-MM-DD"),
+      });
+
+      const res = await request(app)
+        .get("/api/leave-requests/balance")
+        .query({ year: leaveStart.year() })
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(res.body.balance).to.deep.equal({
+        year: leaveStart.year(),
+        allowanceDays: 28,
+        approvedDays: 5,
+        pendingDays: 2,
+        remainingDays: 21,
+      });
+
+      const adminRes = await request(app)
+        .get(`/api/leave-requests/balance/${workerUserId}`)
+        .query({ year: leaveStart.year() })
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(adminRes.body.balance.remainingDays).to.equal(21);
+    });
+
+    it("should only count the worker's working days", async () => {
+      // Friday to Monday
+      const longWeekend = {
+        startDate: leaveStart.add(4, "day").format("YYYY-MM-DD"),
+        endDate: leaveStart.add(7, "day").format("YYYY-MM-DD"),
+      };
+      const leaveRequest = await requestLeave(longWeekend);
+      expect(leaveRequest.days).to.equal(2);
+
+      let res = await request(app)
+        .get("/api/leave-requests/balance")
+        .query({ year: leaveStart.add(4, "day").year() })
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(res.body.balance).to.include({
+        pendingDays: 2,
+        remainingDays: 26,
+      });
+
+      // A worker available on Saturdays loses that day too
+      await LeaveRequestModel.deleteMany({});
+      await UserModel.findByIdAndUpdate(workerUserId, {
+        weeklyAvailability: [1, 5, 6].map((dayOfWeek) => ({
+          dayOfWeek,
+          startTime: "09:00",
+          finishTime: "17:00",
+        })),
+      });
+      expect((await requestLeave(longWeekend)).days).to.equal(3);
+
+      res = await request(app)
+        .post("/api/leave-requests")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({
+          type: "holiday",
+          startDate: leaveStart.add(1, "day").format("YYYY-MM-DD"),
+          endDate: leaveStart.add(3, "day").format("YYYY-MM-DD"),
+        })
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("INVALID_LEAVE_PERIOD");
+    });
+  });
+
+  describe("PATCH /api/leave-requests/:id/approve", () => {
+    it("should approve leave and list the worker's clashing shifts", async () => {
+      const shiftRes = await createShift(leaveStart.add(1, "day")).expect(201);
+      await createShift(leaveStart.add(6, "day")).expect(201);
+      const leaveRequest = await requestLeave();
+
+      const res = await request(app)
+        .patch(`/api/leave-requests/${leaveRequest.id}/approve`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ note: "Enjoy" })
+        .expect(200);
+
+      expect(res.body.leaveRequest).to.include({
+        status: LEAVE_REQUEST_STATUS.APPROVED,
+        reviewNote: "Enjoy",
+      });
+      expect(res.body.conflictingShifts.map((shift) => shift.id)).to.deep.equal(
+        [shiftRes.body.shift.id],
+      );
+
+      const conflictsRes = await request(app)
+        .get(`/api/leave-requests/${leaveRequest.id}/conflicts`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(conflictsRes.body.conflictingShifts).to.have.length(1);
+    });
+
+    it("should block new shifts during approved leave", async () => {
+      const leaveRequest = await requestLeave();
+      await request(app)
+        .patch(`/api/leave-requests/${leaveRequest.id}/approve`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const res = await createShift(leaveStart.add(2, "day")).expect(409);
+
+      expect(res.body.errorCode).to.equal("WORKER_ON_LEAVE");
+      expect(res.body.details.leaveRequestIds).to.deep.equal([leaveRequest.id]);
+
+      await createShift(leaveStart.add(5, "day")).expect(201);
+    });
+
+    it("should not block shifts during pending or rejected leave", async () => {
+      const leaveRequest = await requestLeave();
+      await createShift(leaveStart).expect(201);
+
+      await request(app)
+        .patch(`/api/leave-requests/${leaveRequest.id}/reject`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ note: "Too busy" })
+        .expect(200);
+
+      await createShift(leaveStart.add(1, "day")).expect(201);
+
+      const res = await request(app)
+        .patch(`/api/leave-requests/${leaveRequest.id}/approve`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("INVALID_LEAVE_REQUEST_STATUS");
+    });
+
+    it("should not approve concurrent requests beyond the allowance", async () => {
+      const first = await requestLeave();
+      const second = await requestLeave({
+        startDate: leaveStart.add(7, "day").format("YYYY-MM-DD"),
+        endDate: leaveStart.add(11, "day").format("YYYY-MM-DD"),
+      });
+      // Both were requested within the allowance, but only one fits now
+      await UserModel.findByIdAndUpdate(workerUserId, { annualLeaveDays: 6 });
+
+      const responses = await Promise.all(
+        [first, second].map((leaveRequest) =>
+          request(app)
+            .patch(`/api/leave-requests/${leaveRequest.id}/approve`)
+            .set("Authorization", `Bearer ${adminToken}`)
+            .send({ note: "Enjoy" }),
+        ),
+      );
+
+      const approved = responses.filter((res) => res.status === 200);
+      const refused = responses.filter((res) => res.status !== 200);
+      expect(approved).to.have.length(1);
+      expect(approved[0].body.leaveRequest).to.include({
+        status: LEAVE_REQUEST_STATUS.APPROVED,
+        reviewNote: "Enjoy",
+      });
+      expect(approved[0].body.leaveRequest.reviewedBy).to.not.equal(null);
+      expect(refused[0].status).to.equal(409);
+      expect(refused[0].body.errorCode).to.equal("INSUFFICIENT_LEAVE_BALANCE");
+
+      const approvedId = approved[0].body.leaveRequest.id;
+      const refusedRequest = await LeaveRequestModel.findById(
+        [first, second].find((leaveRequest) => leaveRequest.id !== approvedId)
+          .id,
+      );
+      expect(refusedRequest.status).to.equal(LEAVE_REQUEST_STATUS.PENDING);
+      expect(refusedRequest.reviewedBy).to.equal(null);
+
+      const res = await request(app)
+        .get("/api/leave-requests/balance")
+        .query({ year: leaveStart.year() })
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(res.body.balance.approvedDays).to.equal(5);
+    });
+
+    it("should return error when a worker approves leave", async () => {
+      const leaveRequest = await requestLeave();
+
+      await request(app)
+        .patch(`/api/leave-requests/${leaveRequest.id}/approve`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe("GET /api/leave-requests", () => {
+    it("should list requests for admins and the worker's own requests", async () => {
+      await requestLeave();
+
+      const adminRes = await request(app)
+        .get("/api/leave-requests")
+        .query({ status: LEAVE_REQUEST_STATUS.PENDING })
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(adminRes.body.leaveRequests).to.have.length(1);
+
+      const mineRes = await request(app)
+        .get("/api/leave-requests/mine")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(mineRes.body.leaveRequests).to.have.length(1);
+
+      await request(app)
+        .get("/api/leave-requests")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,299 @@
+import { expect } from "chai";
+import request from "supertest";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import * as process from "node:process";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import dayjs from "dayjs";
+import { app } from "../src/server.js";
+import UserModel from "../src/models/user.model.js";
+import LocationModel from "../src/models/location.model.js";
+import ShiftModel from "../src/models/shifts.model.js";
+import { SHIFT_TYPES } from "../src/services/shift/constants.js";
+dotenv.config();
+
+describe("Location API", () => {
+  /** @type {MongoMemoryServer} */
+  let mongoServer;
+
+  /** @type {string} */
+  let adminToken;
+
+  /** @type {string[]} */
+  let workerIds;
+
+  /** @type {string} */
+  let locationId;
+
+  // Day the coverage is reported for
+  const day = dayjs().add(7, "day").startOf("day");
+
+  before(async () => {
+    if (process.env.NODE_ENV !== "test") {
+      process.env.NODE_ENV = "test";
+    }
+
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+
+    await mongoose.connect(mongoUri);
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Register a user and return their token and ID
+   * @param {string} name
+   * @param {string} email
+   * @returns {Promise<{token: string, id: string}>}
+   */
+  const registerUser = async (name, email) => {
+    const res = await request(app).post("/api/user/register").send({
+      name,
+      email,
+      password: "WorkerPass123!",
+    });
+    return { token: res.body.token, id: res.body.user.id };
+  };
+
+  /**
+   * Create a shift at the test location as the admin
+   * @param {Object} data - Shift fields replacing the defaults
+   * @returns {Promise<Object>} Created shift
+   */
+  const createShift = async (data) => {
+    const res = await request(app)
+      .post("/api/shifts")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        title: "Care Shift",
+        role: "Carer",
+        typeOfShift: [SHIFT_TYPES.MORNING],
+        startTime: "07:00",
+        finishTime: "15:00",
+        location: {
+          name: "Test Location",
+          address: "123 Test Street, Manchester",
+          postCode: "M1 1AA",
+          cordinates: { longitude: -2.244644, latitude: 53.483959 },
+        },
+        date: day.format("YYYY-MM-DD"),
+        ...data,
+      })
+      .expect(201);
+    return res.body.shift;
+  };
+
+  /**
+   * Replace the test location's staffing requirements as the admin
+   * @param {Object[]} staffingRequirements
+   * @returns {import('supertest').Test}
+   */
+  const setRequirements = (staffingRequirements) =>
+    request(app)
+      .put(`/api/locations/${locationId}/staffing-requirements`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ staffingRequirements });
+
+  beforeEach(async () => {
+    await UserModel.deleteMany({});
+    await LocationModel.deleteMany({});
+    await ShiftModel.deleteMany({});
+
+    const admin = await registerUser("Admin User", "admin@example.com");
+    adminToken = admin.token;
+    await UserModel.findByIdAndUpdate(admin.id, { role: "admin" });
+
+    workerIds = [];
+    for (const name of ["Alice", "Bob", "Carol"]) {
+      const worker = await registerUser(
+        `${name} Worker`,
+        `${name.toLowerCase()}@example.com`,
+      );
+      workerIds.push(worker.id);
+    }
+
+    // Creating a shift creates the location
+    const shift = await createShift({ user: workerIds[0] });
+    locationId = shift.location.id;
+  });
+
+  describe("Staffing requirements", () => {
+    it("should replace and return a location's staffing requirements", async () => {
+      await setRequirements([
+        {
+          dayOfWeek: 1,
+          startTime: "07:00",
+          finishTime: "15:00",
+          role: "Carer",
+          count: 3,
+        },
+      ]).expect(200);
+
+      const res = await request(app)
+        .get(`/api/locations/${locationId}/staffing-requirements`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.location.name).to.equal("Test Location");
+      expect(res.body.staffingRequirements).to.have.length(1);
+      expect(res.body.staffingRequirements[0]).to.include({
+        dayOfWeek: 1,
+        role: "Carer",
+        count: 3,
+      });
+    });
+
+    it("should return error for two requirements of a role in the same band", async () => {
+      const requirement = {
+        dayOfWeek: 1,
+        startTime: "07:00",
+        finishTime: "15:00",
+        role: "Carer",
+        count: 3,
+      };
+
+      const res = await setRequirements([
+        requirement,
+        { ...requirement, role: "carer", count: 1 },
+      ]).expect(400);
+
+      expect(res.body.errorCode).to.equal("DUPLICATE_STAFFING_REQUIREMENT");
+    });
+
+    it("should return error for an unknown location", async () => {
+      const res = await request(app)
+        .get(
+          `/api/locations/${new mongoose.Types.ObjectId()}/staffing-requirements`,
+        )
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(404);
+
+      expect(res.body.errorCode).to.equal("LOCATION_NOT_FOUND");
+    });
+  });
+
+  describe("GET /api/locations/coverage", () => {
+    beforeEach(async () => {
+      await setRequirements([
+        {
+          dayOfWeek: day.day(),
+          startTime: "07:00",
+          finishTime: "15:00",
+          role: "Carer",
+          count: 2,
+        },
+        {
+          dayOfWeek: day.day(),
+          startTime: "21:00",
+          finishTime: "07:00",
+          role: "Nurse",
+          count: 1,
+        },
+      ]).expect(200);
+    });
+
+    /**
+     * Get the coverage of the test day as the admin
+     * @returns {Promise<Object>}
+     */
+    const getCoverage = async () => {
+      const res = await request(app)
+        .get("/api/locations/coverage")
+        .query({
+          from: day.format("YYYY-MM-DD"),
+          to: day.format("YYYY-MM-DD"),
+        })
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      return res.body;
+    };
+
+    it("should report understaffed and overstaffed slots with their shifts", async () => {
+      const openShift = await createShift({});
+      // Covers less than half of the morning band
+      await createShift({ startTime: "13:00", finishTime: "17:00" });
+      await createShift({
+        role: "Nurse",
+        user: workerIds[1],
+        startTime: "21:00",
+        finishTime: "07:00",
+      });
+      await createShift({
+        role: "nurse",
+        user: workerIds[2],
+        startTime: "22:00",
+        finishTime: "06:00",
+      });
+
+      const coverage = await getCoverage();
+
+      expect(coverage.summary).to.deep.equal({
+        slots: 2,
+        met: 0,
+        understaffed: 1,
+        overstaffed: 1,
+        missingStaff: 1,
+      });
+
+      const [understaffed] = coverage.understaffed;
+      expect(understaffed).to.include({
+        role: "Carer",
+        required: 2,
+        scheduled: 1,
+        gap: -1,
+      });
+      expect(understaffed.shifts[0].user.id).to.equal(workerIds[0]);
+      expect(understaffed.openShiftIds).to.deep.equal([openShift.id]);
+
+      const [overstaffed] = coverage.overstaffed;
+      expect(overstaffed).to.include({
+        role: "Nurse",
+        required: 1,
+        scheduled: 2,
+        gap: 1,
+      });
+    });
+
+    it("should not count cancelled shifts", async () => {
+      await createShift({ user: workerIds[1] });
+      const nightShift = await createShift({
+        role: "Nurse",
+        user: workerIds[2],
+        startTime: "21:00",
+        finishTime: "07:00",
+      });
+
+      let coverage = await getCoverage();
+      expect(coverage.summary.met).to.equal(2);
+
+      await request(app)
+        .patch(`/api/shifts/${nightShift.id}/cancel`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      coverage = await getCoverage();
+      expect(coverage.understaffed.map((slot) => slot.role)).to.deep.equal([
+        "Nurse",
+      ]);
+    });
+
+    it("should return error for a range that is too long", async () => {
+      await request(app)
+        .get("/api/locations/coverage")
+        .query({
+          from: day.format("YYYY-MM-DD"),
+          to: day.add(90, "day").format("YYYY-MM-DD"),
+        })
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+});
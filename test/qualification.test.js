@@ -0,0 +1,319 @@
+import { expect } from "chai";
+import request from "supertest";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import * as process from "node:process";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import dayjs from "dayjs";
+import { app } from "../src/server.js";
+import UserModel from "../src/models/user.model.js";
+import LocationModel from "../src/models/location.model.js";
+import ShiftModel from "../src/models/shifts.model.js";
+import QualificationModel from "../src/models/qualification.model.js";
+import { SHIFT_TYPES } from "../src/services/shift/constants.js";
+import { QUALIFICATION_GAP } from "../src/services/qualification/constants.js";
+dotenv.config();
+
+describe("Qualification API", () => {
+  /** @type {MongoMemoryServer} */
+  let mongoServer;
+
+  /** @type {string} */
+  let adminToken;
+
+  /** @type {string} */
+  let workerToken;
+
+  /** @type {string} */
+  let workerUserId;
+
+  // Day of the shifts in the tests
+  const shiftDate = dayjs().add(7, "day").startOf("day");
+
+  before(async () => {
+    if (process.env.NODE_ENV !== "test") {
+      process.env.NODE_ENV = "test";
+    }
+
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+
+    await mongoose.connect(mongoUri);
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Register a user and return their token and ID
+   * @param {string} name
+   * @param {string} email
+   * @returns {Promise<{token: string, id: string}>}
+   */
+  const registerUser = async (name, email) => {
+    const res = await request(app).post("/api/user/register").send({
+      name,
+      email,
+      password: "WorkerPass123!",
+    });
+    return { token: res.body.token, id: res.body.user.id };
+  };
+
+  beforeEach(async () => {
+    await UserModel.deleteMany({});
+    await LocationModel.deleteMany({});
+    await ShiftModel.deleteMany({});
+    await QualificationModel.deleteMany({});
+
+    const admin = await registerUser("Admin User", "admin@example.com");
+    adminToken = admin.token;
+    await UserModel.findByIdAndUpdate(admin.id, { role: "admin" });
+
+    const worker = await registerUser("Worker User", "worker@example.com");
+    workerToken = worker.token;
+    workerUserId = worker.id;
+  });
+
+  /**
+   * Add a qualification to the catalogue as the admin
+   * @param {Object} data - Qualification fields
+   * @returns {Promise<Object>}
+   */
+  const createQualification = async (data) => {
+    const res = await request(app)
+      .post("/api/qualifications")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(data)
+      .expect(201);
+    return res.body.qualification;
+  };
+
+  /**
+   * Record a qualification for the worker as the admin
+   * @param {string} qualificationId
+   * @param {Object} [details] - obtainedAt, expiresAt and reference
+   * @returns {import('supertest').Test}
+   */
+  const grantQualification = (qualificationId, details = {}) =>
+    request(app)
+      .put(`/api/workers/${workerUserId}/qualifications/${qualificationId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(details);
+
+  /**
+   * Create a shift for the worker as the admin
+   * @param {Object} [data] - Shift fields replacing the defaults
+   * @returns {import('supertest').Test}
+   */
+  const createShift = (data = {}) =>
+    request(app)
+      .post("/api/shifts")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        title: "Day Shift",
+        role: "Senior Carer",
+        typeOfShift: [SHIFT_TYPES.MORNING],
+        user: workerUserId,
+        startTime: "09:00",
+        finishTime: "17:00",
+        location: {
+          name: "Test Location",
+          address: "123 Test Street, Manchester",
+          postCode: "M1 1AA",
+          cordinates: { longitude: -2.244644, latitude: 53.483959 },
+        },
+        date: shiftDate.format("YYYY-MM-DD"),
+        ...data,
+      });
+
+  describe("Catalogue", () => {
+    it("should create a qualification with lower-cased roles", async () => {
+      const qualification = await createQualification({
+        name: "Manual Handling",
+        requiredForRoles: ["Senior Carer", "senior carer", "Porter"],
+      });
+
+      expect(qualification.name).to.equal("Manual Handling");
+      expect(qualification.requiredForRoles).to.deep.equal([
+        "senior carer",
+        "porter",
+      ]);
+    });
+
+    it("should return error for a duplicate name ignoring case", async () => {
+      await createQualification({ name: "Manual Handling" });
+
+      const res = await request(app)
+        .post("/api/qualifications")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "manual handling" })
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("QUALIFICATION_EXISTS");
+    });
+
+    it("should list qualifications for workers and only let admins add them", async () => {
+      await createQualification({ name: "Medication Administration" });
+      await createQualification({ name: "First Aid" });
+
+      const res = await request(app)
+        .get("/api/qualifications")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(res.body.qualifications.map((q) => q.name)).to.deep.equal([
+        "First Aid",
+        "Medication Administration",
+      ]);
+
+      await request(app)
+        .post("/api/qualifications")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ name: "Fire Safety" })
+        .expect(403);
+    });
+  });
+
+  describe("Worker qualifications", () => {
+    it("should record and renew a worker's certification", async () => {
+      const qualification = await createQualification({ name: "First Aid" });
+
+      await grantQualification(qualification.id, {
+        obtainedAt: "2024-01-01",
+        expiresAt: dayjs().subtract(1, "day").format("YYYY-MM-DD"),
+      }).expect(200);
+
+      const res = await grantQualification(qualification.id, {
+        obtainedAt: dayjs().format("YYYY-MM-DD"),
+        expiresAt: dayjs().add(3, "year").format("YYYY-MM-DD"),
+        reference: "FA-123",
+      }).expect(200);
+
+      expect(res.body.qualifications).to.have.length(1);
+      expect(res.body.qualifications[0]).to.include({
+        reference: "FA-123",
+        expired: false,
+      });
+
+      const mineRes = await request(app)
+        .get("/api/workers/me/qualifications")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(mineRes.body.qualifications[0].qualification.name).to.equal(
+        "First Aid",
+      );
+    });
+
+    it("should return error when a certification expires before it is obtained", async () => {
+      const qualification = await createQualification({ name: "First Aid" });
+
+      const res = await grantQualification(qualification.id, {
+        obtainedAt: "2024-01-01",
+        expiresAt: "2023-01-01",
+      }).expect(400);
+
+      expect(res.body.errorCode).to.equal("INVALID_QUALIFICATION_DATES");
+    });
+  });
+
+  describe("Shift requirements", () => {
+    it("should reject assigning a worker without a qualification their role requires", async () => {
+      await createQualification({
+        name: "Medication Administration",
+        requiredForRoles: ["senior carer"],
+      });
+
+      const res = await createShift().expect(409);
+
+      expect(res.body.errorCode).to.equal("MISSING_QUALIFICATIONS");
+      expect(res.body.details.missing).to.have.length(1);
+      expect(res.body.details.missing[0].reason).to.equal(
+        QUALIFICATION_GAP.MISSING,
+      );
+
+      // Other roles are unaffected
+      await createShift({ role: "Carer" }).expect(201);
+    });
+
+    it("should reject a certification that expires before the shift finishes", async () => {
+      const qualification = await createQualification({ name: "First Aid" });
+      await grantQualification(qualification.id, {
+        expiresAt: shiftDate.format("YYYY-MM-DD"),
+      }).expect(200);
+
+      const res = await createShift({
+        requiredQualifications: [qualification.id],
+      }).expect(409);
+
+      expect(res.body.details.missing[0].reason).to.equal(
+        QUALIFICATION_GAP.EXPIRED,
+      );
+    });
+
+    it("should assign a worker who holds the required qualifications", async () => {
+      const qualification = await createQualification({
+        name: "Medication Administration",
+        requiredForRoles: ["Senior Carer"],
+      });
+      await grantQualification(qualification.id).expect(200);
+
+      const res = await createShift().expect(201);
+
+      expect(res.body.shift.user.name).to.equal("Worker User");
+      expect(res.body.shift.requiredQualifications).to.deep.equal([]);
+    });
+
+    it("should return error for an unknown required qualification", async () => {
+      const res = await createShift({
+        requiredQualifications: [new mongoose.Types.ObjectId().toString()],
+      }).expect(404);
+
+      expect(res.body.errorCode).to.equal("QUALIFICATION_NOT_FOUND");
+    });
+  });
+
+  describe("GET /api/qualifications/expiring", () => {
+    it("should list certifications expiring within the window, soonest first", async () => {
+      const firstAid = await createQualification({ name: "First Aid" });
+      const manualHandling = await createQualification({
+        name: "Manual Handling",
+      });
+      const fireSafety = await createQualification({ name: "Fire Safety" });
+
+      await grantQualification(firstAid.id, {
+        expiresAt: dayjs().add(20, "day").toISOString(),
+      }).expect(200);
+      await grantQualification(manualHandling.id, {
+        expiresAt: dayjs().add(5, "day").toISOString(),
+      }).expect(200);
+      await grantQualification(fireSafety.id, {
+        expiresAt: dayjs().add(60, "day").toISOString(),
+      }).expect(200);
+
+      const res = await request(app)
+        .get("/api/qualifications/expiring?days=30")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(
+        res.body.expiring.map((entry) => entry.qualification.name),
+      ).to.deep.equal(["Manual Handling", "First Aid"]);
+      expect(res.body.expiring[0].worker.id).to.equal(workerUserId);
+      expect(res.body.expiring[0].daysRemaining).to.equal(4);
+    });
+
+    it("should return error for a window that is too long", async () => {
+      await request(app)
+        .get("/api/qualifications/expiring?days=1000")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+});
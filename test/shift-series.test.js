@@ -0,0 +1,406 @@
+import { expect } from "chai";
+import request from "supertest";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import * as process from "node:process";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+import dayjs from "dayjs";
+import { app } from "../src/server.js";
+import { configureMongoose } from "../src/db.js";
+import UserModel from "../src/models/user.model.js";
+import LocationModel from "../src/models/location.model.js";
+import ShiftModel from "../src/models/shifts.model.js";
+import ShiftSeriesModel from "../src/models/shift-series.model.js";
+import ShiftHistoryModel from "../src/models/shift-history.model.js";
+import {
+  SHIFT_TYPES,
+  SHIFT_STATUS,
+  SHIFT_HISTORY_ACTION,
+  SHIFT_HISTORY_SOURCE,
+} from "../src/services/shift/constants.js";
+import { SERIES_STATUS } from "../src/services/shift-series/constants.js";
+dotenv.config();
+
+describe("Shift Series API", () => {
+  // A replica set, as splitting a series needs a transaction
+  /** @type {MongoMemoryReplSet} */
+  let mongoServer;
+
+  /** @type {string} */
+  let adminToken;
+
+  /** @type {string} */
+  let workerToken;
+
+  /** @type {string} */
+  let workerUserId;
+
+  /** @type {Object} */
+  let seriesData;
+
+  // Monday of next week, so every occurrence is in the future
+  const firstMonday = dayjs().add(1, "week").day(1).startOf("day");
+
+  before(async () => {
+    if (process.env.NODE_ENV !== "test") {
+      process.env.NODE_ENV = "test";
+    }
+
+    mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    const mongoUri = mongoServer.getUri();
+
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+
+    configureMongoose();
+    await mongoose.connect(mongoUri);
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await UserModel.deleteMany({});
+    await LocationModel.deleteMany({});
+    await ShiftModel.deleteMany({});
+    await ShiftSeriesModel.deleteMany({});
+
+    const adminRes = await request(app).post("/api/user/register").send({
+      name: "Admin User",
+      email: "admin@example.com",
+      password: "AdminPass123!",
+    });
+    adminToken = adminRes.body.token;
+
+    const adminUser = await UserModel.findById(adminRes.body.user.id);
+    adminUser.role = "admin";
+    await adminUser.save();
+
+    const workerRes = await request(app).post("/api/user/register").send({
+      name: "Worker User",
+      email: "worker@example.com",
+      password: "WorkerPass123!",
+    });
+    workerToken = workerRes.body.token;
+    workerUserId = workerRes.body.user.id;
+
+    seriesData = {
+      title: "Weekday Mornings",
+      role: "Carer",
+      typeOfShift: [SHIFT_TYPES.MORNING, SHIFT_TYPES.WEEKDAY],
+      user: workerUserId,
+      startTime: "08:00",
+      finishTime: "14:00",
+      location: {
+        name: "Test Location",
+        address: "123 Test Street, Manchester",
+        postCode: "M1 1AA",
+        cordinates: {
+          longitude: -2.244644,
+          latitude: 53.483959,
+        },
+      },
+      recurrence: {
+        frequency: "weekly",
+        byWeekday: [1, 3],
+        startDate: firstMonday.format("YYYY-MM-DD"),
+        until: firstMonday.add(13, "day").format("YYYY-MM-DD"),
+      },
+    };
+  });
+
+  /**
+   * Create the default series and return the response body
+   * @returns {Promise<Object>}
+   */
+  const createSeries = async () => {
+    const res = await request(app)
+      .post("/api/shift-series")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(seriesData)
+      .expect(201);
+    return res.body;
+  };
+
+  describe("POST /api/shift-series", () => {
+    it("should create a series and materialise its occurrences", async () => {
+      const body = await createSeries();
+
+      expect(body.series.title).to.equal(seriesData.title);
+      expect(body.series.status).to.equal(SERIES_STATUS.ACTIVE);
+      expect(body.occurrences.created).to.have.length(4);
+      expect(body.occurrences.errors).to.have.length(0);
+
+      const occurrenceDays = body.occurrences.created.map((shift) =>
+        dayjs(shift.date).day(),
+      );
+      expect(occurrenceDays).to.deep.equal([1, 3, 1, 3]);
+      body.occurrences.created.forEach((shift) => {
+        expect(shift.startTime).to.equal("08:00");
+        expect(shift.series.id).to.equal(body.series.id);
+      });
+    });
+
+    it("should stop after count occurrences", async () => {
+      seriesData.recurrence = {
+        frequency: "daily",
+        interval: 2,
+        startDate: firstMonday.format("YYYY-MM-DD"),
+        count: 3,
+      };
+
+      const body = await createSeries();
+
+      expect(body.occurrences.created).to.have.length(3);
+      expect(
+        dayjs(body.occurrences.created[2].date).diff(firstMonday, "day"),
+      ).to.equal(4);
+    });
+
+    it("should report occurrences that overlap existing shifts", async () => {
+      await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...seriesData,
+          recurrence: undefined,
+          startTime: "12:00",
+          finishTime: "16:00",
+          date: firstMonday.format("YYYY-MM-DD"),
+        })
+        .expect(201);
+
+      const body = await createSeries();
+
+      expect(body.occurrences.created).to.have.length(3);
+      expect(body.occurrences.errors).to.have.length(1);
+      expect(body.occurrences.errors[0].error.errorCode).to.equal(
+        "SHIFT_OVERLAP",
+      );
+    });
+
+    it("should return error when neither until nor count is given", async () => {
+      delete seriesData.recurrence.until;
+
+      const res = await request(app)
+        .post("/api/shift-series")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(seriesData)
+        .expect(400);
+
+      expect(res.body.issues).to.deep.include({
+        path: "recurrence.until",
+        error:
+          "Either an end date ('until') or a number of occurrences ('count') is required",
+      });
+    });
+
+    it("should return error when worker tries to create a series", async () => {
+      await request(app)
+        .post("/api/shift-series")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send(seriesData)
+        .expect(403);
+    });
+  });
+
+  describe("PUT /api/shift-series/:id", () => {
+    it("should update only the selected occurrence with scope 'this'", async () => {
+      const { series } = await createSeries();
+      const occurrenceDate = firstMonday.add(2, "day").format("YYYY-MM-DD");
+
+      const res = await request(app)
+        .put(`/api/shift-series/${series.id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ scope: "this", occurrenceDate, title: "Moved Morning" })
+        .expect(200);
+
+      expect(res.body.shift.title).to.equal("Moved Morning");
+      expect(res.body.shift.series.isException).to.be.true;
+
+      const allRes = await request(app)
+        .put(`/api/shift-series/${series.id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ scope: "all", title: "Early Mornings", startTime: "07:00" })
+        .expect(200);
+
+      expect(allRes.body.occurrences.updated).to.have.length(3);
+
+      const shifts = await ShiftModel.find({ series: series.id }).sort({
+        seriesOccurrenceDate: 1,
+      });
+      expect(shifts.map((shift) => shift.title)).to.deep.equal([
+        "Early Mornings",
+        "Moved Morning",
+        "Early Mornings",
+        "Early Mornings",
+      ]);
+    });
+
+    it("should split the series with scope 'following'", async () => {
+      const { series } = await createSeries();
+      const occurrenceDate = firstMonday.add(7, "day").format("YYYY-MM-DD");
+
+      const res = await request(app)
+        .put(`/api/shift-series/${series.id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ scope: "following", occurrenceDate, startTime: "09:00" })
+        .expect(200);
+
+      expect(res.body.series.id).to.not.equal(series.id);
+      expect(res.body.series.startTime).to.equal("09:00");
+      expect(res.body.occurrences.updated).to.have.length(2);
+      expect(
+        dayjs(res.body.previousSeries.recurrence.until).format("YYYY-MM-DD"),
+      ).to.equal(firstMonday.add(6, "day").format("YYYY-MM-DD"));
+
+      const originalShifts = await ShiftModel.find({ series: series.id });
+      const newShifts = await ShiftModel.find({ series: res.body.series.id });
+      expect(originalShifts).to.have.length(2);
+      expect(newShifts).to.have.length(2);
+      newShifts.forEach((shift) => {
+        expect(dayjs(shift.startTime).format("HH:mm")).to.equal("09:00");
+      });
+    });
+
+    it("should leave deleted occurrences with the original series when splitting", async () => {
+      const { series, occurrences } = await createSeries();
+      const deletedShiftId = occurrences.created[3].id;
+
+      await request(app)
+        .delete(`/api/shifts/${deletedShiftId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .put(`/api/shift-series/${series.id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          scope: "following",
+          occurrenceDate: firstMonday.add(7, "day").format("YYYY-MM-DD"),
+          startTime: "09:00",
+        })
+        .expect(200);
+
+      const deletedShift =
+        await ShiftModel.findById(deletedShiftId).withDeleted();
+      expect(deletedShift.series.toString()).to.equal(series.id);
+      expect(deletedShift.series.toString()).to.not.equal(res.body.series.id);
+    });
+
+    it("should not recreate a cancelled occurrence when editing all", async () => {
+      const { series, occurrences } = await createSeries();
+
+      await request(app)
+        .patch(`/api/shifts/${occurrences.created[1].id}/cancel`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .put(`/api/shift-series/${series.id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ scope: "all", role: "Senior Carer" })
+        .expect(200);
+
+      expect(res.body.occurrences.created).to.have.length(0);
+      expect(res.body.occurrences.updated).to.have.length(3);
+      expect(res.body.series.recurrence.exdates).to.have.length(1);
+
+      const cancelledShift = await ShiftModel.findById(
+        occurrences.created[1].id,
+      );
+      expect(cancelledShift.status).to.equal(SHIFT_STATUS.CANCELLED);
+      expect(cancelledShift.role).to.equal("Carer");
+    });
+
+    it("should remove occurrences no longer generated by the new rule", async () => {
+      const { series } = await createSeries();
+
+      const res = await request(app)
+        .put(`/api/shift-series/${series.id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ scope: "all", recurrence: { byWeekday: [1] } })
+        .expect(200);
+
+      expect(res.body.occurrences.removed).to.have.length(2);
+      expect(res.body.occurrences.updated).to.have.length(2);
+      expect(await ShiftModel.countDocuments({ series: series.id })).to.equal(
+        2,
+      );
+    });
+
+    it("should not list removed occurrences as deleted shifts", async () => {
+      const { series } = await createSeries();
+
+      const res = await request(app)
+        .put(`/api/shift-series/${series.id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ scope: "all", recurrence: { byWeekday: [1] } })
+        .expect(200);
+
+      const deletedRes = await request(app)
+        .get("/api/shifts/deleted")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(deletedRes.body.shifts).to.have.length(0);
+
+      const [removedShiftId] = res.body.occurrences.removed;
+      const history = await ShiftHistoryModel.find({
+        shift: removedShiftId,
+      }).sort({ _id: 1 });
+      expect(history.at(-1)).to.include({
+        action: SHIFT_HISTORY_ACTION.REMOVE_OCCURRENCE,
+        source: SHIFT_HISTORY_SOURCE.UPDATE_SERIES,
+      });
+    });
+
+    it("should return error when occurrence date is missing", async () => {
+      const { series } = await createSeries();
+
+      const res = await request(app)
+        .put(`/api/shift-series/${series.id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ scope: "this", title: "No Date" })
+        .expect(400);
+
+      expect(res.body.issues).to.deep.include({
+        path: "occurrenceDate",
+        error: "Occurrence date is required unless the scope is 'all'",
+      });
+    });
+
+    it("should return error for non-existent series", async () => {
+      const res = await request(app)
+        .put(`/api/shift-series/${new mongoose.Types.ObjectId()}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ scope: "all", title: "Missing" })
+        .expect(404);
+
+      expect(res.body.errorCode).to.equal("SERIES_NOT_FOUND");
+    });
+  });
+
+  describe("DELETE /api/shift-series/:id", () => {
+    it("should end the series and cancel its upcoming shifts", async () => {
+      const { series } = await createSeries();
+
+      const res = await request(app)
+        .delete(`/api/shift-series/${series.id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.series.status).to.equal(SERIES_STATUS.ENDED);
+      expect(res.body.cancelledShiftIds).to.have.length(4);
+
+      await request(app)
+        .put(`/api/shift-series/${series.id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ scope: "all", title: "Too Late" })
+        .expect(400);
+    });
+  });
+});
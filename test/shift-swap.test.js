@@ -0,0 +1,391 @@
+import { expect } from "chai";
+import request from "supertest";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import * as process from "node:process";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import dayjs from "dayjs";
+import { app } from "../src/server.js";
+import UserModel from "../src/models/user.model.js";
+import LocationModel from "../src/models/location.model.js";
+import ShiftModel from "../src/models/shifts.model.js";
+import ShiftSwapRequestModel from "../src/models/shift-swap-request.model.js";
+import { SHIFT_TYPES } from "../src/services/shift/constants.js";
+import {
+  SWAP_REQUEST_STATUS,
+  SWAP_EXPIRY_REASON,
+} from "../src/services/shift-swap/constants.js";
+import { expireStartedSwapRequests } from "../src/services/shift-swap/invalidation.js";
+dotenv.config();
+
+describe("Shift Swap API", () => {
+  /** @type {MongoMemoryServer} */
+  let mongoServer;
+
+  /** @type {string} */
+  let adminToken;
+
+  /** @type {string} */
+  let workerToken;
+
+  /** @type {string} */
+  let workerUserId;
+
+  /** @type {string} */
+  let colleagueToken;
+
+  /** @type {string} */
+  let colleagueUserId;
+
+  /** @type {string} */
+  let thirdWorkerToken;
+
+  /** @type {string} */
+  let shiftId;
+
+  before(async () => {
+    if (process.env.NODE_ENV !== "test") {
+      process.env.NODE_ENV = "test";
+    }
+
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+
+    await mongoose.connect(mongoUri);
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Register a user and return their token and ID
+   * @param {string} name
+   * @param {string} email
+   * @returns {Promise<{token: string, id: string}>}
+   */
+  const registerUser = async (name, email) => {
+    const res = await request(app).post("/api/user/register").send({
+      name,
+      email,
+      password: "WorkerPass123!",
+    });
+    return { token: res.body.token, id: res.body.user.id };
+  };
+
+  beforeEach(async () => {
+    await UserModel.deleteMany({});
+    await LocationModel.deleteMany({});
+    await ShiftModel.deleteMany({});
+    await ShiftSwapRequestModel.deleteMany({});
+
+    const admin = await registerUser("Admin User", "admin@example.com");
+    adminToken = admin.token;
+    await UserModel.findByIdAndUpdate(admin.id, { role: "admin" });
+
+    const worker = await registerUser("Worker User", "worker@example.com");
+    workerToken = worker.token;
+    workerUserId = worker.id;
+
+    const colleague = await registerUser("Colleague", "colleague@example.com");
+    colleagueToken = colleague.token;
+    colleagueUserId = colleague.id;
+
+    const thirdWorker = await registerUser("Third Worker", "third@example.com");
+    thirdWorkerToken = thirdWorker.token;
+
+    const shiftRes = await request(app)
+      .post("/api/shifts")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        title: "Friday Morning",
+        role: "Nurse",
+        typeOfShift: [SHIFT_TYPES.MORNING],
+        user: workerUserId,
+        startTime: "09:00",
+        finishTime: "17:00",
+        location: {
+          name: "Test Location",
+          address: "123 Test Street, Manchester",
+          postCode: "M1 1AA",
+          cordinates: { longitude: -2.244644, latitude: 53.483959 },
+        },
+        date: dayjs().add(7, "day").format("YYYY-MM-DD"),
+      })
+      .expect(201);
+    shiftId = shiftRes.body.shift.id;
+  });
+
+  /**
+   * Offer the default shift as the worker and return the swap request
+   * @param {Object} [data] - Extra request fields
+   * @returns {Promise<Object>}
+   */
+  const offerShift = async (data = {}) => {
+    const res = await request(app)
+      .post("/api/shift-swaps")
+      .set("Authorization", `Bearer ${workerToken}`)
+      .send({ shift: shiftId, ...data })
+      .expect(201);
+    return res.body.swapRequest;
+  };
+
+  describe("POST /api/shift-swaps", () => {
+    it("should create a pending swap request", async () => {
+      const swapRequest = await offerShift({
+        recipient: colleagueUserId,
+        message: "Can you cover?",
+      });
+
+      expect(swapRequest.status).to.equal(SWAP_REQUEST_STATUS.PENDING);
+      expect(swapRequest.shift.id).to.equal(shiftId);
+      expect(swapRequest.requester.id).to.equal(workerUserId);
+      expect(swapRequest.recipient.id).to.equal(colleagueUserId);
+      expect(swapRequest.message).to.equal("Can you cover?");
+    });
+
+    it("should return error when offering someone else's shift", async () => {
+      const res = await request(app)
+        .post("/api/shift-swaps")
+        .set("Authorization", `Bearer ${colleagueToken}`)
+        .send({ shift: shiftId })
+        .expect(403);
+
+      expect(res.body.errorCode).to.equal("UNAUTHORIZED_SHIFT_ACCESS");
+    });
+
+    it("should return error when the shift already has an open request", async () => {
+      const swapRequest = await offerShift();
+
+      const res = await request(app)
+        .post("/api/shift-swaps")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ shift: shiftId, recipient: colleagueUserId })
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("SWAP_REQUEST_EXISTS");
+      expect(res.body.details.swapRequestId).to.equal(swapRequest.id);
+    });
+  });
+
+  describe("Swap workflow", () => {
+    it("should reassign the shift once accepted and approved", async () => {
+      const swapRequest = await offerShift({ recipient: colleagueUserId });
+
+      const acceptRes = await request(app)
+        .patch(`/api/shift-swaps/${swapRequest.id}/accept`)
+        .set("Authorization", `Bearer ${colleagueToken}`)
+        .expect(200);
+
+      expect(acceptRes.body.swapRequest.status).to.equal(
+        SWAP_REQUEST_STATUS.ACCEPTED,
+      );
+      expect(acceptRes.body.swapRequest.acceptedBy.id).to.equal(
+        colleagueUserId,
+      );
+
+      const approveRes = await request(app)
+        .patch(`/api/shift-swaps/${swapRequest.id}/approve`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(approveRes.body.swapRequest.status).to.equal(
+        SWAP_REQUEST_STATUS.APPROVED,
+      );
+      expect(approveRes.body.shift.user.id).to.equal(colleagueUserId);
+
+      const shift = await ShiftModel.findById(shiftId);
+      expect(shift.user.toString()).to.equal(colleagueUserId);
+    });
+
+    it("should let any worker accept an offer without a recipient", async () => {
+      const swapRequest = await offerShift();
+
+      const mineRes = await request(app)
+        .get("/api/shift-swaps/mine")
+        .set("Authorization", `Bearer ${thirdWorkerToken}`)
+        .expect(200);
+      expect(mineRes.body.swapRequests).to.have.length(1);
+
+      await request(app)
+        .patch(`/api/shift-swaps/${swapRequest.id}/accept`)
+        .set("Authorization", `Bearer ${thirdWorkerToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .patch(`/api/shift-swaps/${swapRequest.id}/accept`)
+        .set("Authorization", `Bearer ${colleagueToken}`)
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("INVALID_SWAP_REQUEST_STATUS");
+    });
+
+    it("should return error when accepting an offer addressed to someone else", async () => {
+      const swapRequest = await offerShift({ recipient: colleagueUserId });
+
+      const res = await request(app)
+        .patch(`/api/shift-swaps/${swapRequest.id}/accept`)
+        .set("Authorization", `Bearer ${thirdWorkerToken}`)
+        .expect(403);
+
+      expect(res.body.errorCode).to.equal("UNAUTHORIZED_SWAP_ACCESS");
+    });
+
+    it("should let the recipient decline a pending offer", async () => {
+      const swapRequest = await offerShift({ recipient: colleagueUserId });
+
+      const res = await request(app)
+        .patch(`/api/shift-swaps/${swapRequest.id}/reject`)
+        .set("Authorization", `Bearer ${colleagueToken}`)
+        .expect(200);
+
+      expect(res.body.swapRequest.status).to.equal(
+        SWAP_REQUEST_STATUS.REJECTED,
+      );
+      expect(res.body.swapRequest.reviewedBy.id).to.equal(colleagueUserId);
+    });
+
+    it("should let only one of a concurrent approval and rejection succeed", async () => {
+      const swapRequest = await offerShift({ recipient: colleagueUserId });
+      await request(app)
+        .patch(`/api/shift-swaps/${swapRequest.id}/accept`)
+        .set("Authorization", `Bearer ${colleagueToken}`)
+        .expect(200);
+
+      const [approveRes, rejectRes] = await Promise.all([
+        request(app)
+          .patch(`/api/shift-swaps/${swapRequest.id}/approve`)
+          .set("Authorization", `Bearer ${adminToken}`),
+        request(app)
+          .patch(`/api/shift-swaps/${swapRequest.id}/reject`)
+          .set("Authorization", `Bearer ${adminToken}`),
+      ]);
+
+      expect([approveRes.status, rejectRes.status].sort()).to.deep.equal([
+        200, 409,
+      ]);
+
+      const reviewed = await ShiftSwapRequestModel.findById(swapRequest.id);
+      const shift = await ShiftModel.findById(shiftId);
+      expect(shift.user.toString()).to.equal(
+        reviewed.status === SWAP_REQUEST_STATUS.APPROVED
+          ? colleagueUserId
+          : workerUserId,
+      );
+    });
+
+    it("should keep the request accepted when the reassignment fails", async () => {
+      const swapRequest = await offerShift({ recipient: colleagueUserId });
+      await request(app)
+        .patch(`/api/shift-swaps/${swapRequest.id}/accept`)
+        .set("Authorization", `Bearer ${colleagueToken}`)
+        .expect(200);
+      // The colleague is given an overlapping shift after accepting
+      await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          title: "Friday Lunch",
+          role: "Nurse",
+          typeOfShift: [SHIFT_TYPES.MORNING],
+          user: colleagueUserId,
+          startTime: "12:00",
+          finishTime: "14:00",
+          location: {
+            name: "Test Location",
+            address: "123 Test Street, Manchester",
+            postCode: "M1 1AA",
+            cordinates: { longitude: -2.244644, latitude: 53.483959 },
+          },
+          date: dayjs().add(7, "day").format("YYYY-MM-DD"),
+        })
+        .expect(201);
+
+      const res = await request(app)
+        .patch(`/api/shift-swaps/${swapRequest.id}/approve`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("SHIFT_OVERLAP");
+      const swap = await ShiftSwapRequestModel.findById(swapRequest.id);
+      expect(swap.status).to.equal(SWAP_REQUEST_STATUS.ACCEPTED);
+      expect(swap.reviewedBy).to.equal(null);
+    });
+
+    it("should return error when worker tries to approve", async () => {
+      const swapRequest = await offerShift({ recipient: colleagueUserId });
+
+      await request(app)
+        .patch(`/api/shift-swaps/${swapRequest.id}/accept`)
+        .set("Authorization", `Bearer ${colleagueToken}`)
+        .expect(200);
+
+      await request(app)
+        .patch(`/api/shift-swaps/${swapRequest.id}/approve`)
+        .set("Authorization", `Bearer ${colleagueToken}`)
+        .expect(403);
+    });
+  });
+
+  describe("Expiry", () => {
+    it("should expire open requests when the shift is cancelled", async () => {
+      const swapRequest = await offerShift({ recipient: colleagueUserId });
+
+      await request(app)
+        .patch(`/api/shifts/${shiftId}/cancel`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const expired = await ShiftSwapRequestModel.findById(swapRequest.id);
+      expect(expired.status).to.equal(SWAP_REQUEST_STATUS.EXPIRED);
+      expect(expired.expiryReason).to.equal(SWAP_EXPIRY_REASON.SHIFT_CANCELLED);
+
+      await request(app)
+        .patch(`/api/shift-swaps/${swapRequest.id}/accept`)
+        .set("Authorization", `Bearer ${colleagueToken}`)
+        .expect(400);
+    });
+
+    it("should expire open requests once the shift has started", async () => {
+      const swapRequest = await offerShift({ recipient: colleagueUserId });
+
+      await ShiftModel.findByIdAndUpdate(shiftId, {
+        startTime: dayjs().subtract(5, "minute").toDate(),
+      });
+
+      expect(await expireStartedSwapRequests()).to.equal(1);
+
+      const expired = await ShiftSwapRequestModel.findById(swapRequest.id);
+      expect(expired.status).to.equal(SWAP_REQUEST_STATUS.EXPIRED);
+      expect(expired.expiryReason).to.equal(SWAP_EXPIRY_REASON.SHIFT_STARTED);
+    });
+
+    it("should expire the request when approving after the shift started", async () => {
+      const swapRequest = await offerShift({ recipient: colleagueUserId });
+
+      await request(app)
+        .patch(`/api/shift-swaps/${swapRequest.id}/accept`)
+        .set("Authorization", `Bearer ${colleagueToken}`)
+        .expect(200);
+
+      await ShiftModel.findByIdAndUpdate(shiftId, {
+        startTime: dayjs().subtract(5, "minute").toDate(),
+      });
+
+      const res = await request(app)
+        .patch(`/api/shift-swaps/${swapRequest.id}/approve`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("SWAP_REQUEST_EXPIRED");
+
+      const shift = await ShiftModel.findById(shiftId);
+      expect(shift.user.toString()).to.equal(workerUserId);
+    });
+  });
+});
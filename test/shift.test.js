@@ -3,21 +3,32 @@ import request from "supertest";
 import mongoose from "mongoose";
 import dotenv from "dotenv";
 import * as process from "node:process";
-import { MongoMemoryServer } from "mongodb-memory-server";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
 import dayjs from "dayjs";
 import { app } from "../src/server.js";
+import { configureMongoose } from "../src/db.js";
 import UserModel from "../src/models/user.model.js";
 import LocationModel from "../src/models/location.model.js";
 import ShiftModel from "../src/models/shifts.model.js";
+import ShiftHistoryModel from "../src/models/shift-history.model.js";
 import {
   SHIFT_TYPES,
   SHIFT_STATUS,
   SHIFT_CONSTRAINTS,
+  SHIFT_HISTORY_ACTION,
+  SHIFT_HISTORY_SOURCE,
 } from "../src/services/shift/constants.js";
+import {
+  markNoShowShifts,
+  autoClockOutShifts,
+} from "../src/services/shift/attendance.js";
+import { shiftLifecycleEvents } from "../src/services/shift/lifecycle.js";
+import { purgeDeletedShifts } from "../src/services/shift/retention.js";
 dotenv.config();
 
 describe("Shift API", () => {
-  /** @type {MongoMemoryServer} */
+  // A replica set, as atomic and dry-run batches need transactions
+  /** @type {MongoMemoryReplSet} */
   let mongoServer;
 
   /** @type {string} */
@@ -35,18 +46,22 @@ describe("Shift API", () => {
   /** @type {Object} */
   let testLocation;
 
+  // Worker position at the test location, inside its geofence
+  const sitePosition = { latitude: 53.483959, longitude: -2.244644 };
+
   before(async () => {
     if (process.env.NODE_ENV !== "test") {
       process.env.NODE_ENV = "test";
     }
 
-    mongoServer = await MongoMemoryServer.create();
+    mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
     const mongoUri = mongoServer.getUri();
 
     if (mongoose.connection.readyState !== 0) {
       await mongoose.disconnect();
     }
 
+    configureMongoose();
     await mongoose.connect(mongoUri);
   });
 
@@ -59,6 +74,7 @@ describe("Shift API", () => {
     await UserModel.deleteMany({});
     await LocationModel.deleteMany({});
     await ShiftModel.deleteMany({});
+    await ShiftHistoryModel.deleteMany({});
     const adminRes = await request(app).post("/api/user/register").send({
       name: "Admin User",
       email: "admin@example.com",
@@ -92,6 +108,7 @@ describe("Shift API", () => {
         latitude: 53.483959,
         useRotaCloud: true,
       },
+      geofenceRadius: 200,
     };
 
     const location = new LocationModel(testLocation);
@@ -319,6 +336,338 @@ describe("Shift API", () => {
         .expect(401);
     });
 
+    it("should return error when shift overlaps an existing shift of the same user", async () => {
+      const date = dayjs().add(7, "day").format("YYYY-MM-DD");
+
+      const firstRes = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          date,
+        })
+        .expect(201);
+
+      const res = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          startTime: "16:00",
+          finishTime: "20:00",
+          date,
+        })
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("SHIFT_OVERLAP");
+      expect(res.body.details.conflictingShiftIds).to.deep.equal([
+        firstRes.body.shift.id,
+      ]);
+    });
+
+    it("should return error when night shift overlaps next day's shift", async () => {
+      const date = dayjs().add(7, "day");
+
+      await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          startTime: "05:00",
+          finishTime: "12:00",
+          date: date.add(1, "day").format("YYYY-MM-DD"),
+        })
+        .expect(201);
+
+      const res = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          typeOfShift: [SHIFT_TYPES.NIGHT],
+          startTime: "22:00",
+          finishTime: "06:00",
+          date: date.format("YYYY-MM-DD"),
+        })
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("SHIFT_OVERLAP");
+    });
+
+    it("should allow back-to-back shifts and shifts overlapping cancelled ones", async () => {
+      const date = dayjs().add(7, "day").format("YYYY-MM-DD");
+
+      const firstRes = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          date,
+        })
+        .expect(201);
+
+      await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          startTime: "17:00",
+          finishTime: "21:00",
+          date,
+          overrideRestPeriod: true,
+        })
+        .expect(201);
+
+      await ShiftModel.findByIdAndUpdate(firstRes.body.shift.id, {
+        status: SHIFT_STATUS.CANCELLED,
+      });
+
+      await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          startTime: "10:00",
+          finishTime: "14:00",
+          date,
+          overrideRestPeriod: true,
+        })
+        .expect(201);
+    });
+
+    it("should return error when the worker would not get the minimum rest", async () => {
+      const date = dayjs().add(7, "day");
+
+      const firstRes = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          startTime: "13:00",
+          finishTime: "21:00",
+          date: date.format("YYYY-MM-DD"),
+        })
+        .expect(201);
+
+      expect(firstRes.body.warnings).to.deep.equal([]);
+
+      const res = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          startTime: "07:00",
+          finishTime: "12:00",
+          date: date.add(1, "day").format("YYYY-MM-DD"),
+        })
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("INSUFFICIENT_REST");
+      expect(res.body.details.restMinutes).to.equal(600);
+      expect(res.body.details.minimumRestMinutes).to.equal(
+        SHIFT_CONSTRAINTS.MINIMUM_REST_MINUTES,
+      );
+      expect(res.body.details.conflictingShiftIds).to.deep.equal([
+        firstRes.body.shift.id,
+      ]);
+    });
+
+    it("should record an admin override of the minimum rest", async () => {
+      const date = dayjs().add(7, "day");
+
+      await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          startTime: "13:00",
+          finishTime: "21:00",
+          date: date.format("YYYY-MM-DD"),
+        })
+        .expect(201);
+
+      const res = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          startTime: "07:00",
+          finishTime: "12:00",
+          date: date.add(1, "day").format("YYYY-MM-DD"),
+          overrideRestPeriod: true,
+        })
+        .expect(201);
+
+      expect(res.body.warnings).to.have.length(1);
+      expect(res.body.warnings[0].code).to.equal("INSUFFICIENT_REST");
+      expect(res.body.warnings[0].details.overridden).to.be.true;
+      expect(res.body.shift.restPeriodOverride.restMinutes).to.equal(600);
+      expect(
+        res.body.shift.restPeriodOverride.overriddenBy.toString(),
+      ).to.equal(adminUserId);
+
+      const shift = await ShiftModel.findById(res.body.shift.id);
+      expect(shift.restPeriodOverride.overriddenAt).to.be.an.instanceOf(Date);
+    });
+
+    it("should return error when the worker would exceed the weekly hours limit", async () => {
+      const firstDay = dayjs().add(7, "day");
+
+      for (let day = 0; day < 6; day++) {
+        await request(app)
+          .post("/api/shifts")
+          .set("Authorization", `Bearer ${adminToken}`)
+          .send({
+            ...validShiftData,
+            user: workerUserId,
+            location: testLocation,
+            date: firstDay.add(day, "day").format("YYYY-MM-DD"),
+          })
+          .expect(201);
+      }
+
+      const res = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          date: firstDay.add(6, "day").format("YYYY-MM-DD"),
+        })
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("WEEKLY_HOURS_EXCEEDED");
+      expect(res.body.details.scheduledHours).to.equal(56);
+      expect(res.body.details.maxWeeklyHours).to.equal(
+        SHIFT_CONSTRAINTS.MAX_WEEKLY_HOURS,
+      );
+
+      await UserModel.findByIdAndUpdate(workerUserId, {
+        weeklyHoursOptOut: true,
+      });
+
+      await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          date: firstDay.add(6, "day").format("YYYY-MM-DD"),
+        })
+        .expect(201);
+    });
+
+    it("should apply the worker's own weekly hours and warn above contracted hours", async () => {
+      await UserModel.findByIdAndUpdate(workerUserId, {
+        contractedWeeklyHours: 4,
+        maxWeeklyHours: 10,
+      });
+      const date = dayjs().add(7, "day");
+
+      const firstRes = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          date: date.format("YYYY-MM-DD"),
+        })
+        .expect(201);
+
+      expect(firstRes.body.warnings).to.have.length(1);
+      expect(firstRes.body.warnings[0].code).to.equal("ABOVE_CONTRACTED_HOURS");
+      expect(firstRes.body.warnings[0].details.scheduledHours).to.equal(8);
+
+      const res = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          date: date.add(3, "day").format("YYYY-MM-DD"),
+        })
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("WEEKLY_HOURS_EXCEEDED");
+      expect(res.body.details).to.include({
+        scheduledHours: 16,
+        maxWeeklyHours: 10,
+        contractedWeeklyHours: 4,
+      });
+    });
+
+    it("should warn when the shift is outside the worker's availability", async () => {
+      const date = dayjs().add(7, "day");
+      await UserModel.findByIdAndUpdate(workerUserId, {
+        weeklyAvailability: [
+          { dayOfWeek: date.day(), startTime: "12:00", finishTime: "20:00" },
+        ],
+        unavailableDates: [
+          { date: date.add(1, "day").startOf("day").toDate() },
+        ],
+      });
+
+      const outsideRes = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          date: date.format("YYYY-MM-DD"),
+        })
+        .expect(201);
+
+      expect(outsideRes.body.warnings).to.have.length(1);
+      expect(outsideRes.body.warnings[0].code).to.equal("OUTSIDE_AVAILABILITY");
+      expect(outsideRes.body.warnings[0].details.reason).to.equal(
+        "outside_weekly_availability",
+      );
+
+      const unavailableRes = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...validShiftData,
+          user: workerUserId,
+          location: testLocation,
+          startTime: "12:00",
+          finishTime: "20:00",
+          date: date.add(1, "day").format("YYYY-MM-DD"),
+        })
+        .expect(201);
+
+      expect(unavailableRes.body.warnings[0].details.reason).to.equal(
+        "unavailable_date",
+      );
+    });
+
     it("should return error when worker tries to create shift", async () => {
       const res = await request(app)
         .post("/api/shifts")
@@ -583,6 +932,97 @@ describe("Shift API", () => {
         .expect(401);
     });
 
+    it("should return error when update makes the shift overlap another shift", async () => {
+      const otherRes = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          title: "Evening Shift",
+          role: "Original Role",
+          typeOfShift: [SHIFT_TYPES.EVENING],
+          user: workerUserId,
+          location: testLocation,
+          startTime: "18:00",
+          finishTime: "22:00",
+          date: "2025-12-25",
+          overrideRestPeriod: true,
+        })
+        .expect(201);
+
+      const res = await request(app)
+        .put(`/api/shifts/${shiftId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ finishTime: "19:00" })
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("SHIFT_OVERLAP");
+      expect(res.body.details.conflictingShiftIds).to.deep.equal([
+        otherRes.body.shift.id,
+      ]);
+    });
+
+    it("should check the minimum rest when moving a shift", async () => {
+      const date = dayjs().add(7, "day");
+
+      await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          title: "Late Shift",
+          role: "Nurse",
+          typeOfShift: [SHIFT_TYPES.EVENING],
+          user: workerUserId,
+          location: testLocation,
+          startTime: "13:00",
+          finishTime: "21:00",
+          date: date.format("YYYY-MM-DD"),
+        })
+        .expect(201);
+
+      const laterRes = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          title: "Early Shift",
+          role: "Nurse",
+          typeOfShift: [SHIFT_TYPES.MORNING],
+          user: workerUserId,
+          location: testLocation,
+          startTime: "07:00",
+          finishTime: "12:00",
+          date: date.add(2, "day").format("YYYY-MM-DD"),
+        })
+        .expect(201);
+      const laterShiftId = laterRes.body.shift.id;
+      const nextDay = date.add(1, "day").format("YYYY-MM-DD");
+
+      const res = await request(app)
+        .put(`/api/shifts/${laterShiftId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ date: nextDay })
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("INSUFFICIENT_REST");
+
+      const overrideRes = await request(app)
+        .put(`/api/shifts/${laterShiftId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ date: nextDay, overrideRestPeriod: true })
+        .expect(200);
+
+      expect(overrideRes.body.warnings[0].code).to.equal("INSUFFICIENT_REST");
+      expect(overrideRes.body.shift.restPeriodOverride).to.not.be.null;
+
+      const movedBackRes = await request(app)
+        .put(`/api/shifts/${laterShiftId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ date: date.add(2, "day").format("YYYY-MM-DD") })
+        .expect(200);
+
+      expect(movedBackRes.body.warnings).to.deep.equal([]);
+      expect(movedBackRes.body.shift.restPeriodOverride).to.be.null;
+    });
+
     it("should return error when worker tries to update shift", async () => {
       const res = await request(app)
         .put(`/api/shifts/${shiftId}`)
@@ -683,8 +1123,326 @@ describe("Shift API", () => {
     });
   });
 
-  describe("POST /api/shifts/batch", () => {
-    it("should create multiple new shifts", async () => {
+  describe("Deleted shifts", () => {
+    /** @type {string} */
+    let shiftId;
+
+    /**
+     * Build the data of a shift at the same time as the deleted one
+     * @param {Object} overrides - Fields to override
+     * @returns {Object} Shift data
+     */
+    const buildShiftData = (overrides) => ({
+      title: "Deleted Shift",
+      role: "Test Role",
+      typeOfShift: [SHIFT_TYPES.MORNING],
+      location: testLocation,
+      startTime: "09:00",
+      finishTime: "17:00",
+      date: "2025-12-25",
+      ...overrides,
+    });
+
+    beforeEach(async () => {
+      const res = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(buildShiftData({ user: workerUserId }))
+        .expect(201);
+      shiftId = res.body.shift.id;
+
+      await request(app)
+        .delete(`/api/shifts/${shiftId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+    });
+
+    it("should keep the shift, marked deleted and hidden from lookups", async () => {
+      const shift = await ShiftModel.findById(shiftId).withDeleted();
+      expect(shift.deletedAt).to.be.an.instanceOf(Date);
+      expect(shift.deletedBy.toString()).to.equal(adminUserId);
+
+      await request(app)
+        .get(`/api/shifts/${shiftId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(404);
+
+      const listRes = await request(app)
+        .get("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(listRes.body.shifts.map((s) => s.id)).to.not.include(shiftId);
+    });
+
+    it("should list deleted shifts for admins", async () => {
+      const res = await request(app)
+        .get("/api/shifts/deleted")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .query({ sortBy: "-deletedAt" })
+        .expect(200);
+
+      expect(res.body.shifts).to.have.length(1);
+      expect(res.body.shifts[0].id).to.equal(shiftId);
+      expect(res.body.shifts[0].deletedAt).to.be.a("string");
+      expect(res.body.pagination.totalCount).to.equal(1);
+
+      await request(app)
+        .get("/api/shifts/deleted")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(403);
+    });
+
+    it("should restore a deleted shift", async () => {
+      const res = await request(app)
+        .patch(`/api/shifts/${shiftId}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.shift.id).to.equal(shiftId);
+      expect(res.body.shift.deletedAt).to.be.null;
+
+      await request(app)
+        .get(`/api/shifts/${shiftId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const history = await ShiftHistoryModel.find({
+        shift: shiftId,
+        action: SHIFT_HISTORY_ACTION.RESTORE,
+      });
+      expect(history).to.have.length(1);
+      expect(history[0].source).to.equal("PATCH /api/shifts/:id/restore");
+    });
+
+    it("should return error when restoring a shift that is not deleted", async () => {
+      await request(app)
+        .patch(`/api/shifts/${shiftId}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .patch(`/api/shifts/${shiftId}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("SHIFT_NOT_DELETED");
+    });
+
+    it("should not restore a shift overlapping the worker's other shifts", async () => {
+      await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(buildShiftData({ title: "Replacement", user: workerUserId }))
+        .expect(201);
+
+      const res = await request(app)
+        .patch(`/api/shifts/${shiftId}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("SHIFT_OVERLAP");
+    });
+
+    it("should purge shifts deleted longer ago than the retention period", async () => {
+      const recentRes = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(buildShiftData({ title: "Recently Deleted" }))
+        .expect(201);
+      await request(app)
+        .delete(`/api/shifts/${recentRes.body.shift.id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      await ShiftModel.updateOne(
+        { _id: shiftId },
+        {
+          deletedAt: dayjs()
+            .subtract(SHIFT_CONSTRAINTS.DELETED_SHIFT_RETENTION_DAYS + 1, "day")
+            .toDate(),
+        },
+      );
+
+      const purged = await purgeDeletedShifts();
+
+      expect(purged).to.equal(1);
+      expect(await ShiftModel.findById(shiftId).withDeleted()).to.be.null;
+      expect(await ShiftModel.findById(recentRes.body.shift.id).withDeleted())
+        .to.not.be.null;
+
+      const res = await request(app)
+        .get(`/api/shifts/${shiftId}/history`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(res.body.history.at(-1).action).to.equal(
+        SHIFT_HISTORY_ACTION.PURGE,
+      );
+
+      await request(app)
+        .patch(`/api/shifts/${shiftId}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+
+  describe("GET /api/shifts/:id/history", () => {
+    /** @type {string} */
+    let shiftId;
+
+    const shiftDate = dayjs().add(2, "day").format("YYYY-MM-DD");
+
+    beforeEach(async () => {
+      const res = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          title: "History Shift",
+          role: "Nurse",
+          typeOfShift: [SHIFT_TYPES.MORNING],
+          user: workerUserId,
+          startTime: "09:00",
+          finishTime: "17:00",
+          location: testLocation,
+          date: shiftDate,
+        })
+        .expect(201);
+
+      shiftId = res.body.shift.id;
+    });
+
+    it("should record creation, edits and cancellation in order", async () => {
+      await request(app)
+        .put(`/api/shifts/${shiftId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "Renamed Shift", startTime: "10:00" })
+        .expect(200);
+
+      await request(app)
+        .patch(`/api/shifts/${shiftId}/cancel`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .get(`/api/shifts/${shiftId}/history`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const { history } = res.body;
+      expect(history.map((entry) => entry.action)).to.deep.equal([
+        SHIFT_HISTORY_ACTION.CREATE,
+        SHIFT_HISTORY_ACTION.UPDATE,
+        SHIFT_HISTORY_ACTION.CANCEL,
+      ]);
+      expect(history[0].source).to.equal("POST /api/shifts");
+      expect(history[0].actor.id).to.equal(adminUserId);
+      expect(
+        history[0].changes.find((change) => change.field === "title"),
+      ).to.deep.equal({ field: "title", from: null, to: "History Shift" });
+
+      expect(history[1].source).to.equal("PUT /api/shifts/:id");
+      expect(history[1].changes.map((change) => change.field)).to.have.members([
+        "title",
+        "startTime",
+      ]);
+      expect(
+        history[1].changes.find((change) => change.field === "title"),
+      ).to.deep.equal({
+        field: "title",
+        from: "History Shift",
+        to: "Renamed Shift",
+      });
+
+      expect(history[2].changes).to.deep.include({
+        field: "status",
+        from: SHIFT_STATUS.SCHEDULED,
+        to: SHIFT_STATUS.CANCELLED,
+      });
+    });
+
+    it("should record edits made through the batch endpoint", async () => {
+      await request(app)
+        .post("/api/shifts/batch")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          shifts: [
+            {
+              id: shiftId,
+              title: "History Shift",
+              role: "Doctor",
+              typeOfShift: [SHIFT_TYPES.MORNING],
+              user: workerUserId,
+              location: testLocation,
+              startTime: "09:00",
+              finishTime: "17:00",
+              date: shiftDate,
+            },
+          ],
+        })
+        .expect(200);
+
+      const history = await ShiftHistoryModel.find({
+        shift: shiftId,
+        action: SHIFT_HISTORY_ACTION.UPDATE,
+      });
+      expect(history).to.have.length(1);
+      expect(history[0].source).to.equal("POST /api/shifts/batch");
+      expect(history[0].changes.map((change) => change.field)).to.deep.equal([
+        "role",
+      ]);
+    });
+
+    it("should not record an edit that changes nothing", async () => {
+      await request(app)
+        .put(`/api/shifts/${shiftId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "History Shift" })
+        .expect(200);
+
+      const history = await ShiftHistoryModel.find({ shift: shiftId });
+      expect(history).to.have.length(1);
+    });
+
+    it("should keep the history of a deleted shift", async () => {
+      await request(app)
+        .delete(`/api/shifts/${shiftId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .get(`/api/shifts/${shiftId}/history`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const deletion = res.body.history.at(-1);
+      expect(deletion.action).to.equal(SHIFT_HISTORY_ACTION.DELETE);
+      expect(deletion.changes).to.deep.include({
+        field: "deletedBy",
+        from: null,
+        to: adminUserId,
+      });
+    });
+
+    it("should return error for a shift without history", async () => {
+      const fakeId = new mongoose.Types.ObjectId();
+
+      const res = await request(app)
+        .get(`/api/shifts/${fakeId}/history`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(404);
+
+      expect(res.body.errorCode).to.equal("SHIFT_NOT_FOUND");
+    });
+
+    it("should not allow workers to read the history", async () => {
+      await request(app)
+        .get(`/api/shifts/${shiftId}/history`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe("POST /api/shifts/batch", () => {
+    it("should create multiple new shifts", async () => {
       const batchData = {
         shifts: [
           {
@@ -876,6 +1634,106 @@ describe("Shift API", () => {
       expect(res.body.errors[0]).to.have.property("error");
     });
 
+    it("should report overlapping entries within the same batch", async () => {
+      const batchData = {
+        shifts: [
+          {
+            title: "Batch Shift 1",
+            role: "Nurse",
+            typeOfShift: [SHIFT_TYPES.MORNING],
+            user: workerUserId,
+            location: testLocation,
+            startTime: "09:00",
+            finishTime: "17:00",
+            date: "2025-12-25",
+          },
+          {
+            title: "Batch Shift 2",
+            role: "Nurse",
+            typeOfShift: [SHIFT_TYPES.MORNING],
+            user: workerUserId,
+            location: testLocation,
+            startTime: "12:00",
+            finishTime: "20:00",
+            date: "2025-12-25",
+          },
+          {
+            title: "Batch Shift 3",
+            role: "Nurse",
+            typeOfShift: [SHIFT_TYPES.MORNING],
+            user: adminUserId,
+            location: testLocation,
+            startTime: "12:00",
+            finishTime: "20:00",
+            date: "2025-12-25",
+          },
+        ],
+      };
+
+      const res = await request(app)
+        .post("/api/shifts/batch")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(batchData)
+        .expect(200);
+
+      expect(res.body.created).to.have.length(2);
+      expect(res.body.errors).to.have.length(1);
+      expect(res.body.errors[0].index).to.equal(1);
+      expect(res.body.errors[0].error.errorCode).to.equal("SHIFT_OVERLAP");
+      expect(res.body.errors[0].error.details.conflictingIndexes).to.deep.equal(
+        [0],
+      );
+    });
+
+    it("should report update entries moving a worker's shifts onto each other", async () => {
+      const entry = {
+        title: "Batch Shift",
+        role: "Nurse",
+        typeOfShift: [SHIFT_TYPES.MORNING],
+        location: testLocation,
+        startTime: "09:00",
+        finishTime: "17:00",
+      };
+      const createRes = await request(app)
+        .post("/api/shifts/batch")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          shifts: [
+            { ...entry, user: workerUserId, date: "2025-12-25" },
+            { ...entry, user: workerUserId, date: "2025-12-26" },
+          ],
+        })
+        .expect(200);
+      const [first, second] = createRes.body.created;
+
+      // Neither entry names the worker, who stays assigned to both shifts
+      const res = await request(app)
+        .post("/api/shifts/batch")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          shifts: [
+            { ...entry, id: first.id, date: "2025-12-27" },
+            {
+              ...entry,
+              id: second.id,
+              startTime: "12:00",
+              finishTime: "20:00",
+              date: "2025-12-27",
+            },
+          ],
+        })
+        .expect(200);
+
+      expect(res.body.updated).to.have.length(1);
+      expect(res.body.errors).to.have.length(1);
+      expect(res.body.errors[0].index).to.equal(1);
+      expect(res.body.errors[0].error.errorCode).to.equal("SHIFT_OVERLAP");
+      expect(res.body.errors[0].error.details).to.deep.equal({
+        conflictingIndexes: [0],
+        conflictingShiftIds: [first.id],
+      });
+    });
+
     it("should return error for empty shifts array", async () => {
       const res = await request(app)
         .post("/api/shifts/batch")
@@ -930,14 +1788,247 @@ describe("Shift API", () => {
       expect(res.body).to.have.property("message");
       expect(res.body.message).to.equal("Access denied. Admin role required");
     });
-  });
-
-  describe("PATCH /api/shifts/:id/cancel", () => {
-    /** @type {string} */
-    let shiftId;
 
-    beforeEach(async () => {
-      const shiftData = {
+    describe("atomic and dry-run modes", () => {
+      /**
+       * Build a batch entry for the worker
+       * @param {Object} overrides - Fields to override
+       * @returns {Object} Batch entry
+       */
+      const buildEntry = (overrides) => ({
+        title: "Batch Shift",
+        role: "Nurse",
+        typeOfShift: [SHIFT_TYPES.MORNING],
+        user: workerUserId,
+        location: testLocation,
+        startTime: "09:00",
+        finishTime: "17:00",
+        date: "2025-12-25",
+        ...overrides,
+      });
+
+      it("should save every entry of an atomic batch", async () => {
+        const res = await request(app)
+          .post("/api/shifts/batch")
+          .set("Authorization", `Bearer ${adminToken}`)
+          .send({
+            shifts: [buildEntry(), buildEntry({ date: "2025-12-26" })],
+            atomic: true,
+          })
+          .expect(200);
+
+        expect(res.body.created).to.have.length(2);
+        expect(await ShiftModel.countDocuments()).to.equal(2);
+      });
+
+      it("should roll back an atomic batch when an entry fails", async () => {
+        const missingUserId = new mongoose.Types.ObjectId().toString();
+
+        const res = await request(app)
+          .post("/api/shifts/batch")
+          .set("Authorization", `Bearer ${adminToken}`)
+          .send({
+            shifts: [
+              buildEntry(),
+              buildEntry({ date: "2025-12-26", user: missingUserId }),
+            ],
+            atomic: true,
+          })
+          .expect(404);
+
+        expect(res.body.errorCode).to.equal("BATCH_ENTRY_FAILED");
+        expect(res.body.details.index).to.equal(1);
+        expect(res.body.details.error.errorCode).to.equal("USER_NOT_FOUND");
+        expect(await ShiftModel.countDocuments()).to.equal(0);
+        expect(await ShiftHistoryModel.countDocuments()).to.equal(0);
+      });
+
+      it("should report every entry of a dry run without saving", async () => {
+        const res = await request(app)
+          .post("/api/shifts/batch")
+          .set("Authorization", `Bearer ${adminToken}`)
+          .send({
+            shifts: [
+              buildEntry({ title: "New Location Shift" }),
+              buildEntry({ startTime: "12:00", finishTime: "20:00" }),
+              buildEntry({
+                date: "2025-12-27",
+                user: new mongoose.Types.ObjectId().toString(),
+              }),
+              buildEntry({ date: "2025-12-28" }),
+            ],
+            dryRun: true,
+          })
+          .expect(200);
+
+        expect(res.body.dryRun).to.equal(true);
+        expect(res.body.created).to.have.length(2);
+        expect(
+          res.body.errors.map(({ index, error }) => [index, error.errorCode]),
+        ).to.deep.equal([
+          [1, "SHIFT_OVERLAP"],
+          [2, "USER_NOT_FOUND"],
+        ]);
+        expect(await ShiftModel.countDocuments().withDeleted()).to.equal(0);
+        expect(await ShiftHistoryModel.countDocuments()).to.equal(0);
+      });
+
+      it("should return error for a non-boolean mode", async () => {
+        await request(app)
+          .post("/api/shifts/batch")
+          .set("Authorization", `Bearer ${adminToken}`)
+          .send({ shifts: [buildEntry()], atomic: "yes" })
+          .expect(400);
+      });
+    });
+  });
+
+  describe("POST /api/shifts/batch/delete and /cancel", () => {
+    /**
+     * Create a shift for the worker at the test location
+     * @param {string} date - Date of the shift
+     * @returns {Promise<string>} Shift ID
+     */
+    const createShiftOn = async (date) => {
+      const res = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          title: "Rota Shift",
+          role: "Nurse",
+          typeOfShift: [SHIFT_TYPES.MORNING],
+          user: workerUserId,
+          location: testLocation,
+          startTime: "09:00",
+          finishTime: "17:00",
+          date,
+        })
+        .expect(201);
+      return res.body.shift.id;
+    };
+
+    it("should delete shifts by ID and report the ones that fail", async () => {
+      const shiftIds = [
+        await createShiftOn("2025-12-25"),
+        await createShiftOn("2025-12-26"),
+      ];
+      const missingId = new mongoose.Types.ObjectId().toString();
+
+      const res = await request(app)
+        .post("/api/shifts/batch/delete")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ids: [...shiftIds, missingId] })
+        .expect(200);
+
+      expect(res.body.deleted).to.deep.equal(shiftIds);
+      expect(res.body.errors).to.have.length(1);
+      expect(res.body.errors[0]).to.include({ index: 2, id: missingId });
+      expect(res.body.errors[0].error.errorCode).to.equal("SHIFT_NOT_FOUND");
+      expect(await ShiftModel.countDocuments()).to.equal(0);
+
+      const history = await ShiftHistoryModel.findOne({
+        shift: shiftIds[0],
+        action: SHIFT_HISTORY_ACTION.DELETE,
+      });
+      expect(history.source).to.equal("POST /api/shifts/batch/delete");
+    });
+
+    it("should cancel the shifts matching a filter", async () => {
+      const inRange = [
+        await createShiftOn("2025-12-25"),
+        await createShiftOn("2025-12-26"),
+      ];
+      const cancelledId = await createShiftOn("2025-12-27");
+      const outOfRangeId = await createShiftOn("2025-12-30");
+      await ShiftModel.findByIdAndUpdate(cancelledId, {
+        status: SHIFT_STATUS.CANCELLED,
+      });
+      const location = await LocationModel.findOne({
+        name: testLocation.name,
+      });
+
+      const res = await request(app)
+        .post("/api/shifts/batch/cancel")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          filter: {
+            from: "2025-12-25",
+            to: "2025-12-28",
+            location: location._id.toString(),
+          },
+        })
+        .expect(200);
+
+      expect(res.body.cancelled).to.deep.equal(inRange);
+      expect(res.body.errors).to.have.length(0);
+      const outOfRange = await ShiftModel.findById(outOfRangeId);
+      expect(outOfRange.status).to.equal(SHIFT_STATUS.SCHEDULED);
+    });
+
+    it("should cancel nothing when a shift of an atomic batch fails", async () => {
+      const scheduledId = await createShiftOn("2025-12-25");
+      const cancelledId = await createShiftOn("2025-12-26");
+      await ShiftModel.findByIdAndUpdate(cancelledId, {
+        status: SHIFT_STATUS.CANCELLED,
+      });
+
+      const events = [];
+      const onTransition = (event) => events.push(event);
+      shiftLifecycleEvents.on("transition", onTransition);
+
+      try {
+        const res = await request(app)
+          .post("/api/shifts/batch/cancel")
+          .set("Authorization", `Bearer ${adminToken}`)
+          .send({ ids: [scheduledId, cancelledId], atomic: true })
+          .expect(400);
+
+        expect(res.body.errorCode).to.equal("BATCH_ENTRY_FAILED");
+        expect(res.body.details.index).to.equal(1);
+        expect(res.body.details.error.errorCode).to.equal(
+          "SHIFT_ALREADY_CANCELLED",
+        );
+      } finally {
+        shiftLifecycleEvents.off("transition", onTransition);
+      }
+
+      const shift = await ShiftModel.findById(scheduledId);
+      expect(shift.status).to.equal(SHIFT_STATUS.SCHEDULED);
+      expect(events).to.have.length(0);
+    });
+
+    it("should return error unless exactly one of ids and filter is given", async () => {
+      await request(app)
+        .post("/api/shifts/batch/delete")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+
+      await request(app)
+        .post("/api/shifts/batch/cancel")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ids: [new mongoose.Types.ObjectId().toString()],
+          filter: { from: "2025-12-25", to: "2025-12-28" },
+        })
+        .expect(400);
+    });
+
+    it("should not allow workers to delete shifts in batch", async () => {
+      await request(app)
+        .post("/api/shifts/batch/delete")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ ids: [new mongoose.Types.ObjectId().toString()] })
+        .expect(403);
+    });
+  });
+
+  describe("PATCH /api/shifts/:id/cancel", () => {
+    /** @type {string} */
+    let shiftId;
+
+    beforeEach(async () => {
+      const shiftData = {
         title: "Test Shift",
         role: "Nurse",
         typeOfShift: [SHIFT_TYPES.MORNING],
@@ -1002,6 +2093,50 @@ describe("Shift API", () => {
       expect(res.body.message).to.equal("Cannot cancel a completed shift");
     });
 
+    it("should return error when shift is a no-show", async () => {
+      await ShiftModel.findByIdAndUpdate(shiftId, {
+        status: SHIFT_STATUS.NO_SHOW,
+      });
+
+      const res = await request(app)
+        .patch(`/api/shifts/${shiftId}/cancel`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("INVALID_SHIFT_STATUS");
+    });
+
+    it("should emit a transition event and record the cancellation", async () => {
+      const events = [];
+      const listener = (event) => events.push(event);
+      shiftLifecycleEvents.on("transition", listener);
+
+      try {
+        await request(app)
+          .patch(`/api/shifts/${shiftId}/cancel`)
+          .set("Authorization", `Bearer ${adminToken}`)
+          .expect(200);
+      } finally {
+        shiftLifecycleEvents.off("transition", listener);
+      }
+
+      expect(events).to.have.length(1);
+      expect(events[0]).to.include({
+        transition: SHIFT_HISTORY_ACTION.CANCEL,
+        from: SHIFT_STATUS.SCHEDULED,
+        to: SHIFT_STATUS.CANCELLED,
+      });
+      expect(events[0].actor.toString()).to.equal(adminUserId);
+      expect(events[0].shift.status).to.equal(SHIFT_STATUS.CANCELLED);
+
+      const history = await ShiftHistoryModel.find({
+        shift: shiftId,
+        action: SHIFT_HISTORY_ACTION.CANCEL,
+      });
+      expect(history).to.have.length(1);
+      expect(history[0].source).to.equal("PATCH /api/shifts/:id/cancel");
+    });
+
     it("should return error without authentication", async () => {
       await request(app).patch(`/api/shifts/${shiftId}/cancel`).expect(401);
     });
@@ -1057,6 +2192,8 @@ describe("Shift API", () => {
         finishTime: endTime,
         location: testLocation,
         date: now.toISOString(),
+        // Depending on the time of day, less than 11 hours before tomorrow's shift
+        overrideRestPeriod: true,
       };
 
       const todayRes = await request(app)
@@ -1071,6 +2208,7 @@ describe("Shift API", () => {
       const res = await request(app)
         .patch(`/api/shifts/${todayShiftId}/clock-in`)
         .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition })
         .expect(200);
 
       expect(res.body.message).to.equal("Successfully clocked in");
@@ -1082,11 +2220,126 @@ describe("Shift API", () => {
       expect(shift.clockInTime).to.not.equal(null);
     });
 
+    it("should not flag a clock-in before the start as late", async () => {
+      const res = await request(app)
+        .patch(`/api/shifts/${todayShiftId}/clock-in`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition })
+        .expect(200);
+
+      expect(res.body.shift.lateMinutes).to.equal(0);
+      expect(res.body.shift.isLate).to.equal(false);
+    });
+
+    it("should flag a clock-in after the start as late and record it", async () => {
+      await ShiftModel.findByIdAndUpdate(todayShiftId, {
+        startTime: dayjs().subtract(20, "minute").toDate(),
+      });
+
+      const res = await request(app)
+        .patch(`/api/shifts/${todayShiftId}/clock-in`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition })
+        .expect(200);
+
+      expect(res.body.shift.isLate).to.equal(true);
+      expect(res.body.shift.lateMinutes).to.be.within(19, 20);
+
+      const history = await ShiftHistoryModel.find({
+        shift: todayShiftId,
+        action: SHIFT_HISTORY_ACTION.CLOCK_IN,
+      });
+      expect(history).to.have.length(1);
+      expect(history[0].actor.toString()).to.equal(workerUserId);
+      expect(
+        history[0].changes.find((change) => change.field === "lateMinutes").to,
+      ).to.equal(res.body.shift.lateMinutes);
+    });
+
+    it("should store the worker's position and distance to the location", async () => {
+      await request(app)
+        .patch(`/api/shifts/${todayShiftId}/clock-in`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({
+          position: { latitude: 53.4845, longitude: -2.244644, accuracy: 12 },
+        })
+        .expect(200);
+
+      const shift = await ShiftModel.findById(todayShiftId);
+      expect(shift.clockInPosition.latitude).to.equal(53.4845);
+      expect(shift.clockInPosition.accuracy).to.equal(12);
+      expect(shift.clockInPosition.distance).to.be.within(55, 65);
+    });
+
+    it("should return error when clocking in outside the geofence", async () => {
+      const res = await request(app)
+        .patch(`/api/shifts/${todayShiftId}/clock-in`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: { latitude: 53.4931, longitude: -2.244644 } })
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("OUTSIDE_GEOFENCE");
+      expect(res.body.details.radius).to.equal(200);
+      expect(res.body.details.distance).to.be.above(1000);
+
+      const shift = await ShiftModel.findById(todayShiftId);
+      expect(shift.status).to.equal(SHIFT_STATUS.SCHEDULED);
+    });
+
+    it("should respect the location's geofence radius", async () => {
+      await LocationModel.updateOne(
+        { name: testLocation.name },
+        { geofenceRadius: 2000 },
+      );
+
+      await request(app)
+        .patch(`/api/shifts/${todayShiftId}/clock-in`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: { latitude: 53.4931, longitude: -2.244644 } })
+        .expect(200);
+    });
+
+    it("should return error when position is missing", async () => {
+      const res = await request(app)
+        .patch(`/api/shifts/${todayShiftId}/clock-in`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("POSITION_REQUIRED");
+    });
+
+    it("should not enforce the geofence when useRotaCloud is disabled", async () => {
+      await LocationModel.updateOne(
+        { name: testLocation.name },
+        { "cordinates.useRotaCloud": false },
+      );
+
+      await request(app)
+        .patch(`/api/shifts/${todayShiftId}/clock-in`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+    });
+
+    it("should not enforce a geofence at locations without a radius", async () => {
+      await LocationModel.updateOne(
+        { name: testLocation.name },
+        { geofenceRadius: null },
+      );
+
+      const res = await request(app)
+        .patch(`/api/shifts/${todayShiftId}/clock-in`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(res.body.shift.clockInPosition).to.equal(null);
+    });
+
     it("should return error when shift not found", async () => {
       const fakeId = new mongoose.Types.ObjectId();
       await request(app)
         .patch(`/api/shifts/${fakeId}/clock-in`)
         .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition })
         .expect(404);
     });
 
@@ -1094,6 +2347,7 @@ describe("Shift API", () => {
       const res = await request(app)
         .patch(`/api/shifts/${todayShiftId}/clock-in`)
         .set("Authorization", `Bearer ${adminToken}`)
+        .send({ position: sitePosition })
         .expect(403);
 
       expect(res.body.message).to.equal("You are not assigned to this shift");
@@ -1107,6 +2361,7 @@ describe("Shift API", () => {
       const res = await request(app)
         .patch(`/api/shifts/${todayShiftId}/clock-in`)
         .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition })
         .expect(400);
 
       expect(res.body.message).to.equal(
@@ -1115,6 +2370,11 @@ describe("Shift API", () => {
     });
 
     it("should return error when clocking in too early", async () => {
+      // Free up the worker's time slot so the new shift does not overlap
+      await ShiftModel.findByIdAndUpdate(todayShiftId, {
+        status: SHIFT_STATUS.CANCELLED,
+      });
+
       const now = dayjs();
       // Set shift to start 20 minutes from now (more than 10 minute buffer)
       const startTime = dateTo24HrTime(
@@ -1133,6 +2393,7 @@ describe("Shift API", () => {
         finishTime: endTime,
         location: testLocation,
         date: now.toISOString(),
+        overrideRestPeriod: true,
       };
 
       const futureRes = await request(app)
@@ -1143,16 +2404,19 @@ describe("Shift API", () => {
       const res = await request(app)
         .patch(`/api/shifts/${futureRes.body.shift.id}/clock-in`)
         .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition })
         .expect(400);
 
       expect(res.body.message).to.include(
         `Cannot clock in more than ${SHIFT_CONSTRAINTS.EARLY_CLOCK_IN_BUFFER} minutes before shift starts`,
       );
+      expect(res.body.errorCode).to.equal("CLOCK_IN_TOO_EARLY");
     });
 
     it("should return error when shift time has expired", async () => {
-      // Create a shift for tomorrow first (to pass validation)
-      const tomorrow = dayjs().add(1, "day");
+      // Create a future shift first (to pass validation) that does not
+      // overlap the worker's shift tomorrow
+      const dayAfterTomorrow = dayjs().add(2, "day");
 
       const expiredShiftData = {
         title: "Expired Shift",
@@ -1162,7 +2426,7 @@ describe("Shift API", () => {
         startTime: "09:00",
         finishTime: "17:00",
         location: testLocation,
-        date: tomorrow.toISOString(),
+        date: dayAfterTomorrow.toISOString(),
       };
 
       const expiredRes = await request(app)
@@ -1195,6 +2459,7 @@ describe("Shift API", () => {
       const res = await request(app)
         .patch(`/api/shifts/${expiredRes.body.shift.id}/clock-in`)
         .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition })
         .expect(400);
 
       expect(res.body.message).to.contain("Cannot clock in");
@@ -1214,6 +2479,8 @@ describe("Shift API", () => {
         finishTime: "06:00", // Next day
         location: testLocation,
         date: tomorrow.toISOString(),
+        // Starts 5 hours after the worker's shift tomorrow
+        overrideRestPeriod: true,
       };
 
       const nightShiftRes = await request(app)
@@ -1252,6 +2519,7 @@ describe("Shift API", () => {
       const clockInRes = await request(app)
         .patch(`/api/shifts/${nightShiftRes.body.shift.id}/clock-in`)
         .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition })
         .expect(200);
 
       expect(clockInRes.body.message).to.equal("Successfully clocked in");
@@ -1291,13 +2559,15 @@ describe("Shift API", () => {
 
       await request(app)
         .patch(`/api/shifts/${shiftId}/clock-in`)
-        .set("Authorization", `Bearer ${workerToken}`);
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition });
     });
 
     it("should clock out successfully when conditions met", async () => {
       const res = await request(app)
         .patch(`/api/shifts/${shiftId}/clock-out`)
-        .set("Authorization", `Bearer ${workerToken}`);
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition });
 
       expect(res.status).to.equal(200);
       expect(res.body.message).to.equal("Successfully clocked out");
@@ -1314,6 +2584,7 @@ describe("Shift API", () => {
       await request(app)
         .patch(`/api/shifts/${fakeId}/clock-out`)
         .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition })
         .expect(404);
     });
 
@@ -1321,6 +2592,7 @@ describe("Shift API", () => {
       const res = await request(app)
         .patch(`/api/shifts/${shiftId}/clock-out`)
         .set("Authorization", `Bearer ${adminToken}`)
+        .send({ position: sitePosition })
         .expect(403);
 
       expect(res.body.message).to.equal("You are not assigned to this shift");
@@ -1334,6 +2606,7 @@ describe("Shift API", () => {
       const res = await request(app)
         .patch(`/api/shifts/${shiftId}/clock-out`)
         .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition })
         .expect(400);
 
       expect(res.body.message).to.equal(
@@ -1342,6 +2615,11 @@ describe("Shift API", () => {
     });
 
     it("should return error when clocking out too early", async () => {
+      // Free up the worker's time slot so the new shift does not overlap
+      await ShiftModel.findByIdAndUpdate(shiftId, {
+        status: SHIFT_STATUS.CANCELLED,
+      });
+
       const now = dayjs();
       // Set shift to have started 1 minute ago and end 1 hour after the minimum clock out buffer
       const startTime = dateTo24HrTime(now.subtract(1, "minute").toDate());
@@ -1369,11 +2647,13 @@ describe("Shift API", () => {
 
       await request(app)
         .patch(`/api/shifts/${longRes.body.shift.id}/clock-in`)
-        .set("Authorization", `Bearer ${workerToken}`);
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition });
 
       const res = await request(app)
         .patch(`/api/shifts/${longRes.body.shift.id}/clock-out`)
         .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition })
         .expect(400);
 
       expect(res.body.message).to.include(
@@ -1382,65 +2662,372 @@ describe("Shift API", () => {
     });
   });
 
-  describe("GET /api/shifts", () => {
-    /** @type {string} */
-    let shift1Id, shift2Id, shift3Id;
+  describe("Attendance sweeps", () => {
+    /** @type {Object} */
+    let location;
+
+    /**
+     * Insert a shift directly, bypassing the scheduling rules
+     * @param {Object} fields - Fields to set on the shift
+     * @returns {Promise<Object>} Shift document
+     */
+    const insertShift = (fields) =>
+      ShiftModel.create({
+        title: "Sweep Shift",
+        role: "Nurse",
+        typeOfShift: [SHIFT_TYPES.MORNING],
+        user: workerUserId,
+        location: location._id,
+        date: dayjs().startOf("day").toDate(),
+        ...fields,
+      });
 
     beforeEach(async () => {
-      const batchData = {
-        shifts: [
-          {
-            title: "Morning Shift 1",
-            role: "Nurse",
-            typeOfShift: [SHIFT_TYPES.MORNING],
-            user: workerUserId,
-            location: testLocation,
-            startTime: "09:00",
-            finishTime: "17:00",
-            date: "2026-01-01",
-          },
-          {
-            title: "Evening Shift 1",
-            role: "Doctor",
-            typeOfShift: [SHIFT_TYPES.EVENING],
-            user: adminUserId,
-            location: testLocation,
-            startTime: "18:00",
-            finishTime: "06:00",
-            date: "2026-01-02",
-          },
-          {
-            title: "Night Shift 1",
-            role: "Therapist",
-            typeOfShift: [SHIFT_TYPES.NIGHT],
-            user: workerUserId,
-            location: testLocation,
-            startTime: "22:00",
-            finishTime: "06:00",
-            date: "2026-01-03",
-          },
-        ],
-      };
+      location = await LocationModel.findOne({ name: testLocation.name });
+    });
 
-      const res = await request(app)
-        .post("/api/shifts/batch")
-        .set("Authorization", `Bearer ${adminToken}`)
-        .send(batchData)
-        .expect(200);
+    it("should mark shifts with no clock-in after the grace period as no-shows", async () => {
+      const graceMinutes = SHIFT_CONSTRAINTS.NO_SHOW_GRACE_MINUTES;
+      const missed = await insertShift({
+        startTime: dayjs()
+          .subtract(graceMinutes + 5, "minute")
+          .toDate(),
+        finishTime: dayjs().add(4, "hour").toDate(),
+      });
+      const withinGrace = await insertShift({
+        startTime: dayjs()
+          .subtract(graceMinutes - 5, "minute")
+          .toDate(),
+        finishTime: dayjs().add(4, "hour").toDate(),
+      });
+      const unassigned = await insertShift({
+        user: null,
+        startTime: dayjs()
+          .subtract(graceMinutes + 5, "minute")
+          .toDate(),
+        finishTime: dayjs().add(4, "hour").toDate(),
+      });
 
-      expect(res.body.created).to.have.length(3);
-      shift1Id = res.body.created[0].id;
-      shift2Id = res.body.created[1].id;
-      shift3Id = res.body.created[2].id;
+      expect(await markNoShowShifts()).to.equal(1);
+
+      expect((await ShiftModel.findById(missed._id)).status).to.equal(
+        SHIFT_STATUS.NO_SHOW,
+      );
+      expect((await ShiftModel.findById(withinGrace._id)).status).to.equal(
+        SHIFT_STATUS.SCHEDULED,
+      );
+      expect((await ShiftModel.findById(unassigned._id)).status).to.equal(
+        SHIFT_STATUS.SCHEDULED,
+      );
+
+      const history = await ShiftHistoryModel.find({ shift: missed._id });
+      expect(history).to.have.length(1);
+      expect(history[0].action).to.equal(SHIFT_HISTORY_ACTION.NO_SHOW);
+      expect(history[0].actor).to.equal(null);
+      expect(history[0].changes[0]).to.include({
+        field: "status",
+        from: SHIFT_STATUS.SCHEDULED,
+        to: SHIFT_STATUS.NO_SHOW,
+      });
     });
 
-    it("should get all shifts with default pagination", async () => {
+    it("should let a worker marked as a no-show clock in late", async () => {
+      const missed = await insertShift({
+        startTime: dayjs().subtract(1, "hour").toDate(),
+        finishTime: dayjs().add(4, "hour").toDate(),
+      });
+      await markNoShowShifts();
+
       const res = await request(app)
-        .get("/api/shifts")
-        .set("Authorization", `Bearer ${adminToken}`)
+        .patch(`/api/shifts/${missed._id}/clock-in`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition })
         .expect(200);
 
-      expect(res.body).to.have.property("shifts");
+      expect(res.body.shift.status).to.equal(SHIFT_STATUS.IN_PROGRESS);
+      expect(res.body.shift.isLate).to.equal(true);
+      expect(res.body.shift.lateMinutes).to.be.within(59, 60);
+
+      const history = await ShiftHistoryModel.find({
+        shift: missed._id,
+        action: SHIFT_HISTORY_ACTION.CLOCK_IN,
+      });
+      expect(history[0].changes[0]).to.include({
+        field: "status",
+        from: SHIFT_STATUS.NO_SHOW,
+        to: SHIFT_STATUS.IN_PROGRESS,
+      });
+    });
+
+    it("should clock out forgotten shifts at their finish time", async () => {
+      const graceMinutes = SHIFT_CONSTRAINTS.AUTO_CLOCK_OUT_GRACE_MINUTES;
+      const finishTime = dayjs()
+        .subtract(graceMinutes + 10, "minute")
+        .startOf("minute")
+        .toDate();
+      const forgotten = await insertShift({
+        status: SHIFT_STATUS.IN_PROGRESS,
+        startTime: dayjs(finishTime).subtract(8, "hour").toDate(),
+        finishTime,
+        clockInTime: dayjs(finishTime).subtract(8, "hour").toDate(),
+        breaks: [
+          { startTime: dayjs(finishTime).subtract(30, "minute").toDate() },
+        ],
+      });
+      const recentlyFinished = await insertShift({
+        status: SHIFT_STATUS.IN_PROGRESS,
+        startTime: dayjs().subtract(8, "hour").toDate(),
+        finishTime: dayjs()
+          .subtract(graceMinutes - 10, "minute")
+          .toDate(),
+        clockInTime: dayjs().subtract(8, "hour").toDate(),
+      });
+
+      expect(await autoClockOutShifts()).to.equal(1);
+
+      const closed = await ShiftModel.findById(forgotten._id);
+      expect(closed.status).to.equal(SHIFT_STATUS.COMPLETED);
+      expect(closed.clockOutTime.getTime()).to.equal(finishTime.getTime());
+      expect(closed.breaks[0].endTime.getTime()).to.equal(finishTime.getTime());
+      expect(closed.autoClockedOut).to.equal(true);
+
+      expect((await ShiftModel.findById(recentlyFinished._id)).status).to.equal(
+        SHIFT_STATUS.IN_PROGRESS,
+      );
+
+      const history = await ShiftHistoryModel.find({ shift: forgotten._id });
+      expect(history).to.have.length(1);
+      expect(history[0].action).to.equal(SHIFT_HISTORY_ACTION.AUTO_CLOCK_OUT);
+    });
+  });
+
+  describe("PATCH /api/shifts/:id/breaks", () => {
+    /** @type {string} */
+    let shiftId;
+
+    beforeEach(async () => {
+      const now = dayjs();
+      const startTime = dateTo24HrTime(now.subtract(1, "minute").toDate());
+      const endTime = dateTo24HrTime(
+        now
+          .add(SHIFT_CONSTRAINTS.MINIMUM_CLOCK_OUT_BUFFER - 30, "minutes")
+          .toDate(),
+      );
+
+      const res = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          title: "Break Shift",
+          role: "Nurse",
+          typeOfShift: [SHIFT_TYPES.EVENING],
+          user: workerUserId,
+          startTime,
+          finishTime: endTime,
+          location: testLocation,
+          date: now.toISOString(),
+        });
+
+      shiftId = res.body.shift.id;
+
+      await request(app)
+        .patch(`/api/shifts/${shiftId}/clock-in`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition })
+        .expect(200);
+    });
+
+    it("should start and end a break", async () => {
+      const startRes = await request(app)
+        .patch(`/api/shifts/${shiftId}/breaks/start`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ paid: true })
+        .expect(200);
+
+      expect(startRes.body.message).to.equal("Break started");
+      expect(startRes.body.shift.breaks).to.have.length(1);
+      expect(startRes.body.shift.breaks[0].endTime).to.equal(null);
+      expect(startRes.body.shift.breaks[0].paid).to.equal(true);
+
+      const endRes = await request(app)
+        .patch(`/api/shifts/${shiftId}/breaks/end`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(endRes.body.message).to.equal("Break ended");
+      expect(endRes.body.shift.breaks[0].endTime).to.match(/^\d{2}:\d{2}$/);
+      expect(endRes.body.shift.breakMinutes).to.be.a("number");
+    });
+
+    it("should return error when already on a break", async () => {
+      await request(app)
+        .patch(`/api/shifts/${shiftId}/breaks/start`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .patch(`/api/shifts/${shiftId}/breaks/start`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("BREAK_ALREADY_STARTED");
+    });
+
+    it("should let only one of two concurrent break ends succeed", async () => {
+      await request(app)
+        .patch(`/api/shifts/${shiftId}/breaks/start`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      const responses = await Promise.all([
+        request(app)
+          .patch(`/api/shifts/${shiftId}/breaks/end`)
+          .set("Authorization", `Bearer ${workerToken}`),
+        request(app)
+          .patch(`/api/shifts/${shiftId}/breaks/end`)
+          .set("Authorization", `Bearer ${workerToken}`),
+      ]);
+
+      expect(responses.map((res) => res.status).sort()).to.deep.equal([
+        200, 400,
+      ]);
+    });
+
+    it("should return error when ending a break that was not started", async () => {
+      const res = await request(app)
+        .patch(`/api/shifts/${shiftId}/breaks/end`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("NO_ACTIVE_BREAK");
+    });
+
+    it("should return error when shift is not in progress", async () => {
+      await ShiftModel.findByIdAndUpdate(shiftId, {
+        status: SHIFT_STATUS.SCHEDULED,
+      });
+
+      const res = await request(app)
+        .patch(`/api/shifts/${shiftId}/breaks/start`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("INVALID_SHIFT_STATUS");
+    });
+
+    it("should return error when user not assigned to shift", async () => {
+      await request(app)
+        .patch(`/api/shifts/${shiftId}/breaks/start`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(403);
+    });
+
+    it("should compute worked, break and paid minutes", async () => {
+      const now = dayjs();
+      await ShiftModel.findByIdAndUpdate(shiftId, {
+        clockInTime: now.subtract(120, "minute").toDate(),
+        breaks: [
+          {
+            startTime: now.subtract(60, "minute").toDate(),
+            endTime: now.subtract(30, "minute").toDate(),
+            paid: false,
+          },
+          {
+            startTime: now.subtract(20, "minute").toDate(),
+            endTime: now.subtract(10, "minute").toDate(),
+            paid: true,
+          },
+        ],
+      });
+
+      const res = await request(app)
+        .get(`/api/shifts/${shiftId}`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(res.body.shift.breakMinutes).to.equal(40);
+      expect(res.body.shift.workedMinutes).to.equal(80);
+      expect(res.body.shift.paidMinutes).to.equal(90);
+    });
+
+    it("should end a running break when clocking out", async () => {
+      await request(app)
+        .patch(`/api/shifts/${shiftId}/breaks/start`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .patch(`/api/shifts/${shiftId}/clock-out`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ position: sitePosition })
+        .expect(200);
+
+      expect(res.body.shift.breakMinutes).to.be.a("number");
+
+      const shift = await ShiftModel.findById(shiftId);
+      expect(shift.breaks[0].endTime).to.not.equal(null);
+    });
+  });
+
+  describe("GET /api/shifts", () => {
+    /** @type {string} */
+    let shift1Id, shift2Id, shift3Id;
+
+    beforeEach(async () => {
+      const batchData = {
+        shifts: [
+          {
+            title: "Morning Shift 1",
+            role: "Nurse",
+            typeOfShift: [SHIFT_TYPES.MORNING],
+            user: workerUserId,
+            location: testLocation,
+            startTime: "09:00",
+            finishTime: "17:00",
+            date: "2026-01-01",
+          },
+          {
+            title: "Evening Shift 1",
+            role: "Doctor",
+            typeOfShift: [SHIFT_TYPES.EVENING],
+            user: adminUserId,
+            location: testLocation,
+            startTime: "18:00",
+            finishTime: "06:00",
+            date: "2026-01-02",
+          },
+          {
+            title: "Night Shift 1",
+            role: "Therapist",
+            typeOfShift: [SHIFT_TYPES.NIGHT],
+            user: workerUserId,
+            location: testLocation,
+            startTime: "22:00",
+            finishTime: "06:00",
+            date: "2026-01-03",
+          },
+        ],
+      };
+
+      const res = await request(app)
+        .post("/api/shifts/batch")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(batchData)
+        .expect(200);
+
+      expect(res.body.created).to.have.length(3);
+      shift1Id = res.body.created[0].id;
+      shift2Id = res.body.created[1].id;
+      shift3Id = res.body.created[2].id;
+    });
+
+    it("should get all shifts with default pagination", async () => {
+      const res = await request(app)
+        .get("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body).to.have.property("shifts");
       expect(res.body).to.have.property("pagination");
       expect(res.body.shifts).to.be.an("array");
       expect(res.body.shifts).to.have.length(3);
@@ -1559,25 +3146,295 @@ describe("Shift API", () => {
         .set("Authorization", `Bearer ${adminToken}`)
         .expect(400);
 
-      expect(res.body).to.have.property("issues");
-      expect(res.body.issues).to.be.an("array");
+      expect(res.body).to.have.property("issues");
+      expect(res.body.issues).to.be.an("array");
+      expect(res.body.issues).to.deep.include({
+        path: "sortOrder",
+        error: "Sort order must be 'asc' or 'desc'",
+      });
+    });
+
+    it("should sort shifts by several fields", async () => {
+      const res = await request(app)
+        .get("/api/shifts?sortBy=-role,date&sortOrder=asc")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.shifts.map((shift) => shift.id)).to.deep.equal([
+        shift3Id,
+        shift1Id,
+        shift2Id,
+      ]);
+    });
+
+    it("should sort shifts by worker name", async () => {
+      const res = await request(app)
+        .get("/api/shifts?sortBy=workerName,date&sortOrder=asc")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.shifts.map((shift) => shift.id)).to.deep.equal([
+        shift2Id,
+        shift1Id,
+        shift3Id,
+      ]);
+      expect(res.body.shifts[0].user.name).to.equal("Admin User");
+      expect(res.body.pagination.totalCount).to.equal(3);
+
+      const pageRes = await request(app)
+        .get("/api/shifts?sortBy=-workerName,-date&limit=1&page=2")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(pageRes.body.shifts).to.have.length(1);
+      expect(pageRes.body.shifts[0].id).to.equal(shift1Id);
+    });
+
+    it("should return error for invalid sort field", async () => {
+      const res = await request(app)
+        .get("/api/shifts?sortBy=date,-password")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(res.body.issues[0].path).to.equal("sortBy");
+      expect(res.body.issues[0].error).to.match(/^Sort field must be one of/);
+    });
+
+    it("should page through shifts with cursors", async () => {
+      const firstRes = await request(app)
+        .get("/api/shifts?paginationMode=cursor&limit=2&sortOrder=asc")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(firstRes.body.shifts.map((shift) => shift.id)).to.deep.equal([
+        shift1Id,
+        shift2Id,
+      ]);
+      expect(firstRes.body.pagination.hasNextPage).to.be.true;
+      expect(firstRes.body.pagination.hasPrevPage).to.be.false;
+      expect(firstRes.body.pagination.prevCursor).to.be.null;
+      expect(firstRes.body.pagination).to.not.have.property("totalCount");
+
+      const nextRes = await request(app)
+        .get(
+          `/api/shifts?cursor=${firstRes.body.pagination.nextCursor}&limit=2&sortOrder=asc`,
+        )
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(nextRes.body.shifts.map((shift) => shift.id)).to.deep.equal([
+        shift3Id,
+      ]);
+      expect(nextRes.body.pagination.hasNextPage).to.be.false;
+      expect(nextRes.body.pagination.nextCursor).to.be.null;
+      expect(nextRes.body.pagination.hasPrevPage).to.be.true;
+
+      const prevRes = await request(app)
+        .get(
+          `/api/shifts?cursor=${nextRes.body.pagination.prevCursor}&limit=2&sortOrder=asc&includeTotal=true`,
+        )
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(prevRes.body.shifts.map((shift) => shift.id)).to.deep.equal([
+        shift1Id,
+        shift2Id,
+      ]);
+      expect(prevRes.body.pagination.hasPrevPage).to.be.false;
+      expect(prevRes.body.pagination.totalCount).to.equal(3);
+    });
+
+    it("should page through shifts sorted by worker name with cursors", async () => {
+      const firstRes = await request(app)
+        .get("/api/shifts?paginationMode=cursor&limit=1&sortBy=workerName,date")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const nextRes = await request(app)
+        .get(
+          `/api/shifts?cursor=${firstRes.body.pagination.nextCursor}&limit=2&sortBy=workerName,date`,
+        )
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(firstRes.body.shifts[0].id).to.equal(shift2Id);
+      expect(nextRes.body.shifts.map((shift) => shift.id)).to.deep.equal([
+        shift1Id,
+        shift3Id,
+      ]);
+    });
+
+    it("should return error for a cursor used with another sort", async () => {
+      const firstRes = await request(app)
+        .get("/api/shifts?paginationMode=cursor&limit=1&sortBy=date")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .get(
+          `/api/shifts?cursor=${firstRes.body.pagination.nextCursor}&sortBy=title`,
+        )
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("INVALID_CURSOR");
+
+      const malformedRes = await request(app)
+        .get("/api/shifts?cursor=not-a-cursor")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(malformedRes.body.errorCode).to.equal("INVALID_CURSOR");
+    });
+
+    it("should skip the total count in page mode when not requested", async () => {
+      const res = await request(app)
+        .get("/api/shifts?page=1&limit=2&includeTotal=false")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.shifts).to.have.length(2);
+      expect(res.body.pagination.hasNextPage).to.be.true;
+      expect(res.body.pagination).to.not.have.property("totalCount");
+      expect(res.body.pagination).to.not.have.property("totalPages");
+    });
+
+    it("should return error for invalid status", async () => {
+      const res = await request(app)
+        .get("/api/shifts?status=InvalidStatus")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(res.body).to.have.property("issues");
+      expect(res.body.issues).to.be.an("array");
+      expect(res.body.issues).to.deep.include({
+        path: "status",
+        error: "Invalid shift status",
+      });
+    });
+
+    it("should filter shifts by several statuses", async () => {
+      await request(app)
+        .patch(`/api/shifts/${shift1Id}/cancel`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .get("/api/shifts?status=Cancelled,Completed")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.shifts).to.have.length(1);
+      expect(res.body.shifts[0].id).to.equal(shift1Id);
+
+      const repeatedRes = await request(app)
+        .get("/api/shifts?status=Cancelled&status=Scheduled")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(repeatedRes.body.pagination.totalCount).to.equal(3);
+    });
+
+    it("should filter shifts by date range", async () => {
+      const res = await request(app)
+        .get("/api/shifts?from=2026-01-02&to=2026-01-02")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.shifts).to.have.length(1);
+      expect(res.body.shifts[0].id).to.equal(shift2Id);
+    });
+
+    it("should filter shifts by worker, role and shift type", async () => {
+      const workerRes = await request(app)
+        .get(`/api/shifts?user=${workerUserId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(workerRes.body.shifts.map((shift) => shift.id)).to.have.members([
+        shift1Id,
+        shift3Id,
+      ]);
+
+      const roleRes = await request(app)
+        .get("/api/shifts?role=Doctor")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(roleRes.body.shifts).to.have.length(1);
+      expect(roleRes.body.shifts[0].id).to.equal(shift2Id);
+
+      const typeRes = await request(app)
+        .get(
+          `/api/shifts?typeOfShift=${SHIFT_TYPES.MORNING},${SHIFT_TYPES.NIGHT}`,
+        )
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(typeRes.body.shifts.map((shift) => shift.id)).to.have.members([
+        shift1Id,
+        shift3Id,
+      ]);
+    });
+
+    it("should filter shifts by location", async () => {
+      const location = await LocationModel.findOne({
+        name: testLocation.name,
+      });
+
+      const res = await request(app)
+        .get(`/api/shifts?location=${location._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.pagination.totalCount).to.equal(3);
+
+      const otherRes = await request(app)
+        .get(`/api/shifts?location=${new mongoose.Types.ObjectId()}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(otherRes.body.shifts).to.have.length(0);
+    });
+
+    it("should search shift titles case-insensitively", async () => {
+      const res = await request(app)
+        .get("/api/shifts?search=night")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.shifts).to.have.length(1);
+      expect(res.body.shifts[0].id).to.equal(shift3Id);
+
+      const literalRes = await request(app)
+        .get(`/api/shifts?search=${encodeURIComponent("Shift.*")}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(literalRes.body.shifts).to.have.length(0);
+    });
+
+    it("should return error when the date range ends before it starts", async () => {
+      const res = await request(app)
+        .get("/api/shifts?from=2026-01-03&to=2026-01-01")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+
       expect(res.body.issues).to.deep.include({
-        path: "sortOrder",
-        error: "Sort order must be 'asc' or 'desc'",
+        path: "to",
+        error: "End date cannot be before the start date",
       });
     });
 
-    it("should return error for invalid status", async () => {
+    it("should return error for invalid shift type", async () => {
       const res = await request(app)
-        .get("/api/shifts?status=InvalidStatus")
+        .get("/api/shifts?typeOfShift=Morning,Brunch")
         .set("Authorization", `Bearer ${adminToken}`)
         .expect(400);
 
-      expect(res.body).to.have.property("issues");
-      expect(res.body.issues).to.be.an("array");
       expect(res.body.issues).to.deep.include({
-        path: "status",
-        error: "Invalid shift status",
+        path: "typeOfShift",
+        error: "Invalid shift type",
       });
     });
 
@@ -1624,6 +3481,128 @@ describe("Shift API", () => {
     });
   });
 
+  describe("GET /api/shifts/export", () => {
+    const lastWeek = dayjs().subtract(1, "week").startOf("day");
+    const at = (day, time) =>
+      dayjs(`${day.format("YYYY-MM-DD")} ${time}`).toDate();
+
+    beforeEach(async () => {
+      const location = await LocationModel.findOne();
+      const pastShift = {
+        title: "Past Shift",
+        role: "Nurse",
+        typeOfShift: [SHIFT_TYPES.MORNING, SHIFT_TYPES.WEEKDAY],
+        user: workerUserId,
+        location: location._id,
+        status: SHIFT_STATUS.COMPLETED,
+      };
+
+      await ShiftModel.create([
+        {
+          ...pastShift,
+          date: lastWeek.toDate(),
+          startTime: at(lastWeek, "09:00"),
+          finishTime: at(lastWeek, "17:00"),
+          clockInTime: at(lastWeek, "09:00"),
+          clockOutTime: at(lastWeek, "17:00"),
+          breaks: [
+            {
+              startTime: at(lastWeek, "12:00"),
+              endTime: at(lastWeek, "12:30"),
+            },
+          ],
+        },
+        {
+          ...pastShift,
+          date: lastWeek.add(1, "day").toDate(),
+          startTime: at(lastWeek.add(1, "day"), "08:00"),
+          finishTime: at(lastWeek.add(1, "day"), "12:00"),
+          clockInTime: at(lastWeek.add(1, "day"), "08:10"),
+          clockOutTime: at(lastWeek.add(1, "day"), "12:00"),
+        },
+        {
+          ...pastShift,
+          status: SHIFT_STATUS.CANCELLED,
+          date: lastWeek.add(2, "day").toDate(),
+          startTime: at(lastWeek.add(2, "day"), "08:00"),
+          finishTime: at(lastWeek.add(2, "day"), "12:00"),
+        },
+      ]);
+    });
+
+    it("should export one row per completed shift in the range", async () => {
+      const res = await request(app)
+        .get("/api/shifts/export")
+        .query({
+          from: lastWeek.format("YYYY-MM-DD"),
+          to: lastWeek.add(6, "day").format("YYYY-MM-DD"),
+        })
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+        .expect("Content-Type", /text\/csv/);
+
+      const rows = res.text.trim().split("\r\n");
+      expect(rows).to.have.length(3);
+      expect(rows[0]).to.equal(
+        "Worker,Email,Location,Role,Date,Scheduled Start,Scheduled Finish,Clock In,Clock Out,Worked Minutes,Shift Types",
+      );
+      expect(rows[1]).to.equal(
+        `Worker User,worker@example.com,Test Location,Nurse,${lastWeek.format("YYYY-MM-DD")},09:00,17:00,09:00,17:00,450,Morning; Weekday`,
+      );
+      expect(rows[2]).to.include(",08:10,12:00,230,");
+    });
+
+    it("should use the requested columns and headers", async () => {
+      const res = await request(app)
+        .get("/api/shifts/export")
+        .query({
+          from: lastWeek.format("YYYY-MM-DD"),
+          to: lastWeek.format("YYYY-MM-DD"),
+          columns: "email:Employee Email,paidMinutes,breakMinutes:Break",
+        })
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.text).to.equal(
+        "Employee Email,Paid Minutes,Break\r\nworker@example.com,450,30\r\n",
+      );
+    });
+
+    it("should return error for an unknown column", async () => {
+      await request(app)
+        .get("/api/shifts/export")
+        .query({
+          from: lastWeek.format("YYYY-MM-DD"),
+          to: lastWeek.format("YYYY-MM-DD"),
+          columns: "worker,salary",
+        })
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it("should return error when the range ends before it starts", async () => {
+      await request(app)
+        .get("/api/shifts/export")
+        .query({
+          from: lastWeek.format("YYYY-MM-DD"),
+          to: lastWeek.subtract(1, "day").format("YYYY-MM-DD"),
+        })
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it("should return error when worker tries to export", async () => {
+      await request(app)
+        .get("/api/shifts/export")
+        .query({
+          from: lastWeek.format("YYYY-MM-DD"),
+          to: lastWeek.format("YYYY-MM-DD"),
+        })
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(403);
+    });
+  });
+
   describe("GET /api/shifts/my-shifts", () => {
     let workerShift1Id, workerShift2Id, adminShiftId;
 
@@ -1720,6 +3699,28 @@ describe("Shift API", () => {
       expect(res.body.shifts[0].id).to.equal(workerShift2Id);
     });
 
+    it("should filter user's shifts by date range and role", async () => {
+      const res = await request(app)
+        .get("/api/shifts/my-shifts?from=2026-01-01&to=2026-01-03&role=Doctor")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(res.body.shifts).to.have.length(1);
+      expect(res.body.shifts[0].id).to.equal(workerShift2Id);
+    });
+
+    it("should not let the user filter return other workers' shifts", async () => {
+      const res = await request(app)
+        .get(`/api/shifts/my-shifts?user=${adminUserId}`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(res.body.shifts).to.have.length(2);
+      expect(res.body.shifts.map((shift) => shift.id)).to.not.include(
+        adminShiftId,
+      );
+    });
+
     it("should sort user's shifts by date", async () => {
       const res = await request(app)
         .get("/api/shifts/my-shifts?sortBy=date&sortOrder=asc")
@@ -1798,6 +3799,338 @@ describe("Shift API", () => {
       expect(shift.location).to.have.property("postCode");
     });
   });
+
+  describe("Open shifts", () => {
+    /** @type {Object} */
+    let openShiftData;
+
+    /** @type {string} */
+    let otherWorkerToken;
+
+    /** @type {string} */
+    let otherWorkerUserId;
+
+    const nextWeek = dayjs().add(7, "day").format("YYYY-MM-DD");
+
+    beforeEach(async () => {
+      const otherWorkerRes = await request(app)
+        .post("/api/user/register")
+        .send({
+          name: "Other Worker",
+          email: "other.worker@example.com",
+          password: "WorkerPass123!",
+        });
+      otherWorkerToken = otherWorkerRes.body.token;
+      otherWorkerUserId = otherWorkerRes.body.user.id;
+
+      openShiftData = {
+        title: "Open Morning Shift",
+        role: "Nurse",
+        typeOfShift: [SHIFT_TYPES.MORNING],
+        startTime: "09:00",
+        finishTime: "17:00",
+        location: testLocation,
+        date: nextWeek,
+      };
+    });
+
+    /**
+     * Create an open shift as admin and return its ID
+     * @param {Object} [overrides] - Fields to override in the shift data
+     * @returns {Promise<string>}
+     */
+    const createOpenShift = async (overrides = {}) => {
+      const res = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...openShiftData, ...overrides })
+        .expect(201);
+      return res.body.shift.id;
+    };
+
+    it("should create a shift without a user as an open shift", async () => {
+      const res = await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(openShiftData)
+        .expect(201);
+
+      expect(res.body.shift.user).to.equal(null);
+      expect(res.body.shift.claim).to.equal(null);
+      expect(res.body.shift.requiresClaimApproval).to.equal(false);
+    });
+
+    it("should list only open shifts the worker is eligible for", async () => {
+      const openShiftId = await createOpenShift();
+      await createOpenShift({
+        title: "Restricted Shift",
+        date: dayjs().add(8, "day").format("YYYY-MM-DD"),
+        eligibleWorkers: [otherWorkerUserId],
+      });
+      await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...openShiftData,
+          user: otherWorkerUserId,
+          date: dayjs().add(9, "day").format("YYYY-MM-DD"),
+        })
+        .expect(201);
+
+      const res = await request(app)
+        .get("/api/shifts/open")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(res.body.shifts).to.have.length(1);
+      expect(res.body.shifts[0].id).to.equal(openShiftId);
+
+      const otherRes = await request(app)
+        .get("/api/shifts/open")
+        .set("Authorization", `Bearer ${otherWorkerToken}`)
+        .expect(200);
+
+      expect(otherRes.body.shifts).to.have.length(2);
+    });
+
+    it("should assign the shift to the first claimant only", async () => {
+      const openShiftId = await createOpenShift();
+
+      const res = await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(res.body.message).to.equal("Shift claimed successfully");
+      expect(res.body.shift.user.id).to.equal(workerUserId);
+
+      const secondRes = await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim`)
+        .set("Authorization", `Bearer ${otherWorkerToken}`)
+        .expect(409);
+
+      expect(secondRes.body.errorCode).to.equal("SHIFT_ALREADY_CLAIMED");
+
+      const listRes = await request(app)
+        .get("/api/shifts/open")
+        .set("Authorization", `Bearer ${otherWorkerToken}`)
+        .expect(200);
+      expect(listRes.body.shifts).to.have.length(0);
+    });
+
+    it("should let only one of two concurrent claims succeed", async () => {
+      const openShiftId = await createOpenShift();
+
+      const responses = await Promise.all([
+        request(app)
+          .patch(`/api/shifts/${openShiftId}/claim`)
+          .set("Authorization", `Bearer ${workerToken}`),
+        request(app)
+          .patch(`/api/shifts/${openShiftId}/claim`)
+          .set("Authorization", `Bearer ${otherWorkerToken}`),
+      ]);
+
+      const statuses = responses.map((res) => res.status).sort();
+      expect(statuses).to.deep.equal([200, 409]);
+    });
+
+    it("should return error when worker is not eligible", async () => {
+      const openShiftId = await createOpenShift({
+        eligibleWorkers: [otherWorkerUserId],
+      });
+
+      const res = await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(403);
+
+      expect(res.body.errorCode).to.equal("NOT_ELIGIBLE_FOR_SHIFT");
+    });
+
+    it("should return error when the claim overlaps the worker's shifts", async () => {
+      await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...openShiftData,
+          user: workerUserId,
+          startTime: "15:00",
+          finishTime: "20:00",
+        })
+        .expect(201);
+      const openShiftId = await createOpenShift();
+
+      const res = await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("SHIFT_OVERLAP");
+    });
+
+    it("should hold the claim until an admin approves it", async () => {
+      const openShiftId = await createOpenShift({
+        requiresClaimApproval: true,
+      });
+
+      const res = await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(res.body.message).to.equal("Claim submitted for approval");
+      expect(res.body.shift.user).to.equal(null);
+      expect(res.body.shift.claim.user).to.equal(workerUserId);
+
+      await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim`)
+        .set("Authorization", `Bearer ${otherWorkerToken}`)
+        .expect(409);
+
+      const pendingRes = await request(app)
+        .get("/api/shifts/open/claims")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(pendingRes.body.shifts).to.have.length(1);
+
+      const approveRes = await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim/approve`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(approveRes.body.shift.user.id).to.equal(workerUserId);
+    });
+
+    it("should record the approved claim in the shift's history", async () => {
+      const openShiftId = await createOpenShift({
+        requiresClaimApproval: true,
+      });
+      await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+      await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim/approve`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .get(`/api/shifts/${openShiftId}/history`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const approval = res.body.history.at(-1);
+      expect(approval).to.include({
+        action: SHIFT_HISTORY_ACTION.UPDATE,
+        source: SHIFT_HISTORY_SOURCE.APPROVE_CLAIM,
+      });
+      expect(approval.actor.id).to.equal(adminUserId);
+      expect(approval.changes).to.deep.include({
+        field: "user",
+        from: null,
+        to: workerUserId,
+      });
+    });
+
+    it("should not approve a claim once the shift is cancelled", async () => {
+      const openShiftId = await createOpenShift({
+        requiresClaimApproval: true,
+      });
+      await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+      await request(app)
+        .patch(`/api/shifts/${openShiftId}/cancel`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim/approve`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("INVALID_SHIFT_STATUS");
+      const shift = await ShiftModel.findById(openShiftId);
+      expect(shift.user).to.equal(null);
+    });
+
+    it("should apply the weekly hours limit when approving a claim", async () => {
+      await UserModel.findByIdAndUpdate(workerUserId, { maxWeeklyHours: 10 });
+      const openShiftId = await createOpenShift({
+        requiresClaimApproval: true,
+      });
+      await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      // Pending claims do not count towards the worker's hours
+      await request(app)
+        .post("/api/shifts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...openShiftData,
+          user: workerUserId,
+          date: dayjs().add(8, "day").format("YYYY-MM-DD"),
+        })
+        .expect(201);
+
+      const res = await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim/approve`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("WEEKLY_HOURS_EXCEEDED");
+      const shift = await ShiftModel.findById(openShiftId);
+      expect(shift.user).to.equal(null);
+    });
+
+    it("should reopen the shift when a claim is rejected", async () => {
+      const openShiftId = await createOpenShift({
+        requiresClaimApproval: true,
+      });
+
+      await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      const rejectRes = await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim/reject`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(rejectRes.body.shift.claim).to.equal(null);
+
+      await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim`)
+        .set("Authorization", `Bearer ${otherWorkerToken}`)
+        .expect(200);
+    });
+
+    it("should return error when worker tries to approve a claim", async () => {
+      const openShiftId = await createOpenShift({
+        requiresClaimApproval: true,
+      });
+
+      await request(app)
+        .patch(`/api/shifts/${openShiftId}/claim/approve`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(403);
+    });
+
+    it("should not let a worker clock in to an unclaimed shift", async () => {
+      const openShiftId = await createOpenShift();
+
+      const res = await request(app)
+        .patch(`/api/shifts/${openShiftId}/clock-in`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(403);
+
+      expect(res.body.message).to.equal("You are not assigned to this shift");
+    });
+  });
 });
 
 /**
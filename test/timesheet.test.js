@@ -0,0 +1,552 @@
+import { expect } from "chai";
+import request from "supertest";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import * as process from "node:process";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import dayjs from "dayjs";
+import { app } from "../src/server.js";
+import UserModel from "../src/models/user.model.js";
+import LocationModel from "../src/models/location.model.js";
+import ShiftModel from "../src/models/shifts.model.js";
+import TimesheetModel from "../src/models/timesheet.model.js";
+import {
+  SHIFT_TYPES,
+  SHIFT_STATUS,
+  SHIFT_CONSTRAINTS,
+  SHIFT_HISTORY_ACTION,
+  SHIFT_HISTORY_SOURCE,
+} from "../src/services/shift/constants.js";
+import { purgeDeletedShifts } from "../src/services/shift/retention.js";
+import { TIMESHEET_STATUS } from "../src/services/timesheet/constants.js";
+dotenv.config();
+
+describe("Timesheet API", () => {
+  /** @type {MongoMemoryServer} */
+  let mongoServer;
+
+  /** @type {string} */
+  let adminToken;
+
+  /** @type {string} */
+  let workerToken;
+
+  /** @type {string} */
+  let workerUserId;
+
+  /** @type {string} */
+  let colleagueToken;
+
+  /** @type {string} */
+  let locationId;
+
+  // Monday to Sunday of last week
+  const periodStart = dayjs().subtract(1, "week").day(1).startOf("day");
+  const periodEnd = periodStart.add(6, "day");
+
+  before(async () => {
+    if (process.env.NODE_ENV !== "test") {
+      process.env.NODE_ENV = "test";
+    }
+
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+
+    await mongoose.connect(mongoUri);
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Create a shift directly in the database, as past shifts cannot be created through the API
+   * @param {Object} params
+   * @param {number} params.day - Days after the period start
+   * @param {string} params.start - Scheduled start (HH:mm)
+   * @param {string} params.finish - Scheduled finish (HH:mm)
+   * @param {string} [params.clockIn] - Clock-in time (HH:mm)
+   * @param {string} [params.clockOut] - Clock-out time (HH:mm)
+   * @param {Array<{start: string, end: string, paid?: boolean}>} [params.breaks]
+   * @param {string} [params.status]
+   * @returns {Promise<Object>} Shift document
+   */
+  const createPastShift = ({
+    day,
+    start,
+    finish,
+    clockIn,
+    clockOut,
+    breaks = [],
+    status = SHIFT_STATUS.COMPLETED,
+  }) => {
+    const date = periodStart.add(day, "day");
+    const at = (time) => dayjs(`${date.format("YYYY-MM-DD")} ${time}`).toDate();
+
+    return ShiftModel.create({
+      title: "Past Shift",
+      role: "Carer",
+      typeOfShift: [SHIFT_TYPES.WEEKDAY],
+      user: workerUserId,
+      startTime: at(start),
+      finishTime: at(finish),
+      location: locationId,
+      date: date.toDate(),
+      status,
+      clockInTime: clockIn ? at(clockIn) : null,
+      clockOutTime: clockOut ? at(clockOut) : null,
+      breaks: breaks.map((shiftBreak) => ({
+        startTime: at(shiftBreak.start),
+        endTime: at(shiftBreak.end),
+        paid: shiftBreak.paid ?? false,
+      })),
+    });
+  };
+
+  /**
+   * Generate last week's timesheet for the worker
+   * @returns {Promise<Object>} Response body
+   */
+  const generateTimesheet = async () => {
+    const res = await request(app)
+      .post("/api/timesheets")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        user: workerUserId,
+        periodStart: periodStart.format("YYYY-MM-DD"),
+        periodEnd: periodEnd.format("YYYY-MM-DD"),
+      })
+      .expect(201);
+    return res.body;
+  };
+
+  /** @type {Object} */
+  let firstShift;
+
+  beforeEach(async () => {
+    await UserModel.deleteMany({});
+    await LocationModel.deleteMany({});
+    await ShiftModel.deleteMany({});
+    await TimesheetModel.deleteMany({});
+
+    const adminRes = await request(app).post("/api/user/register").send({
+      name: "Admin User",
+      email: "admin@example.com",
+      password: "AdminPass123!",
+    });
+    adminToken = adminRes.body.token;
+
+    const adminUser = await UserModel.findById(adminRes.body.user.id);
+    adminUser.role = "admin";
+    await adminUser.save();
+
+    const workerRes = await request(app).post("/api/user/register").send({
+      name: "Worker User",
+      email: "worker@example.com",
+      password: "WorkerPass123!",
+    });
+    workerToken = workerRes.body.token;
+    workerUserId = workerRes.body.user.id;
+
+    const colleagueRes = await request(app).post("/api/user/register").send({
+      name: "Colleague User",
+      email: "colleague@example.com",
+      password: "WorkerPass123!",
+    });
+    colleagueToken = colleagueRes.body.token;
+
+    const location = await LocationModel.create({
+      name: "Test Location",
+      address: "123 Test Street, Manchester",
+      postCode: "M1 1AA",
+      cordinates: { longitude: -2.244644, latitude: 53.483959 },
+    });
+    locationId = location._id;
+
+    // 480 scheduled, 475 on shift less a 30 minute unpaid break = 445 actual
+    firstShift = await createPastShift({
+      day: 0,
+      start: "09:00",
+      finish: "17:00",
+      clockIn: "09:05",
+      clockOut: "17:00",
+      breaks: [{ start: "12:00", end: "12:30" }],
+    });
+
+    // 240 scheduled, 255 actual
+    await createPastShift({
+      day: 2,
+      start: "08:00",
+      finish: "12:00",
+      clockIn: "08:00",
+      clockOut: "12:15",
+    });
+
+    // Not completed, so left off the timesheet
+    await createPastShift({
+      day: 4,
+      start: "08:00",
+      finish: "12:00",
+      status: SHIFT_STATUS.CANCELLED,
+    });
+  });
+
+  describe("POST /api/timesheets", () => {
+    it("should generate a draft from the period's completed shifts", async () => {
+      const { timesheet } = await generateTimesheet();
+
+      expect(timesheet.status).to.equal(TIMESHEET_STATUS.DRAFT);
+      expect(timesheet.user.id).to.equal(workerUserId);
+      expect(timesheet.entries).to.have.length(2);
+      expect(timesheet.entries[0]).to.include({
+        scheduledStartTime: "09:00",
+        clockInTime: "09:05",
+        scheduledMinutes: 480,
+        actualMinutes: 445,
+        breakMinutes: 30,
+        varianceMinutes: -35,
+      });
+      expect(timesheet.totals).to.include({
+        scheduledMinutes: 720,
+        actualMinutes: 700,
+        scheduledHours: 12,
+        actualHours: 11.67,
+      });
+
+      const shift = await ShiftModel.findById(firstShift._id);
+      expect(shift.timesheet.toString()).to.equal(timesheet.id);
+    });
+
+    it("should rebuild a draft when the same period is generated again", async () => {
+      const first = await generateTimesheet();
+
+      await createPastShift({
+        day: 5,
+        start: "10:00",
+        finish: "14:00",
+        clockIn: "10:00",
+        clockOut: "14:00",
+      });
+
+      const second = await generateTimesheet();
+
+      expect(second.timesheet.id).to.equal(first.timesheet.id);
+      expect(second.timesheet.entries).to.have.length(3);
+    });
+
+    it("should return error when the period overlaps another timesheet", async () => {
+      const { timesheet } = await generateTimesheet();
+
+      const res = await request(app)
+        .post("/api/timesheets")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          user: workerUserId,
+          periodStart: periodStart.add(3, "day").format("YYYY-MM-DD"),
+          periodEnd: periodEnd.add(3, "day").format("YYYY-MM-DD"),
+        })
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("TIMESHEET_EXISTS");
+      expect(res.body.details.timesheetId).to.equal(timesheet.id);
+    });
+
+    it("should return error when the period ends before it starts", async () => {
+      const res = await request(app)
+        .post("/api/timesheets")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          user: workerUserId,
+          periodStart: periodEnd.format("YYYY-MM-DD"),
+          periodEnd: periodStart.format("YYYY-MM-DD"),
+        })
+        .expect(400);
+
+      expect(res.body.issues).to.deep.include({
+        path: "periodEnd",
+        error: "Period end cannot be before the period start",
+      });
+    });
+
+    it("should return error when worker tries to generate a timesheet", async () => {
+      await request(app)
+        .post("/api/timesheets")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({
+          user: workerUserId,
+          periodStart: periodStart.format("YYYY-MM-DD"),
+          periodEnd: periodEnd.format("YYYY-MM-DD"),
+        })
+        .expect(403);
+    });
+  });
+
+  describe("GET /api/timesheets", () => {
+    it("should let the worker see their own timesheets only", async () => {
+      const { timesheet } = await generateTimesheet();
+
+      const mineRes = await request(app)
+        .get("/api/timesheets/mine")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+      expect(mineRes.body.timesheets).to.have.length(1);
+
+      await request(app)
+        .get(`/api/timesheets/${timesheet.id}`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .get(`/api/timesheets/${timesheet.id}`)
+        .set("Authorization", `Bearer ${colleagueToken}`)
+        .expect(403);
+      expect(res.body.errorCode).to.equal("UNAUTHORIZED_TIMESHEET_ACCESS");
+    });
+  });
+
+  describe("PATCH /api/timesheets/:id/entries/:shiftId", () => {
+    it("should amend clock times and record the reason", async () => {
+      const { timesheet } = await generateTimesheet();
+
+      const res = await request(app)
+        .patch(`/api/timesheets/${timesheet.id}/entries/${firstShift._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ clockOutTime: "17:30", reason: "Stayed for handover" })
+        .expect(200);
+
+      expect(res.body.timesheet.entries[0].clockOutTime).to.equal("17:30");
+      expect(res.body.timesheet.entries[0].actualMinutes).to.equal(475);
+      expect(res.body.timesheet.totals.actualMinutes).to.equal(730);
+      expect(res.body.timesheet.amendments).to.have.length(1);
+      expect(res.body.timesheet.amendments[0]).to.include({
+        field: "clockOutTime",
+        previousValue: "17:00",
+        newValue: "17:30",
+        reason: "Stayed for handover",
+      });
+
+      const shift = await ShiftModel.findById(firstShift._id);
+      expect(dayjs(shift.clockOutTime).format("HH:mm")).to.equal("17:30");
+    });
+
+    it("should keep an amended clock-in near midnight on the day it was worked", async () => {
+      const nightShift = await createPastShift({
+        day: 5,
+        start: "00:00",
+        finish: "08:00",
+        clockIn: "00:05",
+        clockOut: "08:00",
+      });
+      const { timesheet } = await generateTimesheet();
+
+      const res = await request(app)
+        .patch(`/api/timesheets/${timesheet.id}/entries/${nightShift._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ clockInTime: "23:55", reason: "Arrived before midnight" })
+        .expect(200);
+
+      const entry = res.body.timesheet.entries.find(
+        (timesheetEntry) => timesheetEntry.shift === nightShift._id.toString(),
+      );
+      expect(entry.actualMinutes).to.equal(485);
+
+      const shift = await ShiftModel.findById(nightShift._id);
+      expect(shift.clockInTime.toISOString()).to.equal(
+        dayjs(`${periodStart.add(4, "day").format("YYYY-MM-DD")} 23:55`)
+          .toDate()
+          .toISOString(),
+      );
+    });
+
+    it("should return error when a break would fall outside the amended times", async () => {
+      const { timesheet } = await generateTimesheet();
+
+      const res = await request(app)
+        .patch(`/api/timesheets/${timesheet.id}/entries/${firstShift._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ clockOutTime: "12:15", reason: "Left early" })
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("INVALID_BREAK");
+    });
+
+    it("should record the amendment in the shift's history", async () => {
+      const { timesheet } = await generateTimesheet();
+
+      await request(app)
+        .patch(`/api/timesheets/${timesheet.id}/entries/${firstShift._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ clockOutTime: "17:30", reason: "Stayed for handover" })
+        .expect(200);
+
+      const res = await request(app)
+        .get(`/api/shifts/${firstShift._id}/history`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.history).to.have.length(1);
+      expect(res.body.history[0]).to.include({
+        action: SHIFT_HISTORY_ACTION.UPDATE,
+        source: SHIFT_HISTORY_SOURCE.AMEND_TIMESHEET,
+      });
+      expect(
+        res.body.history[0].changes.map(({ field }) => field),
+      ).to.deep.equal(["clockOutTime"]);
+    });
+
+    it("should return error when no reason is given", async () => {
+      const { timesheet } = await generateTimesheet();
+
+      await request(app)
+        .patch(`/api/timesheets/${timesheet.id}/entries/${firstShift._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ clockOutTime: "17:30" })
+        .expect(400);
+    });
+
+    it("should return error when the timesheet is approved", async () => {
+      const { timesheet } = await generateTimesheet();
+      await TimesheetModel.findByIdAndUpdate(timesheet.id, {
+        status: TIMESHEET_STATUS.APPROVED,
+      });
+
+      const res = await request(app)
+        .patch(`/api/timesheets/${timesheet.id}/entries/${firstShift._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ clockOutTime: "17:30", reason: "Stayed for handover" })
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("INVALID_TIMESHEET_STATUS");
+    });
+
+    it("should return error when the shift is not on the timesheet", async () => {
+      const { timesheet } = await generateTimesheet();
+
+      const res = await request(app)
+        .patch(
+          `/api/timesheets/${timesheet.id}/entries/${new mongoose.Types.ObjectId()}`,
+        )
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ clockInTime: "09:00", reason: "Late badge" })
+        .expect(404);
+
+      expect(res.body.errorCode).to.equal("SHIFT_NOT_IN_TIMESHEET");
+    });
+  });
+
+  describe("Approval workflow", () => {
+    it("should move from draft to locked and lock the shifts", async () => {
+      const { timesheet } = await generateTimesheet();
+
+      const submitRes = await request(app)
+        .patch(`/api/timesheets/${timesheet.id}/submit`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+      expect(submitRes.body.timesheet.status).to.equal(
+        TIMESHEET_STATUS.SUBMITTED,
+      );
+      expect(submitRes.body.timesheet.submittedBy.id).to.equal(workerUserId);
+
+      await request(app)
+        .patch(`/api/timesheets/${timesheet.id}/approve`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(403);
+
+      const approveRes = await request(app)
+        .patch(`/api/timesheets/${timesheet.id}/approve`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(approveRes.body.timesheet.status).to.equal(
+        TIMESHEET_STATUS.APPROVED,
+      );
+
+      const lockRes = await request(app)
+        .patch(`/api/timesheets/${timesheet.id}/lock`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+      expect(lockRes.body.timesheet.status).to.equal(TIMESHEET_STATUS.LOCKED);
+
+      const shift = await ShiftModel.findById(firstShift._id);
+      expect(shift.lockedAt).to.not.equal(null);
+    });
+
+    it("should return error when skipping a step", async () => {
+      const { timesheet } = await generateTimesheet();
+
+      const res = await request(app)
+        .patch(`/api/timesheets/${timesheet.id}/lock`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("INVALID_TIMESHEET_STATUS");
+    });
+
+    it("should return error when another worker submits the timesheet", async () => {
+      const { timesheet } = await generateTimesheet();
+
+      await request(app)
+        .patch(`/api/timesheets/${timesheet.id}/submit`)
+        .set("Authorization", `Bearer ${colleagueToken}`)
+        .expect(403);
+    });
+
+    it("should refuse edits to shifts of a locked timesheet", async () => {
+      const { timesheet } = await generateTimesheet();
+      await TimesheetModel.findByIdAndUpdate(timesheet.id, {
+        status: TIMESHEET_STATUS.APPROVED,
+      });
+
+      await request(app)
+        .patch(`/api/timesheets/${timesheet.id}/lock`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const updateRes = await request(app)
+        .put(`/api/shifts/${firstShift._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "Rewritten" })
+        .expect(409);
+      expect(updateRes.body.errorCode).to.equal("SHIFT_LOCKED");
+
+      const deleteRes = await request(app)
+        .delete(`/api/shifts/${firstShift._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(409);
+      expect(deleteRes.body.errorCode).to.equal("SHIFT_LOCKED");
+    });
+
+    it("should refuse to delete shifts recorded on a timesheet", async () => {
+      const { timesheet } = await generateTimesheet();
+
+      const res = await request(app)
+        .delete(`/api/shifts/${firstShift._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(res.body.errorCode).to.equal("SHIFT_ON_TIMESHEET");
+      expect(res.body.details.timesheetId).to.equal(timesheet.id);
+    });
+
+    it("should not purge deleted shifts recorded on a timesheet", async () => {
+      await generateTimesheet();
+      // A shift deleted before it could be refused, e.g. by an older version
+      await ShiftModel.updateOne(
+        { _id: firstShift._id },
+        {
+          deletedAt: dayjs()
+            .subtract(SHIFT_CONSTRAINTS.DELETED_SHIFT_RETENTION_DAYS + 1, "day")
+            .toDate(),
+        },
+      );
+
+      expect(await purgeDeletedShifts()).to.equal(0);
+      expect(await ShiftModel.findById(firstShift._id).withDeleted()).to.not.be
+        .null;
+    });
+  });
+});
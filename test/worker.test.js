@@ -0,0 +1,292 @@
+import { expect } from "chai";
+import request from "supertest";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import * as process from "node:process";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { app } from "../src/server.js";
+import UserModel from "../src/models/user.model.js";
+import dayjs from "dayjs";
+dotenv.config();
+
+describe("Worker API", () => {
+  /** @type {MongoMemoryServer} */
+  let mongoServer;
+
+  /** @type {string} */
+  let adminToken;
+
+  /** @type {string} */
+  let workerToken;
+
+  /** @type {string} */
+  let workerUserId;
+
+  before(async () => {
+    if (process.env.NODE_ENV !== "test") {
+      process.env.NODE_ENV = "test";
+    }
+
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+
+    await mongoose.connect(mongoUri);
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await UserModel.deleteMany({});
+
+    const adminRes = await request(app).post("/api/user/register").send({
+      name: "Admin User",
+      email: "admin@example.com",
+      password: "AdminPass123!",
+    });
+    adminToken = adminRes.body.token;
+
+    const adminUser = await UserModel.findById(adminRes.body.user.id);
+    adminUser.role = "admin";
+    await adminUser.save();
+
+    const workerRes = await request(app).post("/api/user/register").send({
+      name: "Worker User",
+      email: "worker@example.com",
+      password: "WorkerPass123!",
+    });
+    workerToken = workerRes.body.token;
+    workerUserId = workerRes.body.user.id;
+  });
+
+  describe("GET /api/workers/all", () => {
+    it("should list workers with their working hours", async () => {
+      const res = await request(app)
+        .get("/api/workers/all")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body).to.have.length(1);
+      expect(res.body[0]).to.include({
+        name: "Worker User",
+        contractedWeeklyHours: null,
+        maxWeeklyHours: null,
+        weeklyHoursOptOut: false,
+      });
+    });
+  });
+
+  describe("PATCH /api/workers/:id/working-hours", () => {
+    it("should update a worker's weekly hours", async () => {
+      const res = await request(app)
+        .patch(`/api/workers/${workerUserId}/working-hours`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ contractedWeeklyHours: 37.5, weeklyHoursOptOut: true })
+        .expect(200);
+
+      expect(res.body.worker).to.include({
+        contractedWeeklyHours: 37.5,
+        maxWeeklyHours: null,
+        weeklyHoursOptOut: true,
+      });
+
+      const clearedRes = await request(app)
+        .patch(`/api/workers/${workerUserId}/working-hours`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ contractedWeeklyHours: null })
+        .expect(200);
+
+      expect(clearedRes.body.worker.contractedWeeklyHours).to.be.null;
+      expect(clearedRes.body.worker.weeklyHoursOptOut).to.be.true;
+    });
+
+    it("should return error when contracted hours exceed the maximum", async () => {
+      await request(app)
+        .patch(`/api/workers/${workerUserId}/working-hours`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ maxWeeklyHours: 20 })
+        .expect(200);
+
+      const res = await request(app)
+        .patch(`/api/workers/${workerUserId}/working-hours`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ contractedWeeklyHours: 30 })
+        .expect(400);
+
+      expect(res.body.errorCode).to.equal("INVALID_WORKING_HOURS");
+    });
+
+    it("should return error for invalid hours", async () => {
+      const res = await request(app)
+        .patch(`/api/workers/${workerUserId}/working-hours`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ maxWeeklyHours: 200 })
+        .expect(400);
+
+      expect(res.body.issues).to.deep.include({
+        path: "maxWeeklyHours",
+        error: "Maximum weekly hours cannot be more than 168",
+      });
+    });
+
+    it("should return error for an unknown worker", async () => {
+      const res = await request(app)
+        .patch(`/api/workers/${new mongoose.Types.ObjectId()}/working-hours`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ maxWeeklyHours: 40 })
+        .expect(404);
+
+      expect(res.body.errorCode).to.equal("USER_NOT_FOUND");
+    });
+
+    it("should return error when worker tries to update working hours", async () => {
+      await request(app)
+        .patch(`/api/workers/${workerUserId}/working-hours`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ maxWeeklyHours: 60 })
+        .expect(403);
+    });
+  });
+
+  describe("Availability", () => {
+    const date = dayjs().add(14, "day");
+
+    it("should let a worker declare weekly availability and unavailable dates", async () => {
+      const weeklyRes = await request(app)
+        .put("/api/workers/me/availability")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({
+          weeklyAvailability: [
+            { dayOfWeek: 1, startTime: "09:00", finishTime: "17:00" },
+          ],
+        })
+        .expect(200);
+
+      expect(weeklyRes.body.availability.weeklyAvailability).to.deep.equal([
+        { dayOfWeek: 1, startTime: "09:00", finishTime: "17:00" },
+      ]);
+
+      const addRes = await request(app)
+        .post("/api/workers/me/unavailable-dates")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ date: date.format("YYYY-MM-DD"), reason: "Appointment" })
+        .expect(201);
+
+      const [unavailableDate] = addRes.body.availability.unavailableDates;
+      expect(unavailableDate.reason).to.equal("Appointment");
+
+      const duplicateRes = await request(app)
+        .post("/api/workers/me/unavailable-dates")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({ date: date.format("YYYY-MM-DD") })
+        .expect(409);
+
+      expect(duplicateRes.body.errorCode).to.equal("UNAVAILABLE_DATE_EXISTS");
+
+      const removeRes = await request(app)
+        .delete(`/api/workers/me/unavailable-dates/${unavailableDate.id}`)
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(removeRes.body.availability.unavailableDates).to.be.empty;
+
+      const adminRes = await request(app)
+        .get(`/api/workers/${workerUserId}/availability`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(adminRes.body.availability.weeklyAvailability).to.have.length(1);
+    });
+
+    it("should return error for an invalid availability window", async () => {
+      await request(app)
+        .put("/api/workers/me/availability")
+        .set("Authorization", `Bearer ${workerToken}`)
+        .send({
+          weeklyAvailability: [
+            { dayOfWeek: 7, startTime: "09:00", finishTime: "17:00" },
+          ],
+        })
+        .expect(400);
+    });
+
+    it("should return error when removing an unknown unavailable date", async () => {
+      const res = await request(app)
+        .delete(
+          `/api/workers/me/unavailable-dates/${new mongoose.Types.ObjectId()}`,
+        )
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(404);
+
+      expect(res.body.errorCode).to.equal("UNAVAILABLE_DATE_NOT_FOUND");
+    });
+
+    it("should list which workers are available for a time window", async () => {
+      const otherRes = await request(app).post("/api/user/register").send({
+        name: "Other Worker",
+        email: "other@example.com",
+        password: "OtherPass123!",
+      });
+      await UserModel.findByIdAndUpdate(otherRes.body.user.id, {
+        weeklyAvailability: [
+          { dayOfWeek: date.day(), startTime: "18:00", finishTime: "02:00" },
+        ],
+      });
+
+      const dayRes = await request(app)
+        .get("/api/workers/availability")
+        .query({
+          date: date.format("YYYY-MM-DD"),
+          startTime: "09:00",
+          finishTime: "17:00",
+        })
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(dayRes.body.available.map((worker) => worker.name)).to.deep.equal([
+        "Worker User",
+      ]);
+      expect(dayRes.body.unavailable).to.have.length(1);
+      expect(dayRes.body.unavailable[0]).to.deep.include({
+        reason: "outside_weekly_availability",
+      });
+
+      await UserModel.findByIdAndUpdate(workerUserId, {
+        unavailableDates: [{ date: date.startOf("day").toDate() }],
+      });
+
+      const nightRes = await request(app)
+        .get("/api/workers/availability")
+        .query({
+          date: date.format("YYYY-MM-DD"),
+          startTime: "20:00",
+          finishTime: "01:00",
+        })
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(
+        nightRes.body.available.map((worker) => worker.name),
+      ).to.deep.equal(["Other Worker"]);
+      expect(nightRes.body.unavailable[0].reason).to.equal("unavailable_date");
+    });
+
+    it("should return error when a worker lists available workers", async () => {
+      await request(app)
+        .get("/api/workers/availability")
+        .query({
+          date: date.format("YYYY-MM-DD"),
+          startTime: "09:00",
+          finishTime: "17:00",
+        })
+        .set("Authorization", `Bearer ${workerToken}`)
+        .expect(403);
+    });
+  });
+});